@@ -1,4 +1,4 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { createContext, useCallback, useContext, useDeferredValue, useEffect, useMemo, useRef, useState } from "react";
 import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
@@ -7,556 +7,7486 @@ import { Progress } from "@/components/ui/progress";
 import { Badge } from "@/components/ui/badge";
 import { Switch } from "@/components/ui/switch";
 import { Textarea } from "@/components/ui/textarea";
-import { Table, TableBody, TableCaption, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { toast } from "sonner";
-import { CheckCircle2, Lock, Unlock, Users, ClipboardList, Rocket, ShieldCheck, Clock, Plus, Trash2, Edit3, Download, Search } from "lucide-react";
+import { CheckCircle2, Lock, Unlock, Users, ClipboardList, Rocket, ShieldCheck, Clock, Plus, Trash2, Edit3, Download, Search, ArrowUp, ArrowDown, Printer, CalendarClock } from "lucide-react";
 import { motion, AnimatePresence } from "framer-motion";
 
 // --- Types (JSDoc style) ---
-/** @typedef {{ id: string, name: string, grade?: string, createdAt: number, steps: StepStatus[] }} Student */
-/** @typedef {{ index: number, title: string, location?: string, instructions: string, completed: boolean, initials?: string, signedBy?: string, signedAt?: number, notes?: string }} StepStatus */
+/** @typedef {{ id: string, code: string, name: string, grade?: string, status?: "new" | "returning", studentNumber?: string, dateOfBirth?: string, homeroom?: string, custom?: Record<string, string>, eventId?: string, carriedFrom?: { eventId: string, studentId: string }, guardians?: Guardian[], appointment?: Appointment, notified?: { completed?: number, stalled?: Record<string, number> }, createdAt: number, workflowVersion: number, steps: StepStatus[] }} Student */
+/** @typedef {{ index: number, key: string, title: string, location?: string, instructions: string, translations?: Record<string, StepText>, fields?: StepField[], values?: Record<string, string>, booking?: boolean, completed: boolean, initials?: string, signedBy?: string, signedAt?: number, notes?: string, revocations?: Revocation[], flagged?: StepFlag, waived?: Waiver } & StepRules} StepStatus */
+/** @typedef {{ at: number, by: string, initials: string, reason: string }} Waiver */
+/** @typedef {{ name: string, relationship?: string, email?: string, phone?: string }} Guardian */
+/** @typedef {{ appliesTo?: { grades?: string[], status?: "new" | "returning" }, optional?: boolean, group?: string }} StepRules */
+/** @typedef {{ at: number, by: string, initials: string, reason: string, signedBy?: string, signedInitials?: string, signedAt?: number, values?: Record<string, string> }} Revocation */
+/** @typedef {{ at: number, stepKey: string, index?: number, reason: string }} StepFlag - the step whose un-signing raised it, and the reason given; flags from before `index` was kept have the whole sentence in `reason` */
+/** @typedef {{ title?: string, location?: string, instructions?: string, fields?: Record<string, string> }} StepText */
+/** @typedef {{ key: string, label: string, type: "text" | "number" | "select" | "date" | "time" | "datetime", required?: boolean, options?: string[] }} StepField */
+/** @typedef {{ key: string, title: string, location?: string, instructions: string, translations?: Record<string, StepText>, fields?: StepField[], booking?: boolean } & StepRules} StepDef */
+/** @typedef {{ version: number, name: string, createdAt: number, steps: StepDef[] }} WorkflowTemplate */
+/** @typedef {{ activeVersion: number, templates: WorkflowTemplate[] }} WorkflowStore */
+/** @typedef {{ fields: StepField[] }} ProfileFieldStore */
+/** @typedef {{ id: string, name: string, createdAt: number, archivedAt?: number }} RegistrationEvent */
+/** @typedef {{ activeId: string, events: RegistrationEvent[] }} EventStore */
+/** @typedef {{ id: string, eventId: string, start: string, minutes: number, capacity: number }} PhotoSlot */
+/** @typedef {{ slotId: string, bookedAt: number, by: string, initials: string }} Appointment */
+/** @typedef {{ id: string, name: string, initials: string, role: "admin" | "station", steps: string[], pinHash?: string, pinSalt?: string }} StaffAccount PIN fields only exist inside the storage adapter */
+/** @typedef {{ id: string, at: number, action: string, actor: { id: string, name: string, initials: string } | null, studentId?: string, studentName?: string, step?: { index: number, key: string, title: string }, before?: any, after?: any, detail?: string }} AuditEvent */
 
-// --- 7 Step Definition ---
+// --- Default 7 Step Definition (seeds workflow template v1) ---
 const STEP_DEFS = [
   {
     index: 1,
+    key: "sign-in",
     title: "Sign In",
     location: "Registration Desk",
     instructions: "Sign in, receive your Steps Clearance Sheet and PROCEED TO STEP #2.",
+    translations: {
+      es: {
+        title: "Registrarse",
+        location: "Mesa de inscripción",
+        instructions: "Regístrese, reciba su Hoja de Control de Pasos y PASE AL PASO #2.",
+      },
+    },
   },
   {
     index: 2,
+    key: "admissions",
     title: "Admissions / Re-Admissions",
     location: "Room #202 (1st Floor)",
     instructions:
       "Go to Room #202 to update/complete your Admissions/Re-Admissions Application. Receive initials and wait in Room #201 until directed to bring the Financial Form to STEP #3.",
+    translations: {
+      es: {
+        title: "Admisiones / Readmisiones",
+        location: "Salón #202 (1er piso)",
+        instructions:
+          "Vaya al Salón #202 para actualizar/completar su Solicitud de Admisión/Readmisión. Reciba las iniciales y espere en el Salón #201 hasta que le indiquen llevar el Formulario Financiero al PASO #3.",
+      },
+    },
   },
   {
     index: 3,
+    key: "business-office",
     title: "Business Office",
     location: "Business Office",
     instructions: "Make satisfactory financial arrangements in the Business Office. PROCEED TO STEP #4.",
+    fields: [{ key: "receipt", label: "Receipt or arrangement number", type: "text", required: true }],
+    translations: {
+      es: {
+        title: "Oficina de Negocios",
+        location: "Oficina de Negocios",
+        instructions: "Haga arreglos financieros satisfactorios en la Oficina de Negocios. PASE AL PASO #4.",
+        fields: { receipt: "Número de recibo o de acuerdo" },
+      },
+    },
   },
   {
     index: 4,
+    key: "class-schedule",
     title: "Class Schedule",
     location: "Chapel",
     instructions: "In the Chapel, you will receive your completed class schedule. PROCEED TO STEP #5.",
+    translations: {
+      es: {
+        title: "Horario de Clases",
+        location: "Capilla",
+        instructions: "En la Capilla recibirá su horario de clases completo. PASE AL PASO #5.",
+      },
+    },
   },
   {
     index: 5,
+    key: "locker",
     title: "Locker Assignment",
     location: "Cafeteria",
     instructions: "Obtain your locker assignment and lock. PROCEED TO STEP #6.",
+    fields: [
+      { key: "locker", label: "Locker number", type: "text", required: true },
+      { key: "combination", label: "Lock combination", type: "text" },
+    ],
+    translations: {
+      es: {
+        title: "Asignación de Casillero",
+        location: "Cafetería",
+        instructions: "Obtenga la asignación de su casillero y su candado. PASE AL PASO #6.",
+        fields: { locker: "Número de casillero", combination: "Combinación del candado" },
+      },
+    },
   },
   {
     index: 6,
+    key: "ipad",
     title: "iPad Information",
     location: "Computer Lab",
     instructions: "Receive your iPad information. PROCEED TO STEP #7.",
+    fields: [{ key: "serial", label: "iPad serial number", type: "text", required: true }],
+    translations: {
+      es: {
+        title: "Información del iPad",
+        location: "Laboratorio de Computación",
+        instructions: "Reciba la información de su iPad. PASE AL PASO #7.",
+        fields: { serial: "Número de serie del iPad" },
+      },
+    },
   },
   {
     index: 7,
+    key: "student-id",
     title: "Student ID Scheduling",
     location: "Computer Lab (Mr. Laborde)",
     instructions: "Schedule the taking of your student ID with Mr. Laborde.",
+    booking: true,
+    translations: {
+      es: {
+        title: "Cita para la Credencial Estudiantil",
+        location: "Laboratorio de Computación (Sr. Laborde)",
+        instructions: "Programe la toma de su credencial estudiantil con el Sr. Laborde.",
+      },
+    },
   },
 ];
 
+/** @type {WorkflowTemplate} */
+const DEFAULT_TEMPLATE = {
+  version: 1,
+  name: "Default 7-step workflow",
+  createdAt: 0,
+  steps: STEP_DEFS.map(({ key, title, location, instructions, fields, booking, translations }) => ({ key, title, location, instructions, fields, booking, translations })),
+};
+
+// --- Localization ---
+// UI strings are written in English in the components and looked up here by
+// their English text; anything without a translation falls back to English.
+const LANGUAGES = {
+  en: { label: "English", locale: "en-US" },
+  es: { label: "Español", locale: "es-US" },
+};
+const DEFAULT_LANG = "en";
+
+const TRANSLATIONS = {
+  es: {
+    "% Complete": "% completado",
+    ", originally signed by {initials} at {date}": ", firmado originalmente por {initials} el {date}",
+    ", originally signed by {initials}": ", firmado originalmente por {initials}",
+    "A copy of every student record is saved automatically before deletes, resets, clears, imports, migrations and restores. The newest {count} are kept on this device (the sync server keeps its own set). Restoring replaces the current list in every event.":
+      "Se guarda automáticamente una copia de todos los registros de estudiantes antes de eliminar, reiniciar, borrar, importar, migrar y restaurar. Las {count} más recientes se conservan en este dispositivo (el servidor de sincronización guarda las suyas). Restaurar reemplaza la lista actual en todos los eventos.",
+    "A self-service kiosk only lets students look up their own code; an admin PIN unlocks it.":
+      "Un quiosco de autoservicio solo permite a los estudiantes consultar su propio código; un PIN de administrador lo desbloquea.",
+    "a step signed by {initials}": "un paso firmado por {initials}",
+    "A workflow needs at least one step.": "Un flujo de trabajo necesita al menos un paso.",
+    "Action": "Acción",
+    "Actions": "Acciones",
+    "Active": "Activo",
+    "Add / Select Student": "Agregar / seleccionar estudiante",
+    "Add Account": "Agregar cuenta",
+    "Add Anyway": "Agregar de todos modos",
+    "Add Field": "Agregar campo",
+    "Add Guardian": "Agregar tutor",
+    "Add or choose a student from the Students tab.": "Agregue o elija un estudiante en la pestaña Estudiantes.",
+    "Add Slots": "Agregar horarios",
+    "Add Step": "Agregar paso",
+    "Add Student": "Agregar estudiante",
+    "Add, remove, reorder and reword steps. Limit a step to certain grades or to new/returning students, mark it optional, give neighbouring steps the same group name so they can be done in any order, ask for typed details (receipt number, locker, serial…) that must be filled in before sign-off, or require an ID photo booking. Translations left blank show the English text. Publishing saves a new template version; existing students keep the version they started on until migrated.":
+      "Agregue, quite, reordene y reescriba pasos. Limite un paso a ciertos grados o a estudiantes nuevos o que regresan, márquelo como opcional, dé a pasos vecinos el mismo nombre de grupo para que se puedan hacer en cualquier orden, pida datos escritos (número de recibo, casillero, número de serie…) que deben llenarse antes de firmar, o exija una cita para la foto de identificación. Las traducciones en blanco muestran el texto en inglés. Publicar guarda una nueva versión de la plantilla; los estudiantes existentes conservan la versión con la que empezaron hasta que se migren.",
+    "Admin": "Administración",
+    "Admin access required": "Se requiere acceso de administrador",
+    "After:": "Después:",
+    "All actions": "Todas las acciones",
+    "All grades": "Todos los grados",
+    "All grades (or e.g. 9, 10)": "Todos los grados (o p. ej. 9, 10)",
+    "All steps": "Todos los pasos",
+    "All students": "Todos los estudiantes",
+    "All students cleared": "Todos los estudiantes borrados",
+    "An admin must sign in to exit station mode.": "Un administrador debe iniciar sesión para salir del modo estación.",
+    "and": "y",
+    "Any order: {group}": "En cualquier orden: {group}",
+    "Any progress": "Cualquier avance",
+    "Any quick notes…": "Notas breves…",
+    "Any step": "Cualquier paso",
+    "Any-order group": "Grupo sin orden fijo",
+    "Appointment cancelled.": "Cita cancelada.",
+    "Archive": "Archivar",
+    "Archive {event}? Its {count} student(s) become read-only.": "¿Archivar {event}? Sus {count} estudiante(s) quedarán de solo lectura.",
+    "Archived": "Archivado",
+    "Archived event (read-only)": "Evento archivado (solo lectura)",
+    "Archived • read-only": "Archivado • solo lectura",
+    "Audit Log": "Registro de auditoría",
+    "Awaiting staff sign-off": "Esperando la firma del personal",
+    "Back to {name}": "Volver a {name}",
+    "Before:": "Antes:",
+    "Book": "Reservar",
+    "Book an ID photo time slot before signing this step.": "Reserve un horario para la foto de la credencial antes de firmar este paso.",
+    "Booked": "Reservados",
+    "Booked By": "Reservado por",
+    "Booked by {initials} • {date}": "Reservado por {initials} • {date}",
+    "Books an ID photo slot": "Reserva una cita para la foto de identificación",
+    "Bottleneck now: Step {n}. {title} ({count} waiting)": "Cuello de botella: paso {n}. {title} ({count} esperando)",
+    "Built from sign-up and sign-off times. Wait = time from a student's previous sign-off (or sign-up) until the step was signed.":
+      "Se calcula con las horas de registro y de firma. Espera = tiempo desde la firma anterior del estudiante (o su registro) hasta que se firmó el paso.",
+    "Bulk Actions": "Acciones masivas",
+    "By": "Por",
+    "Cancel": "Cancelar",
+    "Cancel Appointment": "Cancelar cita",
+    "Cancel the ID photo appointment for {name}?": "¿Cancelar la cita para la foto de la credencial de {name}?",
+    "Carried over {count} returning student(s) into {event}.": "Se trasladaron {count} estudiante(s) que regresan a {event}.",
+    "Carry over returning students into {event}": "Trasladar estudiantes que regresan a {event}",
+    "Carry Over {count} Student(s)": "Trasladar {count} estudiante(s)",
+    "Certificates": "Constancias",
+    "Check My Registration": "Consultar mi inscripción",
+    "Check this certificate against the registration record at {url}": "Compruebe este certificado con el registro de inscripción en {url}",
+    "Check your own progress at {url} with the code on your clearance sheet.": "Consulte su progreso en {url} con el código de su hoja de pasos.",
+    "Check your progress any time at {url} with your code.": "Consulte su progreso en cualquier momento en {url} con su código.",
+    "Choice list": "Lista de opciones",
+    "Choice-list fields need at least one option.": "Los campos de lista de opciones necesitan al menos una opción.",
+    "Choose a time slot.": "Elija un horario.",
+    "Choose a time slot…": "Elija un horario…",
+    "Choose an event…": "Elija un evento…",
+    "Choose one of the options": "Elija una de las opciones",
+    "Choose…": "Elija…",
+    "Clear all {count} student(s) in {event} from this device?": "¿Borrar a los {count} estudiante(s) de {event} de este dispositivo?",
+    "Clear Device Data": "Borrar datos del dispositivo",
+    "Clear Sent & Failed": "Borrar enviados y fallidos",
+    "Clear Server Data": "Borrar datos del servidor",
+    "Click a row to select a student.": "Haga clic en una fila para seleccionar un estudiante.",
+    "Code": "Código",
+    "Completed": "Completado",
+    "Completed (flagged)": "Completado (marcado)",
+    "Completed students only": "Solo estudiantes que terminaron",
+    "Completed {date}": "Completado el {date}",
+    "Continue": "Continuar",
+    "Corrections": "Correcciones",
+    "Could not load audit log: {message}": "No se pudo cargar el registro de auditoría: {message}",
+    "Could not load snapshots: {message}": "No se pudieron cargar las instantáneas: {message}",
+    "Could not load staff accounts: {message}": "No se pudieron cargar las cuentas del personal: {message}",
+    "Could not load students: {message}": "No se pudieron cargar los estudiantes: {message}",
+    "Could not load that snapshot: {message}": "No se pudo cargar esa instantánea: {message}",
+    "Could not load {name}: {message}": "No se pudo cargar {name}: {message}",
+    "Could not look up the code: {message}": "No se pudo buscar el código: {message}",
+    "Could not read {file}: {message}": "No se pudo leer {file}: {message}",
+    "Could not remove the staff account: {message}": "No se pudo eliminar la cuenta del personal: {message}",
+    "Could not save a snapshot, so nothing was changed: {message}": "No se pudo guardar una instantánea, así que no se cambió nada: {message}",
+    "Could not save changes: {message}. Retrying…": "No se pudieron guardar los cambios: {message}. Reintentando…",
+    "Could not save the staff account: {message}": "No se pudo guardar la cuenta del personal: {message}",
+    "Could not save {name}: {message}": "No se pudo guardar {name}: {message}",
+    "Could not sign in: {message}": "No se pudo iniciar sesión: {message}",
+    "Could not write audit log: {message}": "No se pudo escribir el registro de auditoría: {message}",
+    "Create & Make Active": "Crear y activar",
+    "Create a student record, then switch to the Workflow tab.": "Cree el registro del estudiante y luego pase a la pestaña Proceso.",
+    "Created student profile for {name}": "Se creó el perfil de {name}",
+    "Created": "Creado",
+    "Created from": "Creado desde",
+    "Created to": "Creado hasta",
+    "created {from} to {to}": "creado del {from} al {to}",
+    "Created: {date}": "Creado: {date}",
+    "Clear filters": "Quitar filtros",
+    "CSV": "CSV",
+    "Current Step": "Paso actual",
+    "Currently using the sync server at {url}.": "Se está usando el servidor de sincronización en {url}.",
+    "Currently using this device's local storage.": "Se está usando el almacenamiento local de este dispositivo.",
+    "Date": "Fecha",
+    "Date & time": "Fecha y hora",
+    "Date of birth": "Fecha de nacimiento",
+    "Day": "Día",
+    "Delete": "Eliminar",
+    "Delete all {count} student(s) in {event} from the sync server for every station?":
+      "¿Eliminar a los {count} estudiante(s) de {event} del servidor de sincronización para todas las estaciones?",
+    "Delete saved filter": "Eliminar filtro guardado",
+    "Delete the saved filter {name}?": "¿Eliminar el filtro guardado {name}?",
+    "Delete {name}? Their profile and step progress will be removed.": "¿Eliminar a {name}? Se borrarán su perfil y el avance de sus pasos.",
+    "Delivery": "Envío",
+    "Detail": "Detalle",
+    "Discard Changes and Load v{version}": "Descartar cambios y cargar la v{version}",
+    "Discard your unpublished changes and load v{version}?": "¿Descartar los cambios sin publicar y cargar la v{version}?",
+    "Done": "Listo",
+    "Done {date}": "Hecho el {date}",
+    "Download": "Descargar",
+    "e.g., Bus route": "p. ej., Ruta de autobús",
+    "e.g., Equipment": "p. ej., Equipo",
+    "e.g., Fall 2026 Registration": "p. ej., Inscripción de otoño 2026",
+    "e.g., Jordan or ML": "p. ej., Jordan o ML",
+    "e.g., Locker number": "p. ej., Número de casillero",
+    "e.g., Mark Laborde": "p. ej., Mark Laborde",
+    "e.g., ML": "p. ej., ML",
+    "e.g., Paid, Payment plan": "p. ej., Pagado, Plan de pagos",
+    "e.g., {example}": "p. ej., {example}",
+    "Each event keeps its own students and analytics. New students are added to the active event; archived events are read-only.":
+      "Cada evento tiene sus propios estudiantes y análisis. Los estudiantes nuevos se agregan al evento activo; los eventos archivados son de solo lectura.",
+    "Each person signs in with their own PIN. Admins can sign every step and use this tab; station staff can only sign the steps ticked for them. Staff Mode locks after {minutes} minutes without activity.":
+      "Cada persona inicia sesión con su propio PIN. Los administradores pueden firmar todos los pasos y usar esta pestaña; el personal de estación solo puede firmar los pasos marcados para ellos. El modo personal se bloquea tras {minutes} minutos sin actividad.",
+    "Edit Profile": "Editar perfil",
+    "Email": "Correo electrónico",
+    "Email (SMTP)": "Correo electrónico (SMTP)",
+    "Enable Staff Mode to sign steps.": "Active el modo personal para firmar pasos.",
+    "End-to-end registration time by grade (median)": "Tiempo total de inscripción por grado (mediana)",
+    "Enter a date and a start time before the end time.": "Escriba una fecha y una hora de inicio anterior a la de fin.",
+    "Enter a name and initials.": "Escriba un nombre y las iniciales.",
+    "Enter a name for the event.": "Escriba un nombre para el evento.",
+    "Enter a name for the preset.": "Escriba un nombre para el filtro.",
+    "Enter a number": "Ingrese un número",
+    "Enter a reason for un-signing this step.": "Escriba un motivo para anular la firma de este paso.",
+    "Enter a reason for waiving this step.": "Escriba un motivo para eximir este paso.",
+    "Enter a student name.": "Escriba el nombre del estudiante.",
+    "Enter a valid date of birth.": "Ingrese una fecha de nacimiento válida.",
+    "Enter a valid date or time": "Ingrese una fecha u hora válida",
+    "Enter an email address or a mobile number.": "Escriba un correo electrónico o un número de celular.",
+    "Enter the existing staff PIN and a new admin PIN of at least {n} digits to create the first admin account.":
+      "Ingrese el PIN actual del personal y un nuevo PIN de administrador de al menos {n} dígitos para crear la primera cuenta de administrador.",
+    "Enter the guardian's name.": "Escriba el nombre del tutor.",
+    "Enter the sync server address, e.g. http://192.168.1.20:8787": "Escriba la dirección del servidor de sincronización, p. ej. http://192.168.1.20:8787",
+    "Enter the sync token for {server}, then sign in with an admin PIN.": "Escriba el token de sincronización de {server} y luego inicie sesión con un PIN de administrador.",
+    "Enter the sync token the server was started with (SYNC_TOKEN).": "Escriba el token de sincronización con el que se inició el servidor (SYNC_TOKEN).",
+    "Enter the verification code from a printed certificate to check it against the registration record.":
+      "Escriba el código de verificación de un certificado impreso para compararlo con el registro de inscripción.",
+    "Enter the verification code printed on the certificate.": "Escriba el código de verificación impreso en el certificado.",
+    "est. wait": "espera aprox.",
+    "Event": "Evento",
+    "Event activated": "Evento activado",
+    "Event archived": "Evento archivado",
+    "Event created": "Evento creado",
+    "Event reopened": "Evento reabierto",
+    "Every field needs a label.": "Cada campo necesita una etiqueta.",
+    "Every sign-off, reset, delete and account change: who did it, when, and what the record looked like before. Entries cannot be edited or removed.":
+      "Cada firma, reinicio, eliminación y cambio de cuenta: quién lo hizo, cuándo y cómo era el registro antes. Las entradas no se pueden editar ni eliminar.",
+    "Every step needs a title.": "Cada paso necesita un título.",
+    "Everyone from that event is already here.": "Todos los de ese evento ya están aquí.",
+    "Excel (XLSX)": "Excel (XLSX)",
+    "Exit Station Mode": "Salir del modo estación",
+    "Expected a list of students.": "Se esperaba una lista de estudiantes.",
+    "Export a JSON backup before switching; records are not copied between storage backends automatically.":
+      "Exporte una copia de seguridad JSON antes de cambiar; los registros no se copian automáticamente entre sistemas de almacenamiento.",
+    "Export CSV": "Exportar CSV",
+    "Export JSON": "Exportar JSON",
+    "Export, import, or clear the students of {event}.": "Exporte, importe o borre los estudiantes de {event}.",
+    "Extra details to keep on every student profile, such as a bus route or allergies. Student ID, date of birth, new/returning status, homeroom and guardian contacts are always available. Required fields must be filled in when a student is added or edited.":
+      "Datos adicionales que se guardan en el perfil de cada estudiante, como la ruta de autobús o las alergias. La matrícula, la fecha de nacimiento, si es nuevo o regresa, el salón y los contactos de los tutores siempre están disponibles. Los campos obligatorios deben llenarse al agregar o editar un estudiante.",
+    "Failed": "Falló",
+    "Failed sign-in": "Inicio de sesión fallido",
+    "Field label": "Etiqueta del campo",
+    "Fill in the required profile fields.": "Complete los campos obligatorios del perfil.",
+    "Fill in the step details before signing.": "Complete los datos del paso antes de firmar.",
+    "Filter by grade": "Filtrar por grado",
+    "Finished {date}. Your certificate verification code is": "Terminó el {date}. El código de verificación de su certificado es",
+    "Flow Analytics": "Análisis del flujo",
+    "Follow the steps below. Each one requires staff initials to unlock the next.":
+      "Siga los pasos a continuación. Cada uno requiere las iniciales del personal para desbloquear el siguiente.",
+    "For a hallway screen, open the read-only lobby display (no PIN needed; it shows first names only).":
+      "Para una pantalla de pasillo, abra la pantalla de vestíbulo de solo lectura (no necesita PIN; solo muestra los nombres de pila).",
+    "For multi‑device, real‑time syncing, run the sync server in server/ and connect to it under Storage & Sync.":
+      "Para sincronizar varios dispositivos en tiempo real, ejecute el servidor de sincronización de server/ y conéctese a él en Almacenamiento y sincronización.",
+    "Format": "Formato",
+    "From": "Desde",
+    "From event": "Del evento",
+    "full": "lleno",
+    "Go here next:": "Diríjase aquí:",
+    "Filter by progress": "Filtrar por avance",
+    "Grade": "Grado",
+    "Grade 9 not started": "Grado 9 sin empezar",
+    "Grade {grade}": "Grado {grade}",
+    "grade {grade}": "grado {grade}",
+    "Guardian contacts": "Contactos de los tutores",
+    "Guardian notification queued": "Aviso al tutor en cola",
+    "Guardian Notifications": "Avisos a tutores",
+    "Homeroom": "Salón principal",
+    "ID photo appointment": "Cita para la foto de la credencial",
+    "ID Photo Appointments": "Citas para foto de identificación",
+    "ID photo booked": "Foto de identificación reservada",
+    "ID photo cancelled": "Foto de identificación cancelada",
+    "ID photo rescheduled": "Foto de identificación reprogramada",
+    "ID Photo Roster": "Lista de fotos de identificación",
+    "ID photo slots changed": "Horarios de foto de identificación modificados",
+    "Import JSON / CSV": "Importar JSON / CSV",
+    "Import {count} Student(s)": "Importar {count} estudiante(s)",
+    "Imported {added} new student(s), skipped {existing} existing.": "Se importaron {added} estudiante(s) nuevo(s) y se omitieron {existing} existente(s).",
+    "Imported {added} new student(s), updated {existing} existing.": "Se importaron {added} estudiante(s) nuevo(s) y se actualizaron {existing} existente(s).",
+    "In progress": "En curso",
+    "In test outbox": "En la bandeja de prueba",
+    "Includes all {count} student(s); use the filters on the Students tab to narrow it down.":
+      "Incluye a todos los {count} estudiante(s); use los filtros de la pestaña Estudiantes para acotarlo.",
+    "Includes the {count} student(s) matching {filters} on the Students tab.":
+      "Incluye a los {count} estudiante(s) que coinciden con {filters} en la pestaña Estudiantes.",
+    "Incomplete students by step": "Estudiantes pendientes por paso",
+    "Incorrect PIN": "PIN incorrecto",
+    "Initials": "Iniciales",
+    "Instructions": "Instrucciones",
+    "Instructions ({language})": "Instrucciones ({language})",
+    "It forgets the sync token; unlocking takes the token and an admin PIN.":
+      "Olvida el token de sincronización; para desbloquearlo se necesitan el token y un PIN de administrador.",
+    "Keep records on this device only, or connect every station to the same sync server so all laptops see the same students.":
+      "Guarde los registros solo en este dispositivo o conecte todas las estaciones al mismo servidor de sincronización para que todas las computadoras vean los mismos estudiantes.",
+    "Later": "Después",
+    "Location": "Lugar",
+    "Location ({language})": "Ubicación ({language})",
+    "Location:": "Lugar:",
+    "Lock as Self-Service Kiosk": "Bloquear como quiosco de autoservicio",
+    "Lock this device as a self-service kiosk?": "¿Bloquear este dispositivo como quiosco de autoservicio?",
+    "Make Active": "Activar",
+    "Matches {name}": "Coincide con {name}",
+    "Max % complete": "% completado máximo",
+    "May Sign": "Puede firmar",
+    "Median wait": "Espera mediana",
+    "Merge": "Combinar",
+    "Merge another record into this one…": "Combinar otro registro con este…",
+    "Merge into this record": "Combinar con este registro",
+    "Merge {other} into {name}? Signed steps and profile details from both are kept, and the separate record for {other} is removed.": "¿Combinar {other} con {name}? Se conservan los pasos firmados y los datos del perfil de ambos, y se elimina el registro separado de {other}.",
+    "Message": "Mensaje",
+    "Message guardians when a student finishes registration, or when they have waited at one step longer than the threshold.":
+      "Envíe un mensaje a los tutores cuando un estudiante termine la inscripción o cuando lleve en un paso más tiempo que el umbral.",
+    "Messages are queued on the station that triggered them and retried if delivery fails.":
+      "Los mensajes se ponen en cola en la estación que los generó y se reintentan si falla el envío.",
+    "Migrate Students to v{version}": "Migrar estudiantes a la v{version}",
+    "Migrated {count} student(s) to v{version}.": "Se migraron {count} estudiante(s) a la v{version}.",
+    "Min % complete": "% completado mínimo",
+    "Minutes per slot": "Minutos por horario",
+    "Missing name.": "Falta el nombre.",
+    "Mobile": "Celular",
+    "More filters": "Más filtros",
+    "Move": "Cambiar",
+    "Move numeric grades up by one": "Subir un grado los grados numéricos",
+    "Move {count} student(s) in {event} from v{from} to v{to}? Steps removed in v{to} will be dropped from their records.":
+      "¿Mover {count} estudiante(s) de {event} de la v{from} a la v{to}? Los pasos quitados en la v{to} se eliminarán de sus registros.",
+    "My Steps": "Mis pasos",
+    "Name": "Nombre",
+    "Needs review:": "Requiere revisión:",
+    "New": "Nuevo",
+    "New admin PIN": "Nuevo PIN de administrador",
+    "New Event": "Nuevo evento",
+    "New PIN (leave blank to keep)": "PIN nuevo (déjelo en blanco para conservarlo)",
+    "New students": "Estudiantes nuevos",
+    "Next": "Siguiente",
+    "No completions on this day.": "No hubo finalizaciones este día.",
+    "No guardian contacts yet.": "Todavía no hay contactos de tutores.",
+    "No matching entries.": "No hay entradas que coincidan.",
+    "No messages yet.": "Aún no hay mensajes.",
+    "No one waiting": "Nadie esperando",
+    "No open time slots": "No hay horarios disponibles",
+    "No photo slots yet.": "Aún no hay horarios para fotos.",
+    "No registration record matches this code.": "Ningún registro de inscripción coincide con este código.",
+    "No snapshots yet.": "Aún no hay instantáneas.",
+    "No student with code {code}": "No hay ningún estudiante con el código {code}",
+    "No student with code {code}. Check the code on your clearance sheet.":
+      "No hay ningún estudiante con el código {code}. Revise el código en su hoja de pasos.",
+    "No saved filters": "No hay filtros guardados",
+    "No students match these filters.": "Ningún estudiante coincide con estos filtros.",
+    "No students are waiting at this station.": "No hay estudiantes esperando en esta estación.",
+    "No students yet. Add one above.": "Todavía no hay estudiantes. Agregue uno arriba.",
+    "No wait": "Sin espera",
+    "Not a student record.": "No es un registro de estudiante.",
+    "Not booked yet.": "Aún sin reservar.",
+    "Not needed": "No aplica",
+    "Not set": "Sin definir",
+    "Not started": "Sin empezar",
+    "Note: Records are stored in this device's local storage.": "Nota: los registros se guardan en el almacenamiento local de este dispositivo.",
+    "Note: Records are stored on the sync server.": "Nota: los registros se guardan en el servidor de sincronización.",
+    "Notes (optional)": "Notas (opcional)",
+    "Nothing is saved until this is resolved. An admin can restore a snapshot under Admin → Snapshots & Recovery, or start with an empty list; the unreadable data is kept on this device.":
+      "No se guarda nada hasta que se resuelva. Un administrador puede restaurar una instantánea en Administración → Instantáneas y recuperación, o empezar con una lista vacía; los datos ilegibles se conservan en este dispositivo.",
+    "Nothing is saved until this is resolved. An admin can restore a snapshot under Admin → Snapshots & Recovery.":
+      "No se guarda nada hasta que se resuelva. Un administrador puede restaurar una instantánea en Administración → Instantáneas y recuperación.",
+    "Notification settings changed": "Configuración de avisos modificada",
+    "Notification settings saved.": "Configuración de avisos guardada.",
+    "Now completed": "Recién terminados",
+    "Number": "Número",
+    "One row per signed or waived step, with initials, timestamp, notes and recorded details.":
+      "Una fila por paso firmado o exento, con iniciales, fecha y hora, notas y datos registrados.",
+    "One row per student with a column for every detail recorded at sign-off (receipt, locker, iPad serial…).":
+      "Una fila por estudiante con una columna para cada dato registrado al firmar (recibo, casillero, número de serie del iPad…).",
+    "One row per student: progress, current step and completion time.": "Una fila por estudiante: avance, paso actual y hora de finalización.",
+    "Only an admin can do this. Sign in with an admin account.": "Solo un administrador puede hacer esto. Inicie sesión con una cuenta de administrador.",
+    "Only an admin can unlock this kiosk.": "Solo un administrador puede desbloquear este quiosco.",
+    "Only an admin PIN will unlock it.": "Solo un PIN de administrador lo desbloqueará.",
+    "Only for": "Solo para",
+    "Only for grades": "Solo para los grados",
+    "Only optional steps can be waived.": "Solo se pueden eximir los pasos opcionales.",
+    "Open": "Abierto",
+    "Open ({count} seat(s))": "Libre ({count} lugar(es))",
+    "Open Record": "Abrir registro",
+    "Open the lobby display": "Abrir la pantalla de vestíbulo",
+    "Open the verify screen": "Abrir la pantalla de verificación",
+    "Optional": "Opcional",
+    "Optional (can be waived)": "Opcional (se puede dispensar)",
+    "Options": "Opciones",
+    "Pending": "Pendiente",
+    "Photo Taken": "Foto tomada",
+    "PIN": "PIN",
+    "PIN must be at least {n} digits": "El PIN debe tener al menos {n} dígitos",
+    "Placeholders: {list}": "Marcadores: {list}",
+    "Print certificates in one batch, one page per student. Each carries a verification code that can be checked on the verify screen.":
+      "Imprima las constancias en un solo lote, una página por estudiante. Cada una lleva un código de verificación que se puede comprobar en la pantalla de verificación.",
+    "Print Clearance Sheet": "Imprimir hoja de pasos",
+    "Print Completion": "Imprimir constancia",
+    "Print Current Status": "Imprimir estado actual",
+    "Print Day Roster": "Imprimir lista del día",
+    "Print {count} Certificate(s)": "Imprimir {count} constancia(s)",
+    "Profile fields changed": "Campos del perfil modificados",
+    "Profile fields saved.": "Campos del perfil guardados.",
+    "Publish New Version": "Publicar nueva versión",
+    "Publish photo time slots for this event. Staff book students into them at the ID scheduling step; a slot takes no more bookings once it reaches its capacity. Slots that overlap an existing one are skipped.":
+      "Publique horarios para fotos en este evento. El personal reserva a los estudiantes en ellos en el paso de programación de la identificación; un horario no acepta más reservas al llegar a su capacidad. Se omiten los horarios que se superponen con uno existente.",
+    "Queue on this device": "Cola en este dispositivo",
+    "Queued": "En cola",
+    "Reason": "Motivo",
+    "Reason for un-signing (required)": "Motivo para anular la firma (obligatorio)",
+    "Reason for undoing the waiver (required)": "Motivo para deshacer la exención (obligatorio)",
+    "Reason for waiving (required)": "Motivo de la exención (obligatorio)",
+    "Reason: {reason}": "Motivo: {reason}",
+    "Recipient": "Destinatario",
+    "Record to merge": "Registro a combinar",
+    "Refresh": "Actualizar",
+    "Registration complete": "Inscripción completa",
+    "Registration Completion Certificate": "Certificado de inscripción completa",
+    "Registration completed {date}.": "Inscripción completada el {date}.",
+    "Registration day": "Día de inscripción",
+    "Registration Events": "Eventos de inscripción",
+    "Registration Progress Tracker": "Seguimiento de inscripción",
+    "Registration Status": "Estado de la inscripción",
+    "Registration Status Certificate": "Certificado del estado de inscripción",
+    "Registration — Where To Go Next": "Inscripción: a dónde ir ahora",
+    "Registration {pct}% complete.": "Inscripción {pct}% completada.",
+    "Relationship": "Parentesco",
+    "Remove the staff account for {name}?": "¿Eliminar la cuenta del personal de {name}?",
+    "Removed the {time} slot.": "Se eliminó el horario de {time}.",
+    "Reopen": "Reabrir",
+    "Replace": "Reemplazar",
+    "Replace the current {count} student(s) in every event with the {restored} in the snapshot from {date}?":
+      "¿Reemplazar los {count} estudiante(s) actuales de todos los eventos por los {restored} de la instantánea del {date}?",
+    "Report": "Informe",
+    "Reports": "Informes",
+    "Required": "Obligatorio",
+    "Reschedule": "Reprogramar",
+    "Reschedule or cancel its bookings first.": "Primero reprograme o cancele sus reservas.",
+    "Reset This Student": "Reiniciar este estudiante",
+    "Reset {name}? All of their sign-offs will be cleared.": "¿Reiniciar a {name}? Se borrarán todas sus firmas.",
+    "Restore": "Restaurar",
+    "Restored {count} student(s) from the snapshot.": "Se restauraron {count} estudiante(s) de la instantánea.",
+    "Result": "Resultado",
+    "Retry": "Reintentar",
+    "Returning": "De reingreso",
+    "Returning students": "Estudiantes que regresan",
+    "Returning students carried over": "Estudiantes que regresan trasladados",
+    "Role": "Rol",
+    "Row": "Fila",
+    "Same date of birth": "Misma fecha de nacimiento",
+    "Same grade": "Mismo grado",
+    "Same name": "Mismo nombre",
+    "Same student ID": "Mismo número de estudiante",
+    "Save & Reconnect": "Guardar y reconectar",
+    "Save Account": "Guardar cuenta",
+    "Save Notification Settings": "Guardar configuración de avisos",
+    "Save Profile": "Guardar perfil",
+    "Save Profile Fields": "Guardar campos del perfil",
+    "Saved staff account for {name}": "Cuenta del personal guardada para {name}",
+    "Scan / type code": "Escanee / escriba el código",
+    "Scan or type student code": "Escanee o escriba el código del estudiante",
+    "Scan or type the code printed on your Steps Clearance Sheet, then press Enter.":
+      "Escanee o escriba el código impreso en su hoja de pasos y presione Enter.",
+    "Save Preset": "Guardar filtro",
+    "Save these filters as": "Guardar estos filtros como",
+    "Saved filter preset {name}": "Se guardó el filtro {name}",
+    "Saved filters": "Filtros guardados",
+    "Saved filters…": "Filtros guardados…",
+    "Search name, grade or code": "Buscar nombre, grado o código",
+    "Select a student": "Seleccione un estudiante",
+    "Self-service kiosk locked": "Quiosco de autoservicio bloqueado",
+    "Self-service kiosk unlocked": "Quiosco de autoservicio desbloqueado",
+    "Send notifications": "Enviar avisos",
+    "Send Test": "Enviar prueba",
+    "Sent": "Enviado",
+    "Setup PIN": "PIN de configuración",
+    "Show more ({count} older)": "Mostrar más ({count} anteriores)",
+    "Showing {shown} of {total}.": "Se muestran {shown} de {total}.",
+    "Show or print this page as proof of completion.": "Muestre o imprima esta página como comprobante.",
+    "Show this sheet at every station.": "Muestre esta hoja en cada estación.",
+    "Sign": "Firmar",
+    "Sign & Unlock Next": "Firmar y desbloquear el siguiente",
+    "Sign as {initials}": "Firmar como {initials}",
+    "Sign in above to sign students off.": "Inicie sesión arriba para firmar a los estudiantes.",
+    "Sign in to Staff Mode to change student records.": "Active el modo personal para cambiar los registros de estudiantes.",
+    "Sign in with an account that can sign this step to book appointments.": "Inicie sesión con una cuenta que pueda firmar este paso para reservar citas.",
+    "Sign in with an account that can sign this step to un-sign it.":
+      "Inicie sesión con una cuenta que pueda firmar este paso para anular la firma.",
+    "Sign in with an account that can sign this step to waive it.": "Inicie sesión con una cuenta que pueda firmar este paso para eximirlo.",
+    "Sign in with an admin account to manage staff, workflows and data.":
+      "Inicie sesión con una cuenta de administrador para gestionar el personal, los procesos y los datos.",
+    "Sign in with an admin PIN to leave self-service mode on this device.": "Inicie sesión con un PIN de administrador para salir del modo de autoservicio en este dispositivo.",
+    "Sign-off": "Firma",
+    "Signed": "Firmados",
+    "Signed by (initials)": "Firmado por (iniciales)",
+    "Signed for the wrong student": "Se firmó para el estudiante equivocado",
+    "Signed in as Administrator. Add named staff accounts in the Admin tab.":
+      "Sesión iniciada como Administrador. Agregue cuentas de personal con nombre en la pestaña Administración.",
+    "Signed:": "Firmado:",
+    "Signing as": "Firmando como",
+    "Signing as {name} ({initials})": "Firmando como {name} ({initials})",
+    "Similar name": "Nombre parecido",
+    "Skip": "Omitir",
+    "Slot length and capacity must be whole numbers of at least 1.": "La duración y la capacidad del horario deben ser números enteros de al menos 1.",
+    "SMS gateway (webhook)": "Pasarela de SMS (webhook)",
+    "Snapshot restored": "Instantánea restaurada",
+    "Snapshot saved.": "Instantánea guardada.",
+    "Snapshots & Recovery": "Instantáneas y recuperación",
+    "Spreadsheet reports for the front office.": "Informes en hoja de cálculo para la oficina.",
+    "Staff": "Personal",
+    "Staff account": "Cuenta del personal",
+    "Staff account removed": "Cuenta del personal eliminada",
+    "Staff account saved": "Cuenta del personal guardada",
+    "Staff Accounts & Security": "Cuentas del personal y seguridad",
+    "Staff accounts have not loaded yet. Check the connection and try again.": "Las cuentas del personal aún no se han cargado. Revise la conexión e inténtelo de nuevo.",
+    "Staff Mode": "Modo personal",
+    "Staff Mode disabled": "Modo personal desactivado",
+    "Staff Mode enabled for {name}": "Modo personal activado para {name}",
+    "Staff Mode timed out after inactivity": "El modo personal se cerró por inactividad",
+    "Staff signed in": "Personal inició sesión",
+    "Staff signed out": "Personal cerró sesión",
+    "Stall alert after (min)": "Alerta de espera tras (min)",
+    "Start Station Mode": "Iniciar modo estación",
+    "Start With an Empty List": "Empezar con una lista vacía",
+    "Start with an empty student list? The unreadable data stays on this device for recovery.":
+      "¿Empezar con una lista de estudiantes vacía? Los datos ilegibles se quedan en este dispositivo para recuperarlos.",
+    "Station Mode": "Modo estación",
+    "Station mode started on this device.": "Modo estación iniciado en este dispositivo.",
+    "Station Staff": "Personal de estación",
+    "Station step": "Paso de la estación",
+    "Station {n}: {title}": "Estación {n}: {title}",
+    "Status": "Estado",
+    "Step": "Paso",
+    "Step data": "Datos de los pasos",
+    "Step sign-offs": "Firmas de pasos",
+    "Step signed": "Paso firmado",
+    "Step un-signed": "Firma de paso retirada",
+    "Step waived": "Paso exento",
+    "Step {n}": "Paso {n}",
+    "Step {n} ({title}) was un-signed: {reason}": "Se anuló la firma del paso {n} ({title}): {reason}",
+    "Step {n} signed for {name}. Next step unlocked.": "Paso {n} firmado para {name}. Se desbloqueó el siguiente paso.",
+    "Step {n} un-signed.": "Se anuló la firma del paso {n}.",
+    "Step {n} waived for {name}.": "Paso {n} eximido para {name}.",
+    "Step {n} waiver undone.": "Se deshizo la exención del paso {n}.",
+    "Step {n}. {title} un-signed by {by} ({initials})": "Paso {n}. {title}: firma anulada por {by} ({initials})",
+    "Step {n}. {title} waived by {by} ({initials}). Reason: {reason}": "Paso {n}. {title}: eximido por {by} ({initials}). Motivo: {reason}",
+    "Steps": "Pasos",
+    "Steps Clearance Sheet": "Hoja de control de pasos",
+    "Steps Signed": "Pasos firmados",
+    "Storage & Sync": "Almacenamiento y sincronización",
+    "Stuck at a step": "Detenido en un paso",
+    "Student": "Estudiante",
+    "Student brings their own device": "El estudiante trae su propio dispositivo",
+    "Student code (optional)": "Código del estudiante (opcional)",
+    "Student created": "Estudiante creado",
+    "Student deleted": "Estudiante eliminado",
+    "Student ID": "Número de estudiante",
+    "Student List": "Lista de estudiantes",
+    "Student Name": "Nombre del estudiante",
+    "Student Profile Fields": "Campos del perfil del estudiante",
+    "Student records could not be loaded": "No se pudieron cargar los registros de estudiantes",
+    "Student reset": "Estudiante reiniciado",
+    "Student summary": "Resumen de estudiantes",
+    "Student updated": "Estudiante actualizado",
+    "Student, staff or step": "Estudiante, personal o paso",
+    "Students": "Estudiantes",
+    "Students completed per hour": "Estudiantes que terminaron por hora",
+    "Students imported": "Estudiantes importados",
+    "Students merged": "Estudiantes combinados",
+    "Students migrated": "Estudiantes migrados",
+    "Students per slot": "Estudiantes por horario",
+    "Students who have not finished, grouped by the step they are on, longest-waiting first.":
+      "Estudiantes que no han terminado, agrupados por el paso en que están, primero los que llevan más tiempo esperando.",
+    "Sync Server": "Servidor de sincronización",
+    "Sync Server Address": "Dirección del servidor de sincronización",
+    "Sync server relay": "Relé del servidor de sincronización",
+    "Sync Token": "Token de sincronización",
+    "Take Snapshot Now": "Tomar instantánea ahora",
+    "Taken": "Tomada",
+    "Test channel": "Canal de prueba",
+    "Test message queued (sync server relay).": "Mensaje de prueba en cola (relé del servidor de sincronización).",
+    "Test message queued (test outbox).": "Mensaje de prueba en cola (bandeja de prueba).",
+    "Test outbox on this device": "Bandeja de prueba en este dispositivo",
+    "Text": "Texto",
+    "That email address does not look right.": "Ese correo electrónico no parece correcto.",
+    "That time slot has already started.": "Ese horario ya comenzó.",
+    "That time slot is full.": "Ese horario está lleno.",
+    "That time slot is no longer available.": "Ese horario ya no está disponible.",
+    "The booked time slot was removed. Please reschedule.": "Se eliminó el horario reservado. Reprograme la cita.",
+    "The record for student code {code} has changed since this certificate was printed. Ask the front office for a current copy.":
+      "El registro del estudiante con código {code} cambió desde que se imprimió este certificado. Pida una copia actualizada en la oficina.",
+    "The relay only writes to guardian contacts saved on the student. Test messages go to the sync server's own test address (NOTIFY_TEST_EMAIL or NOTIFY_TEST_PHONE).":
+      "El relé solo escribe a los contactos de tutores guardados en el estudiante. Los mensajes de prueba van a la dirección de prueba del propio servidor de sincronización (NOTIFY_TEST_EMAIL o NOTIFY_TEST_PHONE).",
+    "The saved student list could not be loaded: {message}. Restore a snapshot below to continue.":
+      "No se pudo cargar la lista de estudiantes guardada: {message}. Restaure una instantánea abajo para continuar.",
+    "the search \"{text}\"": "la búsqueda \"{text}\"",
+    "The stall threshold must be a number of minutes (0 turns stall alerts off).":
+      "El umbral de espera debe ser un número de minutos (0 desactiva las alertas).",
+    "This certificate matches the registration record.": "Este certificado coincide con el registro de inscripción.",
+    "This Device": "Este dispositivo",
+    "This device is not connected to a sync server, so messages go to the test outbox instead.":
+      "Este dispositivo no está conectado a un servidor de sincronización, así que los mensajes van a la bandeja de prueba.",
+    "This may be a student who is already registered:": "Puede que este estudiante ya esté registrado:",
+    "This registration event is archived and read-only.": "Este evento de inscripción está archivado y es de solo lectura.",
+    "Those times are already covered by existing slots.": "Esos horarios ya están cubiertos por horarios existentes.",
+    "Time": "Hora",
+    "Time slot": "Horario",
+    "Timestamp": "Fecha y hora",
+    "Tip: Use the Admin tab to manage staff accounts and see flow metrics.":
+      "Consejo: use la pestaña Administración para gestionar cuentas del personal y ver las métricas.",
+    "Title": "Título",
+    "Title ({language})": "Título ({language})",
+    "To": "Hasta",
+    "Too many lookups from this device. Wait a minute and try again.": "Demasiadas consultas desde este dispositivo. Espere un minuto e inténtelo de nuevo.",
+    "Turn this device into a single-step station: it shows only the queue of students waiting for that step, with one-click sign-off. An admin sign-in is needed to leave station mode.":
+      "Convierta este dispositivo en una estación de un solo paso: muestra solo la fila de estudiantes que esperan ese paso, con firma en un clic. Para salir del modo estación se necesita iniciar sesión como administrador.",
+    "Type": "Tipo",
+    "Un-sign": "Anular firma",
+    "Un-sign Step": "Anular la firma del paso",
+    "Un-signed by": "Firma anulada por",
+    "un-signed {count}×": "firma anulada {count}×",
+    "Undo Waiver": "Deshacer exención",
+    "Unlock": "Desbloquear",
+    "Unlock kiosk": "Desbloquear quiosco",
+    "Unlocks after completing the previous steps.": "Se desbloquea al completar los pasos anteriores.",
+    "Verification code": "Código de verificación",
+    "Verification code:": "Código de verificación:",
+    "Verify": "Verificar",
+    "Verify a Registration Certificate": "Verificar un certificado de inscripción",
+    "Version": "Versión",
+    "Version Name": "Nombre de la versión",
+    "View": "Ver",
+    "v{active} is now the active workflow. Your unpublished changes below are still based on v{base}.": "La v{active} es ahora el flujo de trabajo activo. Sus cambios sin publicar de abajo siguen basados en la v{base}.",
+    "Wait at each step": "Espera en cada paso",
+    "waiting at \"{step}\"": "esperando en \"{step}\"",
+    "Waiting at step": "Esperando en el paso",
+    "Waiting now": "Esperando ahora",
+    "Waive": "Eximir",
+    "Waive Step": "Eximir paso",
+    "Waived": "Eximido",
+    "Waived ({reason})": "Eximido ({reason})",
+    "Waived by": "Eximido por",
+    "Waivers": "Exenciones",
+    "waiting": "en espera",
+    "Waiting": "Esperando",
+    "was signed by {initials}": "estaba firmado por {initials}",
+    "When": "Cuándo",
+    "When a student already exists:": "Cuando el estudiante ya existe:",
+    "Workflow": "Proceso",
+    "Workflow activated": "Flujo activado",
+    "Workflow Editor": "Editor del flujo de trabajo",
+    "Workflow published": "Flujo publicado",
+    "Workflow published and set as active.": "Flujo de trabajo publicado y activado.",
+    "Workflow v{version}": "Proceso v{version}",
+    "Workflow v{version} is now active for new students.": "La v{version} del flujo de trabajo ya está activa para los estudiantes nuevos.",
+    "You can go to any of these next:": "Puede ir a cualquiera de estos lugares:",
+    "Your account cannot sign this step.": "Su cuenta no puede firmar este paso.",
+    "Your ID photo appointment: {time}": "Su cita para la foto de la credencial: {time}",
+    "{count} attempt(s): {error}": "{count} intento(s): {error}",
+    "{count} completed": "{count} completados",
+    "{count} invalid record(s) in it will be skipped.": "Se omitirán {count} registro(s) no válidos que contiene.",
+    "{count} later step(s) flagged for review.": "{count} paso(s) posterior(es) marcado(s) para revisión.",
+    "{count} left": "quedan {count}",
+    "{count} saved record(s) failed validation and were left out. A copy is kept under Admin → Snapshots & Recovery.":
+      "{count} registro(s) guardado(s) no pasaron la validación y se omitieron. Se guarda una copia en Administración → Instantáneas y recuperación.",
+    "{count} slot(s) added.": "{count} horario(s) agregado(s).",
+    "{count} step(s) do not apply to this student.": "{count} paso(s) no aplican a este estudiante.",
+    "{count} waiting": "{count} en espera",
+    "{count}-step guided workflow with staff sign‑off at each stage.": "Proceso guiado de {count} pasos con firma del personal en cada etapa.",
+    "{event} created and set as the active event.": "{event} se creó y es ahora el evento activo.",
+    "{event} is now the active event for stations and the lobby display.": "{event} es ahora el evento activo para las estaciones y la pantalla del vestíbulo.",
+    "{label} message": "Mensaje de {label}",
+    "{label} subject": "Asunto de {label}",
+    "{min}–{max}% complete": "{min}–{max}% completado",
+    "{name} cannot sign this station's step.": "{name} no puede firmar el paso de esta estación.",
+    "{name} has finished registration.": "{name} terminó la inscripción.",
+    "{name} is already booked into that time slot.": "{name} ya tiene reservado ese horario.",
+    "{name} is archived; its records are read-only.": "{name} está archivado; sus registros son de solo lectura.",
+    "{name} is at step {n}: {title} ({location}).": "{name} está en el paso {n}: {title} ({location}).",
+    "{name} is booked for {time}.": "{name} tiene cita para {time}.",
+    "{name} is not permitted to sign this step.": "{name} no tiene permiso para firmar este paso.",
+    "{n}+ digits": "{n}+ dígitos",
+    "{other} was merged into {name}.": "{other} se combinó con {name}.",
+    "{pct}% Complete": "{pct}% completado",
+    "{pct}% complete as of {date}": "{pct}% completado al {date}",
+    "{valid} valid, {invalid} invalid, {matched} matching existing students.": "{valid} válidos, {invalid} no válidos, {matched} coinciden con estudiantes existentes.",
+  },
+};
+
+function translate(lang, text, vars) {
+  const out = TRANSLATIONS[lang]?.[text] ?? text;
+  return vars ? out.replace(/\{(\w+)\}/g, (m, key) => (key in vars ? String(vars[key] ?? "") : m)) : out;
+}
+
+// `t` is what components get from useT(): t("English text", { vars }), plus the
+// current language and a date formatter in that language's locale.
+function makeT(lang, setLang = () => {}) {
+  const t = (text, vars) => translate(lang, text, vars);
+  t.lang = lang;
+  t.date = (ts) => formatDate(ts, lang);
+  t.setLang = setLang;
+  return t;
+}
+
+const I18nContext = createContext(makeT(DEFAULT_LANG));
+
+function useT() {
+  return useContext(I18nContext);
+}
+
+// The current language and a `t` bound to it; t.setLang switches and remembers it.
+function useLanguage() {
+  const [lang, setLang] = useState(() => loadLanguage());
+  return useMemo(
+    () =>
+      makeT(lang, (next) => {
+        saveLanguage(next);
+        setLang(next);
+      }),
+    [lang]
+  );
+}
+
+// The language is a per-device choice; first visits follow the browser language.
+function loadLanguage() {
+  const saved = localStorage.getItem(LANG_KEY);
+  if (LANGUAGES[saved]) return saved;
+  const browser = (navigator.language || "").slice(0, 2).toLowerCase();
+  return LANGUAGES[browser] ? browser : DEFAULT_LANG;
+}
+
+function saveLanguage(lang) {
+  localStorage.setItem(LANG_KEY, lang);
+}
+
+/** Step text in `lang`, falling back to English field by field. */
+function localizeStep(step, lang) {
+  const text = step.translations?.[lang];
+  if (!text) return step;
+  return {
+    ...step,
+    title: text.title || step.title,
+    location: text.location || step.location,
+    instructions: text.instructions || step.instructions,
+    fields: step.fields?.map((f) => ({ ...f, label: text.fields?.[f.key] || f.label })),
+  };
+}
+
 // --- Storage Helpers ---
-const STORAGE_KEY = "regTracker.students.v1";
+const STORAGE_KEY = "regTracker.students.v2";
+const LEGACY_STORAGE_KEY = "regTracker.students.v1";
 const PIN_KEY = "regTracker.staffPin.v1";
+const STORAGE_CONFIG_KEY = "regTracker.storage.v1";
+const STATION_KEY = "regTracker.station.v1";
+const AUDIT_KEY = "regTracker.audit.v1";
+const NOTIFY_QUEUE_KEY = "regTracker.notifyQueue.v1";
+const LANG_KEY = "regTracker.lang.v1";
+const SNAPSHOT_KEY = "regTracker.snapshots.v1";
+const KIOSK_KEY = "regTracker.kiosk.v1";
+
+// Shared documents (workflow templates, etc.) live next to the student list.
+function docKey(name) {
+  return `regTracker.${name}.v1`;
+}
+
+// Records saved before workflow templates existed have no version or step keys;
+// they were all created from the default seven steps. Records saved before student
+// codes existed get the code derived from their id.
+function upgradeStudent(student) {
+  if (!Array.isArray(student?.steps)) return student;
+  if (student.workflowVersion && student.code && student.steps.every((s) => s.key)) return student;
+  return {
+    ...student,
+    code: student.code || studentCodeFor(student.id),
+    workflowVersion: student.workflowVersion ?? DEFAULT_TEMPLATE.version,
+    steps: student.steps.map((s) => (s.key ? s : { ...s, key: STEP_DEFS[s.index - 1]?.key ?? `step-${s.index}` })),
+  };
+}
+
+// --- Storage Schema ---
+// The stored student list carries its schema version. Each migration takes data
+// as stored by one version and returns the next version's shape, so a device that
+// skipped several releases still upgrades one step at a time.
+const SCHEMA_VERSION = 2;
+const SCHEMA_MIGRATIONS = {
+  // v1: a bare array under regTracker.students.v1, possibly from before workflow templates or student codes.
+  1: (list) => ({ schemaVersion: 2, students: list.map(upgradeStudent) }),
+};
+
+/** @typedef {{ schemaVersion: number, savedAt?: number, students: any[] }} StoredStudents */
+/** @typedef {{ record: any, problems: string[] }} RejectedRecord */
+
+// Errors for data that is there but cannot be used carry `unreadable`, so callers
+// can tell them apart from a server that is merely out of reach.
+function unreadableError(message) {
+  const err = new Error(message);
+  err.unreadable = true;
+  return err;
+}
+
+/** @returns {StoredStudents} */
+function migrateStoredStudents(data) {
+  let version = Array.isArray(data) ? 1 : data?.schemaVersion;
+  if (!Number.isInteger(version) || version < 1 || (version > 1 && !Array.isArray(data.students))) {
+    throw unreadableError("The saved student list is not in a format this app recognises.");
+  }
+  if (version > SCHEMA_VERSION) {
+    throw unreadableError(`The saved student list is schema v${version}, newer than this app (v${SCHEMA_VERSION}). Update the app on this device.`);
+  }
+  while (version < SCHEMA_VERSION) {
+    data = SCHEMA_MIGRATIONS[version](data);
+    version = data.schemaVersion;
+  }
+  return data;
+}
+
+// What is wrong with one stored record; an empty list means it is usable.
+function studentProblems(s) {
+  if (!s || typeof s !== "object" || Array.isArray(s)) return ["not a student record"];
+  const problems = [];
+  if (typeof s.id !== "string" || !s.id) problems.push("missing id");
+  if (typeof s.name !== "string" || !s.name.trim()) problems.push("missing name");
+  if (typeof s.code !== "string" || !s.code) problems.push("missing code");
+  if (!Number.isFinite(s.createdAt)) problems.push("missing createdAt");
+  if (!Number.isInteger(s.workflowVersion)) problems.push("missing workflowVersion");
+  if (s.appointment != null && typeof s.appointment?.slotId !== "string") problems.push("unreadable appointment");
+  if (!Array.isArray(s.steps) || s.steps.length === 0) return [...problems, "missing steps"];
+  const keys = new Set();
+  s.steps.forEach((step, i) => {
+    if (!step || typeof step !== "object") {
+      problems.push(`step ${i + 1} is not an object`);
+      return;
+    }
+    if (typeof step.key !== "string" || keys.has(step.key)) problems.push(`step ${i + 1} has a missing or duplicate key`);
+    keys.add(step.key);
+    if (step.index !== i + 1) problems.push(`step ${i + 1} is numbered ${step.index}`);
+    if (typeof step.title !== "string") problems.push(`step ${i + 1} has no title`);
+    if (step.completed && !Number.isFinite(step.signedAt)) problems.push(`step ${i + 1} is signed without a time`);
+    if (step.values != null && (typeof step.values !== "object" || Object.values(step.values).some((v) => typeof v !== "string"))) {
+      problems.push(`step ${i + 1} has unreadable recorded data`);
+    }
+  });
+  return problems;
+}
+
+/** @returns {{ students: Student[], rejected: RejectedRecord[] }} */
+function validateStudents(list) {
+  const students = [];
+  const rejected = [];
+  const ids = new Set();
+  for (const record of list) {
+    const problems = studentProblems(record);
+    if (!problems.length && ids.has(record.id)) problems.push("duplicate id");
+    if (problems.length) rejected.push({ record, problems });
+    else {
+      ids.add(record.id);
+      students.push(record);
+    }
+  }
+  return { students, rejected };
+}
+
+// --- Snapshots ---
+// A rolling set of copies of the whole student list, taken before anything that
+// removes or rewrites records. Restoring one is itself preceded by a snapshot.
+const MAX_SNAPSHOTS = 10;
+
+/** @typedef {{ id: string, at: number, reason: string, actor: { name: string, initials: string } | null, count: number }} SnapshotInfo */
+/** @typedef {SnapshotInfo & { schemaVersion: number, students: any[] }} Snapshot */
+
+/** @returns {Snapshot} */
+function newSnapshot(students, reason, actor) {
+  return {
+    id: crypto.randomUUID(),
+    at: Date.now(),
+    reason,
+    actor: actor ? { name: actor.name, initials: actor.initials } : null,
+    count: students.length,
+    schemaVersion: SCHEMA_VERSION,
+    students,
+  };
+}
+
+/** @returns {SnapshotInfo} */
+function snapshotInfo({ students, schemaVersion, ...info }) {
+  return info;
+}
+
+function readSnapshots() {
+  const raw = localStorage.getItem(SNAPSHOT_KEY);
+  if (!raw) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    if (Array.isArray(parsed)) return parsed;
+  } catch {
+    // Fall through to the error below.
+  }
+  throw unreadableError("The snapshots saved on this device could not be read.");
+}
+
+// Local storage is small: when the newest snapshot does not fit, older ones make room.
+function writeSnapshot(snapshot) {
+  let kept = [snapshot, ...readSnapshots()].slice(0, MAX_SNAPSHOTS);
+  for (;;) {
+    try {
+      localStorage.setItem(SNAPSHOT_KEY, JSON.stringify(kept));
+      return;
+    } catch (err) {
+      if (kept.length === 1) throw err;
+      kept = kept.slice(0, -1);
+    }
+  }
+}
+
+// A student list that cannot be parsed is copied aside before anything else
+// happens, so neither a restore nor a fresh start can overwrite it.
+function keepUnreadable(key, raw) {
+  const copies = Object.keys(localStorage).filter((k) => k.startsWith(`${key}.unreadable-`)).sort();
+  if (copies.length && localStorage.getItem(copies[copies.length - 1]) === raw) return;
+  localStorage.setItem(`${key}.unreadable-${Date.now()}`, raw);
+}
+
+/** @returns {{ students: Student[], rejected: RejectedRecord[] }} */
+function loadStudents() {
+  const key = localStorage.getItem(STORAGE_KEY) != null ? STORAGE_KEY : LEGACY_STORAGE_KEY;
+  const raw = localStorage.getItem(key);
+  if (raw == null) return { students: [], rejected: [] };
+  let stored;
+  try {
+    stored = migrateStoredStudents(JSON.parse(raw));
+  } catch (err) {
+    keepUnreadable(key, raw);
+    throw err.unreadable ? err : unreadableError(`The saved student list could not be read (${err.message}).`);
+  }
+  const result = validateStudents(stored.students);
+  if (key === LEGACY_STORAGE_KEY) {
+    writeSnapshot(newSnapshot(stored.students, `Before upgrading stored data to schema v${SCHEMA_VERSION}`, null));
+    saveStudents(stored.students);
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
+  } else if (result.rejected.length) {
+    writeSnapshot(newSnapshot(stored.students, `${result.rejected.length} invalid record(s) found on load`, null));
+  }
+  return result;
+}
+
+function saveStudents(students) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ schemaVersion: SCHEMA_VERSION, savedAt: Date.now(), students }));
+}
+
+/** @returns {WorkflowStore} */
+function normalizeWorkflows(doc) {
+  if (!Array.isArray(doc?.templates) || doc.templates.length === 0) {
+    return { activeVersion: DEFAULT_TEMPLATE.version, templates: [DEFAULT_TEMPLATE] };
+  }
+  return doc;
+}
+
+function templateFor(store, version) {
+  return store.templates.find((t) => t.version === version) || null;
+}
+
+function activeTemplate(store) {
+  return templateFor(store, store.activeVersion) || store.templates[store.templates.length - 1];
+}
+
+// Step rules are copied onto the student's steps along with the wording, so a
+// student keeps the rules of the template version they started on.
+function stepFromDef(def, i) {
+  return {
+    index: i + 1,
+    key: def.key,
+    title: def.title,
+    location: def.location,
+    instructions: def.instructions,
+    fields: def.fields,
+    booking: def.booking || undefined,
+    translations: def.translations,
+    appliesTo: def.appliesTo,
+    optional: def.optional || undefined,
+    group: def.group || undefined,
+    completed: false,
+  };
+}
+
+/**
+ * @param {WorkflowTemplate} template
+ * @param {Partial<Student>} [extra] additional profile fields, e.g. `status`
+ */
+function newStudent(name, grade, template = DEFAULT_TEMPLATE, extra = {}) {
+  const id = crypto.randomUUID();
+  /** @type {Student} */
+  return {
+    ...extra,
+    id,
+    code: studentCodeFor(id),
+    name,
+    grade,
+    createdAt: Date.now(),
+    workflowVersion: template.version,
+    steps: template.steps.map(stepFromDef),
+  };
+}
+
+// Moves a student onto another template version. Progress carries over for steps
+// whose key exists in both versions; steps that were removed are dropped.
+function migrateStudent(student, template) {
+  const byKey = new Map(student.steps.map((s) => [s.key, s]));
+  const steps = template.steps.map((def, i) => {
+    const prev = byKey.get(def.key);
+    const fresh = stepFromDef(def, i);
+    if (prev?.waived && fresh.optional) return { ...fresh, waived: prev.waived };
+    if (!prev?.completed) return fresh;
+    return { ...fresh, completed: true, initials: prev.initials, signedBy: prev.signedBy, signedAt: prev.signedAt, notes: prev.notes, values: prev.values };
+  });
+  return { ...student, workflowVersion: template.version, steps };
+}
+
+// Un-signs one step (or undoes its waiver), keeping the old sign-off in its
+// revocation history. Later steps that were already signed are flagged for review:
+// they were signed on top of it.
+function revokeStudentStep(student, idx, revocation) {
+  const target = student.steps.find((s) => s.index === idx);
+  const flag = { at: revocation.at, stepKey: target.key, index: idx, reason: revocation.reason };
+  const steps = student.steps.map((s) => {
+    if (s.index === idx) {
+      return {
+        ...s,
+        completed: false,
+        initials: undefined,
+        signedBy: undefined,
+        signedAt: undefined,
+        notes: undefined,
+        values: undefined,
+        flagged: undefined,
+        waived: undefined,
+        revocations: [
+          ...(s.revocations || []),
+          {
+            ...revocation,
+            signedBy: s.signedBy ?? s.waived?.by,
+            signedInitials: s.initials ?? s.waived?.initials,
+            signedAt: s.signedAt ?? s.waived?.at,
+            values: s.values,
+          },
+        ],
+      };
+    }
+    const parallel = target.group && s.group === target.group;
+    if (s.index > idx && !parallel && s.completed) return { ...s, flagged: flag };
+    return s;
+  });
+  return { ...student, steps };
+}
+
+// --- Step Fields ---
+// Steps can ask for typed details at sign-off (receipt number, locker, iPad
+// serial…). Values are kept as the strings the inputs produce.
+const FIELD_TYPES = { text: "Text", number: "Number", select: "Choice list", date: "Date", time: "Time", datetime: "Date & time" };
+const FIELD_INPUT_TYPES = { text: "text", number: "number", date: "date", time: "time", datetime: "datetime-local" };
+const FIELD_PATTERNS = { date: /^\d{4}-\d{2}-\d{2}$/, time: /^\d{2}:\d{2}$/, datetime: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/ };
+
+/** @returns {Record<string, string>} English messages keyed by field key; empty when the values are acceptable. */
+function fieldErrors(fields = [], values = {}) {
+  const errors = {};
+  for (const f of fields) {
+    const v = String(values?.[f.key] ?? "").trim();
+    if (!v) {
+      if (f.required) errors[f.key] = "Required";
+    } else if (f.type === "number" && !Number.isFinite(Number(v))) {
+      errors[f.key] = "Enter a number";
+    } else if (f.type === "select" && !(f.options || []).includes(v)) {
+      errors[f.key] = "Choose one of the options";
+    } else if (FIELD_PATTERNS[f.type] && !FIELD_PATTERNS[f.type].test(v)) {
+      errors[f.key] = "Enter a valid date or time";
+    }
+  }
+  return errors;
+}
+
+// Only values for the step's own fields are kept, trimmed; blank ones are dropped.
+function cleanFieldValues(fields = [], values = {}) {
+  const kept = fields.map((f) => [f.key, String(values?.[f.key] ?? "").trim()]).filter(([, v]) => v);
+  return kept.length ? Object.fromEntries(kept) : undefined;
+}
+
+function formatFieldValue(field, value, lang) {
+  const locale = LANGUAGES[lang]?.locale;
+  if (field?.type === "date") return new Date(`${value}T00:00:00`).toLocaleDateString(locale);
+  if (field?.type === "datetime") return new Date(value).toLocaleString(locale, { dateStyle: "medium", timeStyle: "short" });
+  return value;
+}
+
+/** "Locker number: 214; Lock combination: 12-30-4" for certificates and reports. */
+function stepValuesText(step, lang) {
+  if (!step.values) return "";
+  return (step.fields || [])
+    .filter((f) => step.values[f.key])
+    .map((f) => `${f.label}: ${formatFieldValue(f, step.values[f.key], lang)}`)
+    .join("; ");
+}
+
+// --- Step Rules ---
+// Unknown status counts as "applies": a step is only skipped when we know it should be.
+function stepApplies(student, step) {
+  const rule = step.appliesTo;
+  if (!rule) return true;
+  if (rule.grades?.length && !rule.grades.some((g) => g.trim().toLowerCase() === (student.grade || "").trim().toLowerCase())) return false;
+  if (rule.status && student.status && rule.status !== student.status) return false;
+  return true;
+}
+
+function isStepResolved(step) {
+  return step.completed || !!step.waived;
+}
+
+function applicableSteps(student) {
+  return student.steps.filter((s) => stepApplies(student, s));
+}
+
+function percentComplete(student) {
+  const steps = applicableSteps(student);
+  if (steps.length === 0) return 100;
+  const done = steps.filter(isStepResolved).length;
+  return Math.round((done / steps.length) * 100);
+}
+
+function currentStepOf(student) {
+  const steps = applicableSteps(student);
+  return steps.find((s) => !isStepResolved(s)) ?? steps[steps.length - 1] ?? student.steps[student.steps.length - 1];
+}
+
+// Applicable, unresolved steps that step i has to wait for. Steps in the same group
+// as step i can be done in any order, so they never block each other.
+function blockersOf(student, i) {
+  const step = student.steps[i];
+  return student.steps
+    .slice(0, i)
+    .filter((s) => stepApplies(student, s) && !isStepResolved(s) && !(step.group && s.group === step.group));
+}
+
+// A step is locked until every earlier step that applies is completed or waived.
+function isStepLocked(student, i) {
+  return blockersOf(student, i).length > 0;
+}
+
+// When the student became free to start step i: the latest sign-off (or waiver) of
+// an earlier step outside its group, or sign-up.
+function readyAtFor(student, i) {
+  const step = student.steps[i];
+  const times = student.steps
+    .slice(0, i)
+    .filter((s) => stepApplies(student, s) && !(step.group && s.group === step.group))
+    .map((s) => s.signedAt ?? s.waived?.at)
+    .filter(Boolean);
+  return times.length ? Math.max(...times) : student.createdAt;
+}
+
+// Students waiting at the step with this key (it applies, is unlocked and not yet
+// signed), longest-waiting first.
+function stationQueue(students, stepKey) {
+  return students
+    .map((student) => {
+      const i = student.steps.findIndex((s) => s.key === stepKey);
+      if (i === -1) return null;
+      const step = student.steps[i];
+      if (!stepApplies(student, step) || isStepResolved(step) || isStepLocked(student, i)) return null;
+      return { student, step: student.steps[i], readyAt: readyAtFor(student, i) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.readyAt - b.readyAt);
+}
+
+function formatDuration(ms) {
+  const mins = Math.max(0, Math.round(ms / 60000));
+  if (mins < 60) return `${mins} min`;
+  return `${Math.floor(mins / 60)} h ${mins % 60} min`;
+}
+
+function loadStation() {
+  try {
+    return JSON.parse(localStorage.getItem(STATION_KEY) || "null");
+  } catch {
+    return null;
+  }
+}
+
+function saveStation(station) {
+  if (station) localStorage.setItem(STATION_KEY, JSON.stringify(station));
+  else localStorage.removeItem(STATION_KEY);
+}
+
+// A device locked as a self-service kiosk only shows the code lookup until an admin
+// unlocks it. It keeps the sync server's address, never the token.
+/** @returns {{ server: string | null } | null} */
+function loadKiosk() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(KIOSK_KEY) || "null");
+    return parsed && typeof parsed === "object" ? { server: parsed.server || null } : null;
+  } catch {
+    return null;
+  }
+}
+
+function saveKiosk(kiosk) {
+  if (kiosk) localStorage.setItem(KIOSK_KEY, JSON.stringify(kiosk));
+  else localStorage.removeItem(KIOSK_KEY);
+}
+
+// --- Registration Events ---
+// Students recorded before events existed have no eventId and belong to this one.
+const DEFAULT_EVENT_ID = "default";
+
+/** @returns {EventStore} */
+function normalizeEvents(doc) {
+  if (doc && Array.isArray(doc.events) && doc.events.length > 0) {
+    const activeId = doc.events.some((e) => e.id === doc.activeId) ? doc.activeId : doc.events[0].id;
+    return { activeId, events: doc.events };
+  }
+  return { activeId: DEFAULT_EVENT_ID, events: [{ id: DEFAULT_EVENT_ID, name: "Registration", createdAt: 0 }] };
+}
+
+function eventOf(student) {
+  return student.eventId || DEFAULT_EVENT_ID;
+}
+
+function studentsInEvent(students, eventId) {
+  return students.filter((s) => eventOf(s) === eventId);
+}
+
+// "9" → "10"; anything that is not a plain number is kept as it is.
+function nextGrade(grade) {
+  return /^\d+$/.test(grade || "") ? String(Number(grade) + 1) : grade;
+}
+
+// A returning student starts the new event as a new record: same profile, fresh
+// steps from the active template, and a link back to last year's record.
+function carryOverStudent(prev, template, eventId, { advanceGrade = false } = {}) {
+  const grade = advanceGrade ? nextGrade(prev.grade) : prev.grade;
+  return {
+    ...newStudent(prev.name, grade, template, { ...cleanProfile(prev), status: "returning", studentNumber: prev.studentNumber }),
+    eventId,
+    carriedFrom: { eventId: eventOf(prev), studentId: prev.id },
+  };
+}
+
+function alreadyCarriedOver(targetStudents, prev) {
+  return targetStudents.some(
+    (s) => s.carriedFrom?.studentId === prev.id || (prev.studentNumber && s.studentNumber === prev.studentNumber)
+  );
+}
+
+// --- ID Photo Appointments ---
+// Admins publish photo slots per event. A booking lives on the student record,
+// so it syncs like any other profile field; a step marked `booking` (Student ID
+// Scheduling by default) cannot be signed until the student has one.
+const SLOT_START = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+
+function normalizeAppointments(doc) {
+  const slots = Array.isArray(doc?.slots)
+    ? doc.slots.filter((s) => s && typeof s.id === "string" && SLOT_START.test(s.start || "") && s.minutes > 0 && s.capacity > 0)
+    : [];
+  return { slots: [...slots].sort((a, b) => a.start.localeCompare(b.start)) };
+}
+
+function slotStartMs(slot) {
+  return new Date(slot.start).getTime();
+}
+
+function slotEndMs(slot) {
+  return slotStartMs(slot) + slot.minutes * 60 * 1000;
+}
+
+function slotDay(slot) {
+  return slot.start.slice(0, 10);
+}
+
+function slotTimes(slot, lang) {
+  const locale = LANGUAGES[lang]?.locale;
+  const time = (ts) => new Date(ts).toLocaleTimeString(locale, { hour: "numeric", minute: "2-digit" });
+  return `${time(slotStartMs(slot))}–${time(slotEndMs(slot))}`;
+}
+
+function slotLabel(slot, lang) {
+  const day = new Date(slotStartMs(slot)).toLocaleDateString(LANGUAGES[lang]?.locale, { weekday: "short", month: "short", day: "numeric" });
+  return `${day}, ${slotTimes(slot, lang)}`;
+}
+
+// Booked seats per slot id.
+function slotLoad(students) {
+  const load = new Map();
+  for (const s of students) {
+    if (s.appointment) load.set(s.appointment.slotId, (load.get(s.appointment.slotId) || 0) + 1);
+  }
+  return load;
+}
+
+/** @returns {string | null} Why the student cannot take that slot (English; "{name}" is the student), or null. */
+function bookingProblem(student, slotId, slots, students, now = Date.now()) {
+  const slot = slots.find((s) => s.id === slotId);
+  if (!slot || slot.eventId !== eventOf(student)) return "That time slot is no longer available.";
+  if (student.appointment?.slotId === slotId) return "{name} is already booked into that time slot.";
+  if (slotStartMs(slot) <= now) return "That time slot has already started.";
+  const taken = students.filter((s) => s.id !== student.id && s.appointment?.slotId === slotId).length;
+  if (taken >= slot.capacity) return "That time slot is full.";
+  return null;
+}
+
+// Back-to-back slots from `from` to `to` on `date`; times that overlap an
+// existing slot of the event are skipped rather than double-booking the room.
+function generateSlots(eventId, { date, from, to, minutes, capacity }, existing) {
+  const ours = existing.filter((s) => s.eventId === eventId);
+  const step = minutes * 60 * 1000;
+  const end = new Date(`${date}T${to}`).getTime();
+  const slots = [];
+  for (let at = new Date(`${date}T${from}`).getTime(); at + step <= end; at += step) {
+    if (ours.some((s) => slotStartMs(s) < at + step && at < slotEndMs(s))) continue;
+    const d = new Date(at);
+    const start = `${localDay(at)}T${String(d.getHours()).padStart(2, "0")}:${String(d.getMinutes()).padStart(2, "0")}`;
+    slots.push({ id: crypto.randomUUID(), eventId, start, minutes, capacity });
+  }
+  return slots;
+}
+
+// --- Student Codes ---
+// Short codes printed on the clearance sheet. No 0/O, 1/I/L, so they survive being
+// read aloud or typed from paper, and every character is valid in Code 39.
+const CODE_ALPHABET = "23456789ABCDEFGHJKMNPQRSTUVWXYZ";
+
+// Derived from the record id (FNV-1a), so every station computes the same code for
+// a record without coordinating. Six characters from a 32-bit hash can collide, so
+// a non-zero salt derives the alternative codes uniqueCode falls back to.
+function studentCodeFor(id, salt = 0) {
+  const input = salt ? `${id}#${salt}` : id;
+  let h = 0x811c9dc5;
+  for (let i = 0; i < input.length; i++) {
+    h ^= input.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  let out = "";
+  for (let i = 0; i < 6; i++) {
+    out += CODE_ALPHABET[h % CODE_ALPHABET.length];
+    h = Math.floor(h / CODE_ALPHABET.length);
+  }
+  return `${out.slice(0, 3)}-${out.slice(3)}`;
+}
+
+// Accepts what a person types or a scanner sends: any case, with or without the
+// dash, spaces or Code 39 start/stop asterisks.
+function normalizeCode(input) {
+  return String(input || "").toUpperCase().replace(/[^0-9A-Z]/g, "");
+}
+
+// First code for the record that is not in `taken` (a Set of normalised codes),
+// which it is then added to. A code the record already has is kept if it is free.
+function uniqueCode(record, taken) {
+  let code = record.code || studentCodeFor(record.id);
+  for (let salt = 1; taken.has(normalizeCode(code)); salt++) code = studentCodeFor(record.id, salt);
+  taken.add(normalizeCode(code));
+  return code;
+}
+
+// Gives new records codes that no existing record (and no other new record) uses.
+function withUniqueCodes(records, existing) {
+  const taken = new Set(existing.map((s) => normalizeCode(s.code)));
+  return records.map((r) => {
+    const code = uniqueCode(r, taken);
+    return code === r.code ? r : { ...r, code };
+  });
+}
+
+function findStudentByCode(students, input) {
+  const code = normalizeCode(input);
+  if (!code) return null;
+  return students.find((s) => normalizeCode(s.code) === code) || null;
+}
+
+// Code 39 bar/space widths per character, 1 = wide. Each has 5 bars and 4 spaces.
+const CODE39 = {
+  0: "000110100", 1: "100100001", 2: "001100001", 3: "101100000", 4: "000110001",
+  5: "100110000", 6: "001110000", 7: "000100101", 8: "100100100", 9: "001100100",
+  A: "100001001", B: "001001001", C: "101001000", D: "000011001", E: "100011000",
+  F: "001011000", G: "000001101", H: "100001100", I: "001001100", J: "000011100",
+  K: "100000011", L: "001000011", M: "101000010", N: "000010011", O: "100010010",
+  P: "001010010", Q: "000000111", R: "100000110", S: "001000110", T: "000010110",
+  U: "110000001", V: "011000001", W: "111000000", X: "010010001", Y: "110010000",
+  Z: "011010000", "-": "010000101", "*": "010010100",
+};
+
+// --- Certificate Verification ---
+// A certificate's verification code fingerprints what it shows: who the student is
+// and how each step that applies to them was signed. Any later sign-off, un-sign or
+// waiver changes the code, so an outdated or altered printout no longer verifies.
+function certificateFingerprint(student) {
+  // Recorded step data is only appended when present, so codes printed before
+  // steps had fields still verify.
+  const steps = applicableSteps(student).map((s) =>
+    [
+      s.key,
+      s.completed ? "C" : s.waived ? "W" : "P",
+      s.initials || s.waived?.initials || "",
+      s.signedAt || s.waived?.at || "",
+      ...(s.values ? [JSON.stringify(Object.entries(s.values).sort(([a], [b]) => a.localeCompare(b)))] : []),
+    ].join(":")
+  );
+  return [student.id, student.name, student.grade || "", ...steps].join("|");
+}
+
+// 64-bit FNV-1a of the fingerprint, written as ten characters of CODE_ALPHABET.
+function certificateCodeFor(student) {
+  const text = certificateFingerprint(student);
+  let h = 0xcbf29ce484222325n;
+  for (let i = 0; i < text.length; i++) {
+    h ^= BigInt(text.charCodeAt(i));
+    h = (h * 0x100000001b3n) & 0xffffffffffffffffn;
+  }
+  const base = BigInt(CODE_ALPHABET.length);
+  let out = "";
+  for (let i = 0; i < 10; i++) {
+    out += CODE_ALPHABET[Number(h % base)];
+    h /= base;
+  }
+  return `${out.slice(0, 5)}-${out.slice(5)}`;
+}
+
+/**
+ * Checks a printed verification code against the stored records. With the student
+ * code from the same certificate, an outdated printout can be told apart from an
+ * unknown one.
+ * @returns {{ result: "valid" | "outdated" | "unknown", student: Student | null }}
+ */
+function verifyCertificate(students, code, studentCode) {
+  const wanted = normalizeCode(code);
+  const match = wanted ? students.find((s) => normalizeCode(certificateCodeFor(s)) === wanted) : null;
+  if (match) return { result: "valid", student: match };
+  const student = findStudentByCode(students, studentCode);
+  return student ? { result: "outdated", student } : { result: "unknown", student: null };
+}
+
+function verifyUrl() {
+  return `${window.location.origin}${window.location.pathname}#/verify`;
+}
+
+// The link names the sync server (never the token), so a phone that was never set
+// up as a station can still look its code up there.
+function selfServiceUrl() {
+  const storage = loadStorageConfig();
+  const server = storage.kind === "remote" ? `?server=${encodeURIComponent(storage.url)}` : "";
+  return `${window.location.origin}${window.location.pathname}#/student${server}`;
+}
+
+// --- Storage Adapters ---
+/**
+ * @typedef {{
+ *   kind: "local" | "remote",
+ *   loadStudents: () => Promise<{ students: Student[], rejected: RejectedRecord[] }>,
+ *   saveStudents: (students: Student[]) => Promise<void>,
+ *   loadSnapshots: () => Promise<SnapshotInfo[]>,
+ *   loadSnapshot: (id: string) => Promise<Snapshot>,
+ *   saveSnapshot: (snapshot: Snapshot) => Promise<void>,
+ *   loadDoc: (name: string) => Promise<any>,
+ *   saveDoc: (name: string, value: any) => Promise<void>,
+ *   loadAudit: () => Promise<AuditEvent[]>,
+ *   appendAudit: (entries: AuditEvent[]) => Promise<void>,
+ *   claimStallNotice: (student: Student, stepKey: string) => Promise<Student | null>,
+ *   lookupStudent: (code: string) => Promise<SelfServiceRecord | null>,
+ *   loadStaff: () => Promise<StaffAccount[]>,
+ *   saveStaff: (account: StaffAccount, pin?: string) => Promise<StaffAccount[]>,
+ *   deleteStaff: (id: string) => Promise<StaffAccount[]>,
+ *   login: (accountId: string, pin: string) => Promise<StaffAccount | null>,
+ *   logout: () => Promise<void>,
+ *   subscribe: (onChange: (change: StorageChange) => void) => () => void,
+ * }} StorageAdapter
+ */
+/** @typedef {{ type: "students", students: Student[] } | { type: "student", student: Student } | { type: "delete", id: string } | { type: "doc", name: string, value: any } | { type: "audit", entries: AuditEvent[] } | { type: "staff", accounts: StaffAccount[] }} StorageChange */
+/** @typedef {{ kind: "local" } | { kind: "remote", url: string, token: string }} StorageConfig */
+/** @typedef {{ student: Student, slot: PhotoSlot | null, certificateCode: string | null }} SelfServiceRecord - certificateCode once every step is done */
+
+const SAVE_RETRY_MS = 10 * 1000;
+
+/** @returns {StorageConfig} */
+function loadStorageConfig() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_CONFIG_KEY) || "null");
+    return parsed?.kind === "remote" && parsed.url ? { ...parsed, token: parsed.token || "" } : { kind: "local" };
+  } catch {
+    return { kind: "local" };
+  }
+}
+
+function saveStorageConfig(config) {
+  localStorage.setItem(STORAGE_CONFIG_KEY, JSON.stringify(config));
+}
+
+/** @returns {StorageAdapter} */
+function createLocalAdapter() {
+  // Unreadable JSON is reported rather than treated as empty, so the next write
+  // cannot replace it with a fresh copy.
+  const readJson = (key, fallback) => {
+    const raw = localStorage.getItem(key);
+    if (raw == null) return fallback;
+    try {
+      return JSON.parse(raw);
+    } catch (err) {
+      throw unreadableError(`${key} could not be read (${err.message}).`);
+    }
+  };
+  const readAudit = () => {
+    const parsed = readJson(AUDIT_KEY, []);
+    if (!Array.isArray(parsed)) throw unreadableError(`${AUDIT_KEY} is not a list of audit entries.`);
+    return parsed;
+  };
+  // PIN hashes stay inside the adapter; callers only ever see redacted accounts.
+  const readStaff = () => normalizeStaff(readJson(docKey("staff"), null)).accounts;
+  const writeStaff = (accounts) => {
+    localStorage.setItem(docKey("staff"), JSON.stringify({ accounts }));
+    return accounts.map(redactAccount);
+  };
+  return {
+    kind: "local",
+    loadStudents: async () => loadStudents(),
+    saveStudents: async (students) => saveStudents(students),
+    loadSnapshots: async () => readSnapshots().map(snapshotInfo),
+    loadSnapshot: async (id) => {
+      const snapshot = readSnapshots().find((s) => s.id === id);
+      if (!snapshot) throw new Error("That snapshot is no longer on this device.");
+      return snapshot;
+    },
+    saveSnapshot: async (snapshot) => writeSnapshot(snapshot),
+    loadDoc: async (name) => readJson(docKey(name), null),
+    saveDoc: async (name, value) => localStorage.setItem(docKey(name), JSON.stringify(value)),
+    loadAudit: async () => readAudit(),
+    appendAudit: async (entries) => localStorage.setItem(AUDIT_KEY, JSON.stringify([...readAudit(), ...entries])),
+    // One device has no other station to race; the caller stores the marked record.
+    claimStallNotice: async (student, stepKey) => withStallNotified(student, stepKey, Date.now()),
+    lookupStudent: async (code) => {
+      const { activeId } = normalizeEvents(readJson(docKey("events"), null));
+      const student = findStudentByCode(studentsInEvent(loadStudents().students, activeId), code);
+      if (!student) return null;
+      const { slots } = normalizeAppointments(readJson(docKey("appointments"), null));
+      return {
+        student,
+        slot: slots.find((s) => s.id === student.appointment?.slotId) || null,
+        certificateCode: percentComplete(student) === 100 ? certificateCodeFor(student) : null,
+      };
+    },
+    loadStaff: async () => readStaff().map(redactAccount),
+    saveStaff: async (account, pin) => {
+      const accounts = readStaff();
+      const stored = accounts.find((a) => a.id === account.id);
+      const next = pin ? await withPin(account, pin) : { ...account, pinSalt: stored?.pinSalt, pinHash: stored?.pinHash };
+      return writeStaff(stored ? accounts.map((a) => (a.id === account.id ? next : a)) : [...accounts, next]);
+    },
+    deleteStaff: async (id) => writeStaff(readStaff().filter((a) => a.id !== id)),
+    login: async (accountId, pin) => {
+      const account = readStaff().find((a) => a.id === accountId);
+      return account && (await verifyPin(account, pin)) ? redactAccount(account) : null;
+    },
+    logout: async () => {},
+    // Other tabs on this device write to the same keys; pick their changes up too.
+    subscribe: (onChange) => {
+      const handler = (e) => {
+        if (e.key === STORAGE_KEY) {
+          try {
+            onChange({ type: "students", students: loadStudents().students });
+          } catch {
+            // The other tab's write could not be read; keep what we have.
+          }
+        } else if (e.key === AUDIT_KEY) {
+          try {
+            onChange({ type: "audit", entries: readAudit() });
+          } catch {
+            // Same as above.
+          }
+        } else if (e.key === docKey("staff")) {
+          try {
+            onChange({ type: "staff", accounts: readStaff().map(redactAccount) });
+          } catch {
+            // Same as above.
+          }
+        } else if (e.key?.startsWith("regTracker.") && e.key !== SNAPSHOT_KEY && e.newValue) {
+          const name = e.key.slice("regTracker.".length, -".v1".length);
+          try {
+            onChange({ type: "doc", name, value: JSON.parse(e.newValue) });
+          } catch {
+            // Ignore keys that are not JSON documents.
+          }
+        }
+      };
+      window.addEventListener("storage", handler);
+      return () => window.removeEventListener("storage", handler);
+    },
+  };
+}
+
+// Describes what changed between the server's copy of a student and ours. Only the
+// changed fields and steps are sent, so the server can apply edits from several
+// stations to the same student without one overwriting the other.
+function diffStudent(before, after) {
+  const patch = {};
+  for (const k of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (k === "steps" || k === "id") continue;
+    if (JSON.stringify(before[k]) !== JSON.stringify(after[k])) (patch.fields ??= {})[k] = after[k] ?? null;
+  }
+  const sameShape = before.steps.length === after.steps.length && before.steps.every((s, i) => s.key === after.steps[i].key);
+  if (!sameShape) {
+    patch.steps = after.steps;
+  } else {
+    after.steps.forEach((s, i) => {
+      if (JSON.stringify(s) !== JSON.stringify(before.steps[i])) (patch.stepChanges ??= {})[s.key] = s;
+    });
+  }
+  return Object.keys(patch).length ? patch : null;
+}
+
+// The sync server answers only requests that carry the token it was started with.
+// Staff-account changes also need the session a staff login returned.
+function syncHeaders(token, json, staffSession) {
+  return {
+    Authorization: `Bearer ${token}`,
+    ...(json ? { "Content-Type": "application/json" } : {}),
+    ...(staffSession ? { "X-Staff-Session": staffSession } : {}),
+  };
+}
+
+// The server answers a code with that one student (without private details), never
+// the list, and without the sync token, so self-service devices do not need it.
+/** @returns {(code: string) => Promise<SelfServiceRecord | null>} */
+function createSelfServiceLookup(url) {
+  const root = url.replace(/\/+$/, "");
+  return async (code) => {
+    const res = await fetch(`${root}/self-service/${encodeURIComponent(normalizeCode(code))}`);
+    if (res.status === 404) return null;
+    if (!res.ok) {
+      const detail = await res.json().catch(() => null);
+      const err = new Error(detail?.error || `Lookup failed (${res.status})`);
+      err.status = res.status;
+      throw err;
+    }
+    return res.json();
+  };
+}
+
+/** @returns {StorageAdapter} */
+function createRemoteAdapter({ url, token }) {
+  const root = url.replace(/\/+$/, "");
+  /** Last copy of each student the server has confirmed, keyed by id. */
+  const known = new Map();
+  const listeners = new Set();
+  let staffSession = null;
+
+  const request = async (method, path, body) => {
+    const res = await fetch(`${root}${path}`, {
+      method,
+      headers: syncHeaders(token, body !== undefined, staffSession),
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    if (!res.ok) {
+      const detail = await res.json().catch(() => null);
+      const err = new Error(`${method} ${path} failed (${res.status}${detail?.error ? `: ${detail.error}` : ""})`);
+      err.status = res.status;
+      throw err;
+    }
+    return res.status === 204 ? null : res.json();
+  };
+
+  const emit = (change) => listeners.forEach((fn) => fn(change));
+  const remember = (student) => known.set(student.id, student);
+
+  // Records that fail validation are left alone on the server: they are never
+  // remembered, so saveStudents cannot delete or overwrite them.
+  const fetchAll = async () => {
+    const result = validateStudents((await request("GET", "/students")).map(upgradeStudent));
+    known.clear();
+    result.students.forEach(remember);
+    return result;
+  };
+
+  let socket = null;
+  let retry = null;
+  const connect = () => {
+    // Browsers cannot send headers with a WebSocket, so the token goes in the URL.
+    socket = new WebSocket(`${root.replace(/^http/, "ws")}/ws?token=${encodeURIComponent(token)}`);
+    socket.onmessage = (e) => {
+      let change;
+      try {
+        change = JSON.parse(e.data);
+      } catch {
+        return; // Not a change message; the next resync covers anything it carried.
+      }
+      if (change.type === "student" && studentProblems(change.student).length) return;
+      if (change.type === "student") remember(change.student);
+      if (change.type === "delete") known.delete(change.id);
+      emit(change);
+    };
+    // Reconnect and resync: anything broadcast while we were offline was missed.
+    socket.onclose = () => {
+      socket = null;
+      if (listeners.size === 0) return;
+      retry = setTimeout(() => {
+        connect();
+        fetchAll()
+          .then(({ students }) => emit({ type: "students", students }))
+          .catch(() => {});
+      }, 2000);
+    };
+  };
+
+  // `known` only changes once the server has confirmed a write, so a write that
+  // fails is diffed and sent again by the next save. Saves run one at a time;
+  // overlapping ones would diff against the same confirmed copies and send twice.
+  const sendChanges = async (students) => {
+    const ids = new Set(students.map((s) => s.id));
+    const writes = [];
+    for (const s of students) {
+      const before = known.get(s.id);
+      if (before === s) continue;
+      const path = `/students/${encodeURIComponent(s.id)}`;
+      if (!before) {
+        writes.push(request("PUT", path, s).then(remember));
+        continue;
+      }
+      const patch = diffStudent(before, s);
+      if (patch) writes.push(request("PATCH", path, patch).then(remember));
+      else remember(s);
+    }
+    for (const id of known.keys()) {
+      if (!ids.has(id)) writes.push(request("DELETE", `/students/${encodeURIComponent(id)}`).then(() => known.delete(id)));
+    }
+    const failed = (await Promise.allSettled(writes)).filter((r) => r.status === "rejected");
+    if (failed.length) throw new Error(`${failed.length} change(s) not saved: ${failed[0].reason.message}`);
+  };
+  let saving = Promise.resolve();
+
+  return {
+    kind: "remote",
+    loadStudents: fetchAll,
+    saveStudents: (students) => {
+      saving = saving.catch(() => {}).then(() => sendChanges(students));
+      return saving;
+    },
+    loadSnapshots: () => request("GET", "/snapshots"),
+    loadSnapshot: (id) => request("GET", `/snapshots/${encodeURIComponent(id)}`),
+    saveSnapshot: (snapshot) => request("POST", "/snapshots", snapshot).then(() => {}),
+    loadDoc: (name) => request("GET", `/docs/${encodeURIComponent(name)}`).then((r) => r.value),
+    saveDoc: (name, value) => request("PUT", `/docs/${encodeURIComponent(name)}`, { value }).then(() => {}),
+    loadAudit: () => request("GET", "/audit"),
+    appendAudit: (entries) => request("POST", "/audit", { entries }).then(() => {}),
+    // The server marks the step as notified only if no other station already has.
+    claimStallNotice: (student, stepKey) =>
+      request("POST", `/students/${encodeURIComponent(student.id)}/notified`, { stepKey }).then(
+        (claimed) => {
+          remember(claimed);
+          return claimed;
+        },
+        (err) => {
+          if (err.status === 409) return null;
+          throw err;
+        }
+      ),
+    lookupStudent: createSelfServiceLookup(root),
+    // PINs are checked by the server, which never sends the hashes out.
+    loadStaff: () => request("GET", "/staff"),
+    saveStaff: (account, pin) => request("PUT", `/staff/${encodeURIComponent(account.id)}`, { account, pin }),
+    deleteStaff: (id) => request("DELETE", `/staff/${encodeURIComponent(id)}`),
+    login: async (accountId, pin) => {
+      try {
+        const { account, session } = await request("POST", "/staff/login", { accountId, pin });
+        staffSession = session;
+        return account;
+      } catch (err) {
+        if (err.status === 403) return null;
+        throw err;
+      }
+    },
+    logout: async () => {
+      if (!staffSession) return;
+      await request("POST", "/staff/logout").finally(() => {
+        staffSession = null;
+      });
+    },
+    subscribe: (onChange) => {
+      listeners.add(onChange);
+      if (!socket) connect();
+      return () => {
+        listeners.delete(onChange);
+        if (listeners.size === 0) {
+          clearTimeout(retry);
+          socket?.close();
+        }
+      };
+    },
+  };
+}
+
+/** @param {StorageConfig} config */
+function createStorageAdapter(config) {
+  return config.kind === "remote" ? createRemoteAdapter(config) : createLocalAdapter();
+}
+
+// --- Staff Accounts ---
+const STAFF_ROLES = { admin: "Admin", station: "Station Staff" };
+const STAFF_TIMEOUT_MS = 10 * 60 * 1000;
+// The PIN that shipped before staff accounts existed; only used to bootstrap the first admin.
+const LEGACY_DEFAULT_PIN = "2025";
+const MIN_PIN_LENGTH = 6;
+
+function normalizeStaff(doc) {
+  return { accounts: Array.isArray(doc?.accounts) ? doc.accounts : [] };
+}
+
+function toHex(buffer) {
+  return [...new Uint8Array(buffer)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+async function hashPin(pin, salt) {
+  const enc = new TextEncoder();
+  const key = await crypto.subtle.importKey("raw", enc.encode(pin), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits({ name: "PBKDF2", salt: enc.encode(salt), iterations: 100000, hash: "SHA-256" }, key, 256);
+  return toHex(bits);
+}
+
+async function withPin(account, pin) {
+  const pinSalt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+  return { ...account, pinSalt, pinHash: await hashPin(pin, pinSalt) };
+}
+
+async function verifyPin(account, pin) {
+  return (await hashPin(pin, account.pinSalt)) === account.pinHash;
+}
+
+// New PINs only; accounts keep working with a shorter PIN they already have.
+function isValidPin(pin) {
+  return new RegExp(`^\\d{${MIN_PIN_LENGTH},}$`).test(pin || "");
+}
+
+// PIN hashes never leave the storage adapter, so they never reach the UI or the
+// log; the log only records whether the PIN changed.
+function redactAccount(account) {
+  if (!account) return account;
+  const rest = { ...account };
+  delete rest.pinHash;
+  delete rest.pinSalt;
+  return rest;
+}
+
+function canSignStep(account, stepKey) {
+  if (!account) return false;
+  return account.role === "admin" || account.steps.includes(stepKey);
+}
+
+// --- Audit Log ---
+const AUDIT_ACTIONS = {
+  "student.create": "Student created",
+  "student.delete": "Student deleted",
+  "student.reset": "Student reset",
+  "students.import": "Students imported",
+  "students.clear": "All students cleared",
+  "students.restore": "Snapshot restored",
+  "step.sign": "Step signed",
+  "step.revoke": "Step un-signed",
+  "step.waive": "Step waived",
+  "appointment.book": "ID photo booked",
+  "appointment.reschedule": "ID photo rescheduled",
+  "appointment.cancel": "ID photo cancelled",
+  "appointment.slots": "ID photo slots changed",
+  "student.update": "Student updated",
+  "student.merge": "Students merged",
+  "profile.fields": "Profile fields changed",
+  "workflow.publish": "Workflow published",
+  "workflow.activate": "Workflow activated",
+  "workflow.migrate": "Students migrated",
+  "event.create": "Event created",
+  "event.activate": "Event activated",
+  "event.archive": "Event archived",
+  "event.reopen": "Event reopened",
+  "students.carry_over": "Returning students carried over",
+  "notification.queue": "Guardian notification queued",
+  "notification.settings": "Notification settings changed",
+  "staff.login": "Staff signed in",
+  "staff.login_failed": "Failed sign-in",
+  "staff.logout": "Staff signed out",
+  "staff.save": "Staff account saved",
+  "staff.delete": "Staff account removed",
+  "kiosk.lock": "Self-service kiosk locked",
+  "kiosk.unlock": "Self-service kiosk unlocked",
+};
+
+function stepRef(step) {
+  return step ? { index: step.index, key: step.key, title: step.title } : undefined;
+}
+
+function mergeAudit(prev, entries) {
+  const seen = new Set(prev.map((e) => e.id));
+  const fresh = entries.filter((e) => !seen.has(e.id));
+  return fresh.length ? [...prev, ...fresh].sort((a, b) => a.at - b.at) : prev;
+}
+
+// --- Guardian Notifications ---
+// Channels decide which guardian contact a message goes to; the transport decides
+// how it leaves this device (the sync server's relay, or a local test outbox).
+/** @typedef {{ id: string, createdAt: number, kind: "completed" | "stalled" | "test", studentId?: string, studentName?: string, guardian?: number, channel: string, to: string, subject: string, body: string, status: "pending" | "sent" | "failed", attempts: number, nextAttemptAt: number, transport?: string, sentAt?: number, lastError?: string }} OutgoingMessage */
+const NOTIFY_CHANNELS = {
+  email: { label: "Email (SMTP)", recipientOf: (g) => g.email },
+  webhook: { label: "SMS gateway (webhook)", recipientOf: (g) => g.phone },
+};
+const NOTIFY_TRANSPORTS = { local: "Test outbox on this device", server: "Sync server relay" };
+const NOTIFY_MAX_ATTEMPTS = 6;
+const NOTIFY_RETRY_MS = 30 * 1000;
+const NOTIFY_KEEP_FINISHED = 200;
+const NOTIFY_PLACEHOLDERS = ["guardian", "student", "firstName", "grade", "code", "event", "step", "stepNumber", "location", "minutes", "time"];
+
+const DEFAULT_NOTIFY_SETTINGS = {
+  enabled: false,
+  transport: "local",
+  channels: { email: true, webhook: false },
+  stallMinutes: 30,
+  templates: {
+    completed: {
+      subject: "{{student}} has finished registration",
+      body: "Hello {{guardian}},\n\n{{student}} completed every registration step for {{event}} at {{time}}. You can pick them up at the front office.",
+    },
+    stalled: {
+      subject: "Registration update for {{student}}",
+      body: "Hello {{guardian}},\n\n{{student}} has been waiting at step {{stepNumber}} ({{step}}, {{location}}) for {{minutes}} minutes. Our staff are aware and will help them along.",
+    },
+  },
+};
+
+function normalizeNotifySettings(doc) {
+  const d = DEFAULT_NOTIFY_SETTINGS;
+  return {
+    ...d,
+    ...doc,
+    channels: { ...d.channels, ...doc?.channels },
+    templates: {
+      completed: { ...d.templates.completed, ...doc?.templates?.completed },
+      stalled: { ...d.templates.stalled, ...doc?.templates?.stalled },
+    },
+  };
+}
+
+// Unknown placeholders are left in place so a typo shows up in the message.
+function renderTemplate(text, vars) {
+  return text.replace(/\{\{(\w+)\}\}/g, (m, key) => (key in vars ? String(vars[key] ?? "") : m));
+}
+
+function newOutgoingMessage(fields) {
+  return { id: crypto.randomUUID(), createdAt: Date.now(), status: "pending", attempts: 0, nextAttemptAt: Date.now(), ...fields };
+}
+
+// One message per guardian and enabled channel that has a contact for it. `to` is
+// for the queue display only: the relay looks the contact up again from the
+// stored student by `studentId` and `guardian` (the guardian's position).
+function buildNotifications(kind, student, settings, vars) {
+  const template = settings.templates[kind];
+  return (student.guardians || []).flatMap((g, guardian) =>
+    Object.entries(NOTIFY_CHANNELS)
+      .filter(([channel, def]) => settings.channels[channel] && def.recipientOf(g))
+      .map(([channel, def]) => {
+        const all = { ...vars, guardian: g.name || "Parent/Guardian" };
+        return newOutgoingMessage({
+          kind,
+          studentId: student.id,
+          studentName: student.name,
+          guardian,
+          channel,
+          to: def.recipientOf(g),
+          subject: renderTemplate(template.subject, all),
+          body: renderTemplate(template.body, all),
+        });
+      })
+  );
+}
+
+function notificationVars(student, eventName, step) {
+  const i = step ? student.steps.indexOf(step) : -1;
+  return {
+    student: student.name,
+    firstName: student.name.split(/\s+/)[0],
+    grade: student.grade || "",
+    code: student.code,
+    event: eventName || "registration",
+    step: step?.title || "",
+    stepNumber: step?.index ?? "",
+    location: step?.location || "",
+    minutes: i === -1 ? "" : Math.round((Date.now() - readyAtFor(student, i)) / 60000),
+    time: formatDate(Date.now()),
+  };
+}
+
+function withStallNotified(student, stepKey, at) {
+  return { ...student, notified: { ...student.notified, stalled: { ...student.notified?.stalled, [stepKey]: at } } };
+}
+
+// The student's current step, if they have waited there past the threshold and
+// guardians have not yet been told about it.
+function stalledStepOf(student, now, stallMinutes) {
+  if (completedAt(student) || !stallMinutes) return null;
+  const step = currentStepOf(student);
+  const i = student.steps.indexOf(step);
+  if (!step || i === -1 || student.notified?.stalled?.[step.key]) return null;
+  return now - readyAtFor(student, i) >= stallMinutes * 60000 ? step : null;
+}
+
+/** @param {StorageConfig} storage */
+function createNotifyTransport(kind, storage) {
+  if (kind !== "server" || storage.kind !== "remote") {
+    // Stand-in for testing: nothing is sent; the message stays in the queue as "sent".
+    return { kind: "local", send: async () => {} };
+  }
+  const root = storage.url.replace(/\/+$/, "");
+  return {
+    kind: "server",
+    send: async (m) => {
+      const res = await fetch(`${root}/notify`, {
+        method: "POST",
+        headers: syncHeaders(storage.token, true),
+        body: JSON.stringify({ kind: m.kind, channel: m.channel, studentId: m.studentId, guardian: m.guardian, subject: m.subject, body: m.body }),
+      });
+      if (res.ok) return;
+      const detail = await res.json().catch(() => null);
+      const err = new Error(detail?.error || `Relay answered ${res.status}`);
+      // Bad addresses and unconfigured channels will not fix themselves.
+      err.permanent = res.status < 500 || res.status === 501;
+      throw err;
+    },
+  };
+}
+
+function loadNotifyQueue() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(NOTIFY_QUEUE_KEY) || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+// Pending messages are always kept; only the most recent finished ones are.
+function saveNotifyQueue(queue) {
+  const finished = queue.filter((m) => m.status !== "pending").slice(0, NOTIFY_KEEP_FINISHED);
+  localStorage.setItem(NOTIFY_QUEUE_KEY, JSON.stringify([...queue.filter((m) => m.status === "pending"), ...finished]));
+}
+
+// --- Flow Analytics ---
+const HOUR_MS = 60 * 60 * 1000;
+
+function quantile(sorted, q) {
+  if (sorted.length === 0) return null;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function summarize(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return { count: sorted.length, median: quantile(sorted, 0.5), p90: quantile(sorted, 0.9) };
+}
+
+// Time a student spent on each signed step: from their previous sign-off (or from
+// sign-up, for the first) until this step was signed.
+function signOffWaits(student) {
+  const signed = student.steps.filter((s) => s.completed && s.signedAt).sort((a, b) => a.signedAt - b.signedAt);
+  return signed.map((s, i) => ({ key: s.key, signedAt: s.signedAt, wait: s.signedAt - (i > 0 ? signed[i - 1].signedAt : student.createdAt) }));
+}
+
+function completedAt(student) {
+  const steps = applicableSteps(student);
+  if (steps.length === 0 || !steps.every(isStepResolved)) return null;
+  return Math.max(...steps.map((s) => s.signedAt || s.waived?.at || 0)) || null;
+}
+
+function dayBounds(day) {
+  const start = new Date(`${day}T00:00:00`).getTime();
+  return [start, start + 24 * HOUR_MS];
+}
+
+function localDay(ts) {
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+// How many students are waiting at each step right now, and for how long in total.
+function queueLoads(students, template, now) {
+  return template.steps.map((def) => {
+    const queue = stationQueue(students, def.key);
+    return { key: def.key, waitingNow: queue.length, waitingTotal: queue.reduce((sum, q) => sum + (now - q.readyAt), 0) };
+  });
+}
+
+// The bottleneck is the step where the most student-time is piling up right now.
+function bottleneckOf(loads) {
+  return loads.reduce((top, s) => (s.waitingTotal > (top?.waitingTotal ?? 0) ? s : top), null);
+}
+
+// Expected wait for someone joining a step's queue now: the average gap between
+// the step's most recent sign-offs (last hour, up to 10), times the queue length.
+function estimateWait(students, stepKey, queueLength, now) {
+  const times = students
+    .map((stu) => stu.steps.find((s) => s.key === stepKey))
+    .filter((s) => s?.completed && s.signedAt && now - s.signedAt < HOUR_MS)
+    .map((s) => s.signedAt)
+    .sort((a, b) => a - b)
+    .slice(-10);
+  if (times.length < 2) return null;
+  const interval = (times[times.length - 1] - times[0]) / (times.length - 1);
+  return interval * Math.max(queueLength, 1);
+}
+
+/**
+ * Step durations, throughput and the current bottleneck for one registration day.
+ * Durations count sign-offs made that day; queues reflect right now.
+ */
+function computeFlowAnalytics(students, template, day, now) {
+  const [start, end] = dayBounds(day);
+  const inDay = (ts) => ts >= start && ts < end;
+
+  const waitsByStep = new Map(template.steps.map((s) => [s.key, []]));
+  students.forEach((stu) =>
+    signOffWaits(stu).forEach((w) => {
+      if (inDay(w.signedAt) && waitsByStep.has(w.key)) waitsByStep.get(w.key).push(w.wait);
+    })
+  );
+
+  const loads = queueLoads(students, template, now);
+  const steps = template.steps.map((def, i) => ({
+    key: def.key,
+    number: i + 1,
+    title: def.title,
+    ...summarize(waitsByStep.get(def.key)),
+    ...loads[i],
+  }));
+  const bottleneck = bottleneckOf(steps);
+
+  const completions = students.map((stu) => ({ stu, at: completedAt(stu) })).filter((c) => c.at && inDay(c.at));
+  const hours = completions.map((c) => new Date(c.at).getHours());
+  const first = hours.length ? Math.min(...hours) : null;
+  const last = hours.length ? Math.max(...hours) : null;
+  const perHour = [];
+  for (let h = first ?? 0; first !== null && h <= last; h++) perHour.push({ hour: h, count: hours.filter((x) => x === h).length });
+
+  const byGradeMap = new Map();
+  completions.forEach(({ stu, at }) => {
+    const g = stu.grade || "—";
+    if (!byGradeMap.has(g)) byGradeMap.set(g, []);
+    byGradeMap.get(g).push(at - stu.createdAt);
+  });
+  const byGrade = [...byGradeMap.entries()]
+    .map(([grade, values]) => ({ grade, ...summarize(values) }))
+    .sort((a, b) => a.grade.localeCompare(b.grade, undefined, { numeric: true }));
+
+  return { steps, bottleneck, perHour, byGrade, completedCount: completions.length };
+}
+
+// --- Student Search ---
+/** @typedef {{ text: string, grade: string, stepKey: string, progress: string, minPct: string, maxPct: string, signedBy: string, createdFrom: string, createdTo: string }} StudentFilterSet */
+/** @typedef {{ id: string, name: string, filters: StudentFilterSet }} FilterPreset */
+
+/** @type {StudentFilterSet} */
+const EMPTY_STUDENT_FILTERS = { text: "", grade: "", stepKey: "", progress: "", minPct: "", maxPct: "", signedBy: "", createdFrom: "", createdTo: "" };
+const PROGRESS_STATES = { not_started: "Not started", in_progress: "In progress", completed: "Completed" };
+
+function progressState(student) {
+  if (percentComplete(student) === 100) return "completed";
+  return applicableSteps(student).some(isStepResolved) ? "in_progress" : "not_started";
+}
+
+function foldText(text) {
+  return String(text ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+// Levenshtein distance, giving up as soon as it is known to exceed `max`.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    if (Math.min(...row) > max) return max + 1;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// How closely a search matches a name: 0 for a plain substring, higher for looser
+// matches, null for none. Every word typed has to match a word of the name, either
+// as its start or with a typo or two, so "jordon smth" still finds "Jordan Smith".
+function nameMatchScore(query, name) {
+  const q = foldText(query).trim();
+  const n = foldText(name);
+  if (n.includes(q)) return 0;
+  const words = n.split(/[\s'-]+/).filter(Boolean);
+  let score = 0;
+  for (const token of q.split(/\s+/)) {
+    const allowed = token.length <= 3 ? 0 : token.length <= 6 ? 1 : 2;
+    const best = Math.min(
+      ...words.map((w) => (w.startsWith(token) ? 0 : Math.min(editDistance(token, w, allowed), editDistance(token, w.slice(0, token.length), allowed))))
+    );
+    if (best > allowed) return null;
+    score += best + 1;
+  }
+  return score;
+}
+
+function matchesStudentFilters(student, f) {
+  if (f.grade && student.grade !== f.grade) return false;
+  if (f.progress && progressState(student) !== f.progress) return false;
+  // "At a step" means waiting there, so finished students never match.
+  if (f.stepKey && (progressState(student) === "completed" || currentStepOf(student)?.key !== f.stepKey)) return false;
+  const pct = percentComplete(student);
+  if (f.minPct !== "" && pct < Number(f.minPct)) return false;
+  if (f.maxPct !== "" && pct > Number(f.maxPct)) return false;
+  if (f.signedBy) {
+    const initials = f.signedBy.trim().toUpperCase();
+    if (!student.steps.some((s) => s.completed && (s.initials || "").toUpperCase() === initials)) return false;
+  }
+  if (f.createdFrom && localDay(student.createdAt) < f.createdFrom) return false;
+  if (f.createdTo && localDay(student.createdAt) > f.createdTo) return false;
+  return true;
+}
+
+// Filters keep the list order, except that a search puts the closest names first.
+// A search also matches a student code or grade exactly.
+function filterStudents(students, f) {
+  const list = students.filter((s) => matchesStudentFilters(s, f));
+  const text = f.text.trim();
+  if (!text) return list;
+  const code = normalizeCode(text);
+  return list
+    .map((s) => [(code && normalizeCode(s.code) === code) || foldText(s.grade) === foldText(text) ? 0 : nameMatchScore(text, s.name), s])
+    .filter(([score]) => score !== null)
+    .sort(([a], [b]) => a - b)
+    .map(([, s]) => s);
+}
+
+function describeStudentFilters(f, template, t) {
+  const parts = [];
+  if (f.text.trim()) parts.push(t('the search "{text}"', { text: f.text.trim() }));
+  if (f.grade) parts.push(t("grade {grade}", { grade: f.grade }));
+  if (f.progress) parts.push(t(PROGRESS_STATES[f.progress]).toLowerCase());
+  if (f.stepKey) {
+    const step = template.steps.find((s) => s.key === f.stepKey);
+    parts.push(t('waiting at "{step}"', { step: step ? localizeStep(step, t.lang).title : f.stepKey }));
+  }
+  if (f.minPct !== "" || f.maxPct !== "") parts.push(t("{min}–{max}% complete", { min: f.minPct || 0, max: f.maxPct || 100 }));
+  if (f.signedBy.trim()) parts.push(t("a step signed by {initials}", { initials: f.signedBy.trim().toUpperCase() }));
+  if (f.createdFrom || f.createdTo) parts.push(t("created {from} to {to}", { from: f.createdFrom || "…", to: f.createdTo || "…" }));
+  return parts.join(` ${t("and")} `);
+}
+
+function sameFilters(a, b) {
+  return JSON.stringify({ ...EMPTY_STUDENT_FILTERS, ...a }) === JSON.stringify({ ...EMPTY_STUDENT_FILTERS, ...b });
+}
+
+/** @returns {{ presets: FilterPreset[] }} */
+function normalizeFilterPresets(doc) {
+  const presets = Array.isArray(doc?.presets) ? doc.presets : [];
+  return { presets: presets.filter((p) => p?.id && p.name).map((p) => ({ ...p, filters: { ...EMPTY_STUDENT_FILTERS, ...p.filters } })) };
+}
+
+const STUDENT_SORTS = {
+  name: (s) => s.name,
+  code: (s) => s.code,
+  grade: (s) => s.grade || "",
+  pct: (s) => percentComplete(s),
+  step: (s) => currentStepOf(s)?.index ?? 0,
+  createdAt: (s) => s.createdAt,
+};
+
+// Sort keys are computed once per student rather than on every comparison.
+function sortStudents(list, sort) {
+  const value = STUDENT_SORTS[sort.key];
+  if (!value) return list;
+  const keyed = list.map((s) => [value(s), s]);
+  keyed.sort(([a], [b]) => (typeof a === "number" ? a - b : a.localeCompare(b, undefined, { numeric: true, sensitivity: "base" })));
+  if (sort.dir === "desc") keyed.reverse();
+  return keyed.map(([, s]) => s);
+}
+
+// --- File Helpers ---
+function downloadFile(fileName, content, type) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function toCsv(rows) {
+  const cell = (v) => {
+    const text = v == null ? "" : String(v);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map((r) => r.map(cell).join(",")).join("\r\n");
+}
+
+// --- Spreadsheet (XLSX) Writer ---
+// Just enough of the format for a single sheet of plain values: the workbook parts
+// are written uncompressed into a ZIP, which every spreadsheet app accepts.
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/** @param {{ name: string, text: string }[]} files */
+function zipStored(files) {
+  const encoder = new TextEncoder();
+  const DOS_DATE = (0 << 9) | (1 << 5) | 1; // 1980-01-01
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.text);
+    const crc = crc32(data);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(12, DOS_DATE, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    chunks.push(new Uint8Array(local.buffer), name, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(14, DOS_DATE, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(new Uint8Array(entry.buffer), name);
+    offset += 30 + name.length + data.length;
+  }
+  const centralSize = central.reduce((n, c) => n + c.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  return new Blob([...chunks, ...central, new Uint8Array(end.buffer)], { type: "application/zip" });
+}
+
+// XML 1.0 cannot hold control characters other than tab and line breaks, even
+// escaped, so they are dropped.
+function isXmlChar(ch) {
+  const code = ch.codePointAt(0);
+  return code >= 0x20 || code === 0x09 || code === 0x0a || code === 0x0d;
+}
+
+function xmlEscape(value) {
+  return [...String(value)]
+    .filter(isXmlChar)
+    .join("")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function columnName(i) {
+  let name = "";
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+}
+
+// Numbers stay numbers; everything else is written as an inline string.
+function toXlsx(rows, sheetName = "Report") {
+  const MAIN = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+  const REL = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+  const PKG = "http://schemas.openxmlformats.org/package/2006/relationships";
+  const head = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+  const sheetRows = rows
+    .map((r, i) => {
+      const cells = r
+        .map((v, j) => {
+          const ref = `${columnName(j)}${i + 1}`;
+          if (v == null || v === "") return "";
+          if (typeof v === "number" && Number.isFinite(v)) return `<c r="${ref}"><v>${v}</v></c>`;
+          return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(v)}</t></is></c>`;
+        })
+        .join("");
+      return `<row r="${i + 1}">${cells}</row>`;
+    })
+    .join("");
+  const safeName = xmlEscape(sheetName.replace(/[[\]:*?/\\]/g, " ").slice(0, 31) || "Report");
+  const blob = zipStored([
+    {
+      name: "[Content_Types].xml",
+      text: `${head}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>`,
+    },
+    {
+      name: "_rels/.rels",
+      text: `${head}<Relationships xmlns="${PKG}"><Relationship Id="rId1" Type="${REL}/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    },
+    {
+      name: "xl/workbook.xml",
+      text: `${head}<workbook xmlns="${MAIN}" xmlns:r="${REL}"><sheets><sheet name="${safeName}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      text: `${head}<Relationships xmlns="${PKG}"><Relationship Id="rId1" Type="${REL}/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`,
+    },
+    { name: "xl/worksheets/sheet1.xml", text: `${head}<worksheet xmlns="${MAIN}"><sheetData>${sheetRows}</sheetData></worksheet>` },
+  ]);
+  return new Blob([blob], { type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" });
+}
+
+// --- Reports ---
+// Reports build a plain table (header row first); formats turn a table into a
+// file. Adding a report or a format is one more entry in the map below.
+function reportTime(ts) {
+  if (!ts) return "";
+  const d = new Date(ts);
+  return `${localDay(ts)} ${String(d.getHours()).padStart(2, "0")}:${String(d.getMinutes()).padStart(2, "0")}`;
+}
+
+/** @type {Record<string, { label: string, description: string, build: (students: Student[]) => any[][] }>} */
+const REPORTS = {
+  students: {
+    label: "Student summary",
+    description: "One row per student: progress, current step and completion time.",
+    build: (students) => [
+      ["Name", "Code", "Grade", "Student ID", "Date of Birth", "Homeroom", "Status", "% Complete", "Current Step", "Location", "Completed At"],
+      ...students.map((s) => {
+        const done = completedAt(s);
+        const at = currentStepOf(s);
+        return [
+          s.name,
+          s.code,
+          s.grade,
+          s.studentNumber,
+          s.dateOfBirth,
+          s.homeroom,
+          STUDENT_STATUSES[s.status],
+          percentComplete(s),
+          done ? "Complete" : at ? `${at.index}. ${at.title}` : "",
+          done ? "" : at?.location,
+          reportTime(done),
+        ];
+      }),
+    ],
+  },
+  signoffs: {
+    label: "Step sign-offs",
+    description: "One row per signed or waived step, with initials, timestamp, notes and recorded details.",
+    build: (students) => [
+      ["Name", "Code", "Grade", "Step", "Title", "Location", "Result", "Initials", "Signed By", "Timestamp", "Notes", "Recorded Data"],
+      ...students.flatMap((stu) =>
+        applicableSteps(stu)
+          .filter(isStepResolved)
+          .map((s) => [
+            stu.name,
+            stu.code,
+            stu.grade,
+            s.index,
+            s.title,
+            s.location,
+            s.completed ? (s.flagged ? "Signed (flagged)" : "Signed") : "Waived",
+            s.initials || s.waived?.initials,
+            s.signedBy || s.waived?.by,
+            reportTime(s.signedAt || s.waived?.at),
+            s.completed ? s.notes : s.waived.reason,
+            stepValuesText(s),
+          ])
+      ),
+    ],
+  },
+  fields: {
+    label: "Step data",
+    description: "One row per student with a column for every detail recorded at sign-off (receipt, locker, iPad serial…).",
+    build: (students) => {
+      // Students on different workflow versions can have different fields, so columns come from the records themselves.
+      const columns = new Map();
+      for (const stu of students) {
+        for (const s of applicableSteps(stu)) {
+          for (const f of s.fields || []) {
+            const id = `${s.key}:${f.key}`;
+            if (!columns.has(id)) columns.set(id, { stepKey: s.key, field: f, header: `${s.title}: ${f.label}` });
+          }
+        }
+      }
+      const cols = [...columns.values()];
+      return [
+        ["Name", "Code", "Grade", ...cols.map((c) => c.header)],
+        ...students.map((stu) => {
+          const byKey = new Map(stu.steps.map((s) => [s.key, s]));
+          return [
+            stu.name,
+            stu.code,
+            stu.grade,
+            ...cols.map(({ stepKey, field }) => {
+              const v = byKey.get(stepKey)?.values?.[field.key];
+              return field.type === "number" && v ? Number(v) : v;
+            }),
+          ];
+        }),
+      ];
+    },
+  },
+  incomplete: {
+    label: "Incomplete students by step",
+    description: "Students who have not finished, grouped by the step they are on, longest-waiting first.",
+    build: (students) => {
+      const rows = students
+        .filter((s) => !completedAt(s))
+        .map((s) => {
+          const at = currentStepOf(s);
+          const i = s.steps.indexOf(at);
+          return { s, at, since: i === -1 ? s.createdAt : readyAtFor(s, i) };
+        })
+        .sort((a, b) => (a.at?.index ?? 0) - (b.at?.index ?? 0) || a.since - b.since);
+      return [
+        ["Current Step", "Title", "Location", "Name", "Code", "Grade", "% Complete", "Waiting Since"],
+        ...rows.map(({ s, at, since }) => [at?.index, at?.title, at?.location, s.name, s.code, s.grade, percentComplete(s), reportTime(since)]),
+      ];
+    },
+  },
+};
+
+/** @type {Record<string, { label: string, extension: string, type: string, encode: (rows: any[][], title: string) => string | Blob }>} */
+const REPORT_FORMATS = {
+  // The byte-order mark makes Excel read the file as UTF-8, so accented names survive.
+  csv: { label: "CSV", extension: "csv", type: "text/csv", encode: (rows) => `\ufeff${toCsv(rows)}` },
+  xlsx: { label: "Excel (XLSX)", extension: "xlsx", type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", encode: toXlsx },
+};
+
+function exportReport(reportId, formatId, students, fileBase) {
+  const report = REPORTS[reportId];
+  const format = REPORT_FORMATS[formatId];
+  const content = format.encode(report.build(students), report.label);
+  downloadFile(`${fileBase}-${reportId}.${format.extension}`, content, format.type);
+}
+
+// --- Import Helpers ---
+const IMPORT_POLICIES = ["skip", "merge", "replace"];
+const IMPORT_POLICY_LABELS = { skip: "Skip", merge: "Merge", replace: "Replace" };
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c.trim()));
+}
+
+const CSV_COLUMNS = {
+  name: ["name", "student name", "full name", "student"],
+  grade: ["grade", "grade level"],
+  studentNumber: ["student id", "studentid", "student_id", "student number", "id"],
+  status: ["status", "new/returning", "student status"],
+  dateOfBirth: ["date of birth", "dob", "birthdate", "birth date"],
+  homeroom: ["homeroom", "home room", "advisory"],
+};
+
+const STUDENT_STATUSES = { new: "New", returning: "Returning" };
+
+// Accepts "new"/"returning" in any case (or "N"/"R"); anything else is unknown.
+function parseStudentStatus(value) {
+  const v = String(value ?? "").trim().toLowerCase();
+  if (v === "new" || v === "n") return "new";
+  if (v === "returning" || v === "r") return "returning";
+  return undefined;
+}
+
+// Turns a roster CSV (name, grade, optional student ID and status) into raw records. A header
+// row is used when one is recognised; otherwise columns are taken in that order. Date of
+// birth and homeroom are only read from a recognised header.
+function rosterToRecords(text) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) return [];
+  const header = rows[0].map((h) => h.trim().toLowerCase());
+  const col = {};
+  for (const [field, aliases] of Object.entries(CSV_COLUMNS)) {
+    col[field] = header.findIndex((h) => aliases.includes(h));
+  }
+  const hasHeader = col.name !== -1;
+  if (!hasHeader) Object.assign(col, { name: 0, grade: 1, studentNumber: 2, status: 3 });
+  return rows.slice(hasHeader ? 1 : 0).map((r) => ({
+    name: r[col.name]?.trim(),
+    grade: col.grade === -1 ? undefined : r[col.grade]?.trim() || undefined,
+    studentNumber: col.studentNumber === -1 ? undefined : r[col.studentNumber]?.trim() || undefined,
+    status: col.status === -1 ? undefined : parseStudentStatus(r[col.status]),
+    dateOfBirth: col.dateOfBirth === -1 ? undefined : parseDateOfBirth(r[col.dateOfBirth]),
+    homeroom: col.homeroom === -1 ? undefined : r[col.homeroom]?.trim() || undefined,
+  }));
+}
+
+function exportToRecords(text) {
+  const parsed = JSON.parse(text);
+  const list = Array.isArray(parsed) ? parsed : parsed?.students;
+  if (!Array.isArray(list)) throw new Error("Expected a list of students.");
+  return list;
+}
+
+// Builds a complete Student from an imported record. Step progress is copied onto a
+// fresh set of steps from the record's template version (or the active one), so the
+// step array always matches what newStudent would have produced.
+function normalizeStudent(raw, workflows) {
+  if (!raw || typeof raw !== "object") throw new Error("Not a student record.");
+  const name = typeof raw.name === "string" ? raw.name.trim() : "";
+  if (!name) throw new Error("Missing name.");
+  const grade = raw.grade == null || raw.grade === "" ? undefined : String(raw.grade).trim();
+  const template = templateFor(workflows, raw.workflowVersion) || activeTemplate(workflows);
+  const base = newStudent(name, grade, template, { status: parseStudentStatus(raw.status) });
+  if (typeof raw.id === "string" && raw.id) base.id = raw.id;
+  base.code = typeof raw.code === "string" && raw.code ? raw.code : studentCodeFor(base.id);
+  if (Number.isFinite(raw.createdAt)) base.createdAt = raw.createdAt;
+  if (raw.studentNumber) base.studentNumber = String(raw.studentNumber).trim();
+  if (typeof raw.appointment?.slotId === "string") base.appointment = raw.appointment;
+  Object.assign(base, cleanProfile(raw));
+  if (Array.isArray(raw.steps)) {
+    const prior = upgradeStudent({ ...base, workflowVersion: template.version, steps: raw.steps.filter((s) => s && typeof s === "object") });
+    const signed = new Map(prior.steps.filter((s) => s.completed || s.waived).map((s) => [s.key, s]));
+    base.steps = base.steps.map((s) => {
+      const p = signed.get(s.key);
+      if (!p) return s;
+      if (!p.completed) return s.optional && typeof p.waived?.reason === "string" ? { ...s, waived: p.waived } : s;
+      return {
+        ...s,
+        completed: true,
+        initials: typeof p.initials === "string" ? p.initials : undefined,
+        signedBy: typeof p.signedBy === "string" ? p.signedBy : undefined,
+        signedAt: Number.isFinite(p.signedAt) ? p.signedAt : undefined,
+        notes: typeof p.notes === "string" ? p.notes : undefined,
+        values: p.values && typeof p.values === "object" ? cleanFieldValues(s.fields, p.values) : undefined,
+      };
+    });
+  }
+  return base;
+}
+
+function sameNameAndGrade(a, b) {
+  return a.name.trim().toLowerCase() === b.name.trim().toLowerCase() && (a.grade || "").toLowerCase() === (b.grade || "").toLowerCase();
+}
+
+function findMatchingStudent(students, record) {
+  return (
+    students.find((s) => s.id === record.id) ||
+    (record.studentNumber && students.find((s) => s.studentNumber === record.studentNumber)) ||
+    students.find((s) => sameNameAndGrade(s, record)) ||
+    null
+  );
+}
+
+// Keeps the existing record's identity and sign-offs, filling in anything it is
+// missing (profile fields, steps the incoming record has signed and it has not).
+function mergeStudentRecords(existing, incoming) {
+  const theirs = new Map(incoming.steps.map((s) => [s.key, s]));
+  return {
+    ...existing,
+    grade: existing.grade || incoming.grade,
+    studentNumber: existing.studentNumber || incoming.studentNumber,
+    status: existing.status || incoming.status,
+    appointment: existing.appointment || incoming.appointment,
+    dateOfBirth: existing.dateOfBirth || incoming.dateOfBirth,
+    homeroom: existing.homeroom || incoming.homeroom,
+    custom: existing.custom || incoming.custom ? { ...incoming.custom, ...existing.custom } : undefined,
+    guardians: mergeGuardians(existing.guardians, incoming.guardians),
+    steps: existing.steps.map((s) => {
+      const t = theirs.get(s.key);
+      if (isStepResolved(s)) return s;
+      if (!t?.completed) return t?.waived && s.optional ? { ...s, waived: t.waived } : s;
+      return { ...s, completed: true, initials: t.initials, signedBy: t.signedBy, signedAt: t.signedAt, notes: t.notes, values: t.values };
+    }),
+  };
+}
+
+// Parses an uploaded file into preview rows: each row is either a normalised record
+// (with the existing student it would match, if any) or a validation error.
+function previewImport(fileName, text, students, workflows) {
+  const isCsv = /\.csv$/i.test(fileName);
+  const raws = isCsv ? rosterToRecords(text) : exportToRecords(text);
+  return raws.map((raw, i) => {
+    try {
+      const record = normalizeStudent(raw, workflows);
+      return { line: i + 1, record, match: findMatchingStudent(students, record) };
+    } catch (err) {
+      return { line: i + 1, error: err.message, raw };
+    }
+  });
+}
+
+// `reserved` are records outside `students` (e.g. other events) whose codes new
+// records must not reuse.
+function applyImport(students, rows, policy, reserved = []) {
+  let next = [...students];
+  let added = 0;
+  let updated = 0;
+  const taken = new Set([...students, ...reserved].map((s) => normalizeCode(s.code)));
+  for (const row of rows) {
+    if (!row.record) continue;
+    const match = findMatchingStudent(next, row.record);
+    if (!match) {
+      next = [{ ...row.record, code: uniqueCode(row.record, taken) }, ...next];
+      added += 1;
+    } else if (policy === "merge") {
+      next = next.map((s) => (s.id === match.id ? mergeStudentRecords(match, row.record) : s));
+      updated += 1;
+    } else if (policy === "replace") {
+      // The imported data wins, but the record keeps the identity stations and
+      // printed sheets already know it by.
+      const kept = { id: match.id, code: match.code, createdAt: match.createdAt, eventId: match.eventId };
+      next = next.map((s) => (s.id === match.id ? { ...row.record, ...kept } : s));
+      updated += 1;
+    }
+  }
+  return { students: next, added, updated };
+}
+
+// --- Student Profiles ---
+// Admin-defined profile fields reuse the step field types; their values live in
+// `student.custom`, keyed by field key.
+function normalizeProfileFields(doc) {
+  const fields = Array.isArray(doc?.fields) ? doc.fields.filter((f) => f && typeof f.key === "string" && FIELD_TYPES[f.type]) : [];
+  return { fields };
+}
+
+// Accepts 2011-08-15 or the US 8/15/2011; anything else is dropped.
+function parseDateOfBirth(value) {
+  const v = String(value ?? "").trim();
+  if (FIELD_PATTERNS.date.test(v)) return v;
+  const us = v.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  return us ? `${us[3]}-${us[1].padStart(2, "0")}-${us[2].padStart(2, "0")}` : undefined;
+}
+
+// The profile part of an imported or merged record, with blanks and bad values dropped.
+function cleanProfile(raw) {
+  const text = (v) => (typeof v === "string" && v.trim() ? v.trim() : undefined);
+  const custom = raw.custom && typeof raw.custom === "object" ? Object.entries(raw.custom).map(([k, v]) => [k, text(v)]).filter(([, v]) => v) : [];
+  const guardians = Array.isArray(raw.guardians) ? raw.guardians.filter((g) => typeof g?.name === "string" && g.name.trim()) : [];
+  return {
+    dateOfBirth: parseDateOfBirth(raw.dateOfBirth),
+    homeroom: text(raw.homeroom),
+    custom: custom.length ? Object.fromEntries(custom) : undefined,
+    guardians: guardians.length ? guardians : undefined,
+  };
+}
+
+function mergeGuardians(a = [], b = []) {
+  const key = (g) => [foldText(g.name).trim(), g.email || "", g.phone || ""].join("|");
+  const seen = new Set(a.map(key));
+  const all = [...a, ...b.filter((g) => !seen.has(key(g)))];
+  return all.length ? all : undefined;
+}
+
+/** @returns {string[]} Why two records look like the same student (English); empty when they do not. */
+function duplicateReasons(a, b) {
+  const idA = normalizeCode(a.studentNumber);
+  const idB = normalizeCode(b.studentNumber);
+  if (idA && idB) return idA === idB ? ["Same student ID"] : [];
+  if (a.dateOfBirth && b.dateOfBirth && a.dateOfBirth !== b.dateOfBirth) return [];
+  const nameA = foldText(a.name).replace(/\s+/g, " ").trim();
+  const nameB = foldText(b.name).replace(/\s+/g, " ").trim();
+  const reasons = [];
+  // Short names only get one typo's leeway, or every "Ann Lee" would match "Ian Lee".
+  const allowed = Math.min(nameA.length, nameB.length) < 10 ? 1 : 2;
+  if (nameA === nameB) reasons.push("Same name");
+  else if (Math.min(nameA.length, nameB.length) >= 5 && editDistance(nameA, nameB, allowed) <= allowed) reasons.push("Similar name");
+  else return [];
+  if (a.dateOfBirth && a.dateOfBirth === b.dateOfBirth) reasons.push("Same date of birth");
+  if (a.grade && a.grade === b.grade) reasons.push("Same grade");
+  return reasons;
+}
+
+function findDuplicates(students, profile) {
+  return students
+    .filter((s) => s.id !== profile.id)
+    .map((student) => ({ student, reasons: duplicateReasons(profile, student) }))
+    .filter((d) => d.reasons.length);
+}
+
+const EMPTY_PROFILE_FORM = { name: "", grade: "", status: "", studentNumber: "", dateOfBirth: "", homeroom: "", custom: {} };
+
+function profileForm(student) {
+  return Object.fromEntries(Object.entries(EMPTY_PROFILE_FORM).map(([k, blank]) => [k, student[k] ?? blank]));
+}
+
+/** @returns {{ profile?: Partial<Student>, error?: string }} English error, translated by the form. */
+function profileFromForm(form, customFields) {
+  if (!form.name.trim()) return { error: "Enter a student name." };
+  if (form.dateOfBirth && !FIELD_PATTERNS.date.test(form.dateOfBirth)) return { error: "Enter a valid date of birth." };
+  if (Object.keys(fieldErrors(customFields, form.custom)).length) return { error: "Fill in the required profile fields." };
+  return {
+    profile: {
+      name: form.name.trim(),
+      grade: form.grade.trim() || undefined,
+      status: form.status || undefined,
+      studentNumber: form.studentNumber.trim() || undefined,
+      dateOfBirth: form.dateOfBirth || undefined,
+      homeroom: form.homeroom.trim() || undefined,
+      custom: cleanFieldValues(customFields, form.custom),
+    },
+  };
+}
+
+// --- Student Code & Barcode ---
+function Code39Barcode({ value, height = 48, className = "" }) {
+  const text = `*${normalizeCode(value).split("").filter((c) => CODE39[c]).join("")}*`;
+  const bars = [];
+  let x = 10; // quiet zone
+  for (const ch of text) {
+    [...CODE39[ch]].forEach((wide, i) => {
+      const w = wide === "1" ? 3 : 1;
+      if (i % 2 === 0) bars.push(<rect key={bars.length} x={x} y={0} width={w} height={height} />);
+      x += w;
+    });
+    x += 1; // gap between characters
+  }
+  return (
+    <svg viewBox={`0 0 ${x + 9} ${height}`} height={height} className={className} role="img" aria-label={`Barcode ${value}`} preserveAspectRatio="none">
+      {bars}
+    </svg>
+  );
+}
+
+function StudentCodeBadge({ code }) {
+  return (
+    <div className="flex flex-col items-start gap-1">
+      <Code39Barcode value={code} className="w-48" />
+      <div className="font-mono text-lg tracking-widest">{code}</div>
+    </div>
+  );
+}
+
+// Typed codes and USB keyboard-wedge scanners both end with Enter.
+function CodeLookup({ onLookup, autoFocus = false, className = "w-48" }) {
+  const t = useT();
+  const [value, setValue] = useState("");
+  const handleKey = (e) => {
+    if (e.key !== "Enter" || !value.trim()) return;
+    onLookup(value);
+    setValue("");
+  };
+  return (
+    <div className={`relative ${className}`}>
+      <Input aria-label={t("Scan or type student code")} placeholder={t("Scan / type code")} value={value} autoFocus={autoFocus} onChange={(e) => setValue(e.target.value)} onKeyDown={handleKey} />
+      <Search className="h-4 w-4 absolute right-2 top-3 text-muted-foreground" />
+    </div>
+  );
+}
+
+// --- Language Switcher ---
+function LanguageSwitcher({ className = "w-32" }) {
+  const t = useT();
+  return (
+    <select aria-label="Language" className={`${SELECT_CLASS} ${className}`} value={t.lang} onChange={(e) => t.setLang(e.target.value)}>
+      {Object.entries(LANGUAGES).map(([code, { label }]) => (
+        <option key={code} value={code} lang={code}>{label}</option>
+      ))}
+    </select>
+  );
+}
+
+// --- Clearance Sheet (print) ---
+function ClearanceSheet({ student }) {
+  const t = useT();
+  return (
+    <div className="p-8 space-y-6 text-black">
+      <div className="flex items-start justify-between">
+        <div>
+          <h1 className="text-2xl font-bold">{t("Steps Clearance Sheet")}</h1>
+          <div className="text-lg font-semibold">{student.name}{student.grade ? ` • ${t("Grade {grade}", { grade: student.grade })}` : ""}</div>
+          <div className="text-sm">{t("Show this sheet at every station.")}</div>
+          <div className="text-xs">{t("Check your progress any time at {url} with your code.", { url: selfServiceUrl() })}</div>
+        </div>
+        <StudentCodeBadge code={student.code} />
+      </div>
+      <table className="w-full border-collapse text-sm">
+        <thead>
+          <tr>
+            <th className="border p-2 text-left">{t("Step")}</th>
+            <th className="border p-2 text-left">{t("Location")}</th>
+            <th className="border p-2 text-left">{t("Instructions")}</th>
+            <th className="border p-2 w-24">{t("Initials")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {applicableSteps(student).map((step) => localizeStep(step, t.lang)).map((s) => (
+            <tr key={s.key}>
+              <td className="border p-2 font-medium">{s.index}. {s.title}</td>
+              <td className="border p-2">{s.location}</td>
+              <td className="border p-2">{s.instructions}</td>
+              <td className="border p-2 text-center">{s.completed ? s.initials : s.waived ? t("Waived") : ""}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// --- Certificates ---
+function formatDate(ts, lang) {
+  const d = new Date(ts);
+  return d.toLocaleString(LANGUAGES[lang]?.locale);
+}
+
+function CompletionCertificate({ student, onPrint }) {
+  const t = useT();
+  const pct = percentComplete(student);
+  const isDone = pct === 100;
+  const corrections = student.steps.flatMap((s) => (s.revocations || []).map((r) => ({ step: s, ...r })));
+  const waivers = student.steps.filter((s) => s.waived);
+  return (
+    <Card className="mt-4 border-dashed">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-xl">
+          <ShieldCheck className="h-5 w-5" /> {t("Registration Status Certificate")}
+        </CardTitle>
+        <CardDescription>{t("Show or print this page as proof of completion.")}</CardDescription>
+      </CardHeader>
+      <CardContent>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <div className="text-sm text-muted-foreground">{t("Student")}</div>
+            <div className="text-lg font-semibold">{student.name}{student.grade ? ` • ${t("Grade {grade}", { grade: student.grade })}` : ""}</div>
+            <div className="text-sm text-muted-foreground">{t("Created: {date}", { date: t.date(student.createdAt) })}</div>
+            <div className="mt-2"><StudentCodeBadge code={student.code} /></div>
+          </div>
+          <div className="flex flex-col items-start gap-2">
+            <div className="w-full"><Progress value={pct} /></div>
+            <Badge variant={isDone ? "default" : "secondary"}>{t("{pct}% Complete", { pct })}</Badge>
+            <div className="text-sm text-muted-foreground">
+              {t("Verification code:")} <span className="font-mono font-semibold text-foreground">{certificateCodeFor(student)}</span>
+            </div>
+          </div>
+        </div>
+        <div className="mt-4">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>{t("Step")}</TableHead>
+                <TableHead>{t("Location")}</TableHead>
+                <TableHead>{t("Status")}</TableHead>
+                <TableHead>{t("Initials")}</TableHead>
+                <TableHead>{t("Timestamp")}</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {applicableSteps(student).map((step) => localizeStep(step, t.lang)).map((s) => (
+                <TableRow key={s.index}>
+                  <TableCell className="font-medium">
+                    {s.index}. {s.title}
+                    {s.completed && s.values && <div className="text-xs font-normal text-muted-foreground">{stepValuesText(s, t.lang)}</div>}
+                  </TableCell>
+                  <TableCell>{s.location}</TableCell>
+                  <TableCell>
+                    {s.completed ? (s.flagged ? t("Completed (flagged)") : t("Completed")) : s.waived ? t("Waived") : t("Pending")}
+                    {s.revocations?.length ? ` • ${t("un-signed {count}×", { count: s.revocations.length })}` : ""}
+                  </TableCell>
+                  <TableCell>{s.initials || s.waived?.initials || "—"}</TableCell>
+                  <TableCell>{s.signedAt ? t.date(s.signedAt) : s.waived ? t.date(s.waived.at) : "—"}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+        {waivers.length > 0 && (
+          <div className="mt-4 space-y-1">
+            <div className="text-sm font-medium">{t("Waivers")}</div>
+            {waivers.map((s) => (
+              <div key={s.key} className="text-xs text-muted-foreground">
+                {t("Step {n}. {title} waived by {by} ({initials}). Reason: {reason}", {
+                  n: s.index,
+                  title: localizeStep(s, t.lang).title,
+                  by: s.waived.by,
+                  initials: s.waived.initials,
+                  reason: s.waived.reason,
+                })}
+              </div>
+            ))}
+          </div>
+        )}
+        {corrections.length > 0 && (
+          <div className="mt-4 space-y-1">
+            <div className="text-sm font-medium">{t("Corrections")}</div>
+            {corrections.map((c) => (
+              <div key={`${c.step.key}-${c.at}`} className="text-xs text-muted-foreground">
+                {t.date(c.at)} • {t("Step {n}. {title} un-signed by {by} ({initials})", { n: c.step.index, title: localizeStep(c.step, t.lang).title, by: c.by, initials: c.initials })}
+                {c.signedInitials
+                  ? c.signedAt
+                    ? t(", originally signed by {initials} at {date}", { initials: c.signedInitials, date: t.date(c.signedAt) })
+                    : t(", originally signed by {initials}", { initials: c.signedInitials })
+                  : ""}
+                . {t("Reason: {reason}", { reason: c.reason })}
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+      <CardFooter className="flex gap-2">
+        <Button onClick={onPrint} variant={isDone ? "default" : "secondary"}>
+          <Download className="h-4 w-4 mr-2" /> {isDone ? t("Print Completion") : t("Print Current Status")}
+        </Button>
+      </CardFooter>
+    </Card>
+  );
+}
+
+// Paper version of the certificate: one page per student, no app chrome.
+function PrintableCertificate({ student, eventName }) {
+  const t = useT();
+  const isDone = percentComplete(student) === 100;
+  return (
+    <div className="p-8 space-y-6 text-black break-after-page last:break-after-auto">
+      <div className="flex items-start justify-between">
+        <div>
+          <h1 className="text-2xl font-bold">{isDone ? t("Registration Completion Certificate") : t("Registration Status")}</h1>
+          {eventName && <div className="text-sm">{eventName}</div>}
+          <div className="mt-2 text-lg font-semibold">{student.name}{student.grade ? ` • ${t("Grade {grade}", { grade: student.grade })}` : ""}</div>
+          <div className="text-sm">
+            {isDone
+              ? t("Completed {date}", { date: t.date(completedAt(student)) })
+              : t("{pct}% complete as of {date}", { pct: percentComplete(student), date: t.date(Date.now()) })}
+          </div>
+        </div>
+        <StudentCodeBadge code={student.code} />
+      </div>
+      <table className="w-full border-collapse text-sm">
+        <thead>
+          <tr>
+            <th className="border p-2 text-left">{t("Step")}</th>
+            <th className="border p-2 text-left">{t("Location")}</th>
+            <th className="border p-2 text-left">{t("Status")}</th>
+            <th className="border p-2 text-left">{t("Initials")}</th>
+            <th className="border p-2 text-left">{t("Timestamp")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {applicableSteps(student).map((step) => localizeStep(step, t.lang)).map((s) => (
+            <tr key={s.key}>
+              <td className="border p-2 font-medium">
+                {s.index}. {s.title}
+                {s.completed && s.values && <div className="text-xs font-normal">{stepValuesText(s, t.lang)}</div>}
+              </td>
+              <td className="border p-2">{s.location}</td>
+              <td className="border p-2">{s.completed ? t("Completed") : s.waived ? t("Waived ({reason})", { reason: s.waived.reason }) : t("Pending")}</td>
+              <td className="border p-2">{s.initials || s.waived?.initials || ""}</td>
+              <td className="border p-2">{s.signedAt ? t.date(s.signedAt) : s.waived ? t.date(s.waived.at) : ""}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="text-sm">
+        {t("Verification code:")} <span className="font-mono text-base font-bold">{certificateCodeFor(student)}</span>
+        <div className="text-xs">{t("Check this certificate against the registration record at {url}", { url: verifyUrl() })}</div>
+      </div>
+    </div>
+  );
+}
+
+// Admin: print certificates for every completed student, or for one grade.
+function BatchCertificates({ students, onPrint }) {
+  const t = useT();
+  const [grade, setGrade] = useState("");
+  const [completedOnly, setCompletedOnly] = useState(true);
+  const grades = useMemo(() => [...new Set(students.map((s) => s.grade).filter(Boolean))].sort((a, b) => a.localeCompare(b, undefined, { numeric: true })), [students]);
+  const selected = students
+    .filter((s) => !grade || s.grade === grade)
+    .filter((s) => !completedOnly || percentComplete(s) === 100)
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{t("Certificates")}</CardTitle>
+        <CardDescription>
+          {t("Print certificates in one batch, one page per student. Each carries a verification code that can be checked on the verify screen.")}{" "}
+          <a className="underline" href="#/verify">{t("Open the verify screen")}</a>
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="flex flex-wrap items-end gap-3">
+        <div className="w-48">
+          <Label htmlFor="cert-grade">{t("Grade")}</Label>
+          <select id="cert-grade" className={SELECT_CLASS} value={grade} onChange={(e) => setGrade(e.target.value)}>
+            <option value="">{t("All grades")}</option>
+            {grades.map((g) => (
+              <option key={g} value={g}>{t("Grade {grade}", { grade: g })}</option>
+            ))}
+          </select>
+        </div>
+        <div className="flex items-center gap-2 h-10">
+          <Switch id="cert-completed" checked={completedOnly} onCheckedChange={setCompletedOnly} />
+          <Label htmlFor="cert-completed">{t("Completed students only")}</Label>
+        </div>
+        <Button disabled={selected.length === 0} onClick={() => onPrint(selected)}>
+          <Printer className="h-4 w-4 mr-2" /> {t("Print {count} Certificate(s)", { count: selected.length })}
+        </Button>
+      </CardContent>
+    </Card>
+  );
+}
+
+// --- Certificate Verification (public, read-only) ---
+function CertificateVerify({ students, events, initialCode }) {
+  const t = useT();
+  const [code, setCode] = useState(initialCode || "");
+  const [studentCode, setStudentCode] = useState("");
+  const [check, setCheck] = useState(null);
+
+  const handleVerify = (e) => {
+    e.preventDefault();
+    if (!normalizeCode(code)) {
+      toast.error(t("Enter the verification code printed on the certificate."));
+      return;
+    }
+    setCheck(verifyCertificate(students, code, studentCode));
+  };
+
+  const student = check?.student;
+  const eventName = student && events.events.find((ev) => ev.id === eventOf(student))?.name;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-slate-50 to-white p-4 md:p-8">
+      <div className="mx-auto mb-3 flex max-w-xl justify-end">
+        <LanguageSwitcher />
+      </div>
+      <Card className="mx-auto max-w-xl">
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2 text-xl">
+            <ShieldCheck className="h-5 w-5" /> {t("Verify a Registration Certificate")}
+          </CardTitle>
+          <CardDescription>{t("Enter the verification code from a printed certificate to check it against the registration record.")}</CardDescription>
+        </CardHeader>
+        <CardContent>
+          <form className="space-y-3" onSubmit={handleVerify}>
+            <div>
+              <Label htmlFor="verify-code">{t("Verification code")}</Label>
+              <Input id="verify-code" className="font-mono" placeholder={t("e.g., {example}", { example: "7K2QD-M9XPA" })} value={code} onChange={(e) => setCode(e.target.value)} autoFocus />
+            </div>
+            <div>
+              <Label htmlFor="verify-student">{t("Student code (optional)")}</Label>
+              <Input id="verify-student" className="font-mono" placeholder={t("e.g., {example}", { example: "ABC-DEF" })} value={studentCode} onChange={(e) => setStudentCode(e.target.value)} />
+            </div>
+            <Button type="submit">{t("Verify")}</Button>
+          </form>
+          {check && (
+            <div
+              className={`mt-4 rounded-2xl border p-4 text-sm ${
+                check.result === "valid" ? "border-emerald-300 bg-emerald-50" : "border-amber-300 bg-amber-50"
+              }`}
+            >
+              {check.result === "valid" && (
+                <>
+                  <div className="font-semibold">{t("This certificate matches the registration record.")}</div>
+                  <div className="mt-1">
+                    {student.name}{student.grade ? ` • ${t("Grade {grade}", { grade: student.grade })}` : ""}{eventName ? ` • ${eventName}` : ""}
+                  </div>
+                  <div>
+                    {percentComplete(student) === 100
+                      ? t("Registration completed {date}.", { date: t.date(completedAt(student)) })
+                      : t("Registration {pct}% complete.", { pct: percentComplete(student) })}
+                  </div>
+                </>
+              )}
+              {check.result === "outdated" && (
+                <div className="font-semibold">
+                  {t("The record for student code {code} has changed since this certificate was printed. Ask the front office for a current copy.", { code: student.code })}
+                </div>
+              )}
+              {check.result === "unknown" && <div className="font-semibold">{t("No registration record matches this code.")}</div>}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+// --- Guardian Contacts ---
+function GuardianContacts({ guardians = [], readOnly, onChange }) {
+  const t = useT();
+  const blank = { name: "", relationship: "", email: "", phone: "" };
+  const [form, setForm] = useState(blank);
+  const set = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const handleAdd = () => {
+    const g = Object.fromEntries(Object.entries(form).map(([k, v]) => [k, v.trim() || undefined]));
+    if (!g.name) {
+      toast.error(t("Enter the guardian's name."));
+      return;
+    }
+    if (!g.email && !g.phone) {
+      toast.error(t("Enter an email address or a mobile number."));
+      return;
+    }
+    if (g.email && !/^[^\s<>@]+@[^\s<>@]+$/.test(g.email)) {
+      toast.error(t("That email address does not look right."));
+      return;
+    }
+    onChange([...guardians, g]);
+    setForm(blank);
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="text-sm font-medium">{t("Guardian contacts")}</div>
+      {guardians.length === 0 && <div className="text-sm text-muted-foreground">{t("No guardian contacts yet.")}</div>}
+      {guardians.map((g, i) => (
+        <div key={i} className="flex items-center justify-between gap-2 rounded-md border px-3 py-2 text-sm">
+          <span>
+            <span className="font-medium">{g.name}</span>
+            {g.relationship ? ` (${g.relationship})` : ""}
+            {g.email ? ` • ${g.email}` : ""}
+            {g.phone ? ` • ${g.phone}` : ""}
+          </span>
+          {!readOnly && (
+            <Button variant="ghost" size="icon" onClick={() => onChange(guardians.filter((_, j) => j !== i))}>
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          )}
+        </div>
+      ))}
+      {!readOnly && (
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-2">
+          <Input placeholder={t("Name")} value={form.name} onChange={(e) => set("name", e.target.value)} />
+          <Input placeholder={t("Relationship")} value={form.relationship} onChange={(e) => set("relationship", e.target.value)} />
+          <Input type="email" placeholder={t("Email")} value={form.email} onChange={(e) => set("email", e.target.value)} />
+          <Input type="tel" placeholder={t("Mobile")} value={form.phone} onChange={(e) => set("phone", e.target.value)} />
+          <Button variant="secondary" onClick={handleAdd}><Plus className="h-4 w-4 mr-2" /> {t("Add Guardian")}</Button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// --- Step Field Inputs ---
+function StepFieldInputs({ fields, values, errors = {}, onChange, idPrefix }) {
+  const t = useT();
+  const set = (key, value) => onChange({ ...values, [key]: value });
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 text-left">
+      {fields.map((f) => {
+        const id = `${idPrefix}-${f.key}`;
+        return (
+          <div key={f.key}>
+            <Label htmlFor={id}>{f.label}{f.required ? " *" : ""}</Label>
+            {f.type === "select" ? (
+              <select id={id} className={SELECT_CLASS} value={values[f.key] || ""} onChange={(e) => set(f.key, e.target.value)}>
+                <option value="">{t("Choose…")}</option>
+                {(f.options || []).map((o) => (
+                  <option key={o} value={o}>{o}</option>
+                ))}
+              </select>
+            ) : (
+              <Input id={id} type={FIELD_INPUT_TYPES[f.type] || "text"} value={values[f.key] || ""} onChange={(e) => set(f.key, e.target.value)} />
+            )}
+            {errors[f.key] && <p className="text-xs text-destructive mt-1">{t(errors[f.key])}</p>}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// --- Student Profile ---
+function ProfileInputs({ form, onChange, customFields, idPrefix }) {
+  const t = useT();
+  const set = (field, value) => onChange({ ...form, [field]: value });
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-1 md:grid-cols-6 gap-3">
+        <div className="md:col-span-2">
+          <Label htmlFor={`${idPrefix}-name`}>{t("Student Name")}</Label>
+          <Input id={`${idPrefix}-name`} placeholder={t("e.g., {example}", { example: "Jordan Smith" })} value={form.name} onChange={(e) => set("name", e.target.value)} />
+        </div>
+        <div>
+          <Label htmlFor={`${idPrefix}-grade`}>{t("Grade")}</Label>
+          <Input id={`${idPrefix}-grade`} placeholder={t("e.g., {example}", { example: "9" })} value={form.grade} onChange={(e) => set("grade", e.target.value)} />
+        </div>
+        <div>
+          <Label htmlFor={`${idPrefix}-status`}>{t("Status")}</Label>
+          <select id={`${idPrefix}-status`} className={SELECT_CLASS} value={form.status} onChange={(e) => set("status", e.target.value)}>
+            <option value="">{t("Not set")}</option>
+            {Object.entries(STUDENT_STATUSES).map(([value, label]) => (
+              <option key={value} value={value}>{t(label)}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <Label htmlFor={`${idPrefix}-number`}>{t("Student ID")}</Label>
+          <Input id={`${idPrefix}-number`} value={form.studentNumber} onChange={(e) => set("studentNumber", e.target.value)} />
+        </div>
+        <div>
+          <Label htmlFor={`${idPrefix}-dob`}>{t("Date of birth")}</Label>
+          <Input id={`${idPrefix}-dob`} type="date" value={form.dateOfBirth} onChange={(e) => set("dateOfBirth", e.target.value)} />
+        </div>
+        <div>
+          <Label htmlFor={`${idPrefix}-homeroom`}>{t("Homeroom")}</Label>
+          <Input id={`${idPrefix}-homeroom`} value={form.homeroom} onChange={(e) => set("homeroom", e.target.value)} />
+        </div>
+      </div>
+      {customFields.length > 0 && (
+        <StepFieldInputs fields={customFields} values={form.custom} onChange={(custom) => set("custom", custom)} idPrefix={`${idPrefix}-custom`} />
+      )}
+    </div>
+  );
+}
+
+function DuplicateList({ duplicates, action }) {
+  const t = useT();
+  return (
+    <div className="rounded-2xl border border-amber-300 bg-amber-50 p-3 space-y-2 text-sm">
+      <div className="font-medium">{t("This may be a student who is already registered:")}</div>
+      {duplicates.map(({ student, reasons }) => (
+        <div key={student.id} className="flex flex-wrap items-center gap-2">
+          <span className="font-medium">{student.name}</span>
+          <span className="text-muted-foreground">
+            {[student.grade && t("Grade {grade}", { grade: student.grade }), student.code, ...reasons.map((r) => t(r))].filter(Boolean).join(" • ")}
+          </span>
+          {action(student)}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Likely duplicates show while the name is typed, before the record exists.
+function AddStudentForm({ students, customFields, disabled, onAdd, onOpen }) {
+  const t = useT();
+  const [form, setForm] = useState(EMPTY_PROFILE_FORM);
+  const typed = useDeferredValue(form);
+  const duplicates = useMemo(
+    () => (typed.name.trim() ? findDuplicates(students, { ...typed, name: typed.name.trim(), grade: typed.grade.trim() }) : []),
+    [students, typed]
+  );
+
+  const handleAdd = () => {
+    const { profile, error } = profileFromForm(form, customFields);
+    if (error) {
+      toast.error(t(error));
+      return;
+    }
+    if (onAdd(profile)) setForm(EMPTY_PROFILE_FORM);
+  };
+
+  return (
+    <div className="space-y-3">
+      <ProfileInputs form={form} onChange={setForm} customFields={customFields} idPrefix="new" />
+      {duplicates.length > 0 && (
+        <DuplicateList
+          duplicates={duplicates}
+          action={(student) => <Button size="sm" variant="secondary" onClick={() => onOpen(student.id)}>{t("Open Record")}</Button>}
+        />
+      )}
+      <Button disabled={disabled} onClick={handleAdd}>
+        <Plus className="h-4 w-4 mr-2" /> {duplicates.length ? t("Add Anyway") : t("Add Student")}
+      </Button>
+    </div>
+  );
+}
+
+// Merging removes a record, so the merge controls only appear when `onMerge` is given (admins).
+function StudentProfile({ student, students, customFields, readOnly, onSave, onMerge }) {
+  const t = useT();
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState(EMPTY_PROFILE_FORM);
+  const [mergeId, setMergeId] = useState("");
+  const duplicates = useMemo(() => findDuplicates(students, student), [students, student]);
+  const others = students.filter((s) => s.id !== student.id).sort((a, b) => a.name.localeCompare(b.name));
+
+  useEffect(() => {
+    setEditing(false);
+    setMergeId("");
+  }, [student.id]);
+
+  const startEditing = () => {
+    setForm(profileForm(student));
+    setEditing(true);
+  };
+
+  const handleSave = () => {
+    const { profile, error } = profileFromForm(form, customFields);
+    if (error) {
+      toast.error(t(error));
+      return;
+    }
+    onSave(profile);
+    setEditing(false);
+  };
+
+  const details = [
+    [t("Student ID"), student.studentNumber],
+    [t("Date of birth"), student.dateOfBirth && formatFieldValue({ type: "date" }, student.dateOfBirth, t.lang)],
+    [t("Status"), student.status && t(STUDENT_STATUSES[student.status])],
+    [t("Homeroom"), student.homeroom],
+    ...customFields.map((f) => [f.label, student.custom?.[f.key] && formatFieldValue(f, student.custom[f.key], t.lang)]),
+  ];
+
+  return (
+    <div className="w-full space-y-3">
+      {editing ? (
+        <>
+          <ProfileInputs form={form} onChange={setForm} customFields={customFields} idPrefix="profile" />
+          <div className="flex gap-2">
+            <Button size="sm" onClick={handleSave}>{t("Save Profile")}</Button>
+            <Button size="sm" variant="ghost" onClick={() => setEditing(false)}>{t("Cancel")}</Button>
+          </div>
+        </>
+      ) : (
+        <div className="flex flex-wrap items-center gap-x-4 gap-y-1">
+          {details.map(([label, value], i) => (
+            <span key={i}>
+              <span className="text-muted-foreground">{label}:</span> {value || "—"}
+            </span>
+          ))}
+          {!readOnly && (
+            <Button size="sm" variant="ghost" onClick={startEditing}><Edit3 className="h-4 w-4 mr-2" /> {t("Edit Profile")}</Button>
+          )}
+        </div>
+      )}
+      {duplicates.length > 0 && (
+        <DuplicateList
+          duplicates={duplicates}
+          action={(other) =>
+            !readOnly && onMerge && <Button size="sm" variant="secondary" onClick={() => onMerge(other.id)}>{t("Merge into this record")}</Button>
+          }
+        />
+      )}
+      {!readOnly && onMerge && others.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2">
+          <select aria-label={t("Record to merge")} className={`${SELECT_CLASS} w-80`} value={mergeId} onChange={(e) => setMergeId(e.target.value)}>
+            <option value="">{t("Merge another record into this one…")}</option>
+            {others.map((s) => (
+              <option key={s.id} value={s.id}>{[s.name, s.grade && t("Grade {grade}", { grade: s.grade }), s.code].filter(Boolean).join(" • ")}</option>
+            ))}
+          </select>
+          <Button
+            size="sm"
+            variant="secondary"
+            disabled={!mergeId}
+            onClick={() => {
+              onMerge(mergeId);
+              setMergeId("");
+            }}
+          >
+            {t("Merge")}
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// --- ID Photo Booking ---
+function AppointmentBooking({ student, slots, load, canBook, onBook, onCancel }) {
+  const t = useT();
+  const now = useNow(60000);
+  const [choosing, setChoosing] = useState(false);
+  const [slotId, setSlotId] = useState("");
+  const booked = student.appointment && slots.find((s) => s.id === student.appointment.slotId);
+  const open = slots.filter((s) => slotStartMs(s) > now && s.id !== student.appointment?.slotId);
+
+  const handleBook = () => {
+    if (!slotId) {
+      toast.error(t("Choose a time slot."));
+      return;
+    }
+    onBook(slotId);
+    setSlotId("");
+    setChoosing(false);
+  };
+
+  return (
+    <div className="space-y-2 rounded-md border p-2 text-sm text-left">
+      <div className="flex items-center gap-2 font-medium"><CalendarClock className="h-4 w-4" /> {t("ID photo appointment")}</div>
+      {student.appointment ? (
+        <div>
+          {booked ? slotLabel(booked, t.lang) : t("The booked time slot was removed. Please reschedule.")}
+          <div className="text-xs text-muted-foreground">
+            {t("Booked by {initials} • {date}", { initials: student.appointment.initials, date: t.date(student.appointment.bookedAt) })}
+          </div>
+        </div>
+      ) : (
+        <div className="text-muted-foreground">{t("Not booked yet.")}</div>
+      )}
+      {canBook && (choosing || !student.appointment) && (
+        <div className="flex gap-2">
+          <select aria-label={t("Time slot")} className={SELECT_CLASS} value={slotId} onChange={(e) => setSlotId(e.target.value)}>
+            <option value="">{open.length ? t("Choose a time slot…") : t("No open time slots")}</option>
+            {open.map((s) => {
+              const free = s.capacity - (load.get(s.id) || 0);
+              return (
+                <option key={s.id} value={s.id} disabled={free <= 0}>
+                  {slotLabel(s, t.lang)} ({free > 0 ? t("{count} left", { count: free }) : t("full")})
+                </option>
+              );
+            })}
+          </select>
+          <Button size="sm" onClick={handleBook}>{student.appointment ? t("Move") : t("Book")}</Button>
+          {choosing && <Button size="sm" variant="ghost" onClick={() => setChoosing(false)}>{t("Cancel")}</Button>}
+        </div>
+      )}
+      {canBook && student.appointment && !choosing && (
+        <div className="flex gap-2">
+          <Button size="sm" variant="secondary" onClick={() => setChoosing(true)}>{t("Reschedule")}</Button>
+          <Button size="sm" variant="ghost" onClick={onCancel}>{t("Cancel Appointment")}</Button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// --- Step Card ---
+function StepCard({ step, flaggedBy, locked, staff, onSign, onRevoke, onWaive, booking, readOnly = false }) {
+  const t = useT();
+  const text = localizeStep(step, t.lang);
+  const flagSource = flaggedBy && localizeStep(flaggedBy, t.lang);
+  const [notes, setNotes] = useState("");
+  const [values, setValues] = useState({});
+  const [errors, setErrors] = useState({});
+  const [revoking, setRevoking] = useState(false);
+  const [waiving, setWaiving] = useState(false);
+  const [reason, setReason] = useState("");
+  const allowed = !readOnly && canSignStep(staff, step.key);
+  const resolved = isStepResolved(step);
+
+  const handleSign = () => {
+    const problems = fieldErrors(step.fields, values);
+    setErrors(problems);
+    if (Object.keys(problems).length) {
+      toast.error(t("Fill in the step details before signing."));
+      return;
+    }
+    onSign({ notes: notes.trim() || undefined, values: cleanFieldValues(step.fields, values) });
+    setNotes("");
+    setValues({});
+  };
+
+  const handleRevoke = () => {
+    if (!reason.trim()) {
+      toast.error(t("Enter a reason for un-signing this step."));
+      return;
+    }
+    onRevoke(reason.trim());
+    setReason("");
+    setRevoking(false);
+  };
+
+  const handleWaive = () => {
+    if (!reason.trim()) {
+      toast.error(t("Enter a reason for waiving this step."));
+      return;
+    }
+    onWaive(reason.trim());
+    setReason("");
+    setWaiving(false);
+  };
+
+  return (
+    <motion.div id={`step-${step.key}`} layout initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: -8 }}>
+      <Card className={`h-full ${locked ? "opacity-70" : ""}`}>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2 text-lg">
+            {resolved ? <CheckCircle2 className="h-5 w-5" /> : locked ? <Lock className="h-5 w-5" /> : <Unlock className="h-5 w-5" />} {step.index}. {text.title}
+          </CardTitle>
+          <CardDescription>
+            <span className="font-medium">{t("Location:")}</span> {text.location}
+          </CardDescription>
+          {(step.optional || step.group) && (
+            <div className="flex flex-wrap gap-1">
+              {step.optional && <Badge variant="outline">{t("Optional")}</Badge>}
+              {step.group && <Badge variant="outline">{t("Any order: {group}", { group: step.group })}</Badge>}
+            </div>
+          )}
+        </CardHeader>
+        <CardContent className="space-y-3">
+          <p className="text-sm leading-relaxed">{text.instructions}</p>
+          {booking}
+          {step.completed && (
+            <div className="text-xs text-muted-foreground">
+              {t("Signed:")} <span className="font-semibold">{step.initials}</span>{step.signedBy ? ` (${step.signedBy})` : ""} • {step.signedAt ? t.date(step.signedAt) : ""}
+            </div>
+          )}
+          {step.completed && step.values && (
+            <div className="text-sm rounded-md bg-muted/40 p-2">{stepValuesText(text, t.lang)}</div>
+          )}
+          {step.waived && (
+            <div className="text-xs text-muted-foreground">
+              {t("Waived by")} <span className="font-semibold">{step.waived.initials}</span> ({step.waived.by}) • {t.date(step.waived.at)}: {step.waived.reason}
+            </div>
+          )}
+          {step.completed && step.flagged && (
+            <div className="text-xs rounded-md border border-amber-300 bg-amber-50 p-2">
+              <span className="font-semibold">{t("Needs review:")}</span>{" "}
+              {step.flagged.index === undefined
+                ? step.flagged.reason
+                : t("Step {n} ({title}) was un-signed: {reason}", {
+                    n: flagSource?.index ?? step.flagged.index,
+                    title: flagSource?.title ?? step.flagged.stepKey,
+                    reason: step.flagged.reason,
+                  })}
+            </div>
+          )}
+          {step.revocations?.map((r) => (
+            <div key={r.at} className="text-xs text-muted-foreground">
+              {t("Un-signed by")} <span className="font-semibold">{r.initials}</span> • {t.date(r.at)} ({t("was signed by {initials}", { initials: r.signedInitials || "—" })}): {r.reason}
+            </div>
+          ))}
+          {resolved && revoking && (
+            <div className="space-y-2">
+              <Label htmlFor={`revoke-${step.index}`}>{step.waived ? t("Reason for undoing the waiver (required)") : t("Reason for un-signing (required)")}</Label>
+              <Textarea id={`revoke-${step.index}`} placeholder={t("e.g., {example}", { example: t("Signed for the wrong student") })} value={reason} onChange={(e) => setReason(e.target.value)} />
+              <div className="flex gap-2">
+                <Button size="sm" variant="destructive" onClick={handleRevoke}>{step.waived ? t("Undo Waiver") : t("Un-sign Step")}</Button>
+                <Button size="sm" variant="ghost" onClick={() => setRevoking(false)}>{t("Cancel")}</Button>
+              </div>
+            </div>
+          )}
+          {!resolved && waiving && (
+            <div className="space-y-2">
+              <Label htmlFor={`waive-${step.index}`}>{t("Reason for waiving (required)")}</Label>
+              <Textarea id={`waive-${step.index}`} placeholder={t("e.g., {example}", { example: t("Student brings their own device") })} value={reason} onChange={(e) => setReason(e.target.value)} />
+              <div className="flex gap-2">
+                <Button size="sm" onClick={handleWaive}>{t("Waive Step")}</Button>
+                <Button size="sm" variant="ghost" onClick={() => setWaiving(false)}>{t("Cancel")}</Button>
+              </div>
+            </div>
+          )}
+          {!resolved && !locked && allowed && !waiving && (
+            <div className="space-y-2">
+              <div className="text-xs text-muted-foreground">
+                {t("Signing as")} <span className="font-semibold">{staff.name} ({staff.initials})</span>
+              </div>
+              {text.fields?.length > 0 && (
+                <StepFieldInputs fields={text.fields} values={values} errors={errors} onChange={setValues} idPrefix={`field-${step.index}`} />
+              )}
+              <Label htmlFor={`notes-${step.index}`}>{t("Notes (optional)")}</Label>
+              <Textarea id={`notes-${step.index}`} placeholder={t("Any quick notes…")} value={notes} onChange={(e) => setNotes(e.target.value)} />
+            </div>
+          )}
+        </CardContent>
+        <CardFooter className="flex items-center justify-between">
+          <div className="text-xs text-muted-foreground">
+            {step.completed
+              ? t("Completed")
+              : step.waived
+                ? t("Waived")
+                : readOnly
+                  ? t("Archived event (read-only)")
+                  : locked
+                    ? t("Unlocks after completing the previous steps.")
+                    : staff && !allowed
+                      ? t("Your account cannot sign this step.")
+                      : t("Awaiting staff sign-off")}
+          </div>
+          {!resolved && (
+            <div className="flex gap-2">
+              {step.optional && onWaive && allowed && !locked && !waiving && (
+                <Button variant="ghost" onClick={() => setWaiving(true)}>{t("Waive")}</Button>
+              )}
+              <Button disabled={locked || readOnly || (staff && !allowed)} onClick={handleSign}>
+                <Edit3 className="h-4 w-4 mr-2" /> {t("Sign & Unlock Next")}
+              </Button>
+            </div>
+          )}
+          {resolved && allowed && onRevoke && !revoking && (
+            <Button variant="ghost" size="sm" onClick={() => setRevoking(true)}>{step.waived ? t("Undo Waiver") : t("Un-sign")}</Button>
+          )}
+        </CardFooter>
+      </Card>
+    </motion.div>
+  );
+}
+
+// --- Student Row for Admin Table ---
+// Without `onDelete` (anyone but an admin) the row has no delete button.
+function AdminRow({ student, onSelect, onDelete }) {
+  const t = useT();
+  const pct = percentComplete(student);
+  const stepNow = currentStepOf(student)?.index ?? "—";
+  return (
+    <TableRow className="hover:bg-muted/40 cursor-pointer" style={{ height: STUDENT_ROW_HEIGHT }} onClick={() => onSelect(student.id)}>
+      <TableCell className="font-medium">{student.name}</TableCell>
+      <TableCell className="font-mono">{student.code}</TableCell>
+      <TableCell>{student.grade || "—"}</TableCell>
+      <TableCell>{pct}%</TableCell>
+      <TableCell>{t("Step {n}", { n: stepNow })}</TableCell>
+      <TableCell className="whitespace-nowrap">{new Date(student.createdAt).toLocaleDateString(LANGUAGES[t.lang].locale)}</TableCell>
+      <TableCell className="text-right py-2">
+        {onDelete && (
+          <Button variant="ghost" size="icon" aria-label={t("Delete")} onClick={(e) => { e.stopPropagation(); onDelete(student.id); }}>
+            <Trash2 className="h-4 w-4" />
+          </Button>
+        )}
+      </TableCell>
+    </TableRow>
+  );
+}
+
+// --- Student Filters ---
+function StudentFilters({ filters, onChange, grades, template, presets, onSavePreset, onDeletePreset }) {
+  const t = useT();
+  const [open, setOpen] = useState(false);
+  const [presetName, setPresetName] = useState("");
+  const set = (field, value) => onChange({ ...filters, [field]: value });
+  const moreCount = ["stepKey", "minPct", "maxPct", "signedBy", "createdFrom", "createdTo"].filter((k) => filters[k]).length;
+  const preset = presets.find((p) => sameFilters(p.filters, filters));
+
+  const handleSave = () => {
+    if (!presetName.trim()) {
+      toast.error(t("Enter a name for the preset."));
+      return;
+    }
+    onSavePreset(presetName.trim(), filters);
+    setPresetName("");
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-end gap-2">
+        <div className="relative w-full md:w-64">
+          <Input placeholder={t("Search name, grade or code")} value={filters.text} onChange={(e) => set("text", e.target.value)} />
+          <Search className="h-4 w-4 absolute right-2 top-3 text-muted-foreground" />
+        </div>
+        <select aria-label={t("Filter by grade")} className={`${SELECT_CLASS} w-32`} value={filters.grade} onChange={(e) => set("grade", e.target.value)}>
+          <option value="">{t("All grades")}</option>
+          {grades.map((g) => (
+            <option key={g} value={g}>{t("Grade {grade}", { grade: g })}</option>
+          ))}
+        </select>
+        <select aria-label={t("Filter by progress")} className={`${SELECT_CLASS} w-40`} value={filters.progress} onChange={(e) => set("progress", e.target.value)}>
+          <option value="">{t("Any progress")}</option>
+          {Object.entries(PROGRESS_STATES).map(([value, label]) => (
+            <option key={value} value={value}>{t(label)}</option>
+          ))}
+        </select>
+        <Button variant="ghost" onClick={() => setOpen(!open)}>
+          {t("More filters")}{moreCount ? ` (${moreCount})` : ""}
+        </Button>
+        {!sameFilters(filters, EMPTY_STUDENT_FILTERS) && (
+          <Button variant="ghost" onClick={() => onChange(EMPTY_STUDENT_FILTERS)}>{t("Clear filters")}</Button>
+        )}
+        <div className="ml-auto flex items-end gap-1">
+          <select
+            aria-label={t("Saved filters")}
+            className={`${SELECT_CLASS} w-56`}
+            value={preset?.id ?? ""}
+            onChange={(e) => {
+              const chosen = presets.find((p) => p.id === e.target.value);
+              if (chosen) onChange(chosen.filters);
+            }}
+          >
+            <option value="">{presets.length ? t("Saved filters…") : t("No saved filters")}</option>
+            {presets.map((p) => (
+              <option key={p.id} value={p.id}>{p.name}</option>
+            ))}
+          </select>
+          {preset && (
+            <Button variant="ghost" size="icon" title={t("Delete saved filter")} onClick={() => onDeletePreset(preset.id)}>
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          )}
+        </div>
+      </div>
+      {open && (
+        <div className="grid grid-cols-2 md:grid-cols-6 gap-3 rounded-2xl border p-3">
+          <div className="col-span-2">
+            <Label htmlFor="filter-step">{t("Waiting at step")}</Label>
+            <select id="filter-step" className={SELECT_CLASS} value={filters.stepKey} onChange={(e) => set("stepKey", e.target.value)}>
+              <option value="">{t("Any step")}</option>
+              {template.steps.map((s, i) => (
+                <option key={s.key} value={s.key}>{i + 1}. {localizeStep(s, t.lang).title}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <Label htmlFor="filter-min">{t("Min % complete")}</Label>
+            <Input id="filter-min" type="number" min={0} max={100} value={filters.minPct} onChange={(e) => set("minPct", e.target.value)} />
+          </div>
+          <div>
+            <Label htmlFor="filter-max">{t("Max % complete")}</Label>
+            <Input id="filter-max" type="number" min={0} max={100} value={filters.maxPct} onChange={(e) => set("maxPct", e.target.value)} />
+          </div>
+          <div className="col-span-2">
+            <Label htmlFor="filter-signed">{t("Signed by (initials)")}</Label>
+            <Input id="filter-signed" placeholder={t("e.g., {example}", { example: "ML" })} value={filters.signedBy} onChange={(e) => set("signedBy", e.target.value)} />
+          </div>
+          <div>
+            <Label htmlFor="filter-from">{t("Created from")}</Label>
+            <Input id="filter-from" type="date" value={filters.createdFrom} onChange={(e) => set("createdFrom", e.target.value)} />
+          </div>
+          <div>
+            <Label htmlFor="filter-to">{t("Created to")}</Label>
+            <Input id="filter-to" type="date" value={filters.createdTo} onChange={(e) => set("createdTo", e.target.value)} />
+          </div>
+          <div className="col-span-2 md:col-span-4 flex items-end gap-2">
+            <div className="w-full md:w-72">
+              <Label htmlFor="filter-preset">{t("Save these filters as")}</Label>
+              <Input
+                id="filter-preset"
+                placeholder={t("e.g., {example}", { example: t("Grade 9 not started") })}
+                value={presetName}
+                onChange={(e) => setPresetName(e.target.value)}
+                onKeyDown={(e) => e.key === "Enter" && handleSave()}
+              />
+            </div>
+            <Button variant="secondary" onClick={handleSave}>{t("Save Preset")}</Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// --- Student Table ---
+// Only the rows in view (plus a margin) are rendered, so the list stays quick
+// with thousands of students. Rows have a fixed height to make that possible.
+const STUDENT_ROW_HEIGHT = 57;
+const STUDENT_TABLE_HEIGHT = 600;
+const STUDENT_ROW_OVERSCAN = 10;
+
+function SortableHead({ column, sort, onSort, className = "", children }) {
+  const active = sort.key === column;
+  return (
+    <TableHead className={className} aria-sort={active ? (sort.dir === "asc" ? "ascending" : "descending") : undefined}>
+      <button
+        type="button"
+        className="inline-flex items-center gap-1 font-medium hover:text-foreground"
+        onClick={() => onSort({ key: column, dir: active && sort.dir === "asc" ? "desc" : "asc" })}
+      >
+        {children}
+        {active && (sort.dir === "asc" ? <ArrowUp className="h-3 w-3" /> : <ArrowDown className="h-3 w-3" />)}
+      </button>
+    </TableHead>
+  );
+}
+
+function StudentTable({ students, sort, onSort, onSelect, onDelete, emptyText, resetKey }) {
+  const t = useT();
+  const scroller = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+
+  // A new filter or sort starts again from the top.
+  useEffect(() => {
+    if (scroller.current) scroller.current.scrollTop = 0;
+    setScrollTop(0);
+  }, [resetKey]);
+
+  const first = Math.max(0, Math.floor(scrollTop / STUDENT_ROW_HEIGHT) - STUDENT_ROW_OVERSCAN);
+  const last = Math.min(students.length, Math.ceil((scrollTop + STUDENT_TABLE_HEIGHT) / STUDENT_ROW_HEIGHT) + STUDENT_ROW_OVERSCAN);
+
+  return (
+    <div ref={scroller} className="overflow-auto" style={{ maxHeight: STUDENT_TABLE_HEIGHT }} onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}>
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <SortableHead column="name" sort={sort} onSort={onSort}>{t("Name")}</SortableHead>
+            <SortableHead column="code" sort={sort} onSort={onSort}>{t("Code")}</SortableHead>
+            <SortableHead column="grade" sort={sort} onSort={onSort}>{t("Grade")}</SortableHead>
+            <SortableHead column="pct" sort={sort} onSort={onSort}>{t("% Complete")}</SortableHead>
+            <SortableHead column="step" sort={sort} onSort={onSort}>{t("Current Step")}</SortableHead>
+            <SortableHead column="createdAt" sort={sort} onSort={onSort}>{t("Created")}</SortableHead>
+            <TableHead className="text-right">{t("Actions")}</TableHead>
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {students.length === 0 && (
+            <TableRow>
+              <TableCell colSpan={7} className="text-center text-muted-foreground">{emptyText}</TableCell>
+            </TableRow>
+          )}
+          {first > 0 && <tr aria-hidden="true" style={{ height: first * STUDENT_ROW_HEIGHT }} />}
+          {students.slice(first, last).map((s) => (
+            <AdminRow key={s.id} student={s} onSelect={onSelect} onDelete={onDelete} />
+          ))}
+          {last < students.length && <tr aria-hidden="true" style={{ height: (students.length - last) * STUDENT_ROW_HEIGHT }} />}
+        </TableBody>
+      </Table>
+    </div>
+  );
+}
+
+// --- Field List Editor (Admin) ---
+// Shared by step fields and custom profile fields. Choice-list options are edited
+// as free text and only split into a list when the fields are saved.
+function toDraftFields(fields = []) {
+  return fields.map((f) => ({ ...f, optionsText: (f.options || []).join(", ") }));
+}
+
+/** @returns {string | null} */
+function draftFieldsProblem(fields) {
+  if (fields.some((f) => !f.label.trim())) return "Every field needs a label.";
+  if (fields.some((f) => f.type === "select" && !f.optionsText.split(",").some((o) => o.trim()))) return "Choice-list fields need at least one option.";
+  return null;
+}
+
+// New fields get a key derived from their label; existing keys never change so recorded values stay attached.
+function fieldKeyFor(label, taken) {
+  const base = label.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "field";
+  let key = base;
+  for (let n = 2; taken.has(key); n++) key = `${base}-${n}`;
+  taken.add(key);
+  return key;
+}
+
+/** @returns {StepField[]} */
+function fieldsFromDraft(fields) {
+  const taken = new Set(fields.map((f) => f.key).filter(Boolean));
+  return fields.map((f) => ({
+    key: f.key || fieldKeyFor(f.label, taken),
+    label: f.label.trim(),
+    type: f.type,
+    required: f.required || undefined,
+    options: f.type === "select" ? f.optionsText.split(",").map((o) => o.trim()).filter(Boolean) : undefined,
+  }));
+}
+
+function FieldListEditor({ fields, onChange, idPrefix, placeholder }) {
+  const t = useT();
+  const updateField = (k, prop, value) => onChange(fields.map((f, m) => (m === k ? { ...f, [prop]: value } : f)));
+  return (
+    <div className="space-y-2">
+      {fields.map((f, k) => (
+        <div key={k} className="grid grid-cols-1 md:grid-cols-12 gap-3 items-end">
+          <div className="md:col-span-4">
+            <Label htmlFor={`${idPrefix}-label-${k}`}>{t("Field label")}</Label>
+            <Input id={`${idPrefix}-label-${k}`} placeholder={placeholder} value={f.label} onChange={(e) => updateField(k, "label", e.target.value)} />
+          </div>
+          <div className="md:col-span-2">
+            <Label htmlFor={`${idPrefix}-type-${k}`}>{t("Type")}</Label>
+            <select id={`${idPrefix}-type-${k}`} className={SELECT_CLASS} value={f.type} onChange={(e) => updateField(k, "type", e.target.value)}>
+              {Object.entries(FIELD_TYPES).map(([type, label]) => (
+                <option key={type} value={type}>{t(label)}</option>
+              ))}
+            </select>
+          </div>
+          <div className="md:col-span-3">
+            {f.type === "select" && (
+              <>
+                <Label htmlFor={`${idPrefix}-options-${k}`}>{t("Options")}</Label>
+                <Input id={`${idPrefix}-options-${k}`} placeholder={t("e.g., Paid, Payment plan")} value={f.optionsText} onChange={(e) => updateField(k, "optionsText", e.target.value)} />
+              </>
+            )}
+          </div>
+          <div className="md:col-span-2 flex items-center gap-2 h-10">
+            <Switch id={`${idPrefix}-required-${k}`} checked={!!f.required} onCheckedChange={(v) => updateField(k, "required", v)} />
+            <Label htmlFor={`${idPrefix}-required-${k}`}>{t("Required")}</Label>
+          </div>
+          <div className="md:col-span-1 flex justify-end">
+            <Button variant="ghost" size="icon" onClick={() => onChange(fields.filter((_, m) => m !== k))}><Trash2 className="h-4 w-4" /></Button>
+          </div>
+        </div>
+      ))}
+      <Button variant="ghost" size="sm" onClick={() => onChange([...fields, { label: "", type: "text", required: false, optionsText: "" }])}>
+        <Plus className="h-4 w-4 mr-2" /> {t("Add Field")}
+      </Button>
+    </div>
+  );
+}
+
+// --- Profile Fields (Admin) ---
+function ProfileFieldsEditor({ fields, onSave }) {
+  const t = useT();
+  const [draft, setDraft] = useState(() => toDraftFields(fields));
+  const saved = JSON.stringify(fields);
+
+  // Follow saves from other stations; keyed on the JSON so a new array with the
+  // same fields does not throw away unsaved edits.
+  useEffect(() => {
+    setDraft(toDraftFields(JSON.parse(saved)));
+  }, [saved]);
+
+  const handleSave = () => {
+    const problem = draftFieldsProblem(draft);
+    if (problem) {
+      toast.error(t(problem));
+      return;
+    }
+    onSave(fieldsFromDraft(draft));
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{t("Student Profile Fields")}</CardTitle>
+        <CardDescription>
+          {t("Extra details to keep on every student profile, such as a bus route or allergies. Student ID, date of birth, new/returning status, homeroom and guardian contacts are always available. Required fields must be filled in when a student is added or edited.")}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <FieldListEditor fields={draft} onChange={setDraft} idPrefix="profile-field" placeholder={t("e.g., Bus route")} />
+        <Button onClick={handleSave}>{t("Save Profile Fields")}</Button>
+      </CardContent>
+    </Card>
+  );
+}
+
+// --- Workflow Editor (Admin) ---
+// Grades are edited as free text and only split into a list on publish.
+function toDraftStep(step) {
+  return {
+    ...step,
+    grades: (step.appliesTo?.grades || []).join(", "),
+    status: step.appliesTo?.status || "",
+    fields: toDraftFields(step.fields),
+  };
+}
+
+// Blank translation fields are dropped so they fall back to the English text.
+function cleanTranslations(translations = {}) {
+  const cleaned = Object.entries(translations)
+    .map(([lang, text]) => {
+      const kept = Object.entries(text).filter(([f]) => f !== "fields").map(([f, v]) => [f, v?.trim()]).filter(([, v]) => v);
+      const labels = Object.entries(text.fields || {}).map(([k, v]) => [k, v?.trim()]).filter(([, v]) => v);
+      if (labels.length) kept.push(["fields", Object.fromEntries(labels)]);
+      return [lang, Object.fromEntries(kept)];
+    })
+    .filter(([, text]) => Object.keys(text).length);
+  return cleaned.length ? Object.fromEntries(cleaned) : undefined;
+}
+
+function WorkflowEditor({ workflows, students, onPublish, onActivate, onMigrate }) {
+  const t = useT();
+  const active = activeTemplate(workflows);
+  // The template the draft was started from. When another version becomes active
+  // (here or on another station) an untouched draft follows it; edits are kept
+  // until the admin chooses to discard them.
+  const [base, setBase] = useState(active);
+  const [draft, setDraft] = useState(() => active.steps.map(toDraftStep));
+  const [name, setName] = useState("");
+  const edited = JSON.stringify(draft) !== JSON.stringify(base.steps.map(toDraftStep));
+
+  const startOver = () => {
+    setBase(active);
+    setDraft(active.steps.map(toDraftStep));
+  };
+  if (base.version !== active.version && !edited) startOver();
+
+  const discardDraft = () => {
+    if (!confirm(t("Discard your unpublished changes and load v{version}?", { version: active.version }))) return;
+    startOver();
+  };
+
+  const updateStep = (i, field, value) => setDraft((prev) => prev.map((s, j) => (j === i ? { ...s, [field]: value } : s)));
+  const updateTranslation = (i, lang, field, value) =>
+    setDraft((prev) =>
+      prev.map((s, j) => (j === i ? { ...s, translations: { ...s.translations, [lang]: { ...s.translations?.[lang], [field]: value } } } : s))
+    );
+  const updateFieldTranslation = (i, lang, key, value) =>
+    setDraft((prev) =>
+      prev.map((s, j) => {
+        if (j !== i) return s;
+        const text = s.translations?.[lang] || {};
+        return { ...s, translations: { ...s.translations, [lang]: { ...text, fields: { ...text.fields, [key]: value } } } };
+      })
+    );
+  const moveStep = (i, dir) =>
+    setDraft((prev) => {
+      const j = i + dir;
+      if (j < 0 || j >= prev.length) return prev;
+      const next = [...prev];
+      [next[i], next[j]] = [next[j], next[i]];
+      return next;
+    });
+  const removeStep = (i) => setDraft((prev) => prev.filter((_, j) => j !== i));
+  const addStep = () =>
+    setDraft((prev) => [...prev, toDraftStep({ key: `step-${crypto.randomUUID().slice(0, 8)}`, title: "", location: "", instructions: "" })]);
+
+  const handlePublish = () => {
+    if (draft.length === 0) {
+      toast.error(t("A workflow needs at least one step."));
+      return;
+    }
+    if (draft.some((s) => !s.title.trim())) {
+      toast.error(t("Every step needs a title."));
+      return;
+    }
+    const fieldProblem = draft.map((s) => draftFieldsProblem(s.fields)).find(Boolean);
+    if (fieldProblem) {
+      toast.error(t(fieldProblem));
+      return;
+    }
+    const steps = draft.map((s) => {
+      const grades = s.grades.split(",").map((g) => g.trim()).filter(Boolean);
+      const appliesTo = grades.length || s.status ? { grades: grades.length ? grades : undefined, status: s.status || undefined } : undefined;
+      const fields = fieldsFromDraft(s.fields);
+      return {
+        key: s.key,
+        title: s.title.trim(),
+        location: s.location?.trim() || undefined,
+        instructions: s.instructions.trim(),
+        appliesTo,
+        optional: s.optional || undefined,
+        group: s.group?.trim() || undefined,
+        fields: fields.length ? fields : undefined,
+        booking: s.booking || undefined,
+        translations: cleanTranslations(s.translations),
+      };
+    });
+    const version = Math.max(...workflows.templates.map((tpl) => tpl.version)) + 1;
+    onPublish(name.trim() || `Workflow v${version}`, steps);
+    // The published version becomes active; the draft is now based on it.
+    setBase({ version, steps });
+    setDraft(steps.map(toDraftStep));
+    setName("");
+  };
+
+  const countByVersion = (version) => students.filter((s) => s.workflowVersion === version).length;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{t("Workflow Editor")}</CardTitle>
+        <CardDescription>
+          {t(
+            "Add, remove, reorder and reword steps. Limit a step to certain grades or to new/returning students, mark it optional, give neighbouring steps the same group name so they can be done in any order, ask for typed details (receipt number, locker, serial…) that must be filled in before sign-off, or require an ID photo booking. Translations left blank show the English text. Publishing saves a new template version; existing students keep the version they started on until migrated."
+          )}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {base.version !== active.version && (
+          <div className="rounded-2xl border border-amber-300 bg-amber-50 p-3 text-sm flex flex-wrap items-center justify-between gap-2">
+            <span>{t("v{active} is now the active workflow. Your unpublished changes below are still based on v{base}.", { active: active.version, base: base.version })}</span>
+            <Button variant="secondary" size="sm" onClick={discardDraft}>{t("Discard Changes and Load v{version}", { version: active.version })}</Button>
+          </div>
+        )}
+        <div className="space-y-3">
+          {draft.map((s, i) => (
+            <div key={s.key} className="p-3 rounded-2xl border bg-white grid grid-cols-1 md:grid-cols-12 gap-3">
+              <div className="md:col-span-1 flex md:flex-col items-center gap-1">
+                <Badge variant="secondary">{i + 1}</Badge>
+                <Button variant="ghost" size="icon" disabled={i === 0} onClick={() => moveStep(i, -1)}><ArrowUp className="h-4 w-4" /></Button>
+                <Button variant="ghost" size="icon" disabled={i === draft.length - 1} onClick={() => moveStep(i, 1)}><ArrowDown className="h-4 w-4" /></Button>
+              </div>
+              <div className="md:col-span-3">
+                <Label htmlFor={`wf-title-${s.key}`}>{t("Title")}</Label>
+                <Input id={`wf-title-${s.key}`} value={s.title} onChange={(e) => updateStep(i, "title", e.target.value)} />
+                <Label htmlFor={`wf-location-${s.key}`} className="mt-2 block">{t("Location")}</Label>
+                <Input id={`wf-location-${s.key}`} value={s.location || ""} onChange={(e) => updateStep(i, "location", e.target.value)} />
+              </div>
+              <div className="md:col-span-7">
+                <Label htmlFor={`wf-instructions-${s.key}`}>{t("Instructions")}</Label>
+                <Textarea id={`wf-instructions-${s.key}`} value={s.instructions} onChange={(e) => updateStep(i, "instructions", e.target.value)} />
+              </div>
+              <div className="md:col-span-1 flex items-start justify-end">
+                <Button variant="ghost" size="icon" onClick={() => removeStep(i)}><Trash2 className="h-4 w-4" /></Button>
+              </div>
+              <div className="md:col-span-11 md:col-start-2 grid grid-cols-1 md:grid-cols-5 gap-3 items-end">
+                <div>
+                  <Label htmlFor={`wf-grades-${s.key}`}>{t("Only for grades")}</Label>
+                  <Input id={`wf-grades-${s.key}`} placeholder={t("All grades (or e.g. 9, 10)")} value={s.grades} onChange={(e) => updateStep(i, "grades", e.target.value)} />
+                </div>
+                <div>
+                  <Label htmlFor={`wf-status-${s.key}`}>{t("Only for")}</Label>
+                  <select id={`wf-status-${s.key}`} className={SELECT_CLASS} value={s.status} onChange={(e) => updateStep(i, "status", e.target.value)}>
+                    <option value="">{t("All students")}</option>
+                    <option value="new">{t("New students")}</option>
+                    <option value="returning">{t("Returning students")}</option>
+                  </select>
+                </div>
+                <div>
+                  <Label htmlFor={`wf-group-${s.key}`}>{t("Any-order group")}</Label>
+                  <Input id={`wf-group-${s.key}`} placeholder={t("e.g., Equipment")} value={s.group || ""} onChange={(e) => updateStep(i, "group", e.target.value)} />
+                </div>
+                <div className="flex items-center gap-2 h-10">
+                  <Switch id={`wf-optional-${s.key}`} checked={!!s.optional} onCheckedChange={(v) => updateStep(i, "optional", v)} />
+                  <Label htmlFor={`wf-optional-${s.key}`}>{t("Optional (can be waived)")}</Label>
+                </div>
+                <div className="flex items-center gap-2 h-10">
+                  <Switch id={`wf-booking-${s.key}`} checked={!!s.booking} onCheckedChange={(v) => updateStep(i, "booking", v)} />
+                  <Label htmlFor={`wf-booking-${s.key}`}>{t("Books an ID photo slot")}</Label>
+                </div>
+              </div>
+              <div className="md:col-span-11 md:col-start-2">
+                <FieldListEditor fields={s.fields} onChange={(fields) => updateStep(i, "fields", fields)} idPrefix={`wf-field-${s.key}`} placeholder={t("e.g., Locker number")} />
+              </div>
+              {Object.entries(LANGUAGES)
+                .filter(([lang]) => lang !== DEFAULT_LANG)
+                .map(([lang, { label }]) => (
+                  <div key={lang} className="md:col-span-11 md:col-start-2 grid grid-cols-1 md:grid-cols-12 gap-3">
+                    <div className="md:col-span-3">
+                      <Label htmlFor={`wf-title-${lang}-${s.key}`}>{t("Title ({language})", { language: label })}</Label>
+                      <Input
+                        id={`wf-title-${lang}-${s.key}`}
+                        placeholder={s.title}
+                        value={s.translations?.[lang]?.title || ""}
+                        onChange={(e) => updateTranslation(i, lang, "title", e.target.value)}
+                      />
+                      <Label htmlFor={`wf-location-${lang}-${s.key}`} className="mt-2 block">{t("Location ({language})", { language: label })}</Label>
+                      <Input
+                        id={`wf-location-${lang}-${s.key}`}
+                        placeholder={s.location}
+                        value={s.translations?.[lang]?.location || ""}
+                        onChange={(e) => updateTranslation(i, lang, "location", e.target.value)}
+                      />
+                    </div>
+                    <div className="md:col-span-9">
+                      <Label htmlFor={`wf-instructions-${lang}-${s.key}`}>{t("Instructions ({language})", { language: label })}</Label>
+                      <Textarea
+                        id={`wf-instructions-${lang}-${s.key}`}
+                        placeholder={s.instructions}
+                        value={s.translations?.[lang]?.instructions || ""}
+                        onChange={(e) => updateTranslation(i, lang, "instructions", e.target.value)}
+                      />
+                    </div>
+                    {s.fields
+                      .filter((f) => f.key)
+                      .map((f) => (
+                        <div key={f.key} className="md:col-span-4">
+                          <Label htmlFor={`wf-field-${lang}-${s.key}-${f.key}`}>{f.label} ({label})</Label>
+                          <Input
+                            id={`wf-field-${lang}-${s.key}-${f.key}`}
+                            placeholder={f.label}
+                            value={s.translations?.[lang]?.fields?.[f.key] || ""}
+                            onChange={(e) => updateFieldTranslation(i, lang, f.key, e.target.value)}
+                          />
+                        </div>
+                      ))}
+                  </div>
+                ))}
+            </div>
+          ))}
+        </div>
+        <div className="flex flex-wrap items-end gap-2">
+          <Button variant="secondary" onClick={addStep}><Plus className="h-4 w-4 mr-2" /> {t("Add Step")}</Button>
+          <div className="w-64">
+            <Label htmlFor="wf-name">{t("Version Name")}</Label>
+            <Input id="wf-name" placeholder={t("e.g., Fall 2026 Registration")} value={name} onChange={(e) => setName(e.target.value)} />
+          </div>
+          <Button onClick={handlePublish}>{t("Publish New Version")}</Button>
+        </div>
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>{t("Version")}</TableHead>
+              <TableHead>{t("Name")}</TableHead>
+              <TableHead>{t("Steps")}</TableHead>
+              <TableHead>{t("Students")}</TableHead>
+              <TableHead className="text-right">{t("Actions")}</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {[...workflows.templates].reverse().map((tpl) => (
+              <TableRow key={tpl.version}>
+                <TableCell className="font-medium">v{tpl.version}</TableCell>
+                <TableCell>{tpl.name}</TableCell>
+                <TableCell>{tpl.steps.length}</TableCell>
+                <TableCell>{countByVersion(tpl.version)}</TableCell>
+                <TableCell className="text-right space-x-2">
+                  {tpl.version === active.version ? (
+                    <Badge>{t("Active")}</Badge>
+                  ) : (
+                    <>
+                      <Button variant="secondary" size="sm" onClick={() => onActivate(tpl.version)}>{t("Make Active")}</Button>
+                      <Button variant="secondary" size="sm" disabled={countByVersion(tpl.version) === 0} onClick={() => onMigrate(tpl.version)}>
+                        {t("Migrate Students to v{version}", { version: active.version })}
+                      </Button>
+                    </>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </CardContent>
+    </Card>
+  );
+}
+
+// --- Student Import (Admin) ---
+function StudentImport({ students, workflows, onImport }) {
+  const t = useT();
+  const fileRef = useRef(null);
+  const [fileName, setFileName] = useState("");
+  const [rows, setRows] = useState(null);
+  const [policy, setPolicy] = useState("skip");
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const text = await file.text();
+      setRows(previewImport(file.name, text, students, workflows));
+      setFileName(file.name);
+    } catch (err) {
+      toast.error(t("Could not read {file}: {message}", { file: file.name, message: t(err.message) }));
+    }
+  };
+
+  const valid = rows?.filter((r) => r.record) ?? [];
+  const matched = valid.filter((r) => r.match).length;
+
+  const handleApply = () => {
+    onImport(valid, policy);
+    setRows(null);
+    setFileName("");
+  };
+
+  return (
+    <>
+      <input ref={fileRef} type="file" accept=".json,.csv,application/json,text/csv" className="hidden" onChange={handleFile} />
+      <Button variant="secondary" onClick={() => fileRef.current?.click()}>{t("Import JSON / CSV")}</Button>
+      {rows && (
+        <div className="w-full space-y-3 pt-2">
+          <div className="text-sm">
+            <span className="font-medium">{fileName}</span>:{" "}
+            {t("{valid} valid, {invalid} invalid, {matched} matching existing students.", { valid: valid.length, invalid: rows.length - valid.length, matched })}
+          </div>
+          <div className="max-h-80 overflow-auto rounded-2xl border">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>{t("Row")}</TableHead>
+                  <TableHead>{t("Name")}</TableHead>
+                  <TableHead>{t("Grade")}</TableHead>
+                  <TableHead>{t("Steps Signed")}</TableHead>
+                  <TableHead>{t("Result")}</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {rows.map((r) => (
+                  <TableRow key={r.line}>
+                    <TableCell>{r.line}</TableCell>
+                    <TableCell>{r.record?.name ?? r.raw?.name ?? "—"}</TableCell>
+                    <TableCell>{r.record?.grade ?? "—"}</TableCell>
+                    <TableCell>{r.record ? `${r.record.steps.filter((s) => s.completed).length}/${r.record.steps.length}` : "—"}</TableCell>
+                    <TableCell>
+                      {r.error ? (
+                        <Badge variant="destructive">{t(r.error)}</Badge>
+                      ) : r.match ? (
+                        <Badge variant="secondary">{t("Matches {name}", { name: r.match.name })}</Badge>
+                      ) : (
+                        <Badge>{t("New")}</Badge>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="text-sm text-muted-foreground">{t("When a student already exists:")}</span>
+            {IMPORT_POLICIES.map((p) => (
+              <Button key={p} size="sm" variant={policy === p ? "default" : "secondary"} onClick={() => setPolicy(p)}>
+                {t(IMPORT_POLICY_LABELS[p])}
+              </Button>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <Button disabled={valid.length === 0} onClick={handleApply}>{t("Import {count} Student(s)", { count: valid.length })}</Button>
+            <Button variant="ghost" onClick={() => setRows(null)}>{t("Cancel")}</Button>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+// --- Registration Events (Admin) ---
+function EventManager({ events, students, viewEventId, onCreate, onActivate, onArchive, onReopen, onView, onCarryOver }) {
+  const t = useT();
+  const [name, setName] = useState("");
+  const [sourceId, setSourceId] = useState("");
+  const [selected, setSelected] = useState(() => new Set());
+  const [advanceGrade, setAdvanceGrade] = useState(true);
+  const viewed = events.events.find((e) => e.id === viewEventId);
+  const target = studentsInEvent(students, viewEventId);
+  const candidates = sourceId ? studentsInEvent(students, sourceId).filter((s) => !alreadyCarriedOver(target, s)) : [];
+
+  const handleCreate = () => {
+    if (!name.trim()) {
+      toast.error(t("Enter a name for the event."));
+      return;
+    }
+    onCreate(name.trim());
+    setName("");
+  };
+
+  const chooseSource = (id) => {
+    setSourceId(id);
+    setSelected(new Set(studentsInEvent(students, id).filter((s) => !alreadyCarriedOver(target, s)).map((s) => s.id)));
+  };
+
+  const toggle = (id) =>
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+
+  const handleCarryOver = () => {
+    onCarryOver(candidates.filter((s) => selected.has(s.id)), { advanceGrade });
+    setSourceId("");
+    setSelected(new Set());
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{t("Registration Events")}</CardTitle>
+        <CardDescription>
+          {t("Each event keeps its own students and analytics. New students are added to the active event; archived events are read-only.")}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>{t("Event")}</TableHead>
+              <TableHead>{t("Students")}</TableHead>
+              <TableHead>{t("Created")}</TableHead>
+              <TableHead>{t("Status")}</TableHead>
+              <TableHead className="text-right">{t("Actions")}</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {[...events.events].reverse().map((e) => (
+              <TableRow key={e.id} className={e.id === viewEventId ? "bg-muted/40" : ""}>
+                <TableCell className="font-medium">{e.name}</TableCell>
+                <TableCell>{studentsInEvent(students, e.id).length}</TableCell>
+                <TableCell>{e.createdAt ? t.date(e.createdAt) : "—"}</TableCell>
+                <TableCell>
+                  {e.id === events.activeId ? <Badge>{t("Active")}</Badge> : e.archivedAt ? <Badge variant="secondary">{t("Archived")}</Badge> : <Badge variant="outline">{t("Open")}</Badge>}
+                </TableCell>
+                <TableCell className="text-right space-x-2">
+                  {e.id !== viewEventId && <Button variant="secondary" size="sm" onClick={() => onView(e.id)}>{t("View")}</Button>}
+                  {e.id !== events.activeId && !e.archivedAt && (
+                    <>
+                      <Button variant="secondary" size="sm" onClick={() => onActivate(e.id)}>{t("Make Active")}</Button>
+                      <Button variant="secondary" size="sm" onClick={() => onArchive(e.id)}>{t("Archive")}</Button>
+                    </>
+                  )}
+                  {e.archivedAt && <Button variant="ghost" size="sm" onClick={() => onReopen(e.id)}>{t("Reopen")}</Button>}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+        <div className="flex flex-wrap items-end gap-2">
+          <div className="w-64">
+            <Label htmlFor="event-name">{t("New Event")}</Label>
+            <Input id="event-name" placeholder={t("e.g., Fall 2026 Registration")} value={name} onChange={(e) => setName(e.target.value)} />
+          </div>
+          <Button onClick={handleCreate}><Plus className="h-4 w-4 mr-2" /> {t("Create & Make Active")}</Button>
+        </div>
+        {!viewed?.archivedAt && events.events.length > 1 && (
+          <div className="space-y-3 rounded-2xl border p-3">
+            <div className="text-sm font-medium">{t("Carry over returning students into {event}", { event: viewed?.name })}</div>
+            <div className="flex flex-wrap items-end gap-3">
+              <div className="w-64">
+                <Label htmlFor="carry-source">{t("From event")}</Label>
+                <select id="carry-source" className={SELECT_CLASS} value={sourceId} onChange={(e) => chooseSource(e.target.value)}>
+                  <option value="">{t("Choose an event…")}</option>
+                  {events.events.filter((e) => e.id !== viewEventId).map((e) => (
+                    <option key={e.id} value={e.id}>{e.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="flex items-center gap-2 h-10">
+                <Switch id="carry-advance" checked={advanceGrade} onCheckedChange={setAdvanceGrade} />
+                <Label htmlFor="carry-advance">{t("Move numeric grades up by one")}</Label>
+              </div>
+            </div>
+            {sourceId && (
+              <>
+                <div className="max-h-64 overflow-auto rounded-2xl border">
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead className="w-10"></TableHead>
+                        <TableHead>{t("Name")}</TableHead>
+                        <TableHead>{t("Grade")}</TableHead>
+                        <TableHead>{t("Student ID")}</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {candidates.length === 0 && (
+                        <TableRow>
+                          <TableCell colSpan={4} className="text-center text-muted-foreground">{t("Everyone from that event is already here.")}</TableCell>
+                        </TableRow>
+                      )}
+                      {candidates.map((s) => (
+                        <TableRow key={s.id}>
+                          <TableCell><input type="checkbox" checked={selected.has(s.id)} onChange={() => toggle(s.id)} /></TableCell>
+                          <TableCell>{s.name}</TableCell>
+                          <TableCell>{s.grade || "—"}{advanceGrade && nextGrade(s.grade) !== s.grade ? ` → ${nextGrade(s.grade)}` : ""}</TableCell>
+                          <TableCell>{s.studentNumber || "—"}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </div>
+                <div className="flex gap-2">
+                  <Button disabled={selected.size === 0} onClick={handleCarryOver}>
+                    {t("Carry Over {count} Student(s)", { count: candidates.filter((s) => selected.has(s.id)).length })}
+                  </Button>
+                  <Button variant="ghost" onClick={() => setSourceId("")}>{t("Cancel")}</Button>
+                </div>
+              </>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+// --- Reports (Admin) ---
+function ReportExports({ students, filterLabel, fileBase }) {
+  const t = useT();
+  const [reportId, setReportId] = useState("students");
+  const [formatId, setFormatId] = useState("xlsx");
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{t("Reports")}</CardTitle>
+        <CardDescription>
+          {t("Spreadsheet reports for the front office.")}{" "}
+          {filterLabel
+            ? t("Includes the {count} student(s) matching {filters} on the Students tab.", { count: students.length, filters: filterLabel })
+            : t("Includes all {count} student(s); use the filters on the Students tab to narrow it down.", { count: students.length })}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="flex flex-wrap items-end gap-3">
+        <div className="w-64">
+          <Label htmlFor="report-kind">{t("Report")}</Label>
+          <select id="report-kind" className={SELECT_CLASS} value={reportId} onChange={(e) => setReportId(e.target.value)}>
+            {Object.entries(REPORTS).map(([id, r]) => (
+              <option key={id} value={id}>{t(r.label)}</option>
+            ))}
+          </select>
+        </div>
+        <div className="w-40">
+          <Label htmlFor="report-format">{t("Format")}</Label>
+          <select id="report-format" className={SELECT_CLASS} value={formatId} onChange={(e) => setFormatId(e.target.value)}>
+            {Object.entries(REPORT_FORMATS).map(([id, f]) => (
+              <option key={id} value={id}>{t(f.label)}</option>
+            ))}
+          </select>
+        </div>
+        <Button disabled={students.length === 0} onClick={() => exportReport(reportId, formatId, students, fileBase)}>
+          <Download className="h-4 w-4 mr-2" /> {t("Download")}
+        </Button>
+        <p className="w-full text-xs text-muted-foreground">{t(REPORTS[reportId].description)}</p>
+      </CardContent>
+    </Card>
+  );
+}
+
+// --- ID Photo Appointments (Admin) ---
+function byName(a, b) {
+  return a.name.localeCompare(b.name);
+}
+
+// Paper roster for the photographer: one block per slot, blank column to tick off.
+function PhotoRoster({ day, slots, students, eventName }) {
+  const t = useT();
+  const locale = LANGUAGES[t.lang].locale;
+  return (
+    <div className="p-8 space-y-4 text-black">
+      <div>
+        <h1 className="text-2xl font-bold">{t("ID Photo Roster")}</h1>
+        <div className="text-sm">{eventName} • {new Date(`${day}T00:00`).toLocaleDateString(locale, { dateStyle: "full" })}</div>
+      </div>
+      <table className="w-full border-collapse text-sm">
+        <thead>
+          <tr>
+            <th className="border p-2 text-left">{t("Time")}</th>
+            <th className="border p-2 text-left">{t("Student")}</th>
+            <th className="border p-2 text-left">{t("Grade")}</th>
+            <th className="border p-2 text-left">{t("Code")}</th>
+            <th className="border p-2 text-left">{t("Booked By")}</th>
+            <th className="border p-2 text-left">{t("Photo Taken")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {slots.map((slot) => {
+            const booked = students.filter((s) => s.appointment?.slotId === slot.id).sort(byName);
+            if (booked.length === 0) {
+              return (
+                <tr key={slot.id}>
+                  <td className="border p-2 font-medium whitespace-nowrap">{slotTimes(slot, t.lang)}</td>
+                  <td className="border p-2 italic" colSpan={5}>{t("Open ({count} seat(s))", { count: slot.capacity })}</td>
+                </tr>
+              );
+            }
+            return booked.map((s, i) => (
+              <tr key={s.id}>
+                <td className="border p-2 font-medium whitespace-nowrap">{i === 0 ? slotTimes(slot, t.lang) : ""}</td>
+                <td className="border p-2">{s.name}</td>
+                <td className="border p-2">{s.grade || ""}</td>
+                <td className="border p-2 font-mono">{s.code}</td>
+                <td className="border p-2">{s.appointment.initials}</td>
+                <td className="border p-2 w-24"></td>
+              </tr>
+            ));
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function PhotoAppointments({ slots, students, readOnly, onAddSlots, onDeleteSlot, onPrintRoster }) {
+  const t = useT();
+  const [form, setForm] = useState({ date: localDay(Date.now()), from: "09:00", to: "12:00", minutes: "10", capacity: "2" });
+  const days = useMemo(() => [...new Set(slots.map(slotDay))], [slots]);
+  const [day, setDay] = useState("");
+  const shownDay = days.includes(day) ? day : days.find((d) => d >= localDay(Date.now())) || days[0] || "";
+  const daySlots = slots.filter((s) => slotDay(s) === shownDay);
+  const load = useMemo(() => slotLoad(students), [students]);
+  const set = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const handleAdd = () => {
+    const minutes = Number(form.minutes);
+    const capacity = Number(form.capacity);
+    if (!form.date || !form.from || !form.to || form.from >= form.to) {
+      toast.error(t("Enter a date and a start time before the end time."));
+      return;
+    }
+    if (!Number.isInteger(minutes) || minutes < 1 || !Number.isInteger(capacity) || capacity < 1) {
+      toast.error(t("Slot length and capacity must be whole numbers of at least 1."));
+      return;
+    }
+    onAddSlots({ ...form, minutes, capacity });
+    setDay(form.date);
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{t("ID Photo Appointments")}</CardTitle>
+        <CardDescription>
+          {t("Publish photo time slots for this event. Staff book students into them at the ID scheduling step; a slot takes no more bookings once it reaches its capacity. Slots that overlap an existing one are skipped.")}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {!readOnly && (
+          <div className="flex flex-wrap items-end gap-3">
+            <div className="w-40">
+              <Label htmlFor="slot-date">{t("Date")}</Label>
+              <Input id="slot-date" type="date" value={form.date} onChange={(e) => set("date", e.target.value)} />
+            </div>
+            <div className="w-32">
+              <Label htmlFor="slot-from">{t("From")}</Label>
+              <Input id="slot-from" type="time" value={form.from} onChange={(e) => set("from", e.target.value)} />
+            </div>
+            <div className="w-32">
+              <Label htmlFor="slot-to">{t("To")}</Label>
+              <Input id="slot-to" type="time" value={form.to} onChange={(e) => set("to", e.target.value)} />
+            </div>
+            <div className="w-32">
+              <Label htmlFor="slot-minutes">{t("Minutes per slot")}</Label>
+              <Input id="slot-minutes" type="number" min="1" value={form.minutes} onChange={(e) => set("minutes", e.target.value)} />
+            </div>
+            <div className="w-32">
+              <Label htmlFor="slot-capacity">{t("Students per slot")}</Label>
+              <Input id="slot-capacity" type="number" min="1" value={form.capacity} onChange={(e) => set("capacity", e.target.value)} />
+            </div>
+            <Button onClick={handleAdd}><Plus className="h-4 w-4 mr-2" /> {t("Add Slots")}</Button>
+          </div>
+        )}
+        {days.length === 0 ? (
+          <p className="text-sm text-muted-foreground">{t("No photo slots yet.")}</p>
+        ) : (
+          <>
+            <div className="flex flex-wrap items-end gap-3">
+              <div className="w-56">
+                <Label htmlFor="slot-day">{t("Day")}</Label>
+                <select id="slot-day" className={SELECT_CLASS} value={shownDay} onChange={(e) => setDay(e.target.value)}>
+                  {days.map((d) => (
+                    <option key={d} value={d}>{new Date(`${d}T00:00`).toLocaleDateString(LANGUAGES[t.lang].locale, { weekday: "long", month: "short", day: "numeric" })}</option>
+                  ))}
+                </select>
+              </div>
+              <Button variant="secondary" onClick={() => onPrintRoster(shownDay, daySlots)}>
+                <Printer className="h-4 w-4 mr-2" /> {t("Print Day Roster")}
+              </Button>
+            </div>
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>{t("Time")}</TableHead>
+                  <TableHead>{t("Booked")}</TableHead>
+                  <TableHead>{t("Students")}</TableHead>
+                  <TableHead className="text-right">{t("Actions")}</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {daySlots.map((slot) => {
+                  const taken = load.get(slot.id) || 0;
+                  return (
+                    <TableRow key={slot.id}>
+                      <TableCell className="font-medium whitespace-nowrap">{slotTimes(slot, t.lang)}</TableCell>
+                      <TableCell>
+                        <Badge variant={taken > slot.capacity ? "destructive" : taken === slot.capacity ? "default" : "secondary"}>
+                          {taken}/{slot.capacity}
+                        </Badge>
+                      </TableCell>
+                      <TableCell className="text-sm">
+                        {students.filter((s) => s.appointment?.slotId === slot.id).sort(byName).map((s) => s.name).join(", ") || "—"}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {!readOnly && (
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            disabled={taken > 0}
+                            title={taken > 0 ? t("Reschedule or cancel its bookings first.") : undefined}
+                            onClick={() => onDeleteSlot(slot.id)}
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </Button>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+// --- Notifications (Admin) ---
+const NOTIFY_STATUS_VARIANT = { pending: "secondary", sent: "default", failed: "destructive" };
+const NOTIFY_STATUS_LABELS = { pending: "Pending", sent: "Sent", failed: "Failed" };
+
+function NotificationSettings({ settings, serverAvailable, queue, onSave, onRetry, onClearFinished, onTest }) {
+  const t = useT();
+  const [draft, setDraft] = useState(settings);
+  const [testChannel, setTestChannel] = useState("email");
+
+  // Follow edits saved on other stations.
+  useEffect(() => setDraft(settings), [settings]);
+
+  const set = (field, value) => setDraft((prev) => ({ ...prev, [field]: value }));
+  const setTemplate = (kind, field, value) =>
+    setDraft((prev) => ({ ...prev, templates: { ...prev.templates, [kind]: { ...prev.templates[kind], [field]: value } } }));
+
+  const handleSave = () => {
+    const stallMinutes = Number(draft.stallMinutes);
+    if (!Number.isFinite(stallMinutes) || stallMinutes < 0) {
+      toast.error(t("The stall threshold must be a number of minutes (0 turns stall alerts off)."));
+      return;
+    }
+    onSave({ ...draft, stallMinutes });
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{t("Guardian Notifications")}</CardTitle>
+        <CardDescription>
+          {t("Message guardians when a student finishes registration, or when they have waited at one step longer than the threshold.")}{" "}
+          {t("Messages are queued on the station that triggered them and retried if delivery fails.")}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-wrap items-end gap-4">
+          <div className="flex items-center gap-2 h-10">
+            <Switch id="notify-enabled" checked={draft.enabled} onCheckedChange={(v) => set("enabled", v)} />
+            <Label htmlFor="notify-enabled">{t("Send notifications")}</Label>
+          </div>
+          <div className="w-64">
+            <Label htmlFor="notify-transport">{t("Delivery")}</Label>
+            <select id="notify-transport" className={SELECT_CLASS} value={draft.transport} onChange={(e) => set("transport", e.target.value)}>
+              {Object.entries(NOTIFY_TRANSPORTS).map(([id, label]) => (
+                <option key={id} value={id} disabled={id === "server" && !serverAvailable}>{t(label)}</option>
+              ))}
+            </select>
+          </div>
+          <div className="w-40">
+            <Label htmlFor="notify-stall">{t("Stall alert after (min)")}</Label>
+            <Input id="notify-stall" type="number" min="0" value={draft.stallMinutes} onChange={(e) => set("stallMinutes", e.target.value)} />
+          </div>
+          {Object.entries(NOTIFY_CHANNELS).map(([id, c]) => (
+            <div key={id} className="flex items-center gap-2 h-10">
+              <Switch id={`notify-${id}`} checked={!!draft.channels[id]} onCheckedChange={(v) => set("channels", { ...draft.channels, [id]: v })} />
+              <Label htmlFor={`notify-${id}`}>{t(c.label)}</Label>
+            </div>
+          ))}
+        </div>
+        {draft.transport === "server" && !serverAvailable && (
+          <p className="text-xs text-amber-700">{t("This device is not connected to a sync server, so messages go to the test outbox instead.")}</p>
+        )}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {[["completed", "Registration complete"], ["stalled", "Stuck at a step"]].map(([kind, label]) => (
+            <div key={kind} className="space-y-2">
+              <div className="text-sm font-medium">{t(label)}</div>
+              <Input aria-label={t("{label} subject", { label: t(label) })} value={draft.templates[kind].subject} onChange={(e) => setTemplate(kind, "subject", e.target.value)} />
+              <Textarea aria-label={t("{label} message", { label: t(label) })} rows={5} value={draft.templates[kind].body} onChange={(e) => setTemplate(kind, "body", e.target.value)} />
+            </div>
+          ))}
+        </div>
+        <p className="text-xs text-muted-foreground">{t("Placeholders: {list}", { list: NOTIFY_PLACEHOLDERS.map((p) => `{{${p}}}`).join(", ") })}</p>
+        <div className="flex flex-wrap items-end gap-2">
+          <Button onClick={handleSave}>{t("Save Notification Settings")}</Button>
+          <div className="w-48">
+            <Label htmlFor="notify-test-channel">{t("Test channel")}</Label>
+            <select id="notify-test-channel" className={SELECT_CLASS} value={testChannel} onChange={(e) => setTestChannel(e.target.value)}>
+              {Object.entries(NOTIFY_CHANNELS).map(([id, c]) => (
+                <option key={id} value={id}>{t(c.label)}</option>
+              ))}
+            </select>
+          </div>
+          <Button variant="secondary" onClick={() => onTest(testChannel)}>{t("Send Test")}</Button>
+        </div>
+        <p className="text-xs text-muted-foreground">
+          {t("The relay only writes to guardian contacts saved on the student. Test messages go to the sync server's own test address (NOTIFY_TEST_EMAIL or NOTIFY_TEST_PHONE).")}
+        </p>
+        <div className="flex items-center justify-between">
+          <div className="text-sm font-medium">{t("Queue on this device")}</div>
+          <Button variant="ghost" size="sm" disabled={!queue.some((m) => m.status !== "pending")} onClick={onClearFinished}>{t("Clear Sent & Failed")}</Button>
+        </div>
+        <div className="max-h-80 overflow-auto rounded-2xl border">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>{t("Queued")}</TableHead>
+                <TableHead>{t("Student")}</TableHead>
+                <TableHead>{t("Recipient")}</TableHead>
+                <TableHead>{t("Message")}</TableHead>
+                <TableHead>{t("Status")}</TableHead>
+                <TableHead className="text-right">{t("Actions")}</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {queue.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={6} className="text-center text-muted-foreground">{t("No messages yet.")}</TableCell>
+                </TableRow>
+              )}
+              {queue.map((m) => (
+                <TableRow key={m.id}>
+                  <TableCell className="whitespace-nowrap">{t.date(m.createdAt)}</TableCell>
+                  <TableCell>{m.studentName || "—"}</TableCell>
+                  <TableCell>{m.to} <span className="text-xs text-muted-foreground">({NOTIFY_CHANNELS[m.channel] ? t(NOTIFY_CHANNELS[m.channel].label) : m.channel})</span></TableCell>
+                  <TableCell>
+                    <details>
+                      <summary className="cursor-pointer">{m.subject}</summary>
+                      <pre className="whitespace-pre-wrap text-xs">{m.body}</pre>
+                    </details>
+                  </TableCell>
+                  <TableCell>
+                    <Badge variant={NOTIFY_STATUS_VARIANT[m.status]}>
+                      {m.status === "sent" && m.transport === "local" ? t("In test outbox") : t(NOTIFY_STATUS_LABELS[m.status] ?? m.status)}
+                    </Badge>
+                    {m.lastError && <div className="text-xs text-muted-foreground">{t("{count} attempt(s): {error}", { count: m.attempts, error: m.lastError })}</div>}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    {m.status === "failed" && <Button variant="secondary" size="sm" onClick={() => onRetry(m.id)}>{t("Retry")}</Button>}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+// --- Hooks ---
+// Keeps a shared document in sync with the storage adapter: loads it, follows
+// changes from other devices/tabs and writes local edits back. `t` is read
+// through a ref so a language switch does not reload the document.
+function useStoredDoc(adapter, name, normalize, t) {
+  const [value, setValue] = useState(() => normalize(null));
+  const [ready, setReady] = useState(false);
+  const synced = useRef(null);
+  const tRef = useRef(t);
+  tRef.current = t;
+
+  useEffect(() => {
+    let cancelled = false;
+    const accept = (doc) => {
+      const next = normalize(doc);
+      synced.current = JSON.stringify(next);
+      setValue(next);
+    };
+    adapter
+      .loadDoc(name)
+      .then((doc) => {
+        if (cancelled) return;
+        accept(doc);
+        setReady(true);
+      })
+      .catch((err) => toast.error(tRef.current("Could not load {name}: {message}", { name, message: err.message })));
+    const unsubscribe = adapter.subscribe((change) => {
+      if (change.type === "doc" && change.name === name) accept(change.value);
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [adapter, name, normalize]);
+
+  useEffect(() => {
+    if (!ready) return;
+    const json = JSON.stringify(value);
+    if (json === synced.current) return;
+    synced.current = json;
+    adapter.saveDoc(name, value).catch((err) => toast.error(tRef.current("Could not save {name}: {message}", { name, message: err.message })));
+  }, [adapter, name, value, ready]);
+
+  return [value, setValue, ready];
+}
+
+// Renders `node` into a print-only area and opens the print dialog; everything
+// else on the page is hidden while printing.
+// Staff accounts as the adapter hands them out: without PIN hashes. PINs are only
+// ever checked by adapter.login; saves return the updated list for `setAccounts`.
+function useStaffAccounts(adapter, t) {
+  const [accounts, setAccounts] = useState([]);
+  const [ready, setReady] = useState(false);
+  const tRef = useRef(t);
+  tRef.current = t;
+
+  useEffect(() => {
+    let cancelled = false;
+    adapter
+      .loadStaff()
+      .then((list) => {
+        if (cancelled) return;
+        setAccounts(list);
+        setReady(true);
+      })
+      .catch((err) => toast.error(tRef.current("Could not load staff accounts: {message}", { message: err.message })));
+    const unsubscribe = adapter.subscribe((change) => {
+      if (change.type === "staff") setAccounts(change.accounts);
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [adapter]);
+
+  return [accounts, setAccounts, ready];
+}
+
+function usePrintJob() {
+  const [job, setJob] = useState(null);
+  useEffect(() => {
+    if (!job) return;
+    const done = () => setJob(null);
+    window.addEventListener("afterprint", done);
+    const frame = requestAnimationFrame(() => window.print());
+    return () => {
+      cancelAnimationFrame(frame);
+      window.removeEventListener("afterprint", done);
+    };
+  }, [job]);
+  return [job, setJob];
+}
+
+// The part of the URL hash after "#/", e.g. "verify" for "#/verify?code=ABC-234",
+// plus its query parameters.
+function useHashRoute() {
+  const parse = () => {
+    const [path, query] = window.location.hash.replace(/^#\/?/, "").split("?");
+    return { path, params: new URLSearchParams(query || "") };
+  };
+  const [route, setRoute] = useState(parse);
+  useEffect(() => {
+    const handler = () => setRoute(parse());
+    window.addEventListener("hashchange", handler);
+    return () => window.removeEventListener("hashchange", handler);
+  }, []);
+  return route;
+}
+
+// Guardian notifications waiting to be delivered from this device. Due messages
+// are sent one at a time; failures are retried with a growing delay until
+// NOTIFY_MAX_ATTEMPTS, or dropped straight to "failed" when retrying cannot help.
+function useNotifyQueue(transport) {
+  const [queue, setQueue] = useState(() => loadNotifyQueue());
+  const latest = useRef({ queue, transport });
+  latest.current = { queue, transport };
+  const running = useRef(false);
+
+  useEffect(() => saveNotifyQueue(queue), [queue]);
+
+  const run = async () => {
+    if (running.current) return;
+    running.current = true;
+    try {
+      const due = latest.current.queue.filter((m) => m.status === "pending" && m.nextAttemptAt <= Date.now());
+      for (const m of due) {
+        const t = latest.current.transport;
+        let update;
+        try {
+          await t.send(m);
+          update = { status: "sent", sentAt: Date.now(), transport: t.kind, attempts: m.attempts + 1, lastError: undefined };
+        } catch (err) {
+          const attempts = m.attempts + 1;
+          const failed = err.permanent || attempts >= NOTIFY_MAX_ATTEMPTS;
+          update = { attempts, lastError: err.message, status: failed ? "failed" : "pending", nextAttemptAt: Date.now() + NOTIFY_RETRY_MS * 2 ** (attempts - 1) };
+        }
+        setQueue((prev) => prev.map((x) => (x.id === m.id ? { ...x, ...update } : x)));
+      }
+    } finally {
+      running.current = false;
+    }
+  };
+
+  useEffect(() => {
+    const timer = setInterval(run, 5000);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    run();
+  }, [queue.length, transport]);
+
+  const enqueue = (messages) => {
+    if (messages.length) setQueue((prev) => [...messages, ...prev]);
+  };
+  const retry = (id) => setQueue((prev) => prev.map((m) => (m.id === id ? { ...m, status: "pending", nextAttemptAt: Date.now() } : m)));
+  const clearFinished = () => setQueue((prev) => prev.filter((m) => m.status === "pending"));
+
+  return { queue, enqueue, retry, clearFinished };
+}
+
+// Re-renders every `ms` so elapsed times stay current.
+function useNow(ms) {
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), ms);
+    return () => clearInterval(timer);
+  }, [ms]);
+  return now;
+}
+
+// --- Staff Login (Header) ---
+const SELECT_CLASS = "flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm";
+
+function StaffLogin({ accounts, ready, onLogin }) {
+  const t = useT();
+  const [accountId, setAccountId] = useState("");
+  const [pin, setPin] = useState("");
+  const [newPin, setNewPin] = useState("");
+  const setup = ready && accounts.length === 0;
+
+  const handleLogin = async () => {
+    await onLogin(accountId || accounts[0]?.id || null, pin, newPin);
+    setPin("");
+    setNewPin("");
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      {accounts.length > 0 && (
+        <select aria-label={t("Staff account")} className={`${SELECT_CLASS} w-44`} value={accountId || accounts[0].id} onChange={(e) => setAccountId(e.target.value)}>
+          {accounts.map((a) => (
+            <option key={a.id} value={a.id}>{a.name} ({a.initials})</option>
+          ))}
+        </select>
+      )}
+      <Input
+        value={pin}
+        onChange={(e) => setPin(e.target.value)}
+        onKeyDown={(e) => e.key === "Enter" && handleLogin()}
+        placeholder={setup ? t("Setup PIN") : t("PIN")}
+        type="password"
+        className="w-32"
+      />
+      {setup && (
+        <Input
+          value={newPin}
+          onChange={(e) => setNewPin(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && handleLogin()}
+          placeholder={t("New admin PIN")}
+          aria-label={t("New admin PIN")}
+          type="password"
+          inputMode="numeric"
+          className="w-40"
+        />
+      )}
+      <Button onClick={handleLogin} variant="secondary">{t("Unlock")}</Button>
+    </div>
+  );
+}
 
-function loadStudents() {
-  try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return [];
-    const parsed = JSON.parse(raw);
-    return Array.isArray(parsed) ? parsed : [];
-  } catch {
-    return [];
-  }
+// --- Staff Accounts (Admin) ---
+function StaffAccounts({ accounts, template, currentStaff, onSave, onDelete }) {
+  const t = useT();
+  const empty = { name: "", initials: "", role: "station", steps: [], pin: "" };
+  const [form, setForm] = useState(empty);
+  const [editingId, setEditingId] = useState(null);
+
+  const set = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+  const toggleStep = (key) => set("steps", form.steps.includes(key) ? form.steps.filter((k) => k !== key) : [...form.steps, key]);
+  const stepTitle = (key) => {
+    const step = template.steps.find((s) => s.key === key);
+    return step ? localizeStep(step, t.lang).title : key;
+  };
+
+  const startEdit = (a) => {
+    setEditingId(a.id);
+    setForm({ name: a.name, initials: a.initials, role: a.role, steps: a.steps, pin: "" });
+  };
+
+  const handleSave = async () => {
+    if (!form.name.trim() || !form.initials.trim()) {
+      toast.error(t("Enter a name and initials."));
+      return;
+    }
+    if ((!editingId || form.pin) && !isValidPin(form.pin)) {
+      toast.error(t("PIN must be at least {n} digits", { n: MIN_PIN_LENGTH }));
+      return;
+    }
+    const existing = accounts.find((a) => a.id === editingId);
+    const account = {
+      ...existing,
+      id: editingId || crypto.randomUUID(),
+      name: form.name.trim(),
+      initials: form.initials.trim().slice(0, 5).toUpperCase(),
+      role: form.role,
+      steps: form.role === "admin" ? [] : form.steps,
+    };
+    if (!(await onSave(account, form.pin || undefined))) return;
+    setForm(empty);
+    setEditingId(null);
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{t("Staff Accounts & Security")}</CardTitle>
+        <CardDescription>
+          {t("Each person signs in with their own PIN. Admins can sign every step and use this tab; station staff can only sign the steps ticked for them. Staff Mode locks after {minutes} minutes without activity.", { minutes: STAFF_TIMEOUT_MS / 60000 })}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>{t("Name")}</TableHead>
+              <TableHead>{t("Initials")}</TableHead>
+              <TableHead>{t("Role")}</TableHead>
+              <TableHead>{t("May Sign")}</TableHead>
+              <TableHead className="text-right">{t("Actions")}</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {accounts.map((a) => (
+              <TableRow key={a.id}>
+                <TableCell className="font-medium">{a.name}</TableCell>
+                <TableCell>{a.initials}</TableCell>
+                <TableCell>{t(STAFF_ROLES[a.role])}</TableCell>
+                <TableCell>{a.role === "admin" ? t("All steps") : a.steps.map(stepTitle).join(", ") || "—"}</TableCell>
+                <TableCell className="text-right">
+                  <Button variant="ghost" size="icon" onClick={() => startEdit(a)}><Edit3 className="h-4 w-4" /></Button>
+                  <Button variant="ghost" size="icon" disabled={a.id === currentStaff?.id} onClick={() => onDelete(a.id)}><Trash2 className="h-4 w-4" /></Button>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+          <div>
+            <Label htmlFor="staff-name">{t("Name")}</Label>
+            <Input id="staff-name" placeholder={t("e.g., Mark Laborde")} value={form.name} onChange={(e) => set("name", e.target.value)} />
+          </div>
+          <div>
+            <Label htmlFor="staff-initials">{t("Initials")}</Label>
+            <Input id="staff-initials" placeholder={t("e.g., ML")} maxLength={5} value={form.initials} onChange={(e) => set("initials", e.target.value)} />
+          </div>
+          <div>
+            <Label htmlFor="staff-role">{t("Role")}</Label>
+            <select id="staff-role" className={SELECT_CLASS} value={form.role} onChange={(e) => set("role", e.target.value)}>
+              {Object.entries(STAFF_ROLES).map(([value, label]) => (
+                <option key={value} value={value}>{t(label)}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <Label htmlFor="staff-pin">{editingId ? t("New PIN (leave blank to keep)") : t("PIN")}</Label>
+            <Input id="staff-pin" type="password" inputMode="numeric" placeholder={t("{n}+ digits", { n: MIN_PIN_LENGTH })} value={form.pin} onChange={(e) => set("pin", e.target.value)} />
+          </div>
+        </div>
+        {form.role === "station" && (
+          <div className="flex flex-wrap gap-2">
+            {template.steps.map((s, i) => (
+              <Button key={s.key} size="sm" variant={form.steps.includes(s.key) ? "default" : "secondary"} onClick={() => toggleStep(s.key)}>
+                {i + 1}. {localizeStep(s, t.lang).title}
+              </Button>
+            ))}
+          </div>
+        )}
+        <div className="flex gap-2">
+          <Button onClick={handleSave}><ShieldCheck className="h-4 w-4 mr-2" /> {editingId ? t("Save Account") : t("Add Account")}</Button>
+          {editingId && <Button variant="ghost" onClick={() => { setEditingId(null); setForm(empty); }}>{t("Cancel")}</Button>}
+        </div>
+      </CardContent>
+    </Card>
+  );
 }
 
-function saveStudents(students) {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(students));
+// --- Audit Log Viewer (Admin) ---
+const AUDIT_PAGE_SIZE = 100;
+
+function AuditLogViewer({ entries }) {
+  const t = useT();
+  const [action, setAction] = useState("");
+  const [text, setText] = useState("");
+  const [limit, setLimit] = useState(AUDIT_PAGE_SIZE);
+  const [openId, setOpenId] = useState(null);
+
+  const filtered = useMemo(() => {
+    const q = text.trim().toLowerCase();
+    return entries
+      .filter((e) => !action || e.action === action)
+      .filter(
+        (e) =>
+          !q ||
+          [e.studentName, e.actor?.name, e.actor?.initials, e.step?.title, e.detail].some((v) => v && v.toLowerCase().includes(q))
+      )
+      .reverse();
+  }, [entries, action, text]);
+
+  const exportCsv = () => {
+    const rows = [["Timestamp", "Action", "Actor", "Initials", "Student", "Student Record ID", "Step", "Detail", "Before", "After"]];
+    filtered.forEach((e) =>
+      rows.push([
+        new Date(e.at).toISOString(),
+        e.action,
+        e.actor?.name,
+        e.actor?.initials,
+        e.studentName,
+        e.studentId,
+        e.step ? `${e.step.index}. ${e.step.title}` : "",
+        e.detail,
+        e.before === undefined ? "" : JSON.stringify(e.before),
+        e.after === undefined ? "" : JSON.stringify(e.after),
+      ])
+    );
+    downloadFile("registration-audit-log.csv", toCsv(rows), "text/csv");
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{t("Audit Log")}</CardTitle>
+        <CardDescription>
+          {t("Every sign-off, reset, delete and account change: who did it, when, and what the record looked like before. Entries cannot be edited or removed.")}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+          <div>
+            <Label htmlFor="audit-action">{t("Action")}</Label>
+            <select id="audit-action" className={SELECT_CLASS} value={action} onChange={(e) => setAction(e.target.value)}>
+              <option value="">{t("All actions")}</option>
+              {Object.entries(AUDIT_ACTIONS).map(([value, label]) => (
+                <option key={value} value={value}>{t(label)}</option>
+              ))}
+            </select>
+          </div>
+          <div className="md:col-span-2">
+            <Label htmlFor="audit-text">{t("Student, staff or step")}</Label>
+            <Input id="audit-text" placeholder={t("e.g., Jordan or ML")} value={text} onChange={(e) => setText(e.target.value)} />
+          </div>
+          <div className="flex items-end gap-2">
+            <Button variant="secondary" onClick={exportCsv}>{t("Export CSV")}</Button>
+            <Button variant="secondary" onClick={() => downloadFile("registration-audit-log.json", JSON.stringify(filtered, null, 2), "application/json")}>
+              {t("Export JSON")}
+            </Button>
+          </div>
+        </div>
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>{t("When")}</TableHead>
+              <TableHead>{t("Action")}</TableHead>
+              <TableHead>{t("By")}</TableHead>
+              <TableHead>{t("Student")}</TableHead>
+              <TableHead>{t("Step")}</TableHead>
+              <TableHead>{t("Detail")}</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {filtered.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={6} className="text-center text-muted-foreground">{t("No matching entries.")}</TableCell>
+              </TableRow>
+            )}
+            {filtered.slice(0, limit).map((e) => (
+              <React.Fragment key={e.id}>
+                <TableRow className="cursor-pointer hover:bg-muted/40" onClick={() => setOpenId(openId === e.id ? null : e.id)}>
+                  <TableCell className="whitespace-nowrap">{t.date(e.at)}</TableCell>
+                  <TableCell>{AUDIT_ACTIONS[e.action] ? t(AUDIT_ACTIONS[e.action]) : e.action}</TableCell>
+                  <TableCell>{e.actor ? `${e.actor.name} (${e.actor.initials})` : "—"}</TableCell>
+                  <TableCell>{e.studentName || "—"}</TableCell>
+                  <TableCell>{e.step ? `${e.step.index}. ${e.step.title}` : "—"}</TableCell>
+                  <TableCell>{e.detail || "—"}</TableCell>
+                </TableRow>
+                {openId === e.id && (
+                  <TableRow>
+                    <TableCell colSpan={6}>
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-3 text-xs">
+                        <pre className="overflow-auto max-h-64 rounded-md bg-muted p-2">{t("Before:")} {JSON.stringify(e.before, null, 2) ?? "—"}</pre>
+                        <pre className="overflow-auto max-h-64 rounded-md bg-muted p-2">{t("After:")} {JSON.stringify(e.after, null, 2) ?? "—"}</pre>
+                      </div>
+                    </TableCell>
+                  </TableRow>
+                )}
+              </React.Fragment>
+            ))}
+          </TableBody>
+        </Table>
+        {filtered.length > limit && (
+          <Button variant="ghost" onClick={() => setLimit(limit + AUDIT_PAGE_SIZE)}>{t("Show more ({count} older)", { count: filtered.length - limit })}</Button>
+        )}
+      </CardContent>
+    </Card>
+  );
 }
 
-function newStudent(name, grade) {
-  /** @type {Student} */
-  return {
-    id: crypto.randomUUID(),
-    name,
-    grade,
-    createdAt: Date.now(),
-    steps: STEP_DEFS.map((s) => ({
-      index: s.index,
-      title: s.title,
-      location: s.location,
-      instructions: s.instructions,
-      completed: false,
-    })),
+// --- Snapshots & Recovery (Admin) ---
+function SnapshotRestore({ snapshots, loadError, onRefresh, onRestore, onTake, onDownload }) {
+  const t = useT();
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{t("Snapshots & Recovery")}</CardTitle>
+        <CardDescription>
+          {t("A copy of every student record is saved automatically before deletes, resets, clears, imports, migrations and restores. The newest {count} are kept on this device (the sync server keeps its own set). Restoring replaces the current list in every event.", { count: MAX_SNAPSHOTS })}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {loadError && (
+          <div className="rounded-md border border-destructive p-3 text-sm">
+            {t("The saved student list could not be loaded: {message}. Restore a snapshot below to continue.", { message: loadError.message })}
+          </div>
+        )}
+        <div className="flex gap-2">
+          <Button variant="secondary" disabled={!!loadError} onClick={onTake}>{t("Take Snapshot Now")}</Button>
+          <Button variant="ghost" onClick={onRefresh}>{t("Refresh")}</Button>
+        </div>
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>{t("Taken")}</TableHead>
+              <TableHead>{t("Reason")}</TableHead>
+              <TableHead>{t("By")}</TableHead>
+              <TableHead>{t("Students")}</TableHead>
+              <TableHead className="text-right">{t("Actions")}</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {snapshots.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={5} className="text-center text-muted-foreground">{t("No snapshots yet.")}</TableCell>
+              </TableRow>
+            )}
+            {snapshots.map((s) => (
+              <TableRow key={s.id}>
+                <TableCell className="whitespace-nowrap">{t.date(s.at)}</TableCell>
+                <TableCell>{s.reason}</TableCell>
+                <TableCell>{s.actor ? `${s.actor.name} (${s.actor.initials})` : "—"}</TableCell>
+                <TableCell>{s.count}</TableCell>
+                <TableCell className="text-right whitespace-nowrap">
+                  <Button variant="ghost" size="sm" onClick={() => onDownload(s.id)}>
+                    <Download className="h-4 w-4 mr-1" /> JSON
+                  </Button>
+                  <Button variant="secondary" size="sm" onClick={() => onRestore(s.id)}>{t("Restore")}</Button>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </CardContent>
+    </Card>
+  );
+}
+
+// --- Station Kiosk ---
+// Steps with fields collect their details right in the queue row before signing.
+function StationSignOff({ student, step, staff, allowed, onSign, booking }) {
+  const t = useT();
+  const fields = localizeStep(step, t.lang).fields || [];
+  const [values, setValues] = useState({});
+  const [errors, setErrors] = useState({});
+
+  const handleSign = () => {
+    const problems = fieldErrors(fields, values);
+    setErrors(problems);
+    if (Object.keys(problems).length) {
+      toast.error(t("Fill in the step details before signing."));
+      return;
+    }
+    onSign(student.id, step.index, { values: cleanFieldValues(fields, values) });
   };
+
+  return (
+    <div className="flex flex-col items-end gap-2">
+      {booking}
+      {fields.length > 0 && allowed && (
+        <StepFieldInputs fields={fields} values={values} errors={errors} onChange={setValues} idPrefix={`station-${student.id}`} />
+      )}
+      <Button disabled={!allowed} onClick={handleSign}>
+        <CheckCircle2 className="h-4 w-4 mr-2" /> {staff && allowed ? t("Sign as {initials}", { initials: staff.initials }) : t("Sign")}
+      </Button>
+    </div>
+  );
 }
 
-function percentComplete(student) {
-  const done = student.steps.filter((s) => s.completed).length;
-  return Math.round((done / STEP_DEFS.length) * 100);
+function StationView({ stepDef, stepNumber, students, staff, isAdmin, onSign, onExit, renderBooking }) {
+  const t = useT();
+  const text = localizeStep(stepDef, t.lang);
+  const now = useNow(30000);
+  const queue = useMemo(() => stationQueue(students, stepDef.key), [students, stepDef.key]);
+  const allowed = canSignStep(staff, stepDef.key);
+  const [highlightId, setHighlightId] = useState(null);
+
+  const handleLookup = (input) => {
+    const student = findStudentByCode(students, input);
+    if (!student) {
+      toast.error(t("No student with code {code}", { code: input.trim() }));
+      return;
+    }
+    if (!queue.some((q) => q.student.id === student.id)) {
+      const at = currentStepOf(student);
+      const where = at && localizeStep(at, t.lang);
+      toast.error(
+        at && isStepResolved(at)
+          ? t("{name} has finished registration.", { name: student.name })
+          : t("{name} is at step {n}: {title} ({location}).", { name: student.name, n: at?.index, title: where?.title, location: where?.location || "—" })
+      );
+      return;
+    }
+    setHighlightId(student.id);
+    document.getElementById(`queue-${student.id}`)?.scrollIntoView({ behavior: "smooth", block: "center" });
+  };
+
+  return (
+    <div className="space-y-4">
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center justify-between">
+            <span>{t("Station {n}: {title}", { n: stepNumber, title: text.title })}</span>
+            <Badge>{t("{count} waiting", { count: queue.length })}</Badge>
+          </CardTitle>
+          <CardDescription>
+            <span className="font-medium">{t("Location:")}</span> {text.location || "—"} • {text.instructions}
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <CodeLookup onLookup={handleLookup} autoFocus className="w-full md:w-80" />
+        </CardContent>
+        <CardFooter className="flex items-center justify-between">
+          <div className="text-xs text-muted-foreground">
+            {!staff
+              ? t("Sign in above to sign students off.")
+              : allowed
+                ? t("Signing as {name} ({initials})", { name: staff.name, initials: staff.initials })
+                : t("{name} cannot sign this station's step.", { name: staff.name })}
+          </div>
+          <Button variant="ghost" disabled={!isAdmin} onClick={onExit} title={isAdmin ? undefined : t("An admin must sign in to exit station mode.")}>
+            {t("Exit Station Mode")}
+          </Button>
+        </CardFooter>
+      </Card>
+
+      <Card>
+        <CardContent className="pt-6">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>{t("Student")}</TableHead>
+                <TableHead>{t("Grade")}</TableHead>
+                <TableHead>{t("Waiting")}</TableHead>
+                <TableHead className="text-right">{t("Sign-off")}</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {queue.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={4} className="text-center text-muted-foreground">{t("No students are waiting at this station.")}</TableCell>
+                </TableRow>
+              )}
+              <AnimatePresence initial={false}>
+                {queue.map(({ student, step, readyAt }) => (
+                  <motion.tr
+                    key={student.id}
+                    id={`queue-${student.id}`}
+                    layout
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    exit={{ opacity: 0 }}
+                    className={`border-b ${highlightId === student.id ? "bg-amber-50" : ""}`}
+                  >
+                    <TableCell className="font-medium">{student.name}</TableCell>
+                    <TableCell>{student.grade || "—"}</TableCell>
+                    <TableCell><Clock className="h-3 w-3 inline mr-1" />{formatDuration(now - readyAt)}</TableCell>
+                    <TableCell className="text-right">
+                      <StationSignOff
+                        student={student}
+                        step={step}
+                        staff={staff}
+                        allowed={allowed}
+                        onSign={onSign}
+                        booking={step.booking ? renderBooking(student) : null}
+                      />
+                    </TableCell>
+                  </motion.tr>
+                ))}
+              </AnimatePresence>
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+    </div>
+  );
 }
 
-// --- Certificates ---
-function formatDate(ts) {
-  const d = new Date(ts);
-  return d.toLocaleString();
+// --- Station Setup (Admin) ---
+function StationSetup({ template, onStart, onLockKiosk }) {
+  const t = useT();
+  const [index, setIndex] = useState(0);
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{t("Station Mode")}</CardTitle>
+        <CardDescription>
+          {t("Turn this device into a single-step station: it shows only the queue of students waiting for that step, with one-click sign-off. An admin sign-in is needed to leave station mode.")}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="flex flex-wrap items-end gap-3">
+        <div className="w-72">
+          <Label htmlFor="station-step">{t("Station step")}</Label>
+          <select id="station-step" className={SELECT_CLASS} value={index} onChange={(e) => setIndex(Number(e.target.value))}>
+            {template.steps.map((step, i) => {
+              const s = localizeStep(step, t.lang);
+              return <option key={s.key} value={i}>{i + 1}. {s.title}{s.location ? ` — ${s.location}` : ""}</option>;
+            })}
+          </select>
+        </div>
+        <Button onClick={() => onStart(template.steps[index].key)}>{t("Start Station Mode")}</Button>
+        <Button variant="outline" onClick={onLockKiosk}>{t("Lock as Self-Service Kiosk")}</Button>
+      </CardContent>
+      <CardFooter>
+        <p className="text-xs text-muted-foreground">
+          {t("For a hallway screen, open the read-only lobby display (no PIN needed; it shows first names only).")}{" "}
+          <a className="underline" href="#/display" target="_blank" rel="noreferrer">{t("Open the lobby display")}</a>.{" "}
+          {t("A self-service kiosk only lets students look up their own code; an admin PIN unlocks it.")}
+        </p>
+      </CardFooter>
+    </Card>
+  );
 }
 
-function CompletionCertificate({ student }) {
-  const pct = percentComplete(student);
-  const isDone = pct === 100;
+// --- Flow Analytics (Admin) ---
+function HorizontalBars({ rows, max, format }) {
+  const top = max ?? Math.max(1, ...rows.map((r) => r.value || 0));
   return (
-    <Card className="mt-4 border-dashed">
+    <div className="space-y-1">
+      {rows.map((r) => (
+        <div key={r.label} className="grid grid-cols-[9rem_1fr_5rem] items-center gap-2 text-sm">
+          <div className="truncate" title={r.label}>{r.label}</div>
+          <div className="h-4 rounded bg-muted">
+            <div className={`h-4 rounded ${r.highlight ? "bg-amber-500" : "bg-primary"}`} style={{ width: `${((r.value || 0) / top) * 100}%` }} />
+          </div>
+          <div className="text-right tabular-nums">{r.value == null ? "—" : format(r.value)}</div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function FlowAnalytics({ students, template }) {
+  const t = useT();
+  const now = useNow(60000);
+  const [day, setDay] = useState(() => localDay(Date.now()));
+  const a = useMemo(() => computeFlowAnalytics(students, template, day, now), [students, template, day, now]);
+  const maxWait = Math.max(1, ...a.steps.map((s) => s.p90 || 0));
+  const stepTitle = (key, title) => {
+    const step = template.steps.find((s) => s.key === key);
+    return step ? localizeStep(step, t.lang).title : title;
+  };
+
+  return (
+    <Card>
       <CardHeader>
-        <CardTitle className="flex items-center gap-2 text-xl">
-          <ShieldCheck className="h-5 w-5" /> Registration Status Certificate
-        </CardTitle>
-        <CardDescription>Show or print this page as proof of completion.</CardDescription>
+        <CardTitle>{t("Flow Analytics")}</CardTitle>
+        <CardDescription>
+          {t("Built from sign-up and sign-off times. Wait = time from a student's previous sign-off (or sign-up) until the step was signed.")}
+        </CardDescription>
       </CardHeader>
-      <CardContent>
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      <CardContent className="space-y-6">
+        <div className="flex flex-wrap items-end gap-4">
           <div>
-            <div className="text-sm text-muted-foreground">Student</div>
-            <div className="text-lg font-semibold">{student.name}{student.grade ? ` • Grade ${student.grade}` : ""}</div>
-            <div className="text-sm text-muted-foreground">Created: {formatDate(student.createdAt)}</div>
-          </div>
-          <div className="flex flex-col items-start gap-2">
-            <div className="w-full"><Progress value={pct} /></div>
-            <Badge variant={isDone ? "default" : "secondary"}>{pct}% Complete</Badge>
+            <Label htmlFor="analytics-day">{t("Registration day")}</Label>
+            <Input id="analytics-day" type="date" value={day} onChange={(e) => e.target.value && setDay(e.target.value)} />
           </div>
+          <Badge variant="secondary">{t("{count} completed", { count: a.completedCount })}</Badge>
+          {a.bottleneck ? (
+            <Badge className="bg-amber-500">
+              {t("Bottleneck now: Step {n}. {title} ({count} waiting)", { n: a.bottleneck.number, title: stepTitle(a.bottleneck.key, a.bottleneck.title), count: a.bottleneck.waitingNow })}
+            </Badge>
+          ) : (
+            <Badge variant="secondary">{t("No one waiting")}</Badge>
+          )}
         </div>
-        <div className="mt-4">
+
+        <div>
+          <div className="text-sm font-medium mb-2">{t("Wait at each step")}</div>
           <Table>
             <TableHeader>
               <TableRow>
-                <TableHead>Step</TableHead>
-                <TableHead>Location</TableHead>
-                <TableHead>Status</TableHead>
-                <TableHead>Initials</TableHead>
-                <TableHead>Timestamp</TableHead>
+                <TableHead>{t("Step")}</TableHead>
+                <TableHead className="w-1/2">{t("Median wait")}</TableHead>
+                <TableHead>p90</TableHead>
+                <TableHead>{t("Signed")}</TableHead>
+                <TableHead>{t("Waiting now")}</TableHead>
               </TableRow>
             </TableHeader>
             <TableBody>
-              {student.steps.map((s) => (
-                <TableRow key={s.index}>
-                  <TableCell className="font-medium">{s.index}. {s.title}</TableCell>
-                  <TableCell>{s.location}</TableCell>
-                  <TableCell>{s.completed ? "Completed" : "Pending"}</TableCell>
-                  <TableCell>{s.initials || "—"}</TableCell>
-                  <TableCell>{s.signedAt ? formatDate(s.signedAt) : "—"}</TableCell>
+              {a.steps.map((s) => (
+                <TableRow key={s.key} className={a.bottleneck?.key === s.key ? "bg-amber-50" : ""}>
+                  <TableCell className="font-medium">{s.number}. {stepTitle(s.key, s.title)}</TableCell>
+                  <TableCell>
+                    <div className="h-3 rounded bg-muted">
+                      <div className="h-3 rounded bg-primary" style={{ width: `${((s.median || 0) / maxWait) * 100}%` }} />
+                    </div>
+                    <div className="text-xs text-muted-foreground">{s.median == null ? "—" : formatDuration(s.median)}</div>
+                  </TableCell>
+                  <TableCell>{s.p90 == null ? "—" : formatDuration(s.p90)}</TableCell>
+                  <TableCell>{s.count}</TableCell>
+                  <TableCell>{s.waitingNow}</TableCell>
                 </TableRow>
               ))}
             </TableBody>
           </Table>
         </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <div className="text-sm font-medium mb-2">{t("Students completed per hour")}</div>
+            {a.perHour.length === 0 ? (
+              <div className="text-sm text-muted-foreground">{t("No completions on this day.")}</div>
+            ) : (
+              <HorizontalBars rows={a.perHour.map((h) => ({ label: `${String(h.hour).padStart(2, "0")}:00`, value: h.count }))} format={(v) => v} />
+            )}
+          </div>
+          <div>
+            <div className="text-sm font-medium mb-2">{t("End-to-end registration time by grade (median)")}</div>
+            {a.byGrade.length === 0 ? (
+              <div className="text-sm text-muted-foreground">{t("No completions on this day.")}</div>
+            ) : (
+              <HorizontalBars
+                rows={a.byGrade.map((g) => ({ label: `${t("Grade {grade}", { grade: g.grade })} (${g.count})`, value: g.median }))}
+                format={formatDuration}
+              />
+            )}
+          </div>
+        </div>
       </CardContent>
-      <CardFooter className="flex gap-2">
-        <Button onClick={() => window.print()} variant={isDone ? "default" : "secondary"}>
-          <Download className="h-4 w-4 mr-2" /> {isDone ? "Print Completion" : "Print Current Status"}
-        </Button>
-      </CardFooter>
     </Card>
   );
 }
 
-// --- Step Card ---
-function StepCard({ step, locked, onSign }) {
-  const [initials, setInitials] = useState("");
-  const [notes, setNotes] = useState("");
+// --- Lobby Display (public, read-only) ---
+// Only first names are shown on the hallway screen. Student codes are what the
+// self-service page and code lookups accept, so they never appear here.
+function publicName(student) {
+  return student.name.trim().split(/\s+/)[0];
+}
 
-  const handleSign = () => {
-    if (!initials.trim()) {
-      toast.error("Enter staff initials before signing.");
+function LobbyDisplay({ students, template }) {
+  const t = useT();
+  const now = useNow(30000);
+  const stations = template.steps.map((def, i) => {
+    const waiting = stationQueue(students, def.key).length;
+    return { ...localizeStep(def, t.lang), number: i + 1, waiting, estimate: estimateWait(students, def.key, waiting, now) };
+  });
+  const recent = students
+    .map((stu) => ({ stu, at: completedAt(stu) }))
+    .filter((c) => c.at && now - c.at < 2 * HOUR_MS)
+    .sort((a, b) => b.at - a.at)
+    .slice(0, 12);
+
+  return (
+    <div className="min-h-screen bg-slate-900 text-white p-8 flex flex-col gap-8">
+      <header className="flex items-center justify-between">
+        <h1 className="text-4xl md:text-5xl font-extrabold tracking-tight flex items-center gap-4">
+          <ClipboardList className="h-12 w-12" /> {t("Registration — Where To Go Next")}
+        </h1>
+        <div className="flex items-center gap-4">
+          <LanguageSwitcher className="w-36 text-slate-900" />
+          <div className="text-2xl tabular-nums">{new Date(now).toLocaleTimeString(LANGUAGES[t.lang].locale, { hour: "numeric", minute: "2-digit" })}</div>
+        </div>
+      </header>
+      <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-6 flex-1">
+        {stations.map((s) => (
+          <div key={s.key} className="rounded-3xl bg-slate-800 p-6 flex flex-col gap-3">
+            <div className="text-lg text-slate-300">{t("Step {n}", { n: s.number })}</div>
+            <div className="text-3xl font-bold leading-tight">{s.title}</div>
+            <div className="text-xl text-slate-300">{s.location || "—"}</div>
+            <div className="mt-auto flex items-end justify-between">
+              <div>
+                <div className="text-5xl font-extrabold tabular-nums">{s.waiting}</div>
+                <div className="text-slate-300">{t("waiting")}</div>
+              </div>
+              <div className="text-right">
+                <div className="text-2xl font-semibold">{s.waiting === 0 ? t("No wait") : s.estimate == null ? "—" : `~${formatDuration(s.estimate)}`}</div>
+                <div className="text-slate-300">{t("est. wait")}</div>
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+      <div className="rounded-3xl bg-emerald-700 p-6 overflow-hidden">
+        <div className="text-lg text-emerald-100 mb-2 flex items-center gap-2"><CheckCircle2 className="h-5 w-5" /> {t("Now completed")}</div>
+        <div className="flex flex-wrap gap-x-8 gap-y-2 text-3xl font-bold">
+          {recent.length === 0 ? <span className="text-emerald-100 font-normal">—</span> : recent.map(({ stu }) => <span key={stu.id}>{publicName(stu)}</span>)}
+        </div>
+      </div>
+      <div className="text-center text-xl text-slate-300">{t("Check your own progress at {url} with the code on your clearance sheet.", { url: selfServiceUrl() })}</div>
+    </div>
+  );
+}
+
+// --- Student Self-Service (public, read-only) ---
+// Where a student can go now: every step that applies, is not done and is not
+// waiting on an earlier step (more than one when steps can be done in any order).
+function availableStepsOf(student) {
+  return student.steps.filter((s, i) => stepApplies(student, s) && !isStepResolved(s) && !isStepLocked(student, i));
+}
+
+const SELF_SERVICE_IDLE_MS = 2 * 60 * 1000;
+
+// `lookup` resolves one code to a SelfServiceRecord or null; the page never has the
+// rest of the student list.
+function StudentSelfService({ lookup, initialCode }) {
+  const t = useT();
+  // A code in the link (e.g. #/student?code=ABC-DEF) is looked up straight away.
+  const [query, setQuery] = useState(initialCode || "");
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+  const student = result?.student || null;
+
+  useEffect(() => {
+    setResult(null);
+    setError("");
+    if (!query.trim()) return;
+    let cancelled = false;
+    lookup(query)
+      .then((found) => {
+        if (cancelled) return;
+        setResult(found);
+        if (!found) setError(t("No student with code {code}. Check the code on your clearance sheet.", { code: query.trim() }));
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setError(
+          err.status === 429
+            ? t("Too many lookups from this device. Wait a minute and try again.")
+            : t("Could not look up the code: {message}", { message: err.message })
+        );
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [query, lookup, t]);
+
+  // Shared kiosks go back to the code prompt on their own.
+  useEffect(() => {
+    if (!student) return;
+    const timer = setTimeout(() => setQuery(""), SELF_SERVICE_IDLE_MS);
+    return () => clearTimeout(timer);
+  }, [student]);
+
+  if (!student) {
+    return (
+      <div className="min-h-screen bg-gradient-to-b from-slate-50 to-white p-4 md:p-8">
+        <div className="mx-auto mb-3 flex max-w-md justify-end">
+          <LanguageSwitcher />
+        </div>
+        <Card className="mx-auto max-w-md">
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2 text-xl">
+              <ClipboardList className="h-5 w-5" /> {t("Check My Registration")}
+            </CardTitle>
+            <CardDescription>{t("Scan or type the code printed on your Steps Clearance Sheet, then press Enter.")}</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-2">
+            <CodeLookup onLookup={setQuery} autoFocus className="w-full" />
+            {error && <p className="text-sm text-destructive">{error}</p>}
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  const pct = percentComplete(student);
+  const isDone = pct === 100;
+  const next = availableStepsOf(student).map((s) => localizeStep(s, t.lang));
+  const photoSlot = result.slot;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-slate-50 to-white p-4 md:p-8">
+      <div className="mx-auto max-w-3xl space-y-4">
+        <div className="flex justify-end">
+          <LanguageSwitcher />
+        </div>
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center justify-between gap-3">
+              <span>{student.name}{student.grade ? ` • ${t("Grade {grade}", { grade: student.grade })}` : ""}</span>
+              <Badge variant={isDone ? "default" : "secondary"}>{t("{pct}% Complete", { pct })}</Badge>
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <Progress value={pct} />
+            {photoSlot && (
+              <div className="flex items-center gap-2 text-sm">
+                <CalendarClock className="h-4 w-4" /> {t("Your ID photo appointment: {time}", { time: slotLabel(photoSlot, t.lang) })}
+              </div>
+            )}
+            {isDone ? (
+              <div className="rounded-2xl border border-emerald-300 bg-emerald-50 p-4">
+                <div className="font-semibold flex items-center gap-2"><ShieldCheck className="h-5 w-5" /> {t("Registration complete")}</div>
+                <div className="text-sm">
+                  {t("Finished {date}. Your certificate verification code is", { date: t.date(completedAt(student)) })}{" "}
+                  <span className="font-mono font-semibold">{result.certificateCode}</span>.
+                </div>
+              </div>
+            ) : (
+              <div className="space-y-3">
+                <div className="text-sm font-medium">{next.length > 1 ? t("You can go to any of these next:") : t("Go here next:")}</div>
+                {next.map((s) => (
+                  <div key={s.key} className="rounded-2xl border bg-white p-4">
+                    <div className="text-lg font-semibold">{t("Step {n}", { n: s.index })}. {s.title}</div>
+                    <div className="text-sm"><span className="font-medium">{t("Location:")}</span> {s.location || "—"}</div>
+                    <p className="mt-1 text-sm leading-relaxed">{s.instructions}</p>
+                  </div>
+                ))}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-lg">{t("My Steps")}</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-2">
+            {applicableSteps(student).map((s) => {
+              const i = student.steps.indexOf(s);
+              const locked = isStepLocked(student, i);
+              const text = localizeStep(s, t.lang);
+              return (
+                <div key={s.key} className="flex items-center gap-3 text-sm">
+                  {isStepResolved(s) ? <CheckCircle2 className="h-4 w-4" /> : locked ? <Lock className="h-4 w-4" /> : <Unlock className="h-4 w-4" />}
+                  <span className="font-medium">{s.index}. {text.title}</span>
+                  <span className="text-muted-foreground">{text.location}</span>
+                  <span className="ml-auto text-muted-foreground">
+                    {s.completed ? t("Done {date}", { date: t.date(s.signedAt) }) : s.waived ? t("Not needed") : locked ? t("Later") : t("Next")}
+                  </span>
+                </div>
+              );
+            })}
+          </CardContent>
+          <CardFooter>
+            <Button variant="secondary" onClick={() => setQuery("")}>{t("Done")}</Button>
+          </CardFooter>
+        </Card>
+      </div>
+    </div>
+  );
+}
+
+// The #/student page and locked kiosks. It asks the sync server named in the link
+// or kept by the kiosk (else this device's own storage) for one student at a time,
+// so the device never holds the student list or the sync token.
+function SelfServicePage({ initialCode, server, kiosk, onUnlock }) {
+  const t = useLanguage();
+  const lookup = useMemo(() => {
+    const storage = loadStorageConfig();
+    const url = server || (storage.kind === "remote" ? storage.url : null);
+    return url ? createSelfServiceLookup(url) : createLocalAdapter().lookupStudent;
+  }, [server]);
+  return (
+    <I18nContext.Provider value={t}>
+      <StudentSelfService lookup={lookup} initialCode={initialCode} />
+      {kiosk && <KioskUnlock server={kiosk.server} onUnlock={onUnlock} />}
+    </I18nContext.Provider>
+  );
+}
+
+// Only an admin PIN takes a device out of kiosk mode. A kiosk on the sync server
+// gave up the sync token when it was locked, so unlocking asks for that too.
+function KioskUnlock({ server, onUnlock }) {
+  const t = useT();
+  const [askToken, setAskToken] = useState(false);
+  const [token, setToken] = useState("");
+  const [admins, setAdmins] = useState(null);
+  const adapter = useMemo(() => (server ? createRemoteAdapter({ url: server, token: token.trim() }) : createLocalAdapter()), [server, token]);
+
+  const loadAdmins = async () => {
+    try {
+      const accounts = await adapter.loadStaff();
+      setAdmins(accounts.filter((a) => a.role === "admin"));
+    } catch (err) {
+      toast.error(t("Could not load staff accounts: {message}", { message: err.message }));
+    }
+  };
+
+  const close = () => {
+    setAskToken(false);
+    setToken("");
+    setAdmins(null);
+  };
+
+  const handleLogin = async (accountId, pin) => {
+    let account;
+    try {
+      account = await adapter.login(accountId, pin);
+    } catch (err) {
+      toast.error(t("Could not sign in: {message}", { message: err.message }));
       return;
     }
-    onSign({ initials: initials.trim().slice(0, 5).toUpperCase(), notes: notes.trim() || undefined });
-    setInitials("");
-    setNotes("");
+    if (!account) {
+      toast.error(t("Incorrect PIN"));
+      return;
+    }
+    if (account.role !== "admin") {
+      await adapter.logout().catch(() => {});
+      toast.error(t("Only an admin can unlock this kiosk."));
+      return;
+    }
+    /** @type {AuditEvent} */
+    const entry = {
+      id: crypto.randomUUID(),
+      at: Date.now(),
+      action: "kiosk.unlock",
+      actor: { id: account.id, name: account.name, initials: account.initials },
+    };
+    await adapter.appendAudit([entry]).catch((err) => toast.error(t("Could not write audit log: {message}", { message: err.message })));
+    await adapter.logout().catch(() => {});
+    if (server) saveStorageConfig({ kind: "remote", url: server, token: token.trim() });
+    onUnlock();
   };
 
+  if (!admins && !askToken) {
+    return (
+      <Button variant="ghost" size="sm" className="fixed bottom-3 right-3 text-muted-foreground" onClick={server ? () => setAskToken(true) : loadAdmins}>
+        <Lock className="mr-1 h-4 w-4" /> {t("Staff")}
+      </Button>
+    );
+  }
   return (
-    <motion.div layout initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: -8 }}>
-      <Card className={`h-full ${locked ? "opacity-70" : ""}`}>
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4">
+      <Card>
         <CardHeader>
-          <CardTitle className="flex items-center gap-2 text-lg">
-            {step.completed ? <CheckCircle2 className="h-5 w-5" /> : locked ? <Lock className="h-5 w-5" /> : <Unlock className="h-5 w-5" />} {step.index}. {step.title}
-          </CardTitle>
+          <CardTitle className="text-lg">{t("Unlock kiosk")}</CardTitle>
           <CardDescription>
-            <span className="font-medium">Location:</span> {step.location}
+            {admins
+              ? t("Sign in with an admin PIN to leave self-service mode on this device.")
+              : t("Enter the sync token for {server}, then sign in with an admin PIN.", { server })}
           </CardDescription>
         </CardHeader>
-        <CardContent className="space-y-3">
-          <p className="text-sm leading-relaxed">{step.instructions}</p>
-          {step.completed && (
-            <div className="text-xs text-muted-foreground">
-              Signed: <span className="font-semibold">{step.initials}</span> • {step.signedAt ? formatDate(step.signedAt) : ""}
-            </div>
-          )}
-          {!step.completed && !locked && (
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
-              <div className="md:col-span-1">
-                <Label htmlFor={`initials-${step.index}`}>Staff Initials</Label>
-                <Input id={`initials-${step.index}`} placeholder="e.g., ML" value={initials} onChange={(e) => setInitials(e.target.value)} maxLength={5} />
-              </div>
-              <div className="md:col-span-2">
-                <Label htmlFor={`notes-${step.index}`}>Notes (optional)</Label>
-                <Textarea id={`notes-${step.index}`} placeholder="Any quick notes…" value={notes} onChange={(e) => setNotes(e.target.value)} />
-              </div>
+        <CardContent>
+          {admins ? (
+            <StaffLogin accounts={admins} ready={false} onLogin={handleLogin} />
+          ) : (
+            <div className="space-y-1">
+              <Label htmlFor="kiosk-token">{t("Sync Token")}</Label>
+              <Input
+                id="kiosk-token"
+                type="password"
+                autoComplete="off"
+                autoFocus
+                value={token}
+                onChange={(e) => setToken(e.target.value)}
+                onKeyDown={(e) => e.key === "Enter" && token.trim() && loadAdmins()}
+              />
             </div>
           )}
         </CardContent>
-        <CardFooter className="flex items-center justify-between">
-          <div className="text-xs text-muted-foreground">
-            {locked ? "Unlocks after completing the previous step." : step.completed ? "Completed" : "Awaiting staff sign-off"}
-          </div>
-          {!step.completed && (
-            <Button disabled={locked} onClick={handleSign}>
-              <Edit3 className="h-4 w-4 mr-2" /> Sign & Unlock Next
-            </Button>
-          )}
+        <CardFooter className="gap-2">
+          {!admins && <Button disabled={!token.trim()} onClick={loadAdmins}>{t("Continue")}</Button>}
+          <Button variant="secondary" onClick={close}>{t("Cancel")}</Button>
         </CardFooter>
       </Card>
-    </motion.div>
+    </div>
   );
 }
 
-// --- Student Row for Admin Table ---
-function AdminRow({ student, onSelect, onDelete }) {
-  const pct = percentComplete(student);
-  const stepNow = student.steps.find((s) => !s.completed)?.index ?? 7;
+// --- Storage Settings (Admin) ---
+function StorageSettings({ config }) {
+  const t = useT();
+  const [kind, setKind] = useState(config.kind);
+  const [url, setUrl] = useState(config.kind === "remote" ? config.url : "http://localhost:8787");
+  const [token, setToken] = useState(config.kind === "remote" ? config.token || "" : "");
+
+  const handleSave = () => {
+    if (kind === "remote" && !/^https?:\/\//.test(url.trim())) {
+      toast.error(t("Enter the sync server address, e.g. http://192.168.1.20:8787"));
+      return;
+    }
+    if (kind === "remote" && !token.trim()) {
+      toast.error(t("Enter the sync token the server was started with (SYNC_TOKEN)."));
+      return;
+    }
+    saveStorageConfig(kind === "remote" ? { kind, url: url.trim(), token: token.trim() } : { kind });
+    window.location.reload();
+  };
+
   return (
-    <TableRow className="hover:bg-muted/40 cursor-pointer" onClick={() => onSelect(student.id)}>
-      <TableCell className="font-medium">{student.name}</TableCell>
-      <TableCell>{student.grade || "—"}</TableCell>
-      <TableCell>{pct}%</TableCell>
-      <TableCell>Step {stepNow}</TableCell>
-      <TableCell className="text-right">
-        <Button variant="ghost" size="icon" onClick={(e) => { e.stopPropagation(); onDelete(student.id); }}>
-          <Trash2 className="h-4 w-4" />
-        </Button>
-      </TableCell>
-    </TableRow>
+    <Card>
+      <CardHeader>
+        <CardTitle>{t("Storage & Sync")}</CardTitle>
+        <CardDescription>
+          {t("Keep records on this device only, or connect every station to the same sync server so all laptops see the same students.")}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div className="flex items-end gap-2">
+          <Button variant={kind === "local" ? "default" : "secondary"} onClick={() => setKind("local")}>{t("This Device")}</Button>
+          <Button variant={kind === "remote" ? "default" : "secondary"} onClick={() => setKind("remote")}>{t("Sync Server")}</Button>
+        </div>
+        <div className="md:col-span-1">
+          <Label htmlFor="sync-url">{t("Sync Server Address")}</Label>
+          <Input id="sync-url" disabled={kind !== "remote"} placeholder="http://localhost:8787" value={url} onChange={(e) => setUrl(e.target.value)} />
+        </div>
+        <div className="md:col-span-1">
+          <Label htmlFor="sync-token">{t("Sync Token")}</Label>
+          <Input id="sync-token" type="password" autoComplete="off" disabled={kind !== "remote"} value={token} onChange={(e) => setToken(e.target.value)} />
+        </div>
+        <div className="flex items-end">
+          <Button onClick={handleSave}>{t("Save & Reconnect")}</Button>
+        </div>
+      </CardContent>
+      <CardFooter>
+        <p className="text-xs text-muted-foreground">
+          {config.kind === "remote" ? t("Currently using the sync server at {url}.", { url: config.url }) : t("Currently using this device's local storage.")}{" "}
+          {t("Export a JSON backup before switching; records are not copied between storage backends automatically.")}
+        </p>
+      </CardFooter>
+    </Card>
   );
 }
 
 // --- Main App ---
-export default function RegistrationTrackerApp() {
-  const [students, setStudents] = useState(() => loadStudents());
-  const [currentId, setCurrentId] = useState(() => students[0]?.id || null);
-  const [staffMode, setStaffMode] = useState(false);
-  const [enteredPin, setEnteredPin] = useState("");
-  const [pinSet, setPinSet] = useState(() => localStorage.getItem(PIN_KEY) || "2025");
-  const [query, setQuery] = useState("");
+function TrackerApp({ route, onLockKiosk }) {
+  const storageConfig = useMemo(() => loadStorageConfig(), []);
+  const adapter = useMemo(() => createStorageAdapter(storageConfig), [storageConfig]);
+  const [allStudents, setAllStudents] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+  const [snapshots, setSnapshots] = useState([]);
+  const [currentId, setCurrentId] = useState(null);
+  const [session, setSession] = useState(null);
+  const [station, setStation] = useState(() => loadStation());
+  const [tab, setTab] = useState("students");
+  const t = useLanguage();
+  // Effects that only toast read `t` through this ref, so switching language
+  // does not reload data.
+  const tRef = useRef(t);
+  tRef.current = t;
+  const [focusStepKey, setFocusStepKey] = useState(null);
+  const [printJob, setPrintJob] = usePrintJob();
+  const [filters, setFilters] = useState(EMPTY_STUDENT_FILTERS);
+  const [sort, setSort] = useState({ key: null, dir: "asc" });
+  const [workflows, setWorkflows] = useStoredDoc(adapter, "workflows", normalizeWorkflows, t);
+  const [staffAccounts, setStaffAccounts, staffReady] = useStaffAccounts(adapter, t);
+  const [eventsDoc, setEventsDoc] = useStoredDoc(adapter, "events", normalizeEvents, t);
+  const [notifySettings, setNotifySettings] = useStoredDoc(adapter, "notifications", normalizeNotifySettings, t);
+  const [filterPresets, setFilterPresets] = useStoredDoc(adapter, "filterPresets", normalizeFilterPresets, t);
+  const [appointmentsDoc, setAppointmentsDoc] = useStoredDoc(adapter, "appointments", normalizeAppointments, t);
+  const [profileFieldsDoc, setProfileFieldsDoc] = useStoredDoc(adapter, "profileFields", normalizeProfileFields, t);
+  const notifyTransport = useMemo(
+    () => createNotifyTransport(notifySettings.transport, storageConfig),
+    [notifySettings.transport, storageConfig]
+  );
+  const notifier = useNotifyQueue(notifyTransport);
+  // Which event this device is looking at; stations and the lobby always follow the active one.
+  const [viewedEventId, setViewedEventId] = useState(null);
+  const activeEvent = eventsDoc.events.find((e) => e.id === eventsDoc.activeId);
+  const viewEvent = eventsDoc.events.find((e) => e.id === viewedEventId) || activeEvent;
+  const viewEventId = viewEvent.id;
+  const archived = !!viewEvent.archivedAt;
+  const staff = useMemo(() => staffAccounts.find((a) => a.id === session?.accountId) || null, [staffAccounts, session]);
+  const staffMode = !!staff;
+  const isAdmin = staff?.role === "admin";
+  const [auditLog, setAuditLog] = useState([]);
+
+  useEffect(() => {
+    adapter
+      .loadAudit()
+      .then((entries) => setAuditLog((prev) => mergeAudit(prev, entries)))
+      .catch((err) => toast.error(tRef.current("Could not load audit log: {message}", { message: err.message })));
+    return adapter.subscribe((change) => {
+      if (change.type === "audit") setAuditLog((prev) => mergeAudit(prev, change.entries));
+    });
+  }, [adapter]);
+
+  /**
+   * Appends an entry to the audit log. `actor` defaults to the signed-in staff member.
+   * @param {string} action one of AUDIT_ACTIONS
+   * @param {Partial<AuditEvent>} [fields]
+   */
+  const logEvent = (action, fields = {}) => {
+    const actor = fields.actor !== undefined ? fields.actor : staff;
+    /** @type {AuditEvent} */
+    const entry = {
+      id: crypto.randomUUID(),
+      at: Date.now(),
+      ...fields,
+      action,
+      actor: actor ? { id: actor.id, name: actor.name, initials: actor.initials } : null,
+    };
+    setAuditLog((prev) => [...prev, entry]);
+    adapter.appendAudit([entry]).catch((err) => toast.error(t("Could not write audit log: {message}", { message: err.message })));
+  };
 
-  useEffect(() => saveStudents(students), [students]);
+  useEffect(() => {
+    let cancelled = false;
+    adapter
+      .loadStudents()
+      .then(({ students: list, rejected }) => {
+        if (cancelled) return;
+        setAllStudents(list);
+        setCurrentId(list[0]?.id || null);
+        setLoaded(true);
+        if (rejected.length) {
+          toast.warning(tRef.current("{count} saved record(s) failed validation and were left out. A copy is kept under Admin → Snapshots & Recovery.", { count: rejected.length }));
+        }
+      })
+      .catch((err) => {
+        setLoadError({ message: err.message, unreadable: !!err.unreadable });
+        toast.error(tRef.current("Could not load students: {message}", { message: err.message }));
+      });
+    const unsubscribe = adapter.subscribe((change) => {
+      if (change.type === "students") setAllStudents(change.students);
+      else if (change.type === "student")
+        setAllStudents((prev) =>
+          prev.some((s) => s.id === change.student.id)
+            ? prev.map((s) => (s.id === change.student.id ? change.student : s))
+            : [change.student, ...prev]
+        );
+      else if (change.type === "delete") setAllStudents((prev) => prev.filter((s) => s.id !== change.id));
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [adapter]);
+
+  // Nothing is written until the initial load succeeds, so an unreachable server
+  // can never be overwritten with an empty list. A failed save is retried until it
+  // goes through or a newer change replaces it.
+  useEffect(() => {
+    if (!loaded) return;
+    let cancelled = false;
+    let retry = null;
+    const save = () =>
+      adapter.saveStudents(allStudents).then(
+        () => toast.dismiss("save-failed"),
+        (err) => {
+          if (cancelled) return;
+          toast.error(tRef.current("Could not save changes: {message}. Retrying…", { message: err.message }), { id: "save-failed" });
+          retry = setTimeout(save, SAVE_RETRY_MS);
+        }
+      );
+    save();
+    return () => {
+      cancelled = true;
+      clearTimeout(retry);
+    };
+  }, [adapter, allStudents, loaded]);
+
+  const refreshSnapshots = useCallback(
+    () =>
+      adapter
+        .loadSnapshots()
+        .then((list) => setSnapshots([...list].sort((a, b) => b.at - a.at)))
+        .catch((err) => toast.error(tRef.current("Could not load snapshots: {message}", { message: err.message }))),
+    [adapter]
+  );
+
+  useEffect(() => {
+    refreshSnapshots();
+  }, [refreshSnapshots]);
+
+  // Every change that removes or rewrites records waits for a snapshot of the
+  // current list first; if the snapshot cannot be saved, the change is not made.
+  const takeSnapshot = async (reason) => {
+    if (!loaded) return true;
+    try {
+      await adapter.saveSnapshot(newSnapshot(allStudents, reason, staff));
+    } catch (err) {
+      toast.error(t("Could not save a snapshot, so nothing was changed: {message}", { message: err.message }));
+      return false;
+    }
+    refreshSnapshots();
+    return true;
+  };
+
+  const restoreSnapshot = async (id) => {
+    let snapshot;
+    try {
+      snapshot = await adapter.loadSnapshot(id);
+    } catch (err) {
+      toast.error(t("Could not load that snapshot: {message}", { message: err.message }));
+      return;
+    }
+    const { students: restored, rejected } = validateStudents(migrateStoredStudents(snapshot).students);
+    const question = t("Replace the current {count} student(s) in every event with the {restored} in the snapshot from {date}?", {
+      count: allStudents.length,
+      restored: restored.length,
+      date: t.date(snapshot.at),
+    });
+    const skipped = rejected.length ? ` ${t("{count} invalid record(s) in it will be skipped.", { count: rejected.length })}` : "";
+    if (!confirm(`${question}${skipped}`)) return;
+    if (!(await takeSnapshot(`Before restoring the snapshot from ${formatDate(snapshot.at)}`))) return;
+    setAllStudents(restored);
+    setCurrentId(null);
+    setLoaded(true);
+    setLoadError(null);
+    logEvent("students.restore", {
+      detail: `Snapshot from ${formatDate(snapshot.at)} (${snapshot.reason}): ${restored.length} student(s)${rejected.length ? `, ${rejected.length} skipped` : ""}`,
+    });
+    toast.success(t("Restored {count} student(s) from the snapshot.", { count: restored.length }));
+  };
+
+  // Only offered when the saved list is unreadable; the local adapter has already
+  // copied it aside, so starting over does not destroy it.
+  const startEmpty = () => {
+    if (!confirm(t("Start with an empty student list? The unreadable data stays on this device for recovery."))) return;
+    setAllStudents([]);
+    setCurrentId(null);
+    setLoaded(true);
+    setLoadError(null);
+    logEvent("students.restore", { detail: `Started with an empty list after a load failure: ${loadError.message}` });
+  };
+
+  const template = useMemo(() => activeTemplate(workflows), [workflows]);
+
+  const students = useMemo(() => studentsInEvent(allStudents, viewEventId), [allStudents, viewEventId]);
+  const liveStudents = useMemo(() => studentsInEvent(allStudents, eventsDoc.activeId), [allStudents, eventsDoc.activeId]);
+
+  // Archived events are read-only: every change to a student goes through this check.
+  const ensureWritable = (student) => {
+    const eventId = student ? eventOf(student) : viewEventId;
+    if (!eventsDoc.events.find((e) => e.id === eventId)?.archivedAt) return true;
+    toast.error(t("This registration event is archived and read-only."));
+    return false;
+  };
+
+  // Student records are changed by signed-in staff; the sync server refuses
+  // anything else, so the handlers check before changing the list.
+  const ensureStaff = () => {
+    if (staffMode) return true;
+    toast.error(t("Sign in to Staff Mode to change student records."));
+    return false;
+  };
+
+  // Deleting, resetting and merging records is for admins. Their buttons are only
+  // shown to admins, and the handlers check again.
+  const ensureAdmin = () => {
+    if (isAdmin) return true;
+    toast.error(t("Only an admin can do this. Sign in with an admin account."));
+    return false;
+  };
 
   const current = useMemo(() => students.find((s) => s.id === currentId) || null, [students, currentId]);
-  const filteredStudents = useMemo(() => {
-    const q = query.trim().toLowerCase();
-    if (!q) return students;
-    return students.filter((s) => s.name.toLowerCase().includes(q) || (s.grade || "").toLowerCase().includes(q));
-  }, [students, query]);
+  const grades = useMemo(
+    () => [...new Set(students.map((s) => s.grade).filter(Boolean))].sort((a, b) => a.localeCompare(b, undefined, { numeric: true })),
+    [students]
+  );
+  // Typing stays responsive with thousands of records: the list catches up with
+  // the filters after each keystroke has rendered.
+  const deferredFilters = useDeferredValue(filters);
+  const filteredStudents = useMemo(() => filterStudents(students, deferredFilters), [students, deferredFilters]);
+  const sortedStudents = useMemo(() => sortStudents(filteredStudents, sort), [filteredStudents, sort]);
+  const filterLabel = describeStudentFilters(deferredFilters, template, t);
+
+  const saveFilterPreset = (name, presetFilters) => {
+    setFilterPresets((prev) => ({
+      presets: [...prev.presets.filter((p) => p.name !== name), { id: crypto.randomUUID(), name, filters: presetFilters }],
+    }));
+    toast.success(t("Saved filter preset {name}", { name }));
+  };
+
+  const deleteFilterPreset = (id) => {
+    const preset = filterPresets.presets.find((p) => p.id === id);
+    if (!confirm(t("Delete the saved filter {name}?", { name: preset?.name }))) return;
+    setFilterPresets((prev) => ({ presets: prev.presets.filter((p) => p.id !== id) }));
+  };
+
+  // Slot ids are unique across events, so one count covers every event's slots.
+  const seatsTaken = useMemo(() => slotLoad(allStudents), [allStudents]);
+
+  const bookAppointment = (studentId, slotId) => {
+    const student = allStudents.find((s) => s.id === studentId);
+    if (!ensureWritable(student)) return;
+    const step = student.steps.find((s) => s.booking);
+    if (!canSignStep(staff, step?.key)) {
+      toast.error(t("Sign in with an account that can sign this step to book appointments."));
+      return;
+    }
+    const problem = bookingProblem(student, slotId, appointmentsDoc.slots, allStudents);
+    if (problem) {
+      toast.error(t(problem, { name: student.name }));
+      return;
+    }
+    const slot = appointmentsDoc.slots.find((s) => s.id === slotId);
+    const appointment = { slotId, bookedAt: Date.now(), by: staff.name, initials: staff.initials };
+    setAllStudents((prev) => prev.map((s) => (s.id === studentId ? { ...s, appointment } : s)));
+    logEvent(student.appointment ? "appointment.reschedule" : "appointment.book", {
+      studentId,
+      studentName: student.name,
+      step: stepRef(step),
+      before: student.appointment,
+      after: appointment,
+      detail: slotLabel(slot, DEFAULT_LANG),
+    });
+    toast.success(t("{name} is booked for {time}.", { name: student.name, time: slotLabel(slot, t.lang) }));
+  };
+
+  const cancelAppointment = (studentId) => {
+    const student = allStudents.find((s) => s.id === studentId);
+    if (!student?.appointment || !ensureWritable(student)) return;
+    const step = student.steps.find((s) => s.booking);
+    if (!canSignStep(staff, step?.key)) {
+      toast.error(t("Sign in with an account that can sign this step to book appointments."));
+      return;
+    }
+    if (!confirm(t("Cancel the ID photo appointment for {name}?", { name: student.name }))) return;
+    setAllStudents((prev) => prev.map((s) => (s.id === studentId ? { ...s, appointment: undefined } : s)));
+    logEvent("appointment.cancel", { studentId, studentName: student.name, step: stepRef(step), before: student.appointment });
+    toast.success(t("Appointment cancelled."));
+  };
+
+  const renderBooking = (student) => (
+    <AppointmentBooking
+      student={student}
+      slots={appointmentsDoc.slots.filter((s) => s.eventId === eventOf(student))}
+      load={seatsTaken}
+      canBook={canSignStep(staff, student.steps.find((s) => s.booking)?.key) && !eventsDoc.events.find((e) => e.id === eventOf(student))?.archivedAt}
+      onBook={(slotId) => bookAppointment(student.id, slotId)}
+      onCancel={() => cancelAppointment(student.id)}
+    />
+  );
 
-  const handleAddStudent = (name, grade) => {
-    if (!name?.trim()) {
-      toast.error("Enter a student name.");
+  const addPhotoSlots = (spec) => {
+    const added = generateSlots(viewEventId, spec, appointmentsDoc.slots);
+    if (added.length === 0) {
+      toast.error(t("Those times are already covered by existing slots."));
       return;
     }
-    const ns = newStudent(name.trim(), grade?.trim());
-    setStudents((prev) => [ns, ...prev]);
+    setAppointmentsDoc((prev) => normalizeAppointments({ slots: [...prev.slots, ...added] }));
+    logEvent("appointment.slots", { detail: `Added ${added.length} slot(s) on ${spec.date} for ${viewEvent.name}`, after: added });
+    toast.success(t("{count} slot(s) added.", { count: added.length }));
+  };
+
+  const deletePhotoSlot = (id) => {
+    const slot = appointmentsDoc.slots.find((s) => s.id === id);
+    if (!slot || seatsTaken.get(id)) return;
+    setAppointmentsDoc((prev) => ({ slots: prev.slots.filter((s) => s.id !== id) }));
+    logEvent("appointment.slots", { detail: `Removed the ${slotLabel(slot, DEFAULT_LANG)} slot from ${viewEvent.name}`, before: slot });
+    toast.success(t("Removed the {time} slot.", { time: slotLabel(slot, t.lang) }));
+  };
+
+  /** @returns {boolean} whether the student was created */
+  const handleAddStudent = ({ name, grade, ...profile }) => {
+    if (!ensureStaff() || !ensureWritable()) return false;
+    const [ns] = withUniqueCodes([newStudent(name, grade, template, { ...profile, eventId: viewEventId })], allStudents);
+    setAllStudents((prev) => [ns, ...prev]);
+    logEvent("student.create", { studentId: ns.id, studentName: ns.name, after: ns });
     setCurrentId(ns.id);
-    toast.success(`Created student profile for ${ns.name}`);
+    toast.success(t("Created student profile for {name}", { name: ns.name }));
+    return true;
   };
 
-  const handleDeleteStudent = (id) => {
-    setStudents((prev) => prev.filter((s) => s.id !== id));
+  const handleDeleteStudent = async (id) => {
+    const before = students.find((s) => s.id === id);
+    if (!before || !ensureAdmin() || !ensureWritable(before)) return;
+    if (!confirm(t("Delete {name}? Their profile and step progress will be removed.", { name: before.name }))) return;
+    if (!(await takeSnapshot(`Before deleting ${before.name}`))) return;
+    setAllStudents((prev) => prev.filter((s) => s.id !== id));
+    logEvent("student.delete", { studentId: id, studentName: before.name, before });
     if (currentId === id) setCurrentId(students[0]?.id || null);
   };
 
-  const signStep = (idx, payload) => {
+  // The other record's sign-offs fill the gaps in the kept one; the other record is then removed.
+  const mergeStudents = async (keepId, otherId) => {
+    const keep = allStudents.find((s) => s.id === keepId);
+    const other = allStudents.find((s) => s.id === otherId);
+    if (!keep || !other || !ensureAdmin() || !ensureWritable(keep) || !ensureWritable(other)) return;
+    if (!confirm(t("Merge {other} into {name}? Signed steps and profile details from both are kept, and the separate record for {other} is removed.", { name: keep.name, other: other.name }))) return;
+    if (!(await takeSnapshot(`Before merging ${other.name} into ${keep.name}`))) return;
+    const merged = mergeStudentRecords(keep, other);
+    setAllStudents((prev) => prev.filter((s) => s.id !== otherId).map((s) => (s.id === keepId ? mergeStudentRecords(s, other) : s)));
+    logEvent("student.merge", {
+      studentId: keepId,
+      studentName: keep.name,
+      before: [keep, other],
+      after: merged,
+      detail: `${other.name} (${other.code}) merged into ${keep.name} (${keep.code})`,
+    });
+    toast.success(t("{other} was merged into {name}.", { name: keep.name, other: other.name }));
+  };
+
+  const saveProfileFields = (fields) => {
+    setProfileFieldsDoc({ fields });
+    logEvent("profile.fields", { before: profileFieldsDoc.fields, after: fields });
+    toast.success(t("Profile fields saved."));
+  };
+
+  const eventNameOf = (student) => eventsDoc.events.find((e) => e.id === eventOf(student))?.name;
+
+  // Finishing the last step queues the "registration complete" message, once per student.
+  const completionNotices = (before, after) =>
+    notifySettings.enabled && !completedAt(before) && completedAt(after) && !after.notified?.completed
+      ? buildNotifications("completed", after, notifySettings, notificationVars(after, eventNameOf(after)))
+      : [];
+
+  const markNotified = (student, notices) =>
+    notices.length ? { ...student, notified: { ...student.notified, completed: Date.now() } } : student;
+
+  const queueNotices = (student, kind, messages) => {
+    if (messages.length === 0) return;
+    notifier.enqueue(messages);
+    logEvent("notification.queue", { studentId: student.id, studentName: student.name, detail: `${kind}: ${messages.length} message(s)` });
+  };
+
+  // Stall alerts are checked by every station in Staff Mode. A station claims each
+  // alert through the adapter before queuing it; on the sync server the first
+  // claim wins, so however many stations notice a stalled student, one sends.
+  // The check runs once a minute and reads the latest render through a ref, so
+  // student edits in between do not start extra claims.
+  const minuteNow = useNow(60000);
+  const checkStalls = useRef(null);
+  checkStalls.current = () => {
+    liveStudents
+      .map((student) => ({ student, step: stalledStepOf(student, Date.now(), Number(notifySettings.stallMinutes)) }))
+      .filter((x) => x.step)
+      .map((x) => ({ ...x, messages: buildNotifications("stalled", x.student, notifySettings, notificationVars(x.student, eventNameOf(x.student), x.step)) }))
+      .filter((x) => x.messages.length)
+      .forEach(({ student, step, messages }) => {
+        adapter
+          .claimStallNotice(student, step.key)
+          .then((claimed) => {
+            if (!claimed) return;
+            setAllStudents((prev) => prev.map((s) => (s.id === claimed.id ? claimed : s)));
+            queueNotices(claimed, "stalled", messages);
+          })
+          .catch(() => {
+            // Not claimed; the next check tries again.
+          });
+      });
+  };
+  useEffect(() => {
+    if (staffMode && notifySettings.enabled && loaded) checkStalls.current();
+  }, [minuteNow, staffMode, notifySettings.enabled, loaded]);
+
+  const saveNotifySettings = (next) => {
+    setNotifySettings(next);
+    logEvent("notification.settings", { before: notifySettings, after: next });
+    toast.success(t("Notification settings saved."));
+  };
+
+  const sendTestNotification = (channel) => {
+    const message = newOutgoingMessage({
+      kind: "test",
+      channel,
+      to: "Test address",
+      subject: "Registration tracker test message",
+      body: `This is a test message sent by ${staff?.name || "the registration tracker"} at ${formatDate(Date.now())}.`,
+    });
+    notifier.enqueue([message]);
+    toast.success(notifyTransport.kind === "server" ? t("Test message queued (sync server relay).") : t("Test message queued (test outbox)."));
+  };
+
+  const signStep = (studentId, idx, payload = {}) => {
     if (!staffMode) {
-      toast.error("Enable Staff Mode to sign steps.");
-      return;
-    }
-    setStudents((prev) =>
-      prev.map((stu) => {
-        if (stu.id !== currentId) return stu;
-        const steps = stu.steps.map((s) => {
-          if (s.index !== idx) return s;
-          return {
-            ...s,
-            completed: true,
-            initials: payload.initials,
-            notes: payload.notes,
-            signedAt: Date.now(),
-          };
-        });
-        return { ...stu, steps };
-      })
-    );
-    toast.success(`Step ${idx} signed. Next step unlocked.`);
+      toast.error(t("Enable Staff Mode to sign steps."));
+      return;
+    }
+    const student = allStudents.find((s) => s.id === studentId);
+    const target = student?.steps.find((s) => s.index === idx);
+    if (!ensureWritable(student)) return;
+    if (!canSignStep(staff, target?.key)) {
+      toast.error(t("{name} is not permitted to sign this step.", { name: staff.name }));
+      return;
+    }
+    if (Object.keys(fieldErrors(target.fields, payload.values)).length) {
+      toast.error(t("Fill in the step details before signing."));
+      return;
+    }
+    if (target.booking && !student.appointment) {
+      toast.error(t("Book an ID photo time slot before signing this step."));
+      return;
+    }
+    const signed = {
+      ...target,
+      completed: true,
+      initials: staff.initials,
+      signedBy: staff.name,
+      notes: payload.notes,
+      values: cleanFieldValues(target.fields, payload.values),
+      signedAt: Date.now(),
+    };
+    // Re-signing a step clears the review flags its un-signing put on later steps.
+    const applySign = (stu) => ({
+      ...stu,
+      steps: stu.steps.map((s) => (s.index === idx ? { ...s, ...signed } : s.flagged?.stepKey === target.key ? { ...s, flagged: undefined } : s)),
+    });
+    const notices = completionNotices(student, applySign(student));
+    setAllStudents((prev) => prev.map((stu) => (stu.id === studentId ? markNotified(applySign(stu), notices) : stu)));
+    logEvent("step.sign", { studentId, studentName: student.name, step: stepRef(target), before: target, after: signed });
+    queueNotices(student, "completed", notices);
+    toast.success(t("Step {n} signed for {name}. Next step unlocked.", { n: idx, name: student.name }));
   };
 
-  const resetStudent = (id) => {
-    setStudents((prev) =>
-      prev.map((s) => (s.id === id ? { ...newStudent(s.name, s.grade), id: s.id, createdAt: s.createdAt } : s))
-    );
+  const waiveStep = (studentId, idx, reason) => {
+    const student = allStudents.find((s) => s.id === studentId);
+    const target = student?.steps.find((s) => s.index === idx);
+    if (!ensureWritable(student)) return;
+    if (!target?.optional) {
+      toast.error(t("Only optional steps can be waived."));
+      return;
+    }
+    if (!canSignStep(staff, target.key)) {
+      toast.error(t("Sign in with an account that can sign this step to waive it."));
+      return;
+    }
+    const waived = { ...target, waived: { at: Date.now(), by: staff.name, initials: staff.initials, reason } };
+    const applyWaiver = (stu) => ({ ...stu, steps: stu.steps.map((s) => (s.index === idx ? waived : s)) });
+    const notices = completionNotices(student, applyWaiver(student));
+    setAllStudents((prev) => prev.map((stu) => (stu.id === studentId ? markNotified(applyWaiver(stu), notices) : stu)));
+    logEvent("step.waive", { studentId, studentName: student.name, step: stepRef(target), before: target, after: waived, detail: reason });
+    queueNotices(student, "completed", notices);
+    toast.success(t("Step {n} waived for {name}.", { n: idx, name: student.name }));
+  };
+
+  // Profile changes can change which steps apply (e.g. new vs returning).
+  const updateStudent = (id, fields) => {
+    const before = allStudents.find((s) => s.id === id);
+    if (!before || !ensureStaff() || !ensureWritable(before)) return;
+    setAllStudents((prev) => prev.map((s) => (s.id === id ? { ...s, ...fields } : s)));
+    logEvent("student.update", { studentId: id, studentName: before.name, before, after: { ...before, ...fields } });
+  };
+
+  const revokeStep = (idx, reason) => {
+    const target = current?.steps.find((s) => s.index === idx);
+    if (!ensureWritable(current)) return;
+    if (!canSignStep(staff, target?.key)) {
+      toast.error(t("Sign in with an account that can sign this step to un-sign it."));
+      return;
+    }
+    const revocation = { at: Date.now(), by: staff.name, initials: staff.initials, reason };
+    const after = revokeStudentStep(current, idx, revocation);
+    setAllStudents((prev) => prev.map((stu) => (stu.id === current.id ? revokeStudentStep(stu, idx, revocation) : stu)));
+    logEvent("step.revoke", {
+      studentId: current.id,
+      studentName: current.name,
+      step: stepRef(target),
+      before: target,
+      after: after.steps.find((s) => s.index === idx),
+      detail: reason,
+    });
+    const flagged = after.steps.filter((s) => s.flagged?.stepKey === target.key).length;
+    const done = target.waived ? t("Step {n} waiver undone.", { n: idx }) : t("Step {n} un-signed.", { n: idx });
+    toast.success(flagged ? `${done} ${t("{count} later step(s) flagged for review.", { count: flagged })}` : done);
+  };
+
+  const resetStudent = async (id) => {
+    const before = students.find((s) => s.id === id);
+    if (!before || !ensureAdmin() || !ensureWritable(before)) return;
+    if (!confirm(t("Reset {name}? All of their sign-offs will be cleared.", { name: before.name }))) return;
+    if (!(await takeSnapshot(`Before resetting ${before.name}`))) return;
+    // Resetting restarts the student on the version they are already on, and
+    // drops the photo booking and sent notices that belonged to the old run.
+    const version = templateFor(workflows, before.workflowVersion) || template;
+    const after = {
+      ...before,
+      ...newStudent(before.name, before.grade, version, { status: before.status }),
+      id: before.id,
+      code: before.code,
+      createdAt: before.createdAt,
+      appointment: undefined,
+      notified: undefined,
+    };
+    setAllStudents((prev) => prev.map((s) => (s.id === id ? after : s)));
+    logEvent("student.reset", { studentId: id, studentName: before.name, before, after });
   };
 
-  const completeCountByStep = useMemo(() => {
-    const counts = new Array(7).fill(0);
+  // Students are counted against the active template by step key, so students on
+  // older versions still land on the matching step when it exists.
+  const { completeCountByStep, otherVersionCount } = useMemo(() => {
+    const counts = new Array(template.steps.length).fill(0);
+    let other = 0;
     students.forEach((stu) => {
-      const done = stu.steps.filter((s) => s.completed).length;
-      const currentStep = Math.min(done + 1, 7);
-      counts[currentStep - 1] += 1;
+      const at = template.steps.findIndex((d) => d.key === currentStepOf(stu)?.key);
+      if (at === -1) other += 1;
+      else counts[at] += 1;
     });
-    return counts;
-  }, [students]);
-
-  const [newName, setNewName] = useState("");
-  const [newGrade, setNewGrade] = useState("");
-
-  const attemptStaffLogin = () => {
-    const saved = pinSet || "2025";
-    if (enteredPin === saved) {
-      setStaffMode(true);
-      setEnteredPin("");
-      toast.success("Staff Mode enabled");
-    } else {
-      toast.error("Incorrect PIN");
+    return { completeCountByStep: counts, otherVersionCount: other };
+  }, [students, template]);
+
+  const bottleneckKey = useMemo(() => bottleneckOf(queueLoads(students, template, Date.now()))?.key ?? null, [students, template]);
+
+  const publishWorkflow = (name, steps) => {
+    setWorkflows((prev) => {
+      const version = Math.max(...prev.templates.map((t) => t.version)) + 1;
+      return { activeVersion: version, templates: [...prev.templates, { version, name, createdAt: Date.now(), steps }] };
+    });
+    logEvent("workflow.publish", { detail: name, after: steps });
+    toast.success(t("Workflow published and set as active."));
+  };
+
+  const activateWorkflow = (version) => {
+    setWorkflows((prev) => ({ ...prev, activeVersion: version }));
+    logEvent("workflow.activate", { detail: `v${workflows.activeVersion} → v${version}` });
+    toast.success(t("Workflow v{version} is now active for new students.", { version }));
+  };
+
+  const importStudents = async (rows, policy) => {
+    if (!ensureWritable()) return;
+    if (policy !== "skip" && !(await takeSnapshot(`Before importing ${rows.length} record(s) (${policy})`))) return;
+    // A backup from another event may reuse ids that are taken there; those records get new ones.
+    const others = allStudents.filter((s) => eventOf(s) !== viewEventId);
+    const taken = new Set(others.map((s) => s.id));
+    const freshIds = rows.map((r) => {
+      if (!r.record || !taken.has(r.record.id)) return r;
+      const id = crypto.randomUUID();
+      return { ...r, record: { ...r.record, id, code: studentCodeFor(id) } };
+    });
+    const result = applyImport(students, freshIds, policy, others);
+    const replaced = students.filter((s) => !result.students.includes(s));
+    setAllStudents((prev) => [...result.students.map((s) => ({ ...s, eventId: viewEventId })), ...prev.filter((s) => eventOf(s) !== viewEventId)]);
+    logEvent("students.import", {
+      detail: `${result.added} added, ${result.updated} ${policy === "merge" ? "merged" : "replaced"}`,
+      before: replaced.length ? replaced : undefined,
+    });
+    toast.success(
+      policy === "skip"
+        ? t("Imported {added} new student(s), skipped {existing} existing.", { added: result.added, existing: rows.length - result.added })
+        : t("Imported {added} new student(s), updated {existing} existing.", { added: result.added, existing: rows.length - result.added })
+    );
+  };
+
+  const migrateWorkflow = async (fromVersion) => {
+    if (!ensureWritable()) return;
+    const count = students.filter((s) => s.workflowVersion === fromVersion).length;
+    if (
+      !confirm(
+        t("Move {count} student(s) in {event} from v{from} to v{to}? Steps removed in v{to} will be dropped from their records.", {
+          count,
+          event: viewEvent.name,
+          from: fromVersion,
+          to: template.version,
+        })
+      )
+    )
+      return;
+    if (!(await takeSnapshot(`Before migrating ${count} student(s) from v${fromVersion} to v${template.version}`))) return;
+    setAllStudents((prev) => prev.map((s) => (eventOf(s) === viewEventId && s.workflowVersion === fromVersion ? migrateStudent(s, template) : s)));
+    logEvent("workflow.migrate", {
+      detail: `${count} student(s) v${fromVersion} → v${template.version}`,
+      before: students.filter((s) => s.workflowVersion === fromVersion),
+    });
+    toast.success(t("Migrated {count} student(s) to v{version}.", { count, version: template.version }));
+  };
+
+  const viewEventById = (id) => {
+    setViewedEventId(id === eventsDoc.activeId ? null : id);
+    setCurrentId(null);
+  };
+
+  const createEvent = (name) => {
+    const event = { id: crypto.randomUUID(), name, createdAt: Date.now() };
+    setEventsDoc((prev) => ({ activeId: event.id, events: [...prev.events, event] }));
+    logEvent("event.create", { detail: name });
+    viewEventById(event.id);
+    toast.success(t("{event} created and set as the active event.", { event: name }));
+  };
+
+  const activateEvent = (id) => {
+    const event = eventsDoc.events.find((e) => e.id === id);
+    setEventsDoc((prev) => ({ ...prev, activeId: id }));
+    logEvent("event.activate", { detail: `${activeEvent?.name} → ${event.name}` });
+    toast.success(t("{event} is now the active event for stations and the lobby display.", { event: event.name }));
+  };
+
+  const archiveEvent = (id) => {
+    const event = eventsDoc.events.find((e) => e.id === id);
+    if (!confirm(t("Archive {event}? Its {count} student(s) become read-only.", { event: event.name, count: studentsInEvent(allStudents, id).length }))) return;
+    setEventsDoc((prev) => ({ ...prev, events: prev.events.map((e) => (e.id === id ? { ...e, archivedAt: Date.now() } : e)) }));
+    logEvent("event.archive", { detail: event.name });
+  };
+
+  const reopenEvent = (id) => {
+    const event = eventsDoc.events.find((e) => e.id === id);
+    setEventsDoc((prev) => ({ ...prev, events: prev.events.map((e) => (e.id === id ? { ...e, archivedAt: undefined } : e)) }));
+    logEvent("event.reopen", { detail: event.name });
+  };
+
+  const carryOverStudents = (sources, options) => {
+    if (!ensureWritable()) return;
+    const carried = withUniqueCodes(sources.map((s) => carryOverStudent(s, template, viewEventId, options)), allStudents);
+    setAllStudents((prev) => [...carried, ...prev]);
+    logEvent("students.carry_over", { detail: `${carried.length} student(s) into ${viewEvent.name}`, after: carried });
+    toast.success(t("Carried over {count} returning student(s) into {event}.", { count: carried.length, event: viewEvent.name }));
+  };
+
+  const lookupStudent = (input) => {
+    const student = findStudentByCode(students, input);
+    if (!student) {
+      toast.error(t("No student with code {code}", { code: input.trim() }));
+      return;
+    }
+    setCurrentId(student.id);
+    setTab("workflow");
+    setFocusStepKey(currentStepOf(student)?.key ?? null);
+  };
+
+  // Scroll the looked-up student's current step into view once the Workflow tab has rendered it.
+  useEffect(() => {
+    if (!focusStepKey || tab !== "workflow") return;
+    const frame = requestAnimationFrame(() => {
+      document.getElementById(`step-${focusStepKey}`)?.scrollIntoView({ behavior: "smooth", block: "center" });
+      setFocusStepKey(null);
+    });
+    return () => cancelAnimationFrame(frame);
+  }, [focusStepKey, tab, currentId]);
+
+  const startStation = (stepKey) => {
+    const next = { stepKey };
+    saveStation(next);
+    setStation(next);
+    toast.success(t("Station mode started on this device."));
+  };
+
+  const exitStation = () => {
+    saveStation(null);
+    setStation(null);
+  };
+
+  const lockKiosk = () => {
+    const unlock = adapter.kind === "remote" ? t("It forgets the sync token; unlocking takes the token and an admin PIN.") : t("Only an admin PIN will unlock it.");
+    if (!confirm(`${t("Lock this device as a self-service kiosk?")} ${unlock}`)) return;
+    logEvent("kiosk.lock");
+    onLockKiosk();
+  };
+
+  // The station's step is looked up in the active template; if it has since been
+  // removed, the device falls back to the normal tabs.
+  const stationStepIndex = station ? template.steps.findIndex((s) => s.key === station.stepKey) : -1;
+
+  const logout = (message = "Staff Mode disabled") => {
+    logEvent("staff.logout", { detail: message });
+    setSession(null);
+    adapter.logout().catch(() => {});
+    toast(t(message));
+  };
+  // The inactivity timer below calls the latest logout without restarting.
+  const logoutRef = useRef(null);
+  logoutRef.current = logout;
+
+  const attemptStaffLogin = async (accountId, pin, newPin) => {
+    // An empty list only means "no accounts yet" once it has actually loaded;
+    // until then the legacy PIN must not be able to create an admin.
+    if (!staffReady) {
+      toast.error(t("Staff accounts have not loaded yet. Check the connection and try again."));
+      return;
     }
+    try {
+      // Before any accounts exist, the old shared PIN creates the first admin
+      // account, which gets a new PIN of its own.
+      if (staffAccounts.length === 0) {
+        const legacyPin = localStorage.getItem(PIN_KEY) || LEGACY_DEFAULT_PIN;
+        if (pin !== legacyPin) {
+          toast.error(t("Incorrect PIN"));
+          return;
+        }
+        if (!isValidPin(newPin)) {
+          toast.error(t("PIN must be at least {n} digits", { n: MIN_PIN_LENGTH }));
+          return;
+        }
+        const admin = { id: crypto.randomUUID(), name: "Administrator", initials: "ADM", role: "admin", steps: [] };
+        setStaffAccounts(await adapter.saveStaff(admin, newPin));
+        await adapter.login(admin.id, newPin);
+        localStorage.removeItem(PIN_KEY);
+        logEvent("staff.save", { actor: admin, after: admin, detail: "First admin created from the shared staff PIN" });
+        logEvent("staff.login", { actor: admin });
+        setSession({ accountId: admin.id, lastActivity: Date.now() });
+        toast.success(t("Signed in as Administrator. Add named staff accounts in the Admin tab."));
+        return;
+      }
+      const account = await adapter.login(accountId, pin);
+      if (account) {
+        logEvent("staff.login", { actor: account });
+        setSession({ accountId: account.id, lastActivity: Date.now() });
+        toast.success(t("Staff Mode enabled for {name}", { name: account.name }));
+      } else {
+        const known = staffAccounts.find((a) => a.id === accountId);
+        logEvent("staff.login_failed", { actor: null, detail: known ? `Wrong PIN for ${known.name}` : "Unknown account" });
+        toast.error(t("Incorrect PIN"));
+      }
+    } catch (err) {
+      toast.error(t("Could not sign in: {message}", { message: err.message }));
+    }
+  };
+
+  // Any interaction keeps the session alive; after STAFF_TIMEOUT_MS of quiet the
+  // station drops back out of Staff Mode.
+  useEffect(() => {
+    if (!session) return;
+    const bump = () => setSession((prev) => (prev && Date.now() - prev.lastActivity > 5000 ? { ...prev, lastActivity: Date.now() } : prev));
+    const events = ["pointerdown", "keydown", "scroll"];
+    events.forEach((e) => window.addEventListener(e, bump, { passive: true }));
+    const timer = setInterval(() => {
+      if (Date.now() - session.lastActivity > STAFF_TIMEOUT_MS) logoutRef.current("Staff Mode timed out after inactivity");
+    }, 15000);
+    return () => {
+      events.forEach((e) => window.removeEventListener(e, bump));
+      clearInterval(timer);
+    };
+  }, [session]);
+
+  /** @returns {Promise<boolean>} whether the account was saved */
+  const saveStaffAccount = async (account, pin) => {
+    const before = staffAccounts.find((a) => a.id === account.id);
+    try {
+      setStaffAccounts(await adapter.saveStaff(account, pin));
+    } catch (err) {
+      toast.error(t("Could not save the staff account: {message}", { message: err.message }));
+      return false;
+    }
+    logEvent("staff.save", { before, after: account, detail: before && pin ? "PIN changed" : undefined });
+    toast.success(t("Saved staff account for {name}", { name: account.name }));
+    return true;
   };
 
-  const updatePin = () => {
-    if (enteredPin.length < 4) {
-      toast.error("PIN must be at least 4 digits");
+  const deleteStaffAccount = async (id) => {
+    const account = staffAccounts.find((a) => a.id === id);
+    if (!confirm(t("Remove the staff account for {name}?", { name: account?.name }))) return;
+    try {
+      setStaffAccounts(await adapter.deleteStaff(id));
+    } catch (err) {
+      toast.error(t("Could not remove the staff account: {message}", { message: err.message }));
       return;
     }
-    localStorage.setItem(PIN_KEY, enteredPin);
-    setPinSet(enteredPin);
-    setEnteredPin("");
-    toast.success("Staff PIN updated");
+    logEvent("staff.delete", { before: account });
   };
 
+  // Public routes render without the staff header or tabs and never show signing controls.
+  if (route.path === "verify") {
+    return (
+      <I18nContext.Provider value={t}>
+        <CertificateVerify students={allStudents} events={eventsDoc} initialCode={route.params.get("code")} />
+      </I18nContext.Provider>
+    );
+  }
+  if (route.path === "display") {
+    return (
+      <I18nContext.Provider value={t}>
+        <LobbyDisplay students={liveStudents} template={template} />
+      </I18nContext.Provider>
+    );
+  }
+
   return (
-    <div className="min-h-screen bg-gradient-to-b from-slate-50 to-white p-4 md:p-8">
-      <div className="mx-auto max-w-7xl space-y-6">
-        {/* Header */}
-        <header className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
-          <div>
-            <h1 className="text-3xl md:text-4xl font-extrabold tracking-tight flex items-center gap-3">
-              <ClipboardList className="h-8 w-8" /> Registration Progress Tracker
-            </h1>
-            <p className="text-muted-foreground">7-step guided workflow with staff sign‑off at each stage.</p>
-          </div>
-          <div className="flex items-center gap-4">
-            <div className="flex items-center gap-2">
-              <Label htmlFor="staff">Staff Mode</Label>
-              <Switch id="staff" checked={staffMode} onCheckedChange={(v) => setStaffMode(v)} />
+    <I18nContext.Provider value={t}>
+      <div className="min-h-screen bg-gradient-to-b from-slate-50 to-white p-4 md:p-8 print:bg-none print:bg-white print:p-0">
+        <div className="mx-auto max-w-7xl space-y-6 print:hidden">
+          {/* Header */}
+          <header className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
+            <div>
+              <h1 className="text-3xl md:text-4xl font-extrabold tracking-tight flex items-center gap-3">
+                <ClipboardList className="h-8 w-8" /> {t("Registration Progress Tracker")}
+              </h1>
+              <p className="text-muted-foreground">{t("{count}-step guided workflow with staff sign‑off at each stage.", { count: template.steps.length })}</p>
+              <div className="mt-1 flex flex-wrap items-center gap-2 text-sm">
+                <Badge variant="outline">{viewEvent.name}</Badge>
+                {archived && <Badge variant="secondary">{t("Archived • read-only")}</Badge>}
+                {viewEventId !== eventsDoc.activeId && (
+                  <Button variant="link" size="sm" className="h-auto p-0" onClick={() => viewEventById(eventsDoc.activeId)}>
+                    {t("Back to {name}", { name: activeEvent?.name })}
+                  </Button>
+                )}
+              </div>
             </div>
-            {!staffMode && (
+            <div className="flex items-center gap-4">
+              <LanguageSwitcher />
+              {stationStepIndex === -1 && <CodeLookup onLookup={lookupStudent} />}
               <div className="flex items-center gap-2">
-                <Input value={enteredPin} onChange={(e) => setEnteredPin(e.target.value)} placeholder="Enter Staff PIN" type="password" className="w-40" />
-                <Button onClick={attemptStaffLogin} variant="secondary">Unlock</Button>
+                <Label htmlFor="staff">{t("Staff Mode")}</Label>
+                {/* Turning Staff Mode on always goes through a PIN; the switch can only turn it off. */}
+                <Switch id="staff" checked={staffMode} disabled={!staffMode} onCheckedChange={(v) => !v && logout()} />
               </div>
-            )}
-          </div>
-        </header>
-
-        <Tabs defaultValue="students" className="w-full">
-          <TabsList className="grid grid-cols-3 md:w-[500px]">
-            <TabsTrigger value="students"><Users className="h-4 w-4 mr-2" /> Students</TabsTrigger>
-            <TabsTrigger value="workflow"><Rocket className="h-4 w-4 mr-2" /> Workflow</TabsTrigger>
-            <TabsTrigger value="admin"><ShieldCheck className="h-4 w-4 mr-2" /> Admin</TabsTrigger>
-          </TabsList>
+              {staffMode ? (
+                <Badge variant="secondary">{staff.name} • {t(STAFF_ROLES[staff.role])}</Badge>
+              ) : (
+                <StaffLogin accounts={staffAccounts} ready={staffReady} onLogin={attemptStaffLogin} />
+              )}
+            </div>
+          </header>
 
-          {/* Students Tab */}
-          <TabsContent value="students" className="space-y-4">
-            <Card>
+          {loadError && (
+            <Card className="border-destructive">
               <CardHeader>
-                <CardTitle className="text-xl">Add / Select Student</CardTitle>
-                <CardDescription>Create a student record, then switch to the Workflow tab.</CardDescription>
+                <CardTitle>{t("Student records could not be loaded")}</CardTitle>
+                <CardDescription>
+                  {loadError.message}{" "}
+                  {loadError.unreadable
+                    ? t("Nothing is saved until this is resolved. An admin can restore a snapshot under Admin → Snapshots & Recovery, or start with an empty list; the unreadable data is kept on this device.")
+                    : t("Nothing is saved until this is resolved. An admin can restore a snapshot under Admin → Snapshots & Recovery.")}
+                </CardDescription>
               </CardHeader>
-              <CardContent className="grid grid-cols-1 md:grid-cols-6 gap-3">
-                <div className="md:col-span-2">
-                  <Label htmlFor="name">Student Name</Label>
-                  <Input id="name" placeholder="e.g., Jordan Smith" value={newName} onChange={(e) => setNewName(e.target.value)} />
-                </div>
-                <div className="md:col-span-1">
-                  <Label htmlFor="grade">Grade</Label>
-                  <Input id="grade" placeholder="e.g., 9" value={newGrade} onChange={(e) => setNewGrade(e.target.value)} />
-                </div>
-                <div className="md:col-span-1 flex items-end">
-                  <Button onClick={() => { handleAddStudent(newName, newGrade); setNewName(""); setNewGrade(""); }}>
-                    <Plus className="h-4 w-4 mr-2" /> Add Student
-                  </Button>
-                </div>
-                <div className="md:col-span-2 flex items-end justify-end gap-2">
-                  <div className="relative w-full md:w-64">
-                    <Input placeholder="Search students" value={query} onChange={(e) => setQuery(e.target.value)} />
-                    <Search className="h-4 w-4 absolute right-2 top-3 text-muted-foreground" />
-                  </div>
-                </div>
-              </CardContent>
+              {loadError.unreadable && isAdmin && (
+                <CardFooter>
+                  <Button variant="destructive" onClick={startEmpty}>{t("Start With an Empty List")}</Button>
+                </CardFooter>
+              )}
             </Card>
+          )}
 
-            <Card>
-              <CardHeader>
-                <CardTitle className="text-lg">Student List</CardTitle>
-                <CardDescription>Click a row to select a student.</CardDescription>
-              </CardHeader>
-              <CardContent>
-                <Table>
-                  <TableHeader>
-                    <TableRow>
-                      <TableHead>Name</TableHead>
-                      <TableHead>Grade</TableHead>
-                      <TableHead>% Complete</TableHead>
-                      <TableHead>Current Step</TableHead>
-                      <TableHead className="text-right">Actions</TableHead>
-                    </TableRow>
-                  </TableHeader>
-                  <TableBody>
-                    {filteredStudents.length === 0 && (
-                      <TableRow>
-                        <TableCell colSpan={5} className="text-center text-muted-foreground">No students yet. Add one above.</TableCell>
-                      </TableRow>
-                    )}
-                    {filteredStudents.map((s) => (
-                      <AdminRow key={s.id} student={s} onSelect={setCurrentId} onDelete={handleDeleteStudent} />
-                    ))}
-                  </TableBody>
-                </Table>
-              </CardContent>
-            </Card>
-          </TabsContent>
-
-          {/* Workflow Tab */}
-          <TabsContent value="workflow" className="space-y-4">
-            {!current ? (
-              <Card>
-                <CardHeader>
-                  <CardTitle>Select a student</CardTitle>
-                  <CardDescription>Add or choose a student from the Students tab.</CardDescription>
-                </CardHeader>
-              </Card>
-            ) : (
-              <>
+          {stationStepIndex !== -1 ? (
+            <StationView
+              stepDef={template.steps[stationStepIndex]}
+              stepNumber={stationStepIndex + 1}
+              students={liveStudents}
+              staff={staff}
+              isAdmin={isAdmin}
+              onSign={signStep}
+              onExit={exitStation}
+              renderBooking={renderBooking}
+            />
+          ) : (
+            <Tabs value={tab} onValueChange={setTab} className="w-full">
+              <TabsList className="grid grid-cols-3 md:w-[500px]">
+                <TabsTrigger value="students"><Users className="h-4 w-4 mr-2" /> {t("Students")}</TabsTrigger>
+                <TabsTrigger value="workflow"><Rocket className="h-4 w-4 mr-2" /> {t("Workflow")}</TabsTrigger>
+                <TabsTrigger value="admin"><ShieldCheck className="h-4 w-4 mr-2" /> {t("Admin")}</TabsTrigger>
+              </TabsList>
+
+              {/* Students Tab */}
+              <TabsContent value="students" className="space-y-4">
                 <Card>
                   <CardHeader>
-                    <CardTitle className="flex items-center justify-between">
-                      <span>{current.name}{current.grade ? ` • Grade ${current.grade}` : ""}</span>
-                      <div className="flex items-center gap-3">
-                        <div className="w-48"><Progress value={percentComplete(current)} /></div>
-                        <Badge variant="secondary">{percentComplete(current)}% Complete</Badge>
-                      </div>
-                    </CardTitle>
-                    <CardDescription>Follow the steps below. Each one requires staff initials to unlock the next.</CardDescription>
+                    <CardTitle className="text-xl">{t("Add / Select Student")}</CardTitle>
+                    <CardDescription>
+                      {archived
+                        ? t("{name} is archived; its records are read-only.", { name: viewEvent.name })
+                        : t("Create a student record, then switch to the Workflow tab.")}
+                    </CardDescription>
                   </CardHeader>
+                  <CardContent>
+                    <AddStudentForm
+                      students={students}
+                      customFields={profileFieldsDoc.fields}
+                      disabled={archived}
+                      onAdd={handleAddStudent}
+                      onOpen={(id) => {
+                        setCurrentId(id);
+                        setTab("workflow");
+                      }}
+                    />
+                  </CardContent>
                 </Card>
 
-                <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
-                  {current.steps.map((s, i) => {
-                    const locked = i > 0 && !current.steps[i - 1].completed;
-                    return (
-                      <StepCard key={s.index} step={s} locked={locked} onSign={(payload) => signStep(s.index, payload)} />
-                    );
-                  })}
-                </div>
+                <Card>
+                  <CardHeader>
+                    <CardTitle className="text-lg">{t("Student List")}</CardTitle>
+                    <CardDescription>
+                      {t("Click a row to select a student.")} {t("Showing {shown} of {total}.", { shown: filteredStudents.length, total: students.length })}
+                    </CardDescription>
+                  </CardHeader>
+                  <CardContent className="space-y-3">
+                    <StudentFilters
+                      filters={filters}
+                      onChange={setFilters}
+                      grades={grades}
+                      template={template}
+                      presets={filterPresets.presets}
+                      onSavePreset={saveFilterPreset}
+                      onDeletePreset={deleteFilterPreset}
+                    />
+                    <StudentTable
+                      students={sortedStudents}
+                      sort={sort}
+                      onSort={setSort}
+                      resetKey={JSON.stringify([deferredFilters, sort])}
+                      onSelect={setCurrentId}
+                      onDelete={isAdmin ? handleDeleteStudent : undefined}
+                      emptyText={students.length ? t("No students match these filters.") : t("No students yet. Add one above.")}
+                    />
+                  </CardContent>
+                </Card>
+              </TabsContent>
 
-                <CompletionCertificate student={current} />
+              {/* Workflow Tab */}
+              <TabsContent value="workflow" className="space-y-4">
+                {!current ? (
+                  <Card>
+                    <CardHeader>
+                      <CardTitle>{t("Select a student")}</CardTitle>
+                      <CardDescription>{t("Add or choose a student from the Students tab.")}</CardDescription>
+                    </CardHeader>
+                  </Card>
+                ) : (
+                  <>
+                    <Card>
+                      <CardHeader>
+                        <CardTitle className="flex items-center justify-between">
+                          <span>{current.name}{current.grade ? ` • ${t("Grade {grade}", { grade: current.grade })}` : ""}</span>
+                          <div className="flex items-center gap-3">
+                            <div className="w-48"><Progress value={percentComplete(current)} /></div>
+                            <Badge variant="secondary">{t("{pct}% Complete", { pct: percentComplete(current) })}</Badge>
+                          </div>
+                        </CardTitle>
+                        <CardDescription>
+                          {t("Follow the steps below. Each one requires staff initials to unlock the next.")}
+                          {current.workflowVersion !== template.version && ` (${t("Workflow v{version}", { version: current.workflowVersion })})`}
+                        </CardDescription>
+                      </CardHeader>
+                      <CardContent className="flex flex-wrap items-center gap-3 text-sm">
+                        <StudentProfile
+                          student={current}
+                          students={students}
+                          customFields={profileFieldsDoc.fields}
+                          readOnly={!staffMode || archived}
+                          onSave={(profile) => updateStudent(current.id, profile)}
+                          onMerge={isAdmin ? (otherId) => mergeStudents(current.id, otherId) : undefined}
+                        />
+                        {applicableSteps(current).length < current.steps.length && (
+                          <span className="text-muted-foreground">
+                            {t("{count} step(s) do not apply to this student.", { count: current.steps.length - applicableSteps(current).length })}
+                          </span>
+                        )}
+                        <div className="w-full">
+                          <GuardianContacts
+                            guardians={current.guardians}
+                            readOnly={!staffMode || archived}
+                            onChange={(guardians) => updateStudent(current.id, { guardians })}
+                          />
+                        </div>
+                      </CardContent>
+                    </Card>
 
-                <div className="flex items-center justify-between">
-                  <div className="text-sm text-muted-foreground">Tip: Use the Admin tab to update the Staff PIN and see flow metrics.</div>
-                  <div className="flex gap-2">
-                    <Button variant="secondary" onClick={() => resetStudent(current.id)}>Reset This Student</Button>
-                  </div>
-                </div>
-              </>
-            )}
-          </TabsContent>
+                    <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+                      {current.steps.map((s, i) => {
+                        if (!stepApplies(current, s)) return null;
+                        const locked = isStepLocked(current, i);
+                        return (
+                          <StepCard
+                            key={s.index}
+                            step={s}
+                            flaggedBy={s.flagged && current.steps.find((x) => x.key === s.flagged.stepKey)}
+                            locked={locked}
+                            staff={staff}
+                            onSign={(payload) => signStep(current.id, s.index, payload)}
+                            onRevoke={(reason) => revokeStep(s.index, reason)}
+                            onWaive={(reason) => waiveStep(current.id, s.index, reason)}
+                            booking={s.booking ? renderBooking(current) : null}
+                            readOnly={archived}
+                          />
+                        );
+                      })}
+                    </div>
 
-          {/* Admin Tab */}
-          <TabsContent value="admin" className="space-y-4">
-            <Card>
-              <CardHeader>
-                <CardTitle>Staff PIN & Security</CardTitle>
-                <CardDescription>Control Staff Mode access on shared devices.</CardDescription>
-              </CardHeader>
-              <CardContent className="grid grid-cols-1 md:grid-cols-3 gap-4">
-                <div className="md:col-span-2">
-                  <Label htmlFor="pin">Set / Update Staff PIN</Label>
-                  <Input id="pin" type="password" placeholder="New PIN" value={enteredPin} onChange={(e) => setEnteredPin(e.target.value)} />
-                </div>
-                <div className="md:col-span-1 flex items-end">
-                  <Button onClick={updatePin}><ShieldCheck className="h-4 w-4 mr-2" /> Save PIN</Button>
-                </div>
-              </CardContent>
-            </Card>
+                    <CompletionCertificate
+                      student={current}
+                      onPrint={() => setPrintJob(<PrintableCertificate student={current} eventName={viewEvent.name} />)}
+                    />
 
-            <Card>
-              <CardHeader>
-                <CardTitle>Flow Overview</CardTitle>
-                <CardDescription>How many students are at each step (includes current step for in‑progress students).</CardDescription>
-              </CardHeader>
-              <CardContent>
-                <div className="grid grid-cols-1 md:grid-cols-7 gap-3">
-                  {STEP_DEFS.map((s, idx) => (
-                    <div key={s.index} className="p-4 rounded-2xl border bg-white flex flex-col gap-2 items-start shadow-sm">
-                      <div className="text-xs text-muted-foreground">Step {s.index}</div>
-                      <div className="font-semibold leading-tight">{s.title}</div>
-                      <Badge>{completeCountByStep[idx]}</Badge>
+                    <div className="flex items-center justify-between">
+                      <div className="text-sm text-muted-foreground">{t("Tip: Use the Admin tab to manage staff accounts and see flow metrics.")}</div>
+                      <div className="flex gap-2">
+                        <Button variant="secondary" onClick={() => setPrintJob(<ClearanceSheet student={current} />)}>{t("Print Clearance Sheet")}</Button>
+                        {isAdmin && <Button variant="secondary" disabled={archived} onClick={() => resetStudent(current.id)}>{t("Reset This Student")}</Button>}
+                      </div>
                     </div>
-                  ))}
-                </div>
-              </CardContent>
-            </Card>
+                  </>
+                )}
+              </TabsContent>
 
-            <Card>
-              <CardHeader>
-                <CardTitle>Bulk Actions</CardTitle>
-                <CardDescription>Export, import, or clear local data (device only).</CardDescription>
-              </CardHeader>
-              <CardContent className="flex flex-wrap gap-2">
-                <Button variant="secondary" onClick={() => {
-                  const blob = new Blob([JSON.stringify(students, null, 2)], { type: 'application/json' });
-                  const url = URL.createObjectURL(blob);
-                  const a = document.createElement('a');
-                  a.href = url;
-                  a.download = 'registration-tracker-export.json';
-                  a.click();
-                  URL.revokeObjectURL(url);
-                }}>Export JSON</Button>
-                <Button variant="destructive" onClick={() => {
-                  if (confirm('Clear all students from this device?')) {
-                    setStudents([]);
-                    setCurrentId(null);
-                    localStorage.removeItem(STORAGE_KEY);
-                  }
-                }}>Clear Device Data</Button>
-              </CardContent>
-              <CardFooter>
-                <p className="text-xs text-muted-foreground">
-                  Note: This MVP stores data in this device's local storage. For multi‑device, real‑time syncing, connect a backend (e.g., Supabase/Firebase) and replace the storage helpers.
-                </p>
-              </CardFooter>
-            </Card>
-          </TabsContent>
-        </Tabs>
+              {/* Admin Tab */}
+              <TabsContent value="admin" className="space-y-4">
+                {!isAdmin ? (
+                  <Card>
+                    <CardHeader>
+                      <CardTitle>{t("Admin access required")}</CardTitle>
+                      <CardDescription>
+                        {staffReady && staffAccounts.length === 0
+                          ? t("Enter the existing staff PIN and a new admin PIN of at least {n} digits to create the first admin account.", { n: MIN_PIN_LENGTH })
+                          : t("Sign in with an admin account to manage staff, workflows and data.")}
+                      </CardDescription>
+                    </CardHeader>
+                  </Card>
+                ) : (
+                  <>
+                    <StaffAccounts
+                      accounts={staffAccounts}
+                      template={template}
+                      currentStaff={staff}
+                      onSave={saveStaffAccount}
+                      onDelete={deleteStaffAccount}
+                    />
+
+                    <Card>
+                      <CardHeader>
+                        <CardTitle>Flow Overview</CardTitle>
+                        <CardDescription>
+                          How many students are at each step of the active workflow (includes current step for in‑progress students).
+                          {otherVersionCount > 0 && ` ${otherVersionCount} student(s) are on a step that is not in v${template.version}.`}
+                        </CardDescription>
+                      </CardHeader>
+                      <CardContent>
+                        <div className="grid grid-cols-1 md:grid-cols-[repeat(auto-fit,minmax(9rem,1fr))] gap-3">
+                          {template.steps.map((s, idx) => (
+                            <div
+                              key={s.key}
+                              className={`p-4 rounded-2xl border bg-white flex flex-col gap-2 items-start shadow-sm ${bottleneckKey === s.key ? "ring-2 ring-amber-400" : ""}`}
+                            >
+                              <div className="text-xs text-muted-foreground">Step {idx + 1}</div>
+                              <div className="font-semibold leading-tight">{s.title}</div>
+                              <Badge>{completeCountByStep[idx]}</Badge>
+                              {bottleneckKey === s.key && <div className="text-xs text-amber-700">Bottleneck</div>}
+                            </div>
+                          ))}
+                        </div>
+                      </CardContent>
+                    </Card>
+
+                    <EventManager
+                      events={eventsDoc}
+                      students={allStudents}
+                      viewEventId={viewEventId}
+                      onCreate={createEvent}
+                      onActivate={activateEvent}
+                      onArchive={archiveEvent}
+                      onReopen={reopenEvent}
+                      onView={viewEventById}
+                      onCarryOver={carryOverStudents}
+                    />
+
+                    <FlowAnalytics students={students} template={template} />
+
+                    <ProfileFieldsEditor fields={profileFieldsDoc.fields} onSave={saveProfileFields} />
+
+                    <WorkflowEditor
+                      workflows={workflows}
+                      students={students}
+                      onPublish={publishWorkflow}
+                      onActivate={activateWorkflow}
+                      onMigrate={migrateWorkflow}
+                    />
+
+                    <Card>
+                      <CardHeader>
+                        <CardTitle>{t("Bulk Actions")}</CardTitle>
+                        <CardDescription>{t("Export, import, or clear the students of {event}.", { event: viewEvent.name })}</CardDescription>
+                      </CardHeader>
+                      <CardContent className="flex flex-wrap gap-2">
+                        <Button variant="secondary" onClick={() => downloadFile(`registration-tracker-${viewEvent.name.replace(/\W+/g, "-").toLowerCase()}.json`, JSON.stringify(students, null, 2), "application/json")}>
+                          {t("Export JSON")}
+                        </Button>
+                        {!archived && <StudentImport students={students} workflows={workflows} onImport={importStudents} />}
+                        <Button variant="destructive" disabled={archived} onClick={async () => {
+                          const msg = adapter.kind === "remote"
+                            ? t("Delete all {count} student(s) in {event} from the sync server for every station?", { count: students.length, event: viewEvent.name })
+                            : t("Clear all {count} student(s) in {event} from this device?", { count: students.length, event: viewEvent.name });
+                          if (confirm(msg) && (await takeSnapshot(`Before clearing ${students.length} student(s) in ${viewEvent.name}`))) {
+                            logEvent("students.clear", { detail: `${students.length} student(s) in ${viewEvent.name}`, before: students });
+                            setAllStudents((prev) => prev.filter((s) => eventOf(s) !== viewEventId));
+                            setCurrentId(null);
+                          }
+                        }}>{adapter.kind === "remote" ? t("Clear Server Data") : t("Clear Device Data")}</Button>
+                      </CardContent>
+                      <CardFooter>
+                        <p className="text-xs text-muted-foreground">
+                          {adapter.kind === "remote" ? t("Note: Records are stored on the sync server.") : t("Note: Records are stored in this device's local storage.")}{" "}
+                          {t("For multi‑device, real‑time syncing, run the sync server in server/ and connect to it under Storage & Sync.")}
+                        </p>
+                      </CardFooter>
+                    </Card>
+
+                    <ReportExports
+                      students={filteredStudents}
+                      filterLabel={filterLabel}
+                      fileBase={`registration-${viewEvent.name.replace(/\W+/g, "-").toLowerCase()}`}
+                    />
+
+                    <BatchCertificates
+                      students={students}
+                      onPrint={(list) => setPrintJob(list.map((s) => <PrintableCertificate key={s.id} student={s} eventName={viewEvent.name} />))}
+                    />
+
+                    <PhotoAppointments
+                      slots={appointmentsDoc.slots.filter((s) => s.eventId === viewEventId)}
+                      students={students}
+                      readOnly={archived}
+                      onAddSlots={addPhotoSlots}
+                      onDeleteSlot={deletePhotoSlot}
+                      onPrintRoster={(day, slots) => setPrintJob(<PhotoRoster day={day} slots={slots} students={students} eventName={viewEvent.name} />)}
+                    />
+
+                    <NotificationSettings
+                      settings={notifySettings}
+                      serverAvailable={storageConfig.kind === "remote"}
+                      queue={notifier.queue}
+                      onSave={saveNotifySettings}
+                      onRetry={notifier.retry}
+                      onClearFinished={notifier.clearFinished}
+                      onTest={sendTestNotification}
+                    />
+
+                    <SnapshotRestore
+                      snapshots={snapshots}
+                      loadError={loadError}
+                      onRefresh={refreshSnapshots}
+                      onRestore={restoreSnapshot}
+                      onTake={async () => (await takeSnapshot("Taken by hand")) && toast.success(t("Snapshot saved."))}
+                      onDownload={(id) =>
+                        adapter
+                          .loadSnapshot(id)
+                          .then((s) => downloadFile(`registration-snapshot-${new Date(s.at).toISOString().slice(0, 19).replace(/:/g, "-")}.json`, JSON.stringify(s, null, 2), "application/json"))
+                          .catch((err) => toast.error(t("Could not load that snapshot: {message}", { message: err.message })))
+                      }
+                    />
+
+                    <AuditLogViewer entries={auditLog} />
 
-        <footer className="pt-4 text-center text-xs text-muted-foreground">
-          Built as an MVP demo. Customize branding, colors, and step wording in code.
-        </footer>
+                    <StationSetup template={template} onStart={startStation} onLockKiosk={lockKiosk} />
+
+                    <StorageSettings config={storageConfig} />
+                  </>
+                )}
+              </TabsContent>
+            </Tabs>
+          )}
+
+          <footer className="pt-4 text-center text-xs text-muted-foreground">
+            Built as an MVP demo. Customize branding and colors in code; edit steps from the Admin tab.
+          </footer>
+        </div>
+
+        {printJob && <div className="hidden print:block">{printJob}</div>}
       </div>
-    </div>
+    </I18nContext.Provider>
   );
 }
+
+// The self-service page is rendered instead of the app above, so it never loads
+// the student list. A device locked as a self-service kiosk shows nothing else.
+export default function RegistrationTrackerApp() {
+  const route = useHashRoute();
+  const [kiosk, setKiosk] = useState(() => loadKiosk());
+
+  // The sync token would open every record, so a kiosk keeps only the server address.
+  const lockKiosk = () => {
+    const storage = loadStorageConfig();
+    const locked = { server: storage.kind === "remote" ? storage.url : null };
+    if (storage.kind === "remote") saveStorageConfig({ kind: "local" });
+    saveKiosk(locked);
+    setKiosk(locked);
+  };
+
+  const unlockKiosk = () => {
+    saveKiosk(null);
+    setKiosk(null);
+    window.location.hash = "#/";
+  };
+
+  if (kiosk || route.path === "student") {
+    return <SelfServicePage initialCode={route.params.get("code")} server={kiosk ? kiosk.server : route.params.get("server")} kiosk={kiosk} onUnlock={unlockKiosk} />;
+  }
+  return <TrackerApp route={route} onLockKiosk={lockKiosk} />;
+}
+
+// Pure helpers, exported for the unit tests in test/.
+export {
+  DEFAULT_TEMPLATE,
+  EMPTY_STUDENT_FILTERS,
+  applyImport,
+  bookingProblem,
+  buildNotifications,
+  certificateCodeFor,
+  cleanFieldValues,
+  computeFlowAnalytics,
+  diffStudent,
+  duplicateReasons,
+  fieldErrors,
+  filterStudents,
+  findStudentByCode,
+  generateSlots,
+  isStepLocked,
+  mergeStudentRecords,
+  migrateStoredStudents,
+  migrateStudent,
+  nameMatchScore,
+  newStudent,
+  normalizeCode,
+  normalizeNotifySettings,
+  normalizeStudent,
+  normalizeWorkflows,
+  previewImport,
+  revokeStudentStep,
+  stalledStepOf,
+  stationQueue,
+  stepApplies,
+  studentCodeFor,
+  toCsv,
+  toXlsx,
+  validateStudents,
+  verifyCertificate,
+  withUniqueCodes,
+  xmlEscape,
+};
@@ -0,0 +1,797 @@
+// Reference sync server for the Registration Progress Tracker.
+//
+// Holds student records and shared documents (workflow templates, etc.) in one JSON
+// file and pushes every change to connected stations over a WebSocket. No
+// dependencies beyond Node itself:
+//
+//   SYNC_TOKEN=<secret> node server/sync-server.js            # listens on :8787, stores ./registration-data.json
+//   SYNC_TOKEN=<secret> PORT=9000 DATA_FILE=/srv/reg.json node server/sync-server.js
+//
+// Access
+//   SYNC_TOKEN         required; every request but /self-service sends "Authorization: Bearer <token>"
+//                      (the WebSocket, which cannot send headers, passes ?token=<token>)
+//   ALLOWED_ORIGIN     where the app is served from, e.g. https://school.github.io; browsers
+//                      on other origins are refused (comma-separate several)
+//   MAX_BODY_BYTES     largest request body accepted (default 10 MB); larger ones get 413
+//   SELF_SERVICE_PER_MINUTE  code lookups one address may make a minute (default 60); more get 429
+//
+// REST API
+//   GET    /students          -> Student[]
+//   PUT    /students/:id      -> create (or, as an admin, fully replace) a student
+//   PATCH  /students/:id      -> { fields?, steps?, stepChanges? } merged into the stored record; only an admin
+//                                may send steps (the whole list) or change steps their account cannot sign
+//   DELETE /students/:id      (admins only)
+//   POST   /students/:id/notified  <- { stepKey }  claims the stall alert for that step: 200 with the
+//                                marked student for the first station to ask, 409 for everyone after
+//                                Every /students write needs a staff member's X-Staff-Session.
+//   GET    /self-service/:code -> { student, slot, certificateCode }  one student of the active event by their
+//                                code, without guardian, profile or sign-off details, and the certificate code
+//                                once they are done (for the student self-service page; needs no token)
+//   GET    /docs/:name        -> { value }  (not "staff"; see below)
+//   PUT    /docs/:name        <- { value }
+//   GET    /staff             -> StaffAccount[]  (never with PIN hashes)
+//   POST   /staff/login       <- { accountId, pin } -> { account, session }; 403 wrong PIN, 429 locked out
+//   POST   /staff/logout      (X-Staff-Session header)
+//   PUT    /staff/:id         <- { account, pin? }  -> StaffAccount[]; needs an admin's X-Staff-Session,
+//                                except for the first admin while no accounts exist
+//   DELETE /staff/:id         -> StaffAccount[]; needs an admin's X-Staff-Session
+//   GET    /audit             -> AuditEvent[]
+//   POST   /audit             <- { entries }  (append-only; entries are never changed or removed)
+//   GET    /snapshots         -> SnapshotInfo[]  (newest first, without the student lists)
+//   GET    /snapshots/:id     -> Snapshot
+//   POST   /snapshots         <- Snapshot  (kept in DATA_FILE.snapshots/; the oldest beyond MAX_SNAPSHOTS are removed)
+//   POST   /notify            <- { channel: "email" | "webhook", studentId, guardian, subject, body }  (guardian
+//                                notifications; sent to that guardian's contact as stored on the student)
+//                             <- { kind: "test", channel, subject, body }  (sent to NOTIFY_TEST_EMAIL / NOTIFY_TEST_PHONE)
+//   GET    /ws                -> WebSocket; receives { type: "student" | "delete" | "doc" | "audit" | "staff", ... }
+//
+// Notification relay (optional; a channel without settings answers 501)
+//   SMTP_HOST, SMTP_PORT (587), SMTP_SECURE=true for implicit TLS (465), SMTP_USER, SMTP_PASS, SMTP_FROM
+//   NOTIFY_WEBHOOK_URL     receives POST { to, subject, body } as JSON, e.g. an SMS gateway
+//   NOTIFY_TEST_EMAIL, NOTIFY_TEST_PHONE   where test messages from Admin → Guardian Notifications go
+
+const http = require("http");
+const net = require("net");
+const os = require("os");
+const tls = require("tls");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = path.resolve(process.env.DATA_FILE || "registration-data.json");
+const SNAPSHOT_DIR = `${DATA_FILE}.snapshots`;
+const MAX_SNAPSHOTS = Number(process.env.MAX_SNAPSHOTS) || 30;
+const SMTP = {
+  host: process.env.SMTP_HOST,
+  port: Number(process.env.SMTP_PORT) || 587,
+  secure: process.env.SMTP_SECURE === "true",
+  user: process.env.SMTP_USER,
+  pass: process.env.SMTP_PASS,
+  from: process.env.SMTP_FROM,
+};
+const NOTIFY_WEBHOOK_URL = process.env.NOTIFY_WEBHOOK_URL;
+const NOTIFY_TEST_EMAIL = process.env.NOTIFY_TEST_EMAIL;
+const NOTIFY_TEST_PHONE = process.env.NOTIFY_TEST_PHONE;
+const SYNC_TOKEN = process.env.SYNC_TOKEN || "";
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGIN || "").split(",").map((o) => o.trim().replace(/\/+$/, "")).filter(Boolean);
+const MAX_BODY_BYTES = Number(process.env.MAX_BODY_BYTES) || 10 * 1024 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// --- Logging ---
+// Every message goes through here: one timestamped line per event on stderr.
+function log(level, message) {
+  process.stderr.write(`${new Date().toISOString()} ${level.toUpperCase()} ${message}\n`);
+}
+
+// --- Persistence ---
+// Only a missing file means "start empty". A file that exists but cannot be read
+// stops the server: starting empty would let the first station's save replace
+// every record in it.
+function loadData() {
+  let raw;
+  try {
+    raw = fs.readFileSync(DATA_FILE, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return { students: {}, docs: {}, audit: [], snapshots: [], staff: [] };
+    throw err;
+  }
+  const parsed = JSON.parse(raw);
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) throw new Error("expected a JSON object");
+  const { staff: legacyStaff, ...docs } = parsed.docs || {};
+  return {
+    students: parsed.students || {},
+    docs,
+    audit: parsed.audit || [],
+    snapshots: parsed.snapshots || [],
+    // Staff accounts used to be an ordinary shared document.
+    staff: parsed.staff || legacyStaff?.accounts || [],
+  };
+}
+
+let data;
+let saveTimer = null;
+
+// Writes are batched and go through a temp file so a crash mid-write cannot
+// truncate the data file.
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    const tmp = `${DATA_FILE}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, DATA_FILE);
+  }, 200);
+}
+
+// --- Snapshots ---
+// Snapshot bodies can be large, so each one is its own file; the data file only
+// lists them. Ids come from clients and end up in file names, so they are checked.
+function snapshotFile(id) {
+  return /^[\w-]{1,64}$/.test(id) ? path.join(SNAPSHOT_DIR, `${id}.json`) : null;
+}
+
+function saveSnapshot(snapshot) {
+  const file = snapshotFile(snapshot.id);
+  if (!file || !Array.isArray(snapshot.students) || !Number.isFinite(snapshot.at)) return false;
+  fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(snapshot));
+  fs.renameSync(`${file}.tmp`, file);
+  const { students, schemaVersion, ...info } = snapshot;
+  data.snapshots = [info, ...data.snapshots.filter((s) => s.id !== info.id)].sort((a, b) => b.at - a.at);
+  for (const old of data.snapshots.splice(MAX_SNAPSHOTS)) {
+    fs.rmSync(snapshotFile(old.id), { force: true });
+  }
+  scheduleSave();
+  return true;
+}
+
+// --- Merging ---
+// A PATCH carries only what one station changed. Profile fields and individual
+// steps are applied on top of the stored record, so two stations signing
+// different steps of the same student both land. The account is the staff member
+// the write comes from; station staff only change the steps they may sign, the
+// same rule the app applies before it sends anything.
+function applyPatch(student, patch, account) {
+  const next = { ...student };
+  for (const [k, v] of Object.entries(patch.fields || {})) {
+    if (k === "id") continue;
+    if (k === "appointment" && !canSignStep(account, student.steps?.find((s) => s.booking)?.key)) {
+      throw new HttpError(403, `${account.name} cannot book appointments`);
+    }
+    if (v === null) delete next[k];
+    else next[k] = v;
+  }
+  if (Array.isArray(patch.steps)) {
+    // The step list itself changed (reset, template migration): take it as sent.
+    if (account.role !== "admin") throw new HttpError(403, "Only an admin can replace a student's steps");
+    next.steps = patch.steps;
+  }
+  if (patch.stepChanges) {
+    for (const s of next.steps) {
+      const change = patch.stepChanges[s.key];
+      if (change && !canSignStep(account, s.key) && signOff(change) !== signOff(s)) {
+        throw new HttpError(403, `${account.name} cannot sign the step ${s.key}`);
+      }
+    }
+    next.steps = next.steps.map((s) => (patch.stepChanges[s.key] ? { ...patch.stepChanges[s.key], index: s.index } : s));
+  }
+  return next;
+}
+
+// Same rule as the app: admins sign every step, station staff the ones ticked for them.
+function canSignStep(account, stepKey) {
+  return account.role === "admin" || (Array.isArray(account.steps) && account.steps.includes(stepKey));
+}
+
+// A step as far as permissions go. Review flags are left out: un-signing one step
+// flags, and re-signing it clears, the steps after it, whoever may sign those.
+function signOff(step) {
+  const fields = Object.entries(step).filter(([k]) => k !== "flagged" && k !== "index");
+  return JSON.stringify(fields.sort(([a], [b]) => a.localeCompare(b)));
+}
+
+// A new record from station staff may only arrive with their own steps signed.
+function checkNewStudent(student, account) {
+  const step = student.steps.find((s) => (s?.completed || s?.waived) && !canSignStep(account, s.key));
+  if (step) throw new HttpError(403, `${account.name} cannot sign the step ${step.key}`);
+}
+
+// --- Self-Service ---
+// The student self-service page asks for one student by code instead of loading the
+// list, and without the sync token, so phones and kiosks never hold it. It gets
+// progress only: who signed what, recorded details, notes and contact details stay
+// here. The certificate code is worked out here for the same reason.
+const SELF_SERVICE_PER_MINUTE = Number(process.env.SELF_SERVICE_PER_MINUTE) || 60;
+const selfServiceLookups = new Map();
+
+// Codes are short enough to guess at speed, so each address gets a few lookups a minute.
+function selfServiceAllowed(req) {
+  const now = Date.now();
+  const address = req.socket.remoteAddress;
+  const entry = selfServiceLookups.get(address);
+  if (!entry || now - entry.since >= 60000) {
+    if (selfServiceLookups.size > 10000) {
+      for (const [key, e] of selfServiceLookups) if (now - e.since >= 60000) selfServiceLookups.delete(key);
+    }
+    selfServiceLookups.set(address, { since: now, count: 1 });
+    return true;
+  }
+  entry.count += 1;
+  return entry.count <= SELF_SERVICE_PER_MINUTE;
+}
+
+function normalizeCode(input) {
+  return String(input || "").toUpperCase().replace(/[^0-9A-Z]/g, "");
+}
+
+// Same rule as the app: the stored active event if it still exists, else the first one.
+function activeEventId() {
+  const doc = data.docs.events;
+  if (!doc || !Array.isArray(doc.events) || doc.events.length === 0) return "default";
+  return doc.events.some((e) => e.id === doc.activeId) ? doc.activeId : doc.events[0].id;
+}
+
+function selfServiceRecord(code) {
+  const eventId = activeEventId();
+  const found = Object.values(data.students).find(
+    (s) => (s.eventId || "default") === eventId && normalizeCode(s.code) === normalizeCode(code)
+  );
+  if (!found) return null;
+  const student = { ...found };
+  for (const k of ["guardians", "dateOfBirth", "custom", "studentNumber", "homeroom", "notified", "carriedFrom"]) delete student[k];
+  student.steps = (found.steps || []).map((step) => {
+    const s = { ...step };
+    for (const k of ["initials", "signedBy", "notes", "values", "revocations", "flagged"]) delete s[k];
+    if (s.waived) s.waived = { at: s.waived.at };
+    return s;
+  });
+  if (student.appointment) student.appointment = { slotId: student.appointment.slotId };
+  const slots = data.docs.appointments?.slots || [];
+  return {
+    student,
+    slot: slots.find((s) => s.id === student.appointment?.slotId) || null,
+    certificateCode: applicableSteps(found).every(isStepResolved) ? certificateCodeFor(found) : null,
+  };
+}
+
+// --- Certificates ---
+// The verification code the app prints on completion certificates; keep these in
+// step with stepApplies and certificateCodeFor there.
+const CODE_ALPHABET = "23456789ABCDEFGHJKMNPQRSTUVWXYZ";
+
+function stepApplies(student, step) {
+  const rule = step.appliesTo;
+  if (!rule) return true;
+  if (rule.grades?.length && !rule.grades.some((g) => g.trim().toLowerCase() === (student.grade || "").trim().toLowerCase())) return false;
+  if (rule.status && student.status && rule.status !== student.status) return false;
+  return true;
+}
+
+function isStepResolved(step) {
+  return step.completed || !!step.waived;
+}
+
+function applicableSteps(student) {
+  return (student.steps || []).filter((s) => stepApplies(student, s));
+}
+
+function certificateCodeFor(student) {
+  const steps = applicableSteps(student).map((s) =>
+    [
+      s.key,
+      s.completed ? "C" : s.waived ? "W" : "P",
+      s.initials || s.waived?.initials || "",
+      s.signedAt || s.waived?.at || "",
+      ...(s.values ? [JSON.stringify(Object.entries(s.values).sort(([a], [b]) => a.localeCompare(b)))] : []),
+    ].join(":")
+  );
+  const text = [student.id, student.name, student.grade || "", ...steps].join("|");
+  let h = 0xcbf29ce484222325n;
+  for (let i = 0; i < text.length; i++) {
+    h ^= BigInt(text.charCodeAt(i));
+    h = (h * 0x100000001b3n) & 0xffffffffffffffffn;
+  }
+  const base = BigInt(CODE_ALPHABET.length);
+  let out = "";
+  for (let i = 0; i < 10; i++) {
+    out += CODE_ALPHABET[Number(h % base)];
+    h /= base;
+  }
+  return `${out.slice(0, 5)}-${out.slice(5)}`;
+}
+
+// --- Staff Accounts ---
+// PINs are hashed the same way the app hashes them on a standalone device
+// (PBKDF2-SHA256, 100 000 rounds, hex salt), so accounts carried over from the
+// old shared "staff" document keep working.
+const MIN_PIN_LENGTH = 6;
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCK_MS = 5 * 60 * 1000;
+const SESSION_MS = 12 * 60 * 60 * 1000;
+const staffSessions = new Map();
+const loginFailures = new Map();
+
+function hashPin(pin, salt) {
+  return crypto.pbkdf2Sync(String(pin), salt, 100000, 32, "sha256").toString("hex");
+}
+
+function pinMatches(account, pin) {
+  if (!account.pinHash || !account.pinSalt) return false;
+  const given = Buffer.from(hashPin(pin, account.pinSalt), "hex");
+  const stored = Buffer.from(account.pinHash, "hex");
+  return given.length === stored.length && crypto.timingSafeEqual(given, stored);
+}
+
+function redactAccount(account) {
+  const rest = { ...account };
+  delete rest.pinHash;
+  delete rest.pinSalt;
+  return rest;
+}
+
+function publicStaff() {
+  return data.staff.map(redactAccount);
+}
+
+// The staff member whose session the request carries, or null.
+function sessionAccount(req) {
+  const session = staffSessions.get(req.headers["x-staff-session"]);
+  if (!session || session.expires < Date.now()) return null;
+  return data.staff.find((a) => a.id === session.accountId) || null;
+}
+
+// The admin whose session the request carries, or null.
+function sessionAdmin(req) {
+  const account = sessionAccount(req);
+  return account?.role === "admin" ? account : null;
+}
+
+function login({ accountId, pin }) {
+  const failures = loginFailures.get(accountId);
+  if (failures?.lockedUntil > Date.now()) throw new HttpError(429, "Too many wrong PINs; try again in a few minutes");
+  const account = data.staff.find((a) => a.id === accountId);
+  if (!account || !pinMatches(account, pin)) {
+    const count = (failures?.count || 0) + 1;
+    loginFailures.set(accountId, count >= LOGIN_MAX_FAILURES ? { count: 0, lockedUntil: Date.now() + LOGIN_LOCK_MS } : { count });
+    throw new HttpError(403, "Incorrect PIN");
+  }
+  loginFailures.delete(accountId);
+  const session = crypto.randomBytes(24).toString("hex");
+  staffSessions.set(session, { accountId, expires: Date.now() + SESSION_MS });
+  return { account: redactAccount(account), session };
+}
+
+function saveStaffAccount(id, { account, pin }) {
+  if (!account || typeof account.name !== "string" || !account.name.trim() || !["admin", "station"].includes(account.role)) {
+    throw new HttpError(400, "Invalid staff account");
+  }
+  const stored = data.staff.find((a) => a.id === id);
+  if (pin !== undefined && !new RegExp(`^\\d{${MIN_PIN_LENGTH},}$`).test(String(pin))) {
+    throw new HttpError(400, `PIN must be at least ${MIN_PIN_LENGTH} digits`);
+  }
+  if (!stored && pin === undefined) throw new HttpError(400, "A new account needs a PIN");
+  const pinSalt = pin === undefined ? stored.pinSalt : crypto.randomBytes(16).toString("hex");
+  const next = {
+    id,
+    name: account.name.trim(),
+    initials: String(account.initials || "").trim().slice(0, 5).toUpperCase(),
+    role: account.role,
+    steps: account.role === "admin" || !Array.isArray(account.steps) ? [] : account.steps.filter((k) => typeof k === "string"),
+    pinSalt,
+    pinHash: pin === undefined ? stored.pinHash : hashPin(pin, pinSalt),
+  };
+  data.staff = stored ? data.staff.map((a) => (a.id === id ? next : a)) : [...data.staff, next];
+}
+
+// --- WebSocket (server → client broadcast only) ---
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const sockets = new Set();
+
+function wsFrame(opcode, payload) {
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+function broadcast(message) {
+  const frame = wsFrame(0x1, Buffer.from(JSON.stringify(message)));
+  for (const socket of sockets) socket.write(frame);
+}
+
+function handleUpgrade(req, socket) {
+  const key = req.headers["sec-websocket-key"];
+  const url = new URL(req.url, "http://localhost");
+  if (url.pathname !== "/ws" || !key || !originAllowed(req) || !tokenMatches(url.searchParams.get("token"))) {
+    socket.destroy();
+    return;
+  }
+  const accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n" + `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  sockets.add(socket);
+  // Clients never send data; only answer close and ping control frames.
+  socket.on("data", (buf) => {
+    const opcode = buf[0] & 0x0f;
+    if (opcode === 0x8) socket.end(wsFrame(0x8, Buffer.alloc(0)));
+    else if (opcode === 0x9) socket.write(wsFrame(0xa, Buffer.alloc(0)));
+  });
+  const drop = () => sockets.delete(socket);
+  socket.on("close", drop);
+  socket.on("error", drop);
+}
+
+// --- Notification relay ---
+// Browsers cannot speak SMTP, and most SMS gateways do not allow cross-origin
+// requests, so stations hand messages to the server and retry on failure.
+// Reads SMTP replies off a socket; multi-line replies ("250-...") are joined.
+function smtpReader(socket) {
+  let buffer = "";
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  const onData = (chunk) => {
+    buffer += chunk.toString("utf8");
+    let nl;
+    while ((nl = buffer.indexOf("\r\n")) !== -1) {
+      const line = buffer.slice(0, nl);
+      buffer = buffer.slice(nl + 2);
+      lines.push(line);
+      if (line[3] !== "-") {
+        const reply = { code: Number(line.slice(0, 3)), text: lines.join("\n") };
+        lines = [];
+        if (waiting.length) waiting.shift().resolve(reply);
+        else replies.push(reply);
+      }
+    }
+  };
+  const onError = (err) => waiting.splice(0).forEach((w) => w.reject(err));
+  socket.on("data", onData);
+  socket.on("error", onError);
+  socket.on("close", () => onError(new Error("SMTP connection closed")));
+  return {
+    next: () => (replies.length ? Promise.resolve(replies.shift()) : new Promise((resolve, reject) => waiting.push({ resolve, reject }))),
+    detach: () => {
+      socket.off("data", onData);
+      socket.off("error", onError);
+    },
+  };
+}
+
+function encodeHeader(text) {
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString("base64")}?=`;
+}
+
+async function sendEmail({ to, subject, body }) {
+  if (!SMTP.host || !SMTP.from) throw new HttpError(501, "Email is not configured on the sync server");
+  if (!/^[^\s<>@]+@[^\s<>@]+$/.test(to || "")) throw new HttpError(400, "Invalid email address");
+  let socket = SMTP.secure ? tls.connect(SMTP.port, SMTP.host, { servername: SMTP.host }) : net.connect(SMTP.port, SMTP.host);
+  socket.setTimeout(20000, () => socket.destroy(new Error("SMTP timed out")));
+  let reader = smtpReader(socket);
+  const command = async (line, ...expected) => {
+    if (line !== null) socket.write(`${line}\r\n`);
+    const reply = await reader.next();
+    if (!expected.includes(reply.code)) throw new HttpError(502, `SMTP ${reply.code}: ${reply.text}`);
+    return reply;
+  };
+  try {
+    await command(null, 220);
+    let hello = await command(`EHLO ${os.hostname()}`, 250);
+    if (!SMTP.secure && /STARTTLS/i.test(hello.text)) {
+      await command("STARTTLS", 220);
+      reader.detach();
+      socket = tls.connect({ socket, servername: SMTP.host });
+      reader = smtpReader(socket);
+      hello = await command(`EHLO ${os.hostname()}`, 250);
+    }
+    if (SMTP.user) {
+      await command("AUTH LOGIN", 334);
+      await command(Buffer.from(SMTP.user).toString("base64"), 334);
+      await command(Buffer.from(SMTP.pass || "").toString("base64"), 235);
+    }
+    await command(`MAIL FROM:<${SMTP.from}>`, 250);
+    await command(`RCPT TO:<${to}>`, 250, 251);
+    await command("DATA", 354);
+    const message = [
+      `From: ${SMTP.from}`,
+      `To: ${to}`,
+      `Subject: ${encodeHeader(subject || "")}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${crypto.randomUUID()}@${SMTP.from.split("@")[1]}>`,
+      "MIME-Version: 1.0",
+      "Content-Type: text/plain; charset=UTF-8",
+      "Content-Transfer-Encoding: base64",
+      "",
+      Buffer.from(body || "").toString("base64").replace(/.{76}/g, "$&\r\n"),
+    ].join("\r\n");
+    await command(`${message}\r\n.`, 250);
+    await command("QUIT", 221).catch(() => {});
+  } finally {
+    socket.end();
+  }
+}
+
+async function sendWebhook(message) {
+  if (!NOTIFY_WEBHOOK_URL) throw new HttpError(501, "No NOTIFY_WEBHOOK_URL is configured on the sync server");
+  const res = await fetch(NOTIFY_WEBHOOK_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ to: message.to, subject: message.subject, body: message.body }),
+    signal: AbortSignal.timeout(15000),
+  });
+  if (!res.ok) throw new HttpError(502, `Webhook answered ${res.status}`);
+}
+
+const NOTIFY_CHANNELS = {
+  email: { deliver: sendEmail, contactOf: (g) => g.email, testTo: NOTIFY_TEST_EMAIL, testSetting: "NOTIFY_TEST_EMAIL" },
+  webhook: { deliver: sendWebhook, contactOf: (g) => g.phone, testTo: NOTIFY_TEST_PHONE, testSetting: "NOTIFY_TEST_PHONE" },
+};
+
+// Stations say who a message is for, never where it goes: the address comes from
+// the guardian contacts stored on the student, or from the server's test setting.
+function notifyRecipient(message, channel) {
+  if (message.kind === "test") {
+    if (!channel.testTo) throw new HttpError(501, `Set ${channel.testSetting} on the sync server to receive test messages`);
+    return channel.testTo;
+  }
+  const student = Object.hasOwn(data.students, message.studentId) ? data.students[message.studentId] : null;
+  if (!student) throw new HttpError(404, "Unknown student");
+  const guardian = Number.isInteger(message.guardian) ? student.guardians?.[message.guardian] : null;
+  const to = guardian && channel.contactOf(guardian);
+  if (!to) throw new HttpError(404, "No such guardian contact on this student");
+  return to;
+}
+
+// --- Access ---
+// Requests without an Origin header (curl, scripts) are not browsers and only need the token.
+function originAllowed(req) {
+  const origin = req.headers.origin;
+  return !origin || ALLOWED_ORIGINS.includes(origin);
+}
+
+function tokenMatches(token) {
+  const given = Buffer.from(String(token || ""));
+  const expected = Buffer.from(SYNC_TOKEN);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function bearerToken(req) {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || "");
+  return match ? match[1] : null;
+}
+
+// --- HTTP ---
+function send(res, status, body) {
+  const origin = res.req.headers.origin;
+  res.writeHead(status, {
+    ...(origin && ALLOWED_ORIGINS.includes(origin) ? { "Access-Control-Allow-Origin": origin } : {}),
+    Vary: "Origin",
+    "Access-Control-Allow-Methods": "GET, POST, PUT, PATCH, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization, X-Staff-Session",
+    ...(body === undefined ? {} : { "Content-Type": "application/json" }),
+  });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        req.removeAllListeners("data");
+        req.resume();
+        reject(new HttpError(413, `Request body is larger than ${MAX_BODY_BYTES} bytes`));
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    req.on("end", () => {
+      const raw = Buffer.concat(chunks).toString("utf8");
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (err) {
+        reject(new HttpError(400, err.message));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+async function route(req, res) {
+  if (!originAllowed(req)) return send(res, 403, { error: "Origin not allowed" });
+  if (req.method === "OPTIONS") return send(res, 204);
+  const [, collection, rawId, sub] = new URL(req.url, "http://localhost").pathname.split("/");
+  const id = rawId && decodeURIComponent(rawId);
+
+  // The one request that needs no token; see selfServiceRecord.
+  if (collection === "self-service" && id && !sub && req.method === "GET") {
+    if (!selfServiceAllowed(req)) return send(res, 429, { error: "Too many lookups; try again in a minute" });
+    const record = selfServiceRecord(id);
+    return record ? send(res, 200, record) : send(res, 404, { error: "No student with that code" });
+  }
+
+  if (!tokenMatches(bearerToken(req))) return send(res, 401, { error: "Missing or wrong sync token" });
+
+  if (collection === "students" && !id && req.method === "GET") {
+    return send(res, 200, Object.values(data.students));
+  }
+
+  // Student records are only changed by signed-in staff, so each change has someone behind it.
+  const account = collection === "students" && id && req.method !== "GET" ? sessionAccount(req) : null;
+  if (collection === "students" && id && req.method !== "GET" && !account) {
+    return send(res, 401, { error: "Sign in to Staff Mode to change student records" });
+  }
+
+  // Several stations watch for stalled students; the claim is checked and made in
+  // one step here, so only one of them queues the guardian alert.
+  if (collection === "students" && id && sub === "notified" && req.method === "POST") {
+    const { stepKey } = await readBody(req);
+    const student = Object.hasOwn(data.students, id) ? data.students[id] : null;
+    if (!student) return send(res, 404, { error: "Unknown student" });
+    if (typeof stepKey !== "string" || !stepKey) return send(res, 400, { error: "Expected { stepKey }" });
+    if (student.notified?.stalled?.[stepKey]) return send(res, 409, { error: "Already notified" });
+    data.students[id] = { ...student, notified: { ...student.notified, stalled: { ...student.notified?.stalled, [stepKey]: Date.now() } } };
+    scheduleSave();
+    broadcast({ type: "student", student: data.students[id] });
+    return send(res, 200, data.students[id]);
+  }
+
+  if (collection === "students" && id && !sub) {
+    if (req.method === "PUT") {
+      const student = { ...(await readBody(req)), id };
+      if (!Array.isArray(student.steps) || !student.name) return send(res, 400, { error: "Invalid student record" });
+      if (account.role !== "admin") {
+        if (Object.hasOwn(data.students, id)) return send(res, 403, { error: "Only an admin can replace a student record" });
+        checkNewStudent(student, account);
+      }
+      data.students[id] = student;
+    } else if (req.method === "PATCH") {
+      if (!Object.hasOwn(data.students, id)) return send(res, 404, { error: "Unknown student" });
+      data.students[id] = applyPatch(data.students[id], await readBody(req), account);
+    } else if (req.method === "DELETE") {
+      if (account.role !== "admin") return send(res, 403, { error: "Only an admin can delete student records" });
+      if (data.students[id]) {
+        delete data.students[id];
+        scheduleSave();
+        broadcast({ type: "delete", id });
+      }
+      return send(res, 204);
+    } else {
+      return send(res, 405, { error: "Method not allowed" });
+    }
+    scheduleSave();
+    broadcast({ type: "student", student: data.students[id] });
+    return send(res, 200, data.students[id]);
+  }
+
+  if (collection === "staff") {
+    if (!id && req.method === "GET") return send(res, 200, publicStaff());
+    if (id === "login" && req.method === "POST") return send(res, 200, login(await readBody(req)));
+    if (id === "logout" && req.method === "POST") {
+      staffSessions.delete(req.headers["x-staff-session"]);
+      return send(res, 204);
+    }
+    if (id && (req.method === "PUT" || req.method === "DELETE")) {
+      const body = req.method === "PUT" ? await readBody(req) : null;
+      // Only while there are no accounts at all may a station create one, and only an admin.
+      const bootstrap = data.staff.length === 0 && req.method === "PUT" && body.account?.role === "admin";
+      if (!bootstrap && !sessionAdmin(req)) return send(res, 403, { error: "Sign in as an admin to change staff accounts" });
+      if (body) saveStaffAccount(id, body);
+      else data.staff = data.staff.filter((a) => a.id !== id);
+      scheduleSave();
+      broadcast({ type: "staff", accounts: publicStaff() });
+      return send(res, 200, publicStaff());
+    }
+    return send(res, 405, { error: "Method not allowed" });
+  }
+
+  // Staff accounts (with their PIN hashes) live under /staff, never here.
+  if (collection === "docs" && id === "staff") return send(res, 404, { error: "Not found" });
+
+  if (collection === "docs" && id) {
+    if (req.method === "GET") return send(res, 200, { value: data.docs[id] ?? null });
+    if (req.method === "PUT") {
+      data.docs[id] = (await readBody(req)).value ?? null;
+      scheduleSave();
+      broadcast({ type: "doc", name: id, value: data.docs[id] });
+      return send(res, 200, { value: data.docs[id] });
+    }
+    return send(res, 405, { error: "Method not allowed" });
+  }
+
+  if (collection === "audit" && !id) {
+    if (req.method === "GET") return send(res, 200, data.audit);
+    if (req.method === "POST") {
+      const { entries } = await readBody(req);
+      if (!Array.isArray(entries)) return send(res, 400, { error: "Expected { entries: [] }" });
+      const seen = new Set(data.audit.map((e) => e.id));
+      const fresh = entries.filter((e) => e && e.id && !seen.has(e.id));
+      data.audit.push(...fresh);
+      scheduleSave();
+      if (fresh.length) broadcast({ type: "audit", entries: fresh });
+      return send(res, 204);
+    }
+    return send(res, 405, { error: "Method not allowed" });
+  }
+
+  if (collection === "snapshots") {
+    if (!id && req.method === "GET") return send(res, 200, data.snapshots);
+    if (!id && req.method === "POST") {
+      if (!saveSnapshot(await readBody(req))) return send(res, 400, { error: "Invalid snapshot" });
+      return send(res, 204);
+    }
+    if (id && req.method === "GET") {
+      const file = snapshotFile(id);
+      if (!file || !fs.existsSync(file)) return send(res, 404, { error: "Unknown snapshot" });
+      return send(res, 200, JSON.parse(fs.readFileSync(file, "utf8")));
+    }
+    return send(res, 405, { error: "Method not allowed" });
+  }
+
+  if (collection === "notify" && !id) {
+    if (req.method !== "POST") return send(res, 405, { error: "Method not allowed" });
+    const message = await readBody(req);
+    const channel = Object.hasOwn(NOTIFY_CHANNELS, message.channel) ? NOTIFY_CHANNELS[message.channel] : null;
+    if (!channel) return send(res, 400, { error: `Unknown channel ${message.channel}` });
+    try {
+      await channel.deliver({ to: notifyRecipient(message, channel), subject: message.subject, body: message.body });
+    } catch (err) {
+      log("warn", `Could not deliver ${message.channel} notification: ${err.message}`);
+      return send(res, err.status || 502, { error: err.message });
+    }
+    return send(res, 204);
+  }
+
+  return send(res, 404, { error: "Not found" });
+}
+
+function start() {
+  if (!SYNC_TOKEN) {
+    log("error", "Set SYNC_TOKEN to the shared secret the stations are configured with.");
+    process.exit(1);
+  }
+  try {
+    data = loadData();
+  } catch (err) {
+    log("error", `Could not read ${DATA_FILE} (${err.message}). Repair it or move it aside and start again; student snapshots in ${SNAPSHOT_DIR}/ can then be restored from the app.`);
+    process.exit(1);
+  }
+
+  const server = http.createServer((req, res) => {
+    route(req, res).catch((err) => {
+      if (!err.status) log("error", `${req.method} ${new URL(req.url, "http://localhost").pathname}: ${err.message}`);
+      send(res, err.status || 400, { error: err.message });
+    });
+  });
+  server.on("upgrade", handleUpgrade);
+  server.listen(PORT, () => {
+    log("info", `Registration sync server listening on :${server.address().port} (data: ${DATA_FILE})`);
+  });
+}
+
+// Started directly it serves; required (by the tests) it only exposes the merge and certificate logic.
+if (require.main === module) start();
+
+module.exports = { applyPatch, certificateCodeFor };
@@ -0,0 +1,57 @@
+import { describe, expect, test } from "vitest";
+import { computeFlowAnalytics, newStudent } from "../registration_progress_tracker_react_app_mvp.jsx";
+import { signedStep } from "./helpers.js";
+
+const MIN = 60 * 1000;
+const step = (key) => ({ key, title: key.toUpperCase(), location: "", instructions: "" });
+const template = { version: 1, name: "v1", createdAt: 0, steps: [step("a"), step("b")] };
+// Local times, as the registration day is.
+const at = (time, day = "2026-09-01") => new Date(`${day}T${time}:00`).getTime();
+
+const student = (grade, createdAt, signs) =>
+  Object.entries(signs).reduce((s, [key, time]) => signedStep(s, key, "AA", time), { ...newStudent("Ana", grade, template), createdAt });
+
+const students = [
+  student("9", at("09:00"), { a: at("09:10"), b: at("09:30") }),
+  student("10", at("09:00"), { a: at("09:20"), b: at("11:00") }),
+  student("9", at("09:00"), { a: at("09:40") }),
+  student("9", at("09:00", "2026-08-31"), { a: at("09:10", "2026-08-31") }),
+];
+const result = computeFlowAnalytics(students, template, "2026-09-01", at("12:00"));
+
+describe("computeFlowAnalytics", () => {
+  test("summarises the time to each sign-off made that day", () => {
+    expect(result.steps.map((s) => [s.key, s.count, s.median / MIN, s.p90 / MIN])).toEqual([
+      ["a", 3, 20, 36],
+      ["b", 2, 60, 92],
+    ]);
+  });
+
+  test("counts who is waiting at each step now and picks the step where most time piles up", () => {
+    expect(result.steps.map((s) => s.waitingNow)).toEqual([0, 2]);
+    expect(result.steps[1].waitingTotal).toBe(at("12:00") - at("09:40") + at("12:00") - at("09:10", "2026-08-31"));
+    expect(result.bottleneck.key).toBe("b");
+  });
+
+  test("counts completions per hour, including quiet hours in between", () => {
+    expect(result.completedCount).toBe(2);
+    expect(result.perHour).toEqual([
+      { hour: 9, count: 1 },
+      { hour: 10, count: 0 },
+      { hour: 11, count: 1 },
+    ]);
+  });
+
+  test("summarises the time from sign-up to completion by grade", () => {
+    expect(result.byGrade.map((g) => [g.grade, g.count, g.median / MIN])).toEqual([
+      ["9", 1, 30],
+      ["10", 1, 120],
+    ]);
+  });
+
+  test("has no bottleneck or hours on a day nothing happened", () => {
+    const empty = computeFlowAnalytics([], template, "2026-09-01", at("12:00"));
+    expect(empty).toMatchObject({ bottleneck: null, perHour: [], byGrade: [], completedCount: 0 });
+    expect(empty.steps[0]).toMatchObject({ count: 0, median: null, p90: null, waitingNow: 0 });
+  });
+});
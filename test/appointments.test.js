@@ -0,0 +1,61 @@
+import { describe, expect, test } from "vitest";
+import { bookingProblem, generateSlots, newStudent } from "../registration_progress_tracker_react_app_mvp.jsx";
+
+const slot = (id, start, extra = {}) => ({ id, eventId: "fall", start, minutes: 10, capacity: 2, ...extra });
+const starts = (slots) => slots.map((s) => s.start);
+
+describe("generateSlots", () => {
+  test("fills the window with back-to-back slots that end by the closing time", () => {
+    const slots = generateSlots("fall", { date: "2025-08-01", from: "09:00", to: "09:45", minutes: 15, capacity: 3 }, []);
+    expect(starts(slots)).toEqual(["2025-08-01T09:00", "2025-08-01T09:15", "2025-08-01T09:30"]);
+    expect(slots.every((s) => s.eventId === "fall" && s.minutes === 15 && s.capacity === 3 && s.id)).toBe(true);
+  });
+
+  test("drops a last slot that would run past the closing time", () => {
+    const slots = generateSlots("fall", { date: "2025-08-01", from: "09:00", to: "09:25", minutes: 10, capacity: 1 }, []);
+    expect(starts(slots)).toEqual(["2025-08-01T09:00", "2025-08-01T09:10"]);
+  });
+
+  test("skips times that overlap the event's existing slots", () => {
+    const existing = [slot("a", "2025-08-01T09:05", { minutes: 10 })];
+    const slots = generateSlots("fall", { date: "2025-08-01", from: "09:00", to: "09:30", minutes: 10, capacity: 1 }, existing);
+    expect(starts(slots)).toEqual(["2025-08-01T09:20"]);
+  });
+
+  test("ignores slots that belong to other events", () => {
+    const existing = [slot("a", "2025-08-01T09:00", { eventId: "spring" })];
+    const slots = generateSlots("fall", { date: "2025-08-01", from: "09:00", to: "09:10", minutes: 10, capacity: 1 }, existing);
+    expect(starts(slots)).toEqual(["2025-08-01T09:00"]);
+  });
+});
+
+describe("bookingProblem", () => {
+  const now = new Date("2025-08-01T08:00").getTime();
+  const slots = [slot("s1", "2025-08-01T09:00"), slot("early", "2025-08-01T07:55"), slot("other", "2025-08-01T09:00", { eventId: "spring" })];
+  const ana = { ...newStudent("Ana Diaz", "9"), eventId: "fall" };
+  const booked = (name, slotId) => ({ ...newStudent(name, "9"), eventId: "fall", appointment: { slotId } });
+
+  test("allows an open slot in the student's event", () => {
+    expect(bookingProblem(ana, "s1", slots, [ana], now)).toBeNull();
+  });
+
+  test("rejects unknown slots and slots of another event", () => {
+    expect(bookingProblem(ana, "gone", slots, [ana], now)).toBe("That time slot is no longer available.");
+    expect(bookingProblem(ana, "other", slots, [ana], now)).toBe("That time slot is no longer available.");
+  });
+
+  test("rejects the slot the student already has", () => {
+    const student = { ...ana, appointment: { slotId: "s1" } };
+    expect(bookingProblem(student, "s1", slots, [student], now)).toBe("{name} is already booked into that time slot.");
+  });
+
+  test("rejects slots that have started", () => {
+    expect(bookingProblem(ana, "early", slots, [ana], now)).toBe("That time slot has already started.");
+  });
+
+  test("rejects full slots, not counting the student's own booking", () => {
+    const others = [booked("Ben Ortiz", "s1"), booked("Cy Lee", "s1")];
+    expect(bookingProblem(ana, "s1", slots, [ana, ...others], now)).toBe("That time slot is full.");
+    expect(bookingProblem(ana, "s1", slots, [ana, others[0]], now)).toBeNull();
+  });
+});
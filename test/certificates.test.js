@@ -0,0 +1,46 @@
+import { describe, expect, test } from "vitest";
+import { certificateCodeFor, newStudent, verifyCertificate } from "../registration_progress_tracker_react_app_mvp.jsx";
+import { signedStep } from "./helpers.js";
+
+const step = (key, extra = {}) => ({ key, title: key.toUpperCase(), location: "", instructions: "", ...extra });
+const template = { version: 1, name: "v1", createdAt: 0, steps: [step("a"), step("b"), step("seniors", { appliesTo: { grades: ["12"] } })] };
+const finished = () => signedStep(signedStep({ ...newStudent("Ana Diaz", "9", template), id: "s1", code: "ABC-DEF" }, "a", "AA"), "b", "BB");
+
+describe("certificateCodeFor", () => {
+  test("gives the same record the same ten-character code", () => {
+    expect(certificateCodeFor(finished())).toBe(certificateCodeFor(finished()));
+    expect(certificateCodeFor(finished())).toMatch(/^[2-9A-HJKMNP-Z]{5}-[2-9A-HJKMNP-Z]{5}$/);
+  });
+
+  test("changes with the student's name or any sign-off", () => {
+    const code = certificateCodeFor(finished());
+    expect(certificateCodeFor({ ...finished(), name: "Ana María Diaz" })).not.toBe(code);
+    expect(certificateCodeFor(signedStep(finished(), "b", "BB", 101))).not.toBe(code);
+    expect(certificateCodeFor(signedStep(finished(), "b", "CC"))).not.toBe(code);
+  });
+
+  test("changes with the details recorded at a step", () => {
+    const withValues = (values) => ({ ...finished(), steps: finished().steps.map((s) => (s.key === "a" ? { ...s, values } : s)) });
+    expect(certificateCodeFor(withValues({ locker: "12" }))).not.toBe(certificateCodeFor(withValues({ locker: "13" })));
+    expect(certificateCodeFor(withValues({ x: "1", y: "2" }))).toBe(certificateCodeFor(withValues({ y: "2", x: "1" })));
+  });
+
+  test("ignores steps that do not apply to the student", () => {
+    expect(certificateCodeFor(signedStep(finished(), "seniors", "ZZ"))).toBe(certificateCodeFor(finished()));
+  });
+});
+
+describe("verifyCertificate", () => {
+  test("finds the record a current code was printed from", () => {
+    const student = finished();
+    expect(verifyCertificate([student], certificateCodeFor(student).toLowerCase())).toEqual({ result: "valid", student });
+  });
+
+  test("tells an outdated printout from an unknown one by the student code", () => {
+    const printed = certificateCodeFor(finished());
+    const changed = signedStep(finished(), "b", "CC");
+    expect(verifyCertificate([changed], printed, "abc def")).toEqual({ result: "outdated", student: changed });
+    expect(verifyCertificate([changed], printed, "XYZ-XYZ")).toEqual({ result: "unknown", student: null });
+    expect(verifyCertificate([changed], "", "")).toEqual({ result: "unknown", student: null });
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, expect, test } from "vitest";
+import { duplicateReasons } from "../registration_progress_tracker_react_app_mvp.jsx";
+
+const ana = { name: "Ana Diaz", grade: "9" };
+
+describe("duplicateReasons", () => {
+  test("matches on the student ID alone when both records have one", () => {
+    expect(duplicateReasons({ name: "Ana Diaz", studentNumber: "s-100" }, { name: "Someone Else", studentNumber: "S100" })).toEqual(["Same student ID"]);
+    expect(duplicateReasons({ ...ana, studentNumber: "100" }, { ...ana, studentNumber: "200" })).toEqual([]);
+  });
+
+  test("lists the name, date of birth and grade that agree", () => {
+    expect(duplicateReasons({ ...ana, dateOfBirth: "2010-05-01" }, { ...ana, dateOfBirth: "2010-05-01" })).toEqual([
+      "Same name",
+      "Same date of birth",
+      "Same grade",
+    ]);
+    expect(duplicateReasons(ana, { name: "Ana Diaz", grade: "10" })).toEqual(["Same name"]);
+  });
+
+  test("ignores case, accents and extra spaces in names", () => {
+    expect(duplicateReasons({ name: "  ANA   Díaz " }, { name: "ana diaz" })).toEqual(["Same name"]);
+  });
+
+  test("allows a typo in the name", () => {
+    expect(duplicateReasons({ name: "Ana Dias" }, { name: "Ana Diaz" })).toEqual(["Similar name"]);
+    expect(duplicateReasons({ name: "Jordan Smithe" }, { name: "Jordon Smith" })).toEqual(["Similar name"]);
+  });
+
+  test("does not treat short or clearly different names as similar", () => {
+    expect(duplicateReasons({ name: "Ann Lee" }, { name: "Ian Lee" })).toEqual([]);
+    expect(duplicateReasons({ name: "Al" }, { name: "Ali" })).toEqual([]);
+    expect(duplicateReasons(ana, { name: "Ben Ortiz", grade: "9" })).toEqual([]);
+  });
+
+  test("rules out records with different dates of birth", () => {
+    expect(duplicateReasons({ ...ana, dateOfBirth: "2010-05-01" }, { ...ana, dateOfBirth: "2011-05-01" })).toEqual([]);
+  });
+});
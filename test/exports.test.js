@@ -0,0 +1,64 @@
+import { describe, expect, test } from "vitest";
+import { toCsv, toXlsx, xmlEscape } from "../registration_progress_tracker_react_app_mvp.jsx";
+
+/** The files inside an uncompressed ZIP, by name. */
+async function unzipStored(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(bytes.buffer);
+  const decoder = new TextDecoder();
+  const files = {};
+  for (let at = 0; view.getUint32(at, true) === 0x04034b50; ) {
+    const size = view.getUint32(at + 18, true);
+    const nameLength = view.getUint16(at + 26, true);
+    const name = decoder.decode(bytes.subarray(at + 30, at + 30 + nameLength));
+    files[name] = decoder.decode(bytes.subarray(at + 30 + nameLength, at + 30 + nameLength + size));
+    at += 30 + nameLength + size;
+  }
+  return files;
+}
+
+describe("toCsv", () => {
+  test("quotes only the cells that need it and doubles their quotes", () => {
+    expect(toCsv([["Name", "Notes"], ["Ana", 'said "hi", left'], ["Ben", "two\nlines"]])).toBe(
+      'Name,Notes\r\nAna,"said ""hi"", left"\r\nBen,"two\nlines"'
+    );
+  });
+
+  test("writes missing values as empty cells", () => {
+    expect(toCsv([[null, undefined, 0, ""]])).toBe(",,0,");
+  });
+});
+
+describe("xmlEscape", () => {
+  test("escapes markup characters", () => {
+    expect(xmlEscape('<a href="x">&</a>')).toBe("&lt;a href=&quot;x&quot;&gt;&amp;&lt;/a&gt;");
+  });
+
+  test("drops control characters XML cannot hold but keeps tabs, line breaks and other text", () => {
+    expect(xmlEscape("a\u0000b\u0008c\u000bd\u001fe\tf\ng\rh")).toBe("abcde\tf\ng\rh");
+    expect(xmlEscape("José 😀")).toBe("José 😀");
+  });
+});
+
+describe("toXlsx", () => {
+  test("writes a workbook with one sheet of the rows", async () => {
+    const files = await unzipStored(toXlsx([["Name", "Score"], ["Ana & Ben", 3], ["", null]], "Fall: 9/10"));
+    expect(Object.keys(files)).toEqual([
+      "[Content_Types].xml",
+      "_rels/.rels",
+      "xl/workbook.xml",
+      "xl/_rels/workbook.xml.rels",
+      "xl/worksheets/sheet1.xml",
+    ]);
+    expect(files["xl/workbook.xml"]).toContain('<sheet name="Fall  9 10"');
+    const sheet = files["xl/worksheets/sheet1.xml"];
+    expect(sheet).toContain('<c r="A2" t="inlineStr"><is><t xml:space="preserve">Ana &amp; Ben</t></is></c><c r="B2"><v>3</v></c>');
+    expect(sheet).toContain('<row r="3"></row>');
+  });
+
+  test("names columns past Z like a spreadsheet does", async () => {
+    const row = Array.from({ length: 28 }, (_, i) => i);
+    const sheet = (await unzipStored(toXlsx([row])))["xl/worksheets/sheet1.xml"];
+    expect(sheet).toContain('<c r="Z1"><v>25</v></c><c r="AA1"><v>26</v></c><c r="AB1"><v>27</v></c>');
+  });
+});
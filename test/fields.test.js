@@ -0,0 +1,53 @@
+import { describe, expect, test } from "vitest";
+import { cleanFieldValues, fieldErrors } from "../registration_progress_tracker_react_app_mvp.jsx";
+
+const fields = [
+  { key: "locker", label: "Locker number", type: "number", required: true },
+  { key: "size", label: "Shirt size", type: "select", options: ["S", "M", "L"] },
+  { key: "day", label: "Pickup day", type: "date" },
+  { key: "at", label: "Pickup time", type: "time" },
+  { key: "when", label: "Appointment", type: "datetime" },
+  { key: "notes", label: "Notes", type: "text" },
+];
+
+describe("fieldErrors", () => {
+  test("accepts well-formed values and blank optional fields", () => {
+    expect(fieldErrors(fields, { locker: " 214 ", size: "M", day: "2025-08-01", at: "09:30", when: "2025-08-01T09:30" })).toEqual({});
+    expect(fieldErrors(fields, { locker: "7" })).toEqual({});
+  });
+
+  test("requires required fields, ignoring whitespace", () => {
+    expect(fieldErrors(fields, {})).toEqual({ locker: "Required" });
+    expect(fieldErrors(fields, { locker: "   " })).toEqual({ locker: "Required" });
+  });
+
+  test("checks numbers, choices, dates and times", () => {
+    expect(fieldErrors(fields, { locker: "twelve", size: "XL", day: "08/01/2025", at: "9:30", when: "2025-08-01" })).toEqual({
+      locker: "Enter a number",
+      size: "Choose one of the options",
+      day: "Enter a valid date or time",
+      at: "Enter a valid date or time",
+      when: "Enter a valid date or time",
+    });
+  });
+
+  test("treats missing fields and values as nothing to check", () => {
+    expect(fieldErrors(undefined, { locker: "x" })).toEqual({});
+    expect(fieldErrors([{ key: "a", type: "text", required: true }], null)).toEqual({ a: "Required" });
+  });
+});
+
+describe("cleanFieldValues", () => {
+  test("keeps trimmed values for the step's own fields only", () => {
+    expect(cleanFieldValues(fields, { locker: " 214 ", notes: "", other: "x" })).toEqual({ locker: "214" });
+  });
+
+  test("stores numbers as the strings the inputs produce", () => {
+    expect(cleanFieldValues(fields, { locker: 214 })).toEqual({ locker: "214" });
+  });
+
+  test("returns undefined when nothing is left", () => {
+    expect(cleanFieldValues(fields, { notes: "  " })).toBeUndefined();
+    expect(cleanFieldValues(undefined, { locker: "1" })).toBeUndefined();
+  });
+});
@@ -0,0 +1,71 @@
+import { spawn } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const SERVER = fileURLToPath(new URL("../server/sync-server.js", import.meta.url));
+
+/** The student with step `key` signed off by `initials`. */
+export function signedStep(student, key, initials, at = 100) {
+  return {
+    ...student,
+    steps: student.steps.map((s) => (s.key === key ? { ...s, completed: true, initials, signedBy: initials, signedAt: at } : s)),
+  };
+}
+
+/**
+ * Starts the sync server on a free port with a throwaway data file (optionally
+ * seeded with `data`). Call stop() when done.
+ */
+export async function startSyncServer({ data, env = {} } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "reg-sync-"));
+  const dataFile = path.join(dir, "registration-data.json");
+  if (data !== undefined) fs.writeFileSync(dataFile, typeof data === "string" ? data : JSON.stringify(data));
+  const child = spawn(process.execPath, [SERVER], {
+    env: { PATH: process.env.PATH, SYNC_TOKEN: "test-token", PORT: "0", DATA_FILE: dataFile, ...env },
+    stdio: ["ignore", "ignore", "pipe"],
+  });
+  let stderr = "";
+  const exited = new Promise((resolve) => child.on("exit", (code) => resolve(code)));
+  const port = await new Promise((resolve, reject) => {
+    child.stderr.on("data", (chunk) => {
+      stderr += chunk;
+      const m = stderr.match(/listening on :(\d+)/);
+      if (m) resolve(Number(m[1]));
+    });
+    exited.then((code) => {
+      fs.rmSync(dir, { recursive: true, force: true });
+      reject(Object.assign(new Error(`sync server exited with ${code}: ${stderr}`), { code, stderr }));
+    });
+  });
+  const url = `http://127.0.0.1:${port}`;
+  return {
+    url,
+    dataFile,
+    /** fetch() against the server, with the sync token unless `token: null`. */
+    request(pathname, { method = "GET", body, token = "test-token", headers = {} } = {}) {
+      return fetch(url + pathname, {
+        method,
+        headers: {
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+          ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+          ...headers,
+        },
+        body: body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body),
+      });
+    },
+    async stop() {
+      child.kill();
+      await exited;
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+/** Creates the first admin account (PIN 111111) on a fresh server and returns its X-Staff-Session header. */
+export async function adminSession(server) {
+  await server.request("/staff/a1", { method: "PUT", body: { account: { name: "Admin", role: "admin" }, pin: "111111" } });
+  const res = await server.request("/staff/login", { method: "POST", body: { accountId: "a1", pin: "111111" } });
+  return { "X-Staff-Session": (await res.json()).session };
+}
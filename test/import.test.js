@@ -0,0 +1,163 @@
+import { describe, expect, test } from "vitest";
+import {
+  DEFAULT_TEMPLATE,
+  applyImport,
+  mergeStudentRecords,
+  newStudent,
+  normalizeStudent,
+  normalizeWorkflows,
+  previewImport,
+  studentCodeFor,
+} from "../registration_progress_tracker_react_app_mvp.jsx";
+import { signedStep } from "./helpers.js";
+
+const workflows = normalizeWorkflows(null);
+
+// A backup record from before step keys existed: steps are matched by number.
+const legacyRecord = () => ({
+  id: "old-1",
+  name: "Ana Diaz",
+  grade: "9",
+  createdAt: 1,
+  steps: DEFAULT_TEMPLATE.steps.map((s, i) => ({ index: i + 1, title: s.title, completed: i === 0, initials: i === 0 ? "JD" : undefined })),
+});
+
+describe("previewImport", () => {
+  test("reads a roster CSV with a header row", () => {
+    const csv = "Student Name,Grade,Student ID,Status\nAna Diaz,9,1001,returning\n,10,1002,new\n";
+    const rows = previewImport("roster.csv", csv, [], workflows);
+    expect(rows).toHaveLength(2);
+    expect(rows[0].record).toMatchObject({ name: "Ana Diaz", grade: "9", studentNumber: "1001", status: "returning" });
+    expect(rows[1]).toMatchObject({ line: 2, error: "Missing name." });
+  });
+
+  test("takes columns in order when there is no header", () => {
+    const [row] = previewImport("roster.csv", '"Diaz, Ana",9\n', [], workflows);
+    expect(row.record).toMatchObject({ name: "Diaz, Ana", grade: "9" });
+  });
+
+  test("reads a JSON export and matches existing students", () => {
+    const existing = newStudent("Ana Diaz", "9");
+    const json = JSON.stringify({ students: [{ name: "ana diaz", grade: "9" }, { name: "Ben Ruiz" }] });
+    const rows = previewImport("backup.json", json, [existing], workflows);
+    expect(rows[0].match).toBe(existing);
+    expect(rows[1].match).toBeNull();
+  });
+
+  test("refuses JSON that is not a student list", () => {
+    expect(() => previewImport("backup.json", "{}", [], workflows)).toThrow("Expected a list of students.");
+  });
+});
+
+describe("applyImport", () => {
+  const existing = { ...newStudent("Ana Diaz", "9"), eventId: "fall", createdAt: 1 };
+  const incomingRow = () => {
+    const [row] = previewImport("backup.json", JSON.stringify([signedStep({ name: "Ana Diaz", grade: "9", steps: existing.steps }, "admissions", "JD")]), [existing], workflows);
+    return row;
+  };
+
+  test("adds records that match nobody", () => {
+    const [row] = previewImport("roster.csv", "Ben Ruiz,10\n", [existing], workflows);
+    const result = applyImport([existing], [row], "skip");
+    expect(result).toMatchObject({ added: 1, updated: 0 });
+    expect(result.students).toHaveLength(2);
+  });
+
+  test("gives added records codes no other record, here or in another event, has", () => {
+    const [row] = previewImport("roster.csv", "Ben Ruiz,10\n", [existing], workflows);
+    const other = { id: "x", code: row.record.code };
+    const [added] = applyImport([existing], [row], "skip", [other]).students;
+    expect(added.code).not.toBe(other.code);
+    expect(added.code).toBe(studentCodeFor(row.record.id, 1));
+  });
+
+  test("skips matching records under the skip policy", () => {
+    const result = applyImport([existing], [incomingRow()], "skip");
+    expect(result).toMatchObject({ added: 0, updated: 0 });
+    expect(result.students).toEqual([existing]);
+  });
+
+  test("merges sign-offs into the existing record", () => {
+    const result = applyImport([existing], [incomingRow()], "merge");
+    expect(result.updated).toBe(1);
+    expect(result.students[0].id).toBe(existing.id);
+    expect(result.students[0].steps.find((s) => s.key === "admissions").initials).toBe("JD");
+  });
+
+  test("replaces the record but keeps its id, code, creation time and event", () => {
+    const result = applyImport([existing], [incomingRow()], "replace");
+    const [replaced] = result.students;
+    expect(replaced).toMatchObject({ id: existing.id, code: existing.code, createdAt: 1, eventId: "fall" });
+    expect(replaced.steps.find((s) => s.key === "admissions").completed).toBe(true);
+  });
+});
+
+describe("mergeStudentRecords", () => {
+  test("keeps the existing sign-offs and profile and fills in what is missing", () => {
+    const base = newStudent("Ana Diaz", "9");
+    const existing = { ...signedStep(base, "sign-in", "AA"), homeroom: "101", guardians: [{ name: "Rosa Diaz", phone: "555" }] };
+    const incoming = {
+      ...signedStep(signedStep(base, "sign-in", "ZZ"), "locker", "BB"),
+      homeroom: "202",
+      studentNumber: "1001",
+      guardians: [{ name: "Rosa Diaz", phone: "555" }, { name: "Luis Diaz", email: "l@example.org" }],
+    };
+    const merged = mergeStudentRecords(existing, incoming);
+    expect(merged.id).toBe(existing.id);
+    expect(merged.homeroom).toBe("101");
+    expect(merged.studentNumber).toBe("1001");
+    expect(merged.guardians.map((g) => g.name)).toEqual(["Rosa Diaz", "Luis Diaz"]);
+    expect(merged.steps.find((s) => s.key === "sign-in").initials).toBe("AA");
+    expect(merged.steps.find((s) => s.key === "locker")).toMatchObject({ completed: true, initials: "BB" });
+  });
+});
+
+describe("normalizeStudent", () => {
+  test("rejects records without a name", () => {
+    expect(() => normalizeStudent(null, workflows)).toThrow("Not a student record.");
+    expect(() => normalizeStudent({ name: "  " }, workflows)).toThrow("Missing name.");
+  });
+
+  test("keeps the record's identity", () => {
+    const student = normalizeStudent({ id: "x", code: "ABC-DEF", name: " Ana ", grade: 9, createdAt: 5 }, workflows);
+    expect(student).toMatchObject({ id: "x", code: "ABC-DEF", name: "Ana", grade: "9", createdAt: 5 });
+  });
+
+  test("derives a code from the id when the record has none", () => {
+    expect(normalizeStudent({ id: "x", name: "Ana" }, workflows).code).toBe(studentCodeFor("x"));
+  });
+
+  test("builds a full step list and copies sign-offs by step key", () => {
+    const steps = [
+      { key: "admissions", completed: true, initials: "JD", signedAt: 10, notes: "ok" },
+      { key: "not-in-template", completed: true, initials: "ZZ", signedAt: 10 },
+    ];
+    const student = normalizeStudent({ name: "Ana", steps }, workflows);
+    expect(student.steps.map((s) => s.key)).toEqual(DEFAULT_TEMPLATE.steps.map((s) => s.key));
+    const admissions = student.steps.find((s) => s.key === "admissions");
+    expect(admissions).toMatchObject({ completed: true, initials: "JD", signedAt: 10, notes: "ok" });
+    expect(student.steps.filter((s) => s.completed)).toHaveLength(1);
+  });
+
+  test("upgrades steps from records saved before step keys existed", () => {
+    const student = normalizeStudent(legacyRecord(), workflows);
+    expect(student.steps[0]).toMatchObject({ key: DEFAULT_TEMPLATE.steps[0].key, completed: true, initials: "JD" });
+  });
+
+  test("keeps recorded step values only for the step's own fields", () => {
+    const steps = [{ key: "ipad", completed: true, signedAt: 10, values: { serial: " SN123 ", other: "x" } }];
+    const ipad = normalizeStudent({ name: "Ana", steps }, workflows).steps.find((s) => s.key === "ipad");
+    expect(ipad.values).toEqual({ serial: "SN123" });
+  });
+
+  test("keeps waivers only on steps that can be waived", () => {
+    const optional = {
+      activeVersion: 2,
+      templates: [{ version: 2, name: "v2", createdAt: 0, steps: [{ key: "a", title: "A", instructions: "" }, { key: "b", title: "B", instructions: "", optional: true }] }],
+    };
+    const waived = { at: 1, by: "Jo", initials: "JO", reason: "Not needed" };
+    const student = normalizeStudent({ name: "Ana", workflowVersion: 2, steps: [{ key: "a", waived }, { key: "b", waived }] }, optional);
+    expect(student.steps[0].waived).toBeUndefined();
+    expect(student.steps[1].waived).toEqual(waived);
+  });
+});
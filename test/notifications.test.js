@@ -0,0 +1,57 @@
+import { describe, expect, test } from "vitest";
+import { buildNotifications, newStudent, normalizeNotifySettings, stalledStepOf } from "../registration_progress_tracker_react_app_mvp.jsx";
+import { signedStep } from "./helpers.js";
+
+const MIN = 60 * 1000;
+const step = (key) => ({ key, title: key.toUpperCase(), location: "", instructions: "" });
+const template = { version: 1, name: "v1", createdAt: 0, steps: [step("a"), step("b")] };
+
+describe("buildNotifications", () => {
+  const guardians = [
+    { name: "Rosa Diaz", email: "rosa@example.org", phone: "555-0100" },
+    { name: "", phone: "555-0101" },
+  ];
+  const student = { ...newStudent("Ana Diaz", "9", template), guardians };
+
+  test("writes one message per guardian and enabled channel with a contact", () => {
+    expect(buildNotifications("completed", { ...student, guardians: [guardians[1]] }, normalizeNotifySettings(null), {})).toEqual([]);
+    const settings = normalizeNotifySettings({ channels: { email: true, webhook: true } });
+    const messages = buildNotifications("completed", student, settings, { student: "Ana Diaz", event: "Fall" });
+    expect(messages.map((m) => [m.guardian, m.channel, m.to])).toEqual([
+      [0, "email", "rosa@example.org"],
+      [0, "webhook", "555-0100"],
+      [1, "webhook", "555-0101"],
+    ]);
+    expect(messages[0]).toMatchObject({ kind: "completed", studentId: student.id, status: "pending", attempts: 0 });
+  });
+
+  test("fills in the template, leaving unknown placeholders for the admin to spot", () => {
+    const settings = normalizeNotifySettings({ templates: { stalled: { subject: "{{firstName}} at {{step}}", body: "Hi {{guardian}}, {{typo}}" } } });
+    const [email] = buildNotifications("stalled", student, settings, { firstName: "Ana", step: "Lockers" });
+    expect(email).toMatchObject({ subject: "Ana at Lockers", body: "Hi Rosa Diaz, {{typo}}" });
+  });
+
+  test("calls a guardian without a name Parent/Guardian", () => {
+    const settings = normalizeNotifySettings({ channels: { email: false, webhook: true }, templates: { completed: { body: "{{guardian}}" } } });
+    expect(buildNotifications("completed", student, settings, {}).map((m) => m.body)).toEqual(["Rosa Diaz", "Parent/Guardian"]);
+  });
+});
+
+describe("stalledStepOf", () => {
+  const waiting = signedStep({ ...newStudent("Ana", "9", template), createdAt: 0 }, "a", "AA", 10 * MIN);
+
+  test("returns the current step once the student has waited there past the threshold", () => {
+    expect(stalledStepOf(waiting, 39 * MIN, 30)).toBeNull();
+    expect(stalledStepOf(waiting, 40 * MIN, 30)?.key).toBe("b");
+  });
+
+  test("stays quiet once guardians were told about that step", () => {
+    expect(stalledStepOf({ ...waiting, notified: { stalled: { b: 1 } } }, 90 * MIN, 30)).toBeNull();
+    expect(stalledStepOf({ ...waiting, notified: { stalled: { a: 1 } } }, 90 * MIN, 30)?.key).toBe("b");
+  });
+
+  test("never fires for finished students or without a threshold", () => {
+    expect(stalledStepOf(signedStep(waiting, "b", "BB", 20 * MIN), 90 * MIN, 30)).toBeNull();
+    expect(stalledStepOf(waiting, 90 * MIN, 0)).toBeNull();
+  });
+});
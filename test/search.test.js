@@ -0,0 +1,68 @@
+import { describe, expect, test } from "vitest";
+import { EMPTY_STUDENT_FILTERS, filterStudents, nameMatchScore, newStudent } from "../registration_progress_tracker_react_app_mvp.jsx";
+import { signedStep } from "./helpers.js";
+
+const filters = (f) => ({ ...EMPTY_STUDENT_FILTERS, ...f });
+const names = (list) => list.map((s) => s.name);
+
+describe("nameMatchScore", () => {
+  test("scores a plain substring as an exact match, ignoring case and accents", () => {
+    expect(nameMatchScore("smith", "Jordan Smith")).toBe(0);
+    expect(nameMatchScore("jose", "José Ramírez")).toBe(0);
+  });
+
+  test("matches every typed word against the start of a name word", () => {
+    expect(nameMatchScore("smi jor", "Jordan Smith")).toBe(2);
+  });
+
+  test("allows a typo or two in longer words", () => {
+    expect(nameMatchScore("jordon smth", "Jordan Smith")).toBe(4);
+    expect(nameMatchScore("jordan smith", "Jordan Smith")).toBe(0);
+  });
+
+  test("allows no typos in short words", () => {
+    expect(nameMatchScore("jon", "Jordan Smith")).toBeNull();
+  });
+
+  test("fails when any word has no match", () => {
+    expect(nameMatchScore("jordan lee", "Jordan Smith")).toBeNull();
+  });
+});
+
+describe("filterStudents", () => {
+  const ana = { ...newStudent("Ana Diaz", "9"), createdAt: new Date("2025-08-01T09:00:00").getTime() };
+  const ben = signedStep({ ...newStudent("Ben Ortiz", "10"), createdAt: new Date("2025-08-02T09:00:00").getTime() }, "sign-in", "ML");
+  const jordan = newStudent("Jordan Smith", "9");
+  const students = [ana, ben, jordan];
+
+  test("returns everyone in order without filters", () => {
+    expect(filterStudents(students, filters({}))).toEqual(students);
+  });
+
+  test("puts the closest names first and drops non-matches", () => {
+    const jordana = newStudent("Jordana Smithe", "9");
+    expect(names(filterStudents([jordana, ben, jordan], filters({ text: "jordan smith" })))).toEqual(["Jordan Smith", "Jordana Smithe"]);
+  });
+
+  test("matches a student code exactly, in any spelling", () => {
+    expect(filterStudents(students, filters({ text: ben.code.toLowerCase().replace("-", " ") }))).toEqual([ben]);
+  });
+
+  test("matches a grade typed into the search", () => {
+    expect(names(filterStudents(students, filters({ text: "10" })))).toEqual(["Ben Ortiz"]);
+  });
+
+  test("combines grade, progress and step filters", () => {
+    expect(names(filterStudents(students, filters({ grade: "9" })))).toEqual(["Ana Diaz", "Jordan Smith"]);
+    expect(names(filterStudents(students, filters({ progress: "in_progress" })))).toEqual(["Ben Ortiz"]);
+    expect(names(filterStudents(students, filters({ stepKey: "sign-in" })))).toEqual(["Ana Diaz", "Jordan Smith"]);
+    expect(names(filterStudents(students, filters({ grade: "9", text: "ana" })))).toEqual(["Ana Diaz"]);
+  });
+
+  test("filters by completion range, signer and sign-up day", () => {
+    expect(names(filterStudents(students, filters({ minPct: "1" })))).toEqual(["Ben Ortiz"]);
+    expect(names(filterStudents(students, filters({ maxPct: "0" })))).toEqual(["Ana Diaz", "Jordan Smith"]);
+    expect(names(filterStudents(students, filters({ signedBy: " ml " })))).toEqual(["Ben Ortiz"]);
+    expect(names(filterStudents(students, filters({ createdFrom: "2025-08-01", createdTo: "2025-08-01" })))).toEqual(["Ana Diaz"]);
+  });
+});
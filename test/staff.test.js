@@ -0,0 +1,93 @@
+import { afterEach, describe, expect, test } from "vitest";
+import { adminSession, startSyncServer } from "./helpers.js";
+
+let server;
+afterEach(async () => {
+  await server?.stop();
+  server = null;
+});
+
+const STUDENT = {
+  id: "s1",
+  name: "Ana Diaz",
+  steps: [
+    { index: 1, key: "sign-in", title: "Sign In", completed: false },
+    { index: 2, key: "locker", title: "Locker", completed: false },
+  ],
+};
+
+/** Signs in and returns the X-Staff-Session header for the account. */
+async function signIn(accountId, pin) {
+  const res = await server.request("/staff/login", { method: "POST", body: { accountId, pin } });
+  expect(res.status).toBe(200);
+  return { "X-Staff-Session": (await res.json()).session };
+}
+
+/** A server with an admin (PIN 111111) and a locker-desk account (PIN 222222). */
+async function startWithStaff(data) {
+  server = await startSyncServer({ data });
+  const admin = await adminSession(server);
+  await server.request("/staff/st1", {
+    method: "PUT",
+    headers: admin,
+    body: { account: { name: "Locker Desk", initials: "LD", role: "station", steps: ["locker"] }, pin: "222222" },
+  });
+  return { admin, station: await signIn("st1", "222222") };
+}
+
+describe("staff accounts", () => {
+  test("lets the first admin be created without a session, and nobody after that", async () => {
+    server = await startSyncServer();
+    const station = { account: { name: "Desk", role: "station" }, pin: "123456" };
+    expect((await server.request("/staff/st1", { method: "PUT", body: station })).status).toBe(403);
+    const first = await server.request("/staff/a1", { method: "PUT", body: { account: { name: "Admin", role: "admin" }, pin: "111111" } });
+    expect(first.status).toBe(200);
+    expect(await first.json()).toEqual([{ id: "a1", name: "Admin", initials: "", role: "admin", steps: [] }]);
+    const second = await server.request("/staff/a2", { method: "PUT", body: { account: { name: "Other", role: "admin" }, pin: "333333" } });
+    expect(second.status).toBe(403);
+  });
+
+  test("refuses a wrong PIN and locks the account after five", async () => {
+    await startWithStaff();
+    const attempt = (pin) => server.request("/staff/login", { method: "POST", body: { accountId: "st1", pin } });
+    for (let i = 0; i < 5; i++) expect((await attempt("000000")).status).toBe(403);
+    expect((await attempt("222222")).status).toBe(429);
+  });
+});
+
+describe("student writes", () => {
+  test("need a staff session", async () => {
+    const { station } = await startWithStaff();
+    expect((await server.request("/students/s1", { method: "PUT", body: STUDENT })).status).toBe(401);
+    expect((await server.request("/students/s1", { method: "PUT", body: STUDENT, headers: { "X-Staff-Session": "stale" } })).status).toBe(401);
+    expect((await server.request("/students/s1", { method: "PUT", body: STUDENT, headers: station })).status).toBe(200);
+  });
+
+  test("let station staff sign only their own steps", async () => {
+    const { station } = await startWithStaff({ students: { s1: STUDENT } });
+    const sign = (key) =>
+      server.request("/students/s1", {
+        method: "PATCH",
+        headers: station,
+        body: { stepChanges: { [key]: { ...STUDENT.steps.find((s) => s.key === key), completed: true, initials: "LD" } } },
+      });
+    expect((await sign("sign-in")).status).toBe(403);
+    const ok = await sign("locker");
+    expect(ok.status).toBe(200);
+    expect((await ok.json()).steps[1].initials).toBe("LD");
+  });
+
+  test("refuse new records from station staff with other steps signed", async () => {
+    const { station } = await startWithStaff();
+    const signed = { ...STUDENT, steps: [{ ...STUDENT.steps[0], completed: true }, STUDENT.steps[1]] };
+    expect((await server.request("/students/s1", { method: "PUT", body: signed, headers: station })).status).toBe(403);
+  });
+
+  test("leave deleting and replacing records to admins", async () => {
+    const { admin, station } = await startWithStaff({ students: { s1: STUDENT } });
+    expect((await server.request("/students/s1", { method: "PUT", body: STUDENT, headers: station })).status).toBe(403);
+    expect((await server.request("/students/s1", { method: "DELETE", headers: station })).status).toBe(403);
+    expect((await server.request("/students/s1", { method: "DELETE", headers: admin })).status).toBe(204);
+    expect(await (await server.request("/students")).json()).toEqual([]);
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, expect, test } from "vitest";
+import { newStudent, stationQueue } from "../registration_progress_tracker_react_app_mvp.jsx";
+import { signedStep } from "./helpers.js";
+
+const step = (key, extra = {}) => ({ key, title: key.toUpperCase(), location: "", instructions: "", ...extra });
+const template = {
+  version: 1,
+  name: "v1",
+  createdAt: 0,
+  steps: [step("desk"), step("fees", { appliesTo: { grades: ["9"] } }), step("locker", { group: "kit" }), step("laptop", { group: "kit" })],
+};
+const student = (name, grade, createdAt) => ({ ...newStudent(name, grade, template), createdAt });
+
+describe("stationQueue", () => {
+  test("lists students whose turn it is at the step, longest-waiting first", () => {
+    const ana = signedStep(signedStep(student("Ana", "9", 10), "desk", "AA", 300), "fees", "AA", 400);
+    const ben = signedStep(student("Ben", "10", 20), "desk", "AA", 200);
+    const queue = stationQueue([ana, ben], "locker");
+    expect(queue.map((q) => [q.student.name, q.step.key, q.readyAt])).toEqual([
+      ["Ben", "locker", 200],
+      ["Ana", "locker", 400],
+    ]);
+  });
+
+  test("leaves out students still held up by an earlier step", () => {
+    const ana = signedStep(student("Ana", "9", 10), "desk", "AA");
+    expect(stationQueue([ana], "locker")).toEqual([]);
+  });
+
+  test("counts a student as waiting from sign-up at the first step", () => {
+    expect(stationQueue([student("Ana", "9", 10)], "desk").map((q) => q.readyAt)).toEqual([10]);
+  });
+
+  test("leaves out students the step does not apply to or who are done with it", () => {
+    const ben = signedStep(student("Ben", "10", 20), "desk", "AA");
+    expect(stationQueue([ben], "fees")).toEqual([]);
+    expect(stationQueue([signedStep(ben, "locker", "AA")], "locker")).toEqual([]);
+  });
+
+  test("does not hold a step back for another step of its group", () => {
+    const ben = signedStep(student("Ben", "10", 20), "desk", "AA", 200);
+    expect(stationQueue([ben], "laptop").map((q) => q.readyAt)).toEqual([200]);
+    expect(stationQueue([signedStep(ben, "locker", "AA", 500)], "laptop").map((q) => q.readyAt)).toEqual([200]);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, expect, test } from "vitest";
+import {
+  DEFAULT_TEMPLATE,
+  migrateStoredStudents,
+  newStudent,
+  studentCodeFor,
+  validateStudents,
+} from "../registration_progress_tracker_react_app_mvp.jsx";
+
+// A record as stored before workflow templates, step keys and student codes existed.
+const legacyRecord = () => ({
+  id: "old-1",
+  name: "Ana Diaz",
+  grade: "9",
+  createdAt: 1,
+  steps: DEFAULT_TEMPLATE.steps.map((s, i) => ({ index: i + 1, title: s.title, completed: i === 0, initials: i === 0 ? "JD" : undefined, signedAt: i === 0 ? 5 : undefined })),
+});
+
+describe("migrateStoredStudents", () => {
+  test("upgrades a v1 list with codes, template versions and step keys", () => {
+    const { schemaVersion, students } = migrateStoredStudents([legacyRecord()]);
+    expect(schemaVersion).toBe(2);
+    expect(students[0].code).toBe(studentCodeFor("old-1"));
+    expect(students[0].workflowVersion).toBe(DEFAULT_TEMPLATE.version);
+    expect(students[0].steps.map((s) => s.key)).toEqual(DEFAULT_TEMPLATE.steps.map((s) => s.key));
+    expect(students[0].steps[0].initials).toBe("JD");
+  });
+
+  test("leaves current data as it is", () => {
+    const data = { schemaVersion: 2, students: [] };
+    expect(migrateStoredStudents(data)).toBe(data);
+  });
+
+  test("refuses data from a newer version of the app", () => {
+    expect(() => migrateStoredStudents({ schemaVersion: 99, students: [] })).toThrow(/newer than this app/);
+  });
+
+  test("marks data it does not recognise as unreadable", () => {
+    for (const data of [null, "students", { schemaVersion: 2 }, { schemaVersion: 0, students: [] }]) {
+      let error;
+      try {
+        migrateStoredStudents(data);
+      } catch (err) {
+        error = err;
+      }
+      expect(error?.unreadable).toBe(true);
+    }
+  });
+});
+
+describe("validateStudents", () => {
+  test("keeps usable records, including migrated legacy ones", () => {
+    const current = newStudent("Ben Ortiz", "10");
+    const { students: migrated } = migrateStoredStudents([legacyRecord()]);
+    const { students, rejected } = validateStudents([current, ...migrated]);
+    expect(students).toEqual([current, ...migrated]);
+    expect(rejected).toEqual([]);
+  });
+
+  test("rejects broken records with the reasons", () => {
+    const student = newStudent("Ben Ortiz", "10");
+    const unsigned = { ...student, id: "b", steps: student.steps.map((s, i) => (i === 0 ? { ...s, completed: true } : s)) };
+    const { students, rejected } = validateStudents([null, { ...student, name: " " }, unsigned]);
+    expect(students).toEqual([]);
+    expect(rejected.map((r) => r.problems)).toEqual([["not a student record"], ["missing name"], ["step 1 is signed without a time"]]);
+  });
+
+  test("rejects a second record with the same id", () => {
+    const student = newStudent("Ben Ortiz", "10");
+    const { students, rejected } = validateStudents([student, { ...student, name: "Copy" }]);
+    expect(students).toEqual([student]);
+    expect(rejected).toEqual([{ record: { ...student, name: "Copy" }, problems: ["duplicate id"] }]);
+  });
+
+  test("rejects an appointment without a slot", () => {
+    const student = { ...newStudent("Ben Ortiz", "10"), appointment: { bookedAt: 1 } };
+    expect(validateStudents([student]).rejected[0].problems).toEqual(["unreadable appointment"]);
+  });
+});
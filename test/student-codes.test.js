@@ -0,0 +1,60 @@
+import { describe, expect, test } from "vitest";
+import { findStudentByCode, normalizeCode, studentCodeFor, withUniqueCodes } from "../registration_progress_tracker_react_app_mvp.jsx";
+
+describe("studentCodeFor", () => {
+  test("derives the same six-character code for the same id", () => {
+    expect(studentCodeFor("abc")).toBe(studentCodeFor("abc"));
+    expect(studentCodeFor("abc")).toMatch(/^[2-9A-HJKMNP-Z]{3}-[2-9A-HJKMNP-Z]{3}$/);
+  });
+
+  test("derives a different code for each salt", () => {
+    const codes = new Set([0, 1, 2, 3].map((salt) => studentCodeFor("abc", salt)));
+    expect(codes.size).toBe(4);
+  });
+});
+
+describe("withUniqueCodes", () => {
+  test("keeps codes nobody else uses", () => {
+    const record = { id: "a", code: studentCodeFor("a") };
+    expect(withUniqueCodes([record], [{ id: "b", code: studentCodeFor("b") }])).toEqual([record]);
+  });
+
+  test("re-derives a code that an existing record already has", () => {
+    const existing = [{ id: "b", code: studentCodeFor("a") }];
+    const [record] = withUniqueCodes([{ id: "a", code: studentCodeFor("a") }], existing);
+    expect(record.code).toBe(studentCodeFor("a", 1));
+  });
+
+  test("treats codes that differ only in case or punctuation as the same", () => {
+    const code = studentCodeFor("a");
+    const [record] = withUniqueCodes([{ id: "a", code }], [{ id: "b", code: code.toLowerCase().replace("-", "") }]);
+    expect(record.code).not.toBe(code);
+  });
+
+  test("gives two new records with the same code different codes", () => {
+    const code = studentCodeFor("a");
+    const [first, second] = withUniqueCodes([{ id: "a", code }, { id: "b", code }], []);
+    expect(first.code).toBe(code);
+    expect(second.code).toBe(studentCodeFor("b", 1));
+  });
+
+  test("gives records without a code the one derived from their id", () => {
+    const [record] = withUniqueCodes([{ id: "a" }], []);
+    expect(record.code).toBe(studentCodeFor("a"));
+  });
+});
+
+describe("findStudentByCode", () => {
+  const students = [{ id: "a", code: "ABC-DEF" }];
+
+  test("accepts typed or scanned variations of the code", () => {
+    expect(normalizeCode("*abc def*")).toBe("ABCDEF");
+    expect(findStudentByCode(students, "abcdef")?.id).toBe("a");
+    expect(findStudentByCode(students, "*ABC-DEF*")?.id).toBe("a");
+  });
+
+  test("finds nothing for an empty or unknown code", () => {
+    expect(findStudentByCode(students, "  ")).toBeNull();
+    expect(findStudentByCode(students, "XYZ-XYZ")).toBeNull();
+  });
+});
@@ -0,0 +1,154 @@
+import { createRequire } from "node:module";
+import { afterEach, describe, expect, test } from "vitest";
+import { certificateCodeFor as appCertificateCode } from "../registration_progress_tracker_react_app_mvp.jsx";
+import { adminSession, signedStep, startSyncServer } from "./helpers.js";
+
+const { certificateCodeFor } = createRequire(import.meta.url)("../server/sync-server.js");
+
+let server;
+afterEach(async () => {
+  await server?.stop();
+  server = null;
+});
+
+describe("sync server access", () => {
+  test("answers only requests with the sync token", async () => {
+    server = await startSyncServer();
+    expect((await server.request("/students", { token: null })).status).toBe(401);
+    expect((await server.request("/students", { token: "wrong" })).status).toBe(401);
+    const res = await server.request("/students");
+    expect(res.status).toBe(200);
+    expect(await res.json()).toEqual([]);
+  });
+
+  test("refuses browsers on other origins and echoes the allowed one", async () => {
+    server = await startSyncServer({ env: { ALLOWED_ORIGIN: "https://school.example" } });
+    expect((await server.request("/students", { headers: { Origin: "https://evil.example" } })).status).toBe(403);
+    const ok = await server.request("/students", { headers: { Origin: "https://school.example" } });
+    expect(ok.status).toBe(200);
+    expect(ok.headers.get("access-control-allow-origin")).toBe("https://school.example");
+  });
+
+  test("answers CORS preflights from the allowed origin without the token", async () => {
+    server = await startSyncServer({ env: { ALLOWED_ORIGIN: "https://school.example" } });
+    const res = await server.request("/students/s1", { method: "OPTIONS", token: null, headers: { Origin: "https://school.example" } });
+    expect(res.status).toBe(204);
+    expect(res.headers.get("access-control-allow-headers")).toMatch(/Authorization/);
+  });
+
+  test("refuses bodies over MAX_BODY_BYTES with 413 and malformed JSON with 400", async () => {
+    server = await startSyncServer({ env: { MAX_BODY_BYTES: "100" } });
+    const big = await server.request("/docs/notes", { method: "PUT", body: { value: "x".repeat(200) } });
+    expect(big.status).toBe(413);
+    const bad = await server.request("/docs/notes", { method: "PUT", body: "{not json" });
+    expect(bad.status).toBe(400);
+  });
+});
+
+describe("sync server data file", () => {
+  test("serves the records stored in the data file", async () => {
+    server = await startSyncServer({ data: { students: { s1: { id: "s1", name: "Ana", steps: [] } }, docs: {}, audit: [] } });
+    expect(await (await server.request("/students")).json()).toEqual([{ id: "s1", name: "Ana", steps: [] }]);
+  });
+
+  test("refuses to start on a data file it cannot read", async () => {
+    const failed = await startSyncServer({ data: "{not json" }).catch((err) => err);
+    expect(failed.code).toBe(1);
+    expect(failed.stderr).toMatch(/Could not read/);
+  });
+
+  test("refuses to start without a sync token", async () => {
+    const failed = await startSyncServer({ env: { SYNC_TOKEN: "" } }).catch((err) => err);
+    expect(failed.code).toBe(1);
+    expect(failed.stderr).toMatch(/SYNC_TOKEN/);
+  });
+});
+
+describe("stall alert claims", () => {
+  test("go to the first station that asks", async () => {
+    server = await startSyncServer({ data: { students: { s1: { id: "s1", name: "Ana", steps: [] } } } });
+    const session = await adminSession(server);
+    const claim = () => server.request("/students/s1/notified", { method: "POST", headers: session, body: { stepKey: "locker" } });
+    const [first, second] = await Promise.all([claim(), claim()]);
+    expect([first.status, second.status].sort()).toEqual([200, 409]);
+    const claimed = await (first.status === 200 ? first : second).json();
+    expect(claimed.notified.stalled.locker).toEqual(expect.any(Number));
+    expect((await claim()).status).toBe(409);
+  });
+
+  test("are per step and need a known student", async () => {
+    server = await startSyncServer({ data: { students: { s1: { id: "s1", name: "Ana", steps: [], notified: { stalled: { locker: 1 } } } } } });
+    const session = await adminSession(server);
+    const claim = (id, body) => server.request(`/students/${id}/notified`, { method: "POST", headers: session, body });
+    expect((await claim("s1", { stepKey: "fees" })).status).toBe(200);
+    expect((await claim("s2", { stepKey: "fees" })).status).toBe(404);
+    expect((await claim("s1", {})).status).toBe(400);
+  });
+});
+
+describe("self-service lookups", () => {
+  const ana = {
+    id: "s1",
+    code: "ABC-DEF",
+    name: "Ana Diaz",
+    grade: "9",
+    guardians: [{ name: "Rosa Diaz", phone: "555-0100" }],
+    steps: [
+      { index: 1, key: "desk", title: "Desk", completed: true, initials: "JD", signedBy: "Jo Day", signedAt: 100, notes: "late", values: { receipt: "R-1" } },
+      { index: 2, key: "locker", title: "Locker", completed: false, waived: { at: 200, by: "Jo Day", initials: "JD", reason: "No lockers" } },
+      { index: 3, key: "seniors", title: "Seniors", appliesTo: { grades: ["12"] }, completed: false },
+    ],
+  };
+  const data = { students: { s1: ana, s2: { ...ana, id: "s2", code: "XYZ-XYZ", steps: [{ index: 1, key: "desk", title: "Desk", completed: false }] } } };
+
+  test("need no sync token and leave out who signed and what was recorded", async () => {
+    server = await startSyncServer({ data });
+    const res = await server.request("/self-service/abc-def", { token: null });
+    expect(res.status).toBe(200);
+    const { student, slot } = await res.json();
+    expect(slot).toBeNull();
+    expect(student).not.toHaveProperty("guardians");
+    expect(student.steps[0]).toEqual({ index: 1, key: "desk", title: "Desk", completed: true, signedAt: 100 });
+    expect(student.steps[1].waived).toEqual({ at: 200 });
+    expect((await server.request("/self-service/QQQ-QQQ", { token: null })).status).toBe(404);
+  });
+
+  test("give the certificate code the app prints, once the student is done", async () => {
+    server = await startSyncServer({ data });
+    const done = await (await server.request("/self-service/ABCDEF", { token: null })).json();
+    expect(done.certificateCode).toBe(appCertificateCode(ana));
+    const pending = await (await server.request("/self-service/XYZXYZ", { token: null })).json();
+    expect(pending.certificateCode).toBeNull();
+  });
+
+  test("are limited per address", async () => {
+    server = await startSyncServer({ data, env: { SELF_SERVICE_PER_MINUTE: "2" } });
+    const statuses = [];
+    for (let i = 0; i < 3; i++) statuses.push((await server.request("/self-service/QQQ-QQQ", { token: null })).status);
+    expect(statuses).toEqual([404, 404, 429]);
+  });
+
+  test("are refused to browsers on other origins", async () => {
+    server = await startSyncServer({ data, env: { ALLOWED_ORIGIN: "https://school.example" } });
+    const res = await server.request("/self-service/ABC-DEF", { token: null, headers: { Origin: "https://evil.example" } });
+    expect(res.status).toBe(403);
+  });
+});
+
+describe("certificateCodeFor on the server", () => {
+  test("matches the app's for any state of the record", () => {
+    const student = {
+      id: "s1",
+      name: "Ana Diaz",
+      grade: "9",
+      steps: [
+        { index: 1, key: "a", title: "A", completed: false },
+        { index: 2, key: "b", title: "B", completed: false, waived: { at: 5, by: "Jo", initials: "JO", reason: "n/a" } },
+        { index: 3, key: "c", title: "C", appliesTo: { grades: ["12"] }, completed: false },
+      ],
+    };
+    const signed = signedStep(student, "a", "AA");
+    const withValues = { ...signed, steps: signed.steps.map((s) => (s.key === "a" ? { ...s, values: { y: "2", x: "1" } } : s)) };
+    for (const s of [student, signed, withValues, { ...withValues, grade: undefined }]) expect(certificateCodeFor(s)).toBe(appCertificateCode(s));
+  });
+});
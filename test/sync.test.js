@@ -0,0 +1,99 @@
+import { createRequire } from "node:module";
+import { describe, expect, test } from "vitest";
+import { diffStudent } from "../registration_progress_tracker_react_app_mvp.jsx";
+import { signedStep } from "./helpers.js";
+
+const { applyPatch } = createRequire(import.meta.url)("../server/sync-server.js");
+
+const ADMIN = { id: "a1", name: "Admin", role: "admin", steps: [] };
+const LOCKERS = { id: "st1", name: "Locker Desk", role: "station", steps: ["locker"] };
+
+const student = (overrides = {}) => ({
+  id: "s1",
+  code: "ABC-DEF",
+  name: "Ana Diaz",
+  grade: "9",
+  createdAt: 1,
+  workflowVersion: 1,
+  steps: [
+    { index: 1, key: "sign-in", title: "Sign In", completed: false },
+    { index: 2, key: "locker", title: "Locker", completed: false },
+  ],
+  ...overrides,
+});
+
+describe("diffStudent", () => {
+  test("returns null when nothing changed", () => {
+    expect(diffStudent(student(), student())).toBeNull();
+  });
+
+  test("sends changed and removed fields, with null for removed ones", () => {
+    const patch = diffStudent(student(), { ...student({ name: "Ana María Diaz" }), grade: undefined });
+    expect(patch).toEqual({ fields: { name: "Ana María Diaz", grade: null } });
+  });
+
+  test("sends only the steps that changed", () => {
+    const before = student();
+    const after = signedStep(before, "locker", "JD");
+    expect(diffStudent(before, after)).toEqual({ stepChanges: { locker: after.steps[1] } });
+  });
+
+  test("sends the whole step list when steps were added, removed or reordered", () => {
+    const before = student();
+    const after = { ...before, steps: [before.steps[1], before.steps[0]] };
+    expect(diffStudent(before, after)).toEqual({ steps: after.steps });
+  });
+});
+
+describe("applyPatch", () => {
+  test("applies changed fields and deletes fields sent as null", () => {
+    const next = applyPatch(student(), { fields: { name: "Ana María Diaz", grade: null, id: "other" } }, ADMIN);
+    expect(next.name).toBe("Ana María Diaz");
+    expect(next).not.toHaveProperty("grade");
+    expect(next.id).toBe("s1");
+  });
+
+  test("keeps sign-offs from two stations that edited different steps", () => {
+    const base = student();
+    const fromA = diffStudent(base, signedStep(base, "sign-in", "AA"));
+    const fromB = diffStudent(base, signedStep(base, "locker", "BB"));
+    const merged = applyPatch(applyPatch(base, fromA, ADMIN), fromB, LOCKERS);
+    expect(merged.steps.map((s) => s.initials)).toEqual(["AA", "BB"]);
+  });
+
+  test("keeps the stored step number when a changed step is applied", () => {
+    const next = applyPatch(student(), { stepChanges: { locker: { key: "locker", index: 7, completed: true } } }, ADMIN);
+    expect(next.steps[1].index).toBe(2);
+  });
+
+  test("takes a replaced step list as sent", () => {
+    const steps = [{ index: 1, key: "new", title: "New", completed: false }];
+    expect(applyPatch(student(), { steps }, ADMIN).steps).toBe(steps);
+  });
+});
+
+describe("applyPatch permissions", () => {
+  test("refuses station staff a step their account cannot sign", () => {
+    const base = student();
+    const patch = diffStudent(base, signedStep(base, "sign-in", "LD"));
+    expect(() => applyPatch(base, patch, LOCKERS)).toThrow(expect.objectContaining({ status: 403 }));
+  });
+
+  test("lets station staff flag or unflag other steps", () => {
+    const base = signedStep(student(), "sign-in", "AA");
+    const flagged = { ...base, steps: base.steps.map((s) => ({ ...s, flagged: { at: 1, stepKey: "locker" } })) };
+    expect(applyPatch(base, diffStudent(base, flagged), LOCKERS).steps[0].flagged).toEqual({ at: 1, stepKey: "locker" });
+  });
+
+  test("leaves replacing the step list to admins", () => {
+    const steps = [{ index: 1, key: "new", title: "New", completed: false }];
+    expect(() => applyPatch(student(), { steps }, LOCKERS)).toThrow(expect.objectContaining({ status: 403 }));
+  });
+
+  test("lets only the booking step's staff change the appointment", () => {
+    const base = student({ steps: [{ index: 1, key: "photo", title: "Photo", booking: true, completed: false }] });
+    const patch = { fields: { appointment: { slotId: "slot-1" } } };
+    expect(() => applyPatch(base, patch, LOCKERS)).toThrow(expect.objectContaining({ status: 403 }));
+    expect(applyPatch(base, patch, { ...LOCKERS, steps: ["photo"] }).appointment).toEqual({ slotId: "slot-1" });
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, expect, test } from "vitest";
+import { DEFAULT_TEMPLATE, isStepLocked, migrateStudent, newStudent, revokeStudentStep, stepApplies } from "../registration_progress_tracker_react_app_mvp.jsx";
+import { signedStep } from "./helpers.js";
+
+const step = (key, extra = {}) => ({ key, title: key.toUpperCase(), location: "", instructions: "", ...extra });
+
+describe("newStudent", () => {
+  test("copies the template's steps, numbered from 1 and unsigned", () => {
+    const student = newStudent("Ana", "9");
+    expect(student.workflowVersion).toBe(DEFAULT_TEMPLATE.version);
+    expect(student.steps.map((s) => s.key)).toEqual(DEFAULT_TEMPLATE.steps.map((s) => s.key));
+    expect(student.steps.map((s) => s.index)).toEqual(DEFAULT_TEMPLATE.steps.map((_, i) => i + 1));
+    expect(student.steps.some((s) => s.completed)).toBe(false);
+  });
+});
+
+describe("migrateStudent", () => {
+  const v1 = { version: 1, name: "v1", createdAt: 0, steps: [step("a"), step("b"), step("c", { optional: true })] };
+  const v2 = { version: 2, name: "v2", createdAt: 0, steps: [step("b", { title: "B renamed" }), step("new"), step("c")] };
+
+  test("carries sign-offs over by step key and renumbers the steps", () => {
+    const before = signedStep(signedStep(newStudent("Ana", "9", v1), "a", "AA"), "b", "BB");
+    const after = migrateStudent({ ...before, steps: before.steps.map((s) => (s.key === "b" ? { ...s, notes: "ok", values: { x: "1" } } : s)) }, v2);
+    expect(after.workflowVersion).toBe(2);
+    expect(after.steps.map((s) => [s.index, s.key, s.title])).toEqual([
+      [1, "b", "B renamed"],
+      [2, "new", "NEW"],
+      [3, "c", "C"],
+    ]);
+    expect(after.steps[0]).toMatchObject({ completed: true, initials: "BB", signedAt: 100, notes: "ok", values: { x: "1" } });
+    expect(after.steps[1].completed).toBe(false);
+  });
+
+  test("drops steps the new version removed", () => {
+    const after = migrateStudent(signedStep(newStudent("Ana", "9", v1), "a", "AA"), v2);
+    expect(after.steps.find((s) => s.key === "a")).toBeUndefined();
+  });
+
+  test("keeps a waiver only while the step can still be waived", () => {
+    const waived = { at: 5, by: "Jo", initials: "JO", reason: "Not needed" };
+    const before = newStudent("Ana", "9", v1);
+    const withWaiver = { ...before, steps: before.steps.map((s) => (s.key === "c" ? { ...s, waived } : s)) };
+    expect(migrateStudent(withWaiver, v2).steps[2].waived).toBeUndefined();
+    const v3 = { ...v2, version: 3, steps: [step("c", { optional: true })] };
+    expect(migrateStudent(withWaiver, v3).steps[0].waived).toEqual(waived);
+  });
+
+  test("keeps the student's identity and profile", () => {
+    const before = { ...newStudent("Ana", "9", v1), homeroom: "101" };
+    expect(migrateStudent(before, v2)).toMatchObject({ id: before.id, code: before.code, name: "Ana", homeroom: "101", createdAt: before.createdAt });
+  });
+});
+
+describe("revokeStudentStep", () => {
+  const template = { version: 1, name: "v1", createdAt: 0, steps: [step("a"), step("b", { group: "kit" }), step("c", { group: "kit" }), step("d")] };
+  const signedAll = () => ["a", "b", "c", "d"].reduce((s, key) => signedStep(s, key, "AA"), newStudent("Ana", "9", template));
+  const revocation = { at: 200, by: "Jo", initials: "JO", reason: "Wrong student" };
+
+  test("un-signs the step and keeps the old sign-off in its history", () => {
+    const after = revokeStudentStep(signedAll(), 1, revocation);
+    expect(after.steps[0]).toMatchObject({ completed: false, initials: undefined, signedAt: undefined });
+    expect(after.steps[0].revocations).toEqual([{ ...revocation, signedBy: "AA", signedInitials: "AA", signedAt: 100, values: undefined }]);
+  });
+
+  test("flags the signed steps after it with where the flag came from", () => {
+    const after = revokeStudentStep(signedAll(), 1, revocation);
+    expect(after.steps.slice(1).map((s) => s.flagged)).toEqual(
+      Array(3).fill({ at: 200, stepKey: "a", index: 1, reason: "Wrong student" })
+    );
+  });
+
+  test("leaves steps of the same any-order group and unsigned steps unflagged", () => {
+    const before = signedAll();
+    const partly = { ...before, steps: before.steps.map((s) => (s.key === "d" ? { ...s, completed: false } : s)) };
+    const after = revokeStudentStep(partly, 2, revocation);
+    expect(after.steps.map((s) => s.flagged?.stepKey)).toEqual([undefined, undefined, undefined, undefined]);
+  });
+});
+
+describe("stepApplies", () => {
+  const student = { grade: " 9 ", status: "new" };
+
+  test("applies a step without rules to everyone", () => {
+    expect(stepApplies(student, step("a"))).toBe(true);
+  });
+
+  test("matches grades regardless of case and spacing", () => {
+    expect(stepApplies(student, step("a", { appliesTo: { grades: ["9", "10"] } }))).toBe(true);
+    expect(stepApplies({ grade: "k" }, step("a", { appliesTo: { grades: ["K"] } }))).toBe(true);
+    expect(stepApplies(student, step("a", { appliesTo: { grades: ["10"] } }))).toBe(false);
+  });
+
+  test("skips a step for another status, but not when the status is unknown", () => {
+    const rule = step("a", { appliesTo: { status: "returning" } });
+    expect(stepApplies(student, rule)).toBe(false);
+    expect(stepApplies({ grade: "9" }, rule)).toBe(true);
+  });
+});
+
+describe("isStepLocked", () => {
+  const template = {
+    version: 1,
+    name: "v1",
+    createdAt: 0,
+    steps: [step("a"), step("fees", { appliesTo: { grades: ["12"] } }), step("b", { group: "kit" }), step("c", { group: "kit" }), step("d", { optional: true }), step("e")],
+  };
+  const locked = (student) => student.steps.map((_, i) => isStepLocked(student, i));
+  const waive = (student, key) => ({ ...student, steps: student.steps.map((s) => (s.key === key ? { ...s, waived: { at: 1, by: "Jo", initials: "JO", reason: "n/a" } } : s)) });
+
+  test("locks every step after the first unresolved one", () => {
+    expect(locked(newStudent("Ana", "9", template))).toEqual([false, true, true, true, true, true]);
+  });
+
+  test("does not wait for steps that do not apply to the student", () => {
+    expect(locked(signedStep(newStudent("Ana", "9", template), "a", "AA"))).toEqual([false, false, false, false, true, true]);
+  });
+
+  test("lets the steps of a group be done in any order", () => {
+    const student = signedStep(signedStep(newStudent("Ana", "9", template), "a", "AA"), "c", "AA");
+    expect(locked(student).slice(2, 5)).toEqual([false, false, true]);
+  });
+
+  test("counts a waived step as resolved", () => {
+    const student = waive(["a", "b", "c"].reduce((s, key) => signedStep(s, key, "AA"), newStudent("Ana", "9", template)), "d");
+    expect(locked(student)[5]).toBe(false);
+  });
+});
@@ -0,0 +1,13 @@
+import { fileURLToPath } from "node:url";
+import { defineConfig } from "vitest/config";
+
+// The app is a single component meant to be dropped into a shadcn/ui project; the
+// tests stand in for those UI components, since they only exercise the helpers.
+export default defineConfig({
+  resolve: {
+    alias: [{ find: /^@\/components\/ui\/.*$/, replacement: fileURLToPath(new URL("./test/ui-stub.jsx", import.meta.url)) }],
+  },
+  test: {
+    include: ["test/**/*.test.{js,jsx}"],
+  },
+});